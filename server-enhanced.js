@@ -4,9 +4,21 @@ import { z } from 'zod';
 import fetch from 'node-fetch';
 
 // Import ENHANCED services with real blockchain data
-import { getRealMempoolData, getGasPrice, getWebSocketStatus, initWebSocketMempoolService } from './src/services/mempool-enhanced.js';
+import { getRealMempoolData, getGasPrice, getWebSocketStatus, getReplacementHistory, initWebSocketMempoolService } from './src/services/mempool-enhanced.js';
+import { getNominalBlockTiming } from './src/services/block-time.js';
+import { formatSandwichSimulation, simulateSandwichAttack } from './src/services/sandwich-simulator.js';
+import { formatTradePlan, planTrade } from './src/services/trade-planner.js';
+import { compareRoutes, formatRouteComparison } from './src/services/route-comparison.js';
+import { formatTradePrices, getTradePrices, withLiquidityUsd } from './src/services/pricing.js';
+import { getPoolStateStatus, initializePoolState } from './src/services/pool-state.js';
+import { getMevIndexerStatus, initializeMevIndexer } from './src/services/mev-indexer.js';
+import { resolveTradeTokens } from './src/services/token-registry.js';
+import { analyzeExecutedTransaction, formatExecutedTransactionAnalysis } from './src/services/tx-forensics.js';
+import { analyzeTradeTokens, formatTokenSafety } from './src/services/token-safety.js';
 import { getPoolData, calculatePriceImpact, getAggregatedLiquidity } from './src/services/dex-pools.js';
 import { analyzeMEVPatterns, analyzeMempoolCongestion } from './src/services/pattern-analyzer.js';
+import { getProviderHealth } from './src/services/provider-manager.js';
+import { SIMULATION_SCENARIOS, configureSimulation, formatSimulation } from './src/services/simulation.js';
 
 // Import original services (fallback)
 import { detectSandwich } from './src/detectors/sandwich.js';
@@ -16,9 +28,12 @@ import {
   generateProtectionSuggestions,
   formatSuggestionsForOutput,
   getDexSpecificRecommendations,
+  getTokenSafetyRecommendations,
 } from './src/services/protection.js';
-import { calculatePotentialLoss, getRiskLevel } from './src/utils/calculations.js';
-import { calculateGasPercentile, getMempoolPosition } from './src/utils/gas.js';
+import { applyChainRiskProfile, calculateExecutionEta, calculatePotentialLoss, getRiskLevel } from './src/utils/calculations.js';
+import { CHAIN_KEYS, DEFAULT_CHAIN, getChain, getChainMevProfile } from './src/utils/chains.js';
+import { calculateGasPercentile, estimateNextBlockInclusion, getMempoolPosition } from './src/utils/gas.js';
+import { getNextBaseFee, getUserEffectiveTip } from './src/utils/fees.js';
 import { initDatabase } from './src/database/init.js';
 
 // Load environment variables
@@ -27,6 +42,9 @@ dotenv.config();
 // Initialize database
 initDatabase();
 
+// Validate the simulated-mempool scenario once the environment is loaded
+configureSimulation();
+
 // Initialize WebSocket mempool (AFTER dotenv loads!)
 console.log('🔌 Initializing WebSocket mempool service...');
 initWebSocketMempoolService();
@@ -131,9 +149,29 @@ const scanRequestSchema = z.object({
   token_in: z.string().min(1),
   token_out: z.string().min(1),
   amount_in: z.string().min(1),
+  amount_out_min: z.string().optional(),
   gas_price: z.string().optional(),
+  max_fee_per_gas: z.string().optional(),
+  max_priority_fee_per_gas: z.string().optional(),
   dex: z.enum(['uniswap-v2', 'uniswap-v3', 'sushiswap', 'curve', 'balancer']),
-  use_real_data: z.boolean().optional().default(true)
+  chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN),
+  use_real_data: z.boolean().optional().default(true),
+  compare_routes: z.boolean().optional().default(false),
+  simulation: z.object({
+    scenario: z.enum(SIMULATION_SCENARIOS).optional(),
+    seed: z.union([z.string(), z.number()]).optional()
+  }).optional()
+});
+
+// Route comparison takes the trade without transaction details; dex marks the venue to compare against
+const routeRequestSchema = scanRequestSchema
+  .pick({ token_in: true, token_out: true, amount_in: true, amount_out_min: true, chain: true, use_real_data: true, simulation: true })
+  .extend({ dex: scanRequestSchema.shape.dex.optional() });
+
+// Forensics takes a mined transaction instead of a planned trade
+const executedTransactionSchema = z.object({
+  transaction_hash: z.string().regex(/^0x[0-9a-fA-F]{64}$/, 'Expected a 32-byte transaction hash'),
+  chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN)
 });
 
 // Health check endpoint
@@ -156,15 +194,50 @@ app.get('/health', (req, res) => {
       connected: wsStatus.isConnected,
       source: wsStatus.source,
       cachedTransactions: wsStatus.cachedTransactions,
-      cacheAgeSeconds: Math.round(wsStatus.cacheAge / 1000)
-    }
+      cacheAgeSeconds: Math.round(wsStatus.cacheAge / 1000),
+      replacements: wsStatus.pool.replaced,
+      evictedIncluded: wsStatus.pool.evictedIncluded,
+      lastBlockNumber: wsStatus.pool.lastBlockNumber,
+      fetchQueued: wsStatus.fetcher.queued,
+      fetchDropped: wsStatus.fetcher.dropped,
+      endpoint: wsStatus.stream.endpoint,
+      reconnectAttempts: wsStatus.stream.reconnectAttempts,
+      nextReconnectSeconds: wsStatus.stream.nextReconnectSeconds,
+      recording: wsStatus.recording,
+      replay: wsStatus.replay
+    },
+    providers: getProviderHealth(),
+    poolState: getPoolStateStatus(),
+    mevIndexer: getMevIndexerStatus()
+  });
+});
+
+// Pending transaction replacements (speed-ups and cancels)
+app.get('/api/v1/mempool/replacements', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const replacements = getReplacementHistory(req.query.from || null, limit);
+
+  res.json({
+    count: replacements.length,
+    replacements,
+    timestamp: Math.floor(Date.now() / 1000)
   });
 });
 
 // Gas price oracle endpoint
 app.get('/api/v1/gas_price', async (req, res) => {
+  const chain = req.query.chain || DEFAULT_CHAIN;
+  if (!CHAIN_KEYS.includes(chain)) {
+    return res.status(400).json({ error: `Unsupported chain: ${chain}`, supportedChains: CHAIN_KEYS });
+  }
+
+  const tip = req.query.tip;
+  if (tip !== undefined && !(parseFloat(tip) >= 0)) {
+    return res.status(400).json({ error: `Invalid tip: ${tip} (expected gwei, e.g. 1.5)` });
+  }
+
   try {
-    const gasPriceData = await getGasPrice();
+    const gasPriceData = await getGasPrice(chain, { tip });
     res.json(gasPriceData);
   } catch (error) {
     console.error('❌ Gas price fetch failed:', error);
@@ -177,12 +250,78 @@ app.get('/api/v1/pool/:tokenIn/:tokenOut', async (req, res) => {
   try {
     const { tokenIn, tokenOut } = req.params;
     const dex = req.query.dex || 'uniswap-v2';
+    const chain = req.query.chain || DEFAULT_CHAIN;
+
+    if (!CHAIN_KEYS.includes(chain)) {
+      return res.status(400).json({ error: `Unsupported chain: ${chain}`, supportedChains: CHAIN_KEYS });
+    }
 
-    const poolData = await getPoolData(tokenIn, tokenOut, dex);
-    res.json(poolData);
+    // Symbols or contract addresses
+    const pair = await resolveTradeTokens({ token_in: tokenIn, token_out: tokenOut, chain });
+    const poolData = await getPoolData(pair.token_in, pair.token_out, dex, chain);
+    res.json(withLiquidityUsd(poolData, await getTradePrices(pair)));
   } catch (error) {
     console.error('❌ Pool data fetch failed:', error);
-    res.status(500).json({ error: 'Failed to fetch pool data' });
+    res.status(500).json({ error: 'Failed to fetch pool data', message: error.message });
+  }
+});
+
+// Route comparison endpoint
+app.post('/api/v1/compare_routes', async (req, res) => {
+  try {
+    const input = await resolveTradeTokens(routeRequestSchema.parse(req.body));
+    console.log('🔀 Comparing routes for:', input);
+
+    const mempoolData = input.use_real_data && !input.simulation
+      ? await getRealMempoolData(input.token_in, input.token_out, { amount: input.amount_in, chain: input.chain })
+      : await getMempoolData(input.token_in, input.token_out, {
+        amountIn: input.amount_in,
+        chain: input.chain,
+        simulation: input.simulation
+      });
+
+    const comparison = await compareRoutes(input, mempoolData);
+    if (!comparison) {
+      return res.status(404).json({
+        error: 'No route found',
+        message: `No pool with reserves for ${input.token_in}/${input.token_out} on ${input.chain}`
+      });
+    }
+
+    res.json({
+      chain: input.chain,
+      token_in: comparison.tokenIn,
+      token_out: comparison.tokenOut,
+      amount_in: comparison.amountIn,
+      ...formatRouteComparison(comparison),
+      data_source: mempoolData.dataSource
+    });
+
+  } catch (error) {
+    console.error('❌ Route comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare routes', message: error.message });
+  }
+});
+
+// Executed transaction forensics endpoint
+app.post('/api/v1/analyze_executed_transaction', async (req, res) => {
+  try {
+    const input = executedTransactionSchema.parse(req.body);
+    console.log('🔬 Analyzing executed transaction:', input);
+
+    const analysis = await analyzeExecutedTransaction(input.transaction_hash, input.chain);
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: `No mined transaction ${input.transaction_hash} on ${input.chain}`
+      });
+    }
+
+    res.json(formatExecutedTransactionAnalysis(analysis));
+
+  } catch (error) {
+    console.error('❌ Transaction analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze transaction', message: error.message });
   }
 });
 
@@ -192,7 +331,7 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
 
   try {
     // Validate input
-    const input = scanRequestSchema.parse(req.body);
+    const input = await resolveTradeTokens(scanRequestSchema.parse(req.body));
     console.log('🔍 Starting ENHANCED MEV scan for:', input);
 
     // ===========================================
@@ -201,12 +340,21 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     console.log('📊 Fetching REAL mempool data from blockchain...');
     const userTxDetails = {
       gasPrice: input.gas_price,
-      amount: input.amount_in
+      maxFeePerGas: input.max_fee_per_gas,
+      maxPriorityFeePerGas: input.max_priority_fee_per_gas,
+      amount: input.amount_in,
+      chain: input.chain
     };
 
-    const mempoolData = input.use_real_data
+    // A requested simulation scenario implies simulated data
+    const mempoolData = input.use_real_data && !input.simulation
       ? await getRealMempoolData(input.token_in, input.token_out, userTxDetails)
-      : await getMempoolData(input.token_in, input.token_out); // Fallback to simulated
+      : await getMempoolData(input.token_in, input.token_out, {
+        amountIn: input.amount_in,
+        gasPrice: input.gas_price,
+        chain: input.chain,
+        simulation: input.simulation
+      }); // Fallback to simulated
 
     console.log(`📡 Data source: ${mempoolData.dataSource || 'simulated'}`);
     console.log(`📈 Confidence: ${(mempoolData.confidence * 100).toFixed(0)}%`);
@@ -215,19 +363,33 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     // STEP 2: Fetch REAL DEX pool data
     // ===========================================
     console.log('🏊 Fetching DEX pool data...');
-    const poolData = await getPoolData(input.token_in, input.token_out, input.dex);
+    // Token contracts are checked for taxes, owner controls and sell blocking alongside pricing
+    const [prices, tokenSafety] = await Promise.all([getTradePrices(input), analyzeTradeTokens(input)]);
+    const poolData = withLiquidityUsd(
+      await getPoolData(input.token_in, input.token_out, input.dex, input.chain),
+      prices
+    );
 
+    if (prices.amountInUsd !== null) {
+      console.log(`💵 Trade value: $${prices.amountInUsd.toLocaleString()} (${input.token_in} at $${prices.tokenIn} via ${prices.sources.tokenIn})`);
+    }
     console.log(`💰 Pool liquidity: $${poolData.liquidity?.toLocaleString() || 'N/A'}`);
 
     // Calculate price impact
     const priceImpact = calculatePriceImpact(poolData, input.amount_in, input.token_in);
     console.log(`📊 Price impact: ${priceImpact.priceImpact}%`);
 
+    // Most profitable sandwich against these reserves, net of gas
+    const sandwichSimulation = simulateSandwichAttack(input, poolData, mempoolData, prices);
+    if (sandwichSimulation) {
+      console.log(`🥪 Sandwich simulation: ${sandwichSimulation.profitable ? 'profitable' : 'unprofitable'} (net $${sandwichSimulation.netProfitUsd})`);
+    }
+
     // ===========================================
     // STEP 3: Advanced pattern analysis
     // ===========================================
     console.log('🎯 Running ADVANCED pattern analysis...');
-    const patternAnalysis = analyzeMEVPatterns(mempoolData, input);
+    const patternAnalysis = analyzeMEVPatterns(mempoolData, input, sandwichSimulation);
 
     console.log(`🚨 Patterns detected:`);
     if (patternAnalysis.patterns.sandwich.detected) {
@@ -249,7 +411,7 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     // ===========================================
     console.log('🔧 Running legacy detection algorithms...');
 
-    const sandwichRisk = detectSandwich(input, mempoolData);
+    const sandwichRisk = detectSandwich(input, mempoolData, sandwichSimulation);
     const frontRunRisk = detectFrontRun(input, mempoolData);
     const copycatRisk = detectCopycat(input, mempoolData);
     const historicalAnalysis = performHistoricalAnalysis(input);
@@ -276,8 +438,8 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     // Add congestion risk
     const congestionRisk = congestionAnalysis.congestionScore * 0.1;
 
-    // Final risk score
-    const riskScore = Math.min(
+    // Risk as seen in the mempool
+    const mempoolRiskScore = Math.min(
       Math.round(combinedRisk + priceImpactRisk + congestionRisk),
       100
     );
@@ -290,6 +452,13 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
       copycatRisk
     );
 
+    // Final risk score, scaled by how exposed the chain's ordering model is; token risks apply on every chain
+    const riskScore = Math.min(
+      applyChainRiskProfile(mempoolRiskScore, attackType, input.chain) + tokenSafety.riskIncrease,
+      100
+    );
+    const chainProfile = getChainMevProfile(input.chain);
+
     console.log('📈 Final risk score:', riskScore, '| Attack type:', attackType);
 
     // ===========================================
@@ -297,20 +466,42 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     // ===========================================
     console.log('🛡️  Generating protection recommendations...');
 
+    const tradePlan = planTrade(input, poolData, mempoolData, riskScore, prices);
+    if (tradePlan) {
+      console.log(`✂️  Trade plan: ${tradePlan.splits} chunk(s) every ${tradePlan.spacingBlocks} block(s), saves $${tradePlan.savingsUsd}`);
+    }
+
+    // Quoting every venue costs a pool read each, so scans only compare on request
+    const routeComparison = input.compare_routes
+      ? await compareRoutes(input, mempoolData, riskScore, prices, poolData)
+      : null;
+    if (routeComparison) {
+      console.log(`🔀 Best route: ${routeComparison.bestRoute.route} (${routeComparison.routes.length} quoted)`);
+    }
+
     // Combine pattern-based recommendations with legacy suggestions
     const protectionSuggestions = [
       ...patternAnalysis.recommendations.map(r =>
         `${getEmojiForType(r.type)} ${r.type}: ${r.title} - ${r.action}`
       ),
       ...formatSuggestionsForOutput(
-        generateProtectionSuggestions(riskScore, attackType, mempoolData, input)
+        generateProtectionSuggestions(riskScore, attackType, mempoolData, input, sandwichSimulation, tradePlan)
       )
     ];
 
     // Add DEX-specific recommendations
-    const dexRecommendations = getDexSpecificRecommendations(input.dex, riskScore);
+    const dexRecommendations = getDexSpecificRecommendations(
+      input.dex,
+      riskScore,
+      input.chain,
+      sandwichSimulation,
+      routeComparison
+    );
     protectionSuggestions.push(...formatSuggestionsForOutput(dexRecommendations));
 
+    // Token hazards go first - no ordering protection helps with an unsellable token
+    protectionSuggestions.unshift(...formatSuggestionsForOutput(getTokenSafetyRecommendations(tokenSafety)));
+
     // Add congestion-based recommendations
     if (congestionAnalysis.congestionLevel !== 'low') {
       protectionSuggestions.push(`⏰ ${congestionAnalysis.congestionLevel.toUpperCase()}: ${congestionAnalysis.recommendation}`);
@@ -327,7 +518,7 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     // ===========================================
     // STEP 7: Calculate potential loss
     // ===========================================
-    const estimatedLoss = calculatePotentialLoss(input, riskScore);
+    const estimatedLoss = calculatePotentialLoss(input, riskScore, sandwichSimulation, prices);
     const riskLevel = getRiskLevel(riskScore);
 
     // ===========================================
@@ -335,9 +526,13 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
     // ===========================================
     const responseTime = Date.now() - startTime;
 
-    const userGasPrice = parseFloat(input.gas_price || mempoolData.gasPercentiles.p50);
-    const gasPercentile = calculateGasPercentile(userGasPrice, mempoolData.gasPercentiles);
+    const userTip = getUserEffectiveTip(input, mempoolData);
+    const gasPercentile = calculateGasPercentile(userTip, mempoolData.gasPercentiles, getNextBaseFee(mempoolData));
     const mempoolPosition = getMempoolPosition(gasPercentile);
+    const executionEta = calculateExecutionEta(
+      mempoolData.blockTiming || getNominalBlockTiming(input.chain),
+      estimateNextBlockInclusion(userTip, gasPercentile, mempoolData.feeHistory)
+    );
 
     const result = {
       risk_score: riskScore,
@@ -349,10 +544,25 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
 
       // Enhanced details
       details: {
+        chain: input.chain,
+        chain_id: getChain(input.chain).id,
+        mempool_model: chainProfile.mempool,
+        chain_risk_note: chainProfile.summary,
+        mempool_risk_score: mempoolRiskScore,
         mempool_position: mempoolPosition,
         gas_price_percentile: gasPercentile,
         competing_txs: mempoolData.competingTxs?.length || 0,
+        simulation: formatSimulation(mempoolData.simulation),
         block_time_estimate: mempoolData.blockTimeEstimate,
+        amount_in_usd: prices.amountInUsd,
+        prices: formatTradePrices(prices),
+        execution_eta: {
+          next_block_seconds: executionEta.nextBlockSeconds,
+          expected_seconds: executionEta.expectedSeconds,
+          p50_seconds: executionEta.p50Seconds,
+          p90_seconds: executionEta.p90Seconds,
+          distribution: executionEta.distribution
+        },
         detection_confidence: mempoolData.confidence || 0.5,
         response_time_ms: responseTime,
         data_source: mempoolData.dataSource,
@@ -396,11 +606,17 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
         liquidity_usd: poolData.liquidity,
         reserve0: poolData.reserve0,
         reserve1: poolData.reserve1,
+        fee: poolData.fee,
         price_impact: priceImpact.priceImpact,
         estimated_output: priceImpact.estimatedOutput,
         data_source: poolData.dataSource
       },
 
+      sandwich_simulation: formatSandwichSimulation(sandwichSimulation),
+      token_safety: formatTokenSafety(tokenSafety),
+      trade_plan: formatTradePlan(tradePlan),
+      route_comparison: formatRouteComparison(routeComparison),
+
       // Legacy analysis (for backwards compatibility)
       analysis: {
         sandwich_detection: {
@@ -434,6 +650,7 @@ app.post('/api/v1/scan_transaction', verifyX402Payment, async (req, res) => {
       attack_type: attackType,
       response_time_ms: responseTime,
       token_pair: `${input.token_in}/${input.token_out}`,
+      chain: input.chain,
       data_source: mempoolData.dataSource,
       confidence: mempoolData.confidence
     }));
@@ -467,8 +684,11 @@ app.use((req, res) => {
     availableEndpoints: {
       health: 'GET /health',
       scan: 'POST /api/v1/scan_transaction',
-      gasPrice: 'GET /api/v1/gas_price',
-      poolData: 'GET /api/v1/pool/:tokenIn/:tokenOut?dex=uniswap-v2'
+      compareRoutes: 'POST /api/v1/compare_routes',
+      analyzeExecutedTransaction: 'POST /api/v1/analyze_executed_transaction',
+      gasPrice: 'GET /api/v1/gas_price?chain=ethereum',
+      replacements: 'GET /api/v1/mempool/replacements?from=0x...',
+      poolData: 'GET /api/v1/pool/:tokenIn/:tokenOut?dex=uniswap-v2&chain=ethereum'
     }
   });
 });
@@ -535,6 +755,8 @@ app.listen(PORT, () => {
   console.log('🏥 Health check: http://localhost:' + PORT + '/health');
   console.log('🔍 Scan endpoint: POST http://localhost:' + PORT + '/api/v1/scan_transaction');
   console.log('⛽ Gas price: GET http://localhost:' + PORT + '/api/v1/gas_price');
+  console.log('🔀 Route comparison: POST http://localhost:' + PORT + '/api/v1/compare_routes');
+  console.log('🔬 Transaction forensics: POST http://localhost:' + PORT + '/api/v1/analyze_executed_transaction');
   console.log('');
   console.log('✨ ENHANCED FEATURES:');
   console.log('  - Real blockchain mempool data');
@@ -553,8 +775,19 @@ app.listen(PORT, () => {
   console.log('🆓 FREE ENDPOINTS:');
   console.log('  - GET /health');
   console.log('  - GET /api/v1/gas_price');
+  console.log('  - POST /api/v1/compare_routes');
+  console.log('  - POST /api/v1/analyze_executed_transaction');
   console.log('');
   console.log('Ready to protect transactions from MEV attacks! 🛡️');
+
+  // Keep WATCHED_POOLS current from their logs
+  initializePoolState()
+    .then(count => count > 0 && console.log(`👁️  Live pool state: ${count} watched pool(s)`))
+    .catch(error => console.error('❌ Pool state initialization failed:', error.message));
+
+  // Record mined MEV on MEV_INDEXER_CHAINS for the historical detectors
+  const indexedChains = initializeMevIndexer();
+  if (indexedChains > 0) console.log(`🗂️  MEV indexer: following ${indexedChains} chain(s)`);
 });
 
 export default app;
@@ -4,6 +4,18 @@ import { z } from 'zod';
 
 // Import services and detectors
 import { getMempoolData } from './src/services/mempool.js';
+import { SIMULATION_SCENARIOS, configureSimulation, formatSimulation } from './src/services/simulation.js';
+import { getNominalBlockTiming } from './src/services/block-time.js';
+import { getPoolData } from './src/services/dex-pools.js';
+import { formatSandwichSimulation, simulateSandwichAttack } from './src/services/sandwich-simulator.js';
+import { formatTradePlan, planTrade } from './src/services/trade-planner.js';
+import { compareRoutes, formatRouteComparison } from './src/services/route-comparison.js';
+import { formatTradePrices, getTradePrices, withLiquidityUsd } from './src/services/pricing.js';
+import { initializePoolState } from './src/services/pool-state.js';
+import { initializeMevIndexer } from './src/services/mev-indexer.js';
+import { resolveTradeTokens } from './src/services/token-registry.js';
+import { analyzeExecutedTransaction, formatExecutedTransactionAnalysis } from './src/services/tx-forensics.js';
+import { analyzeTradeTokens, formatTokenSafety } from './src/services/token-safety.js';
 import { detectSandwich } from './src/detectors/sandwich.js';
 import { detectFrontRun, detectCopycat } from './src/detectors/frontrun.js';
 import { performHistoricalAnalysis } from './src/detectors/historical.js';
@@ -11,9 +23,12 @@ import {
   generateProtectionSuggestions,
   formatSuggestionsForOutput,
   getDexSpecificRecommendations,
+  getTokenSafetyRecommendations,
 } from './src/services/protection.js';
-import { calculatePotentialLoss, getRiskLevel } from './src/utils/calculations.js';
-import { calculateGasPercentile, getMempoolPosition } from './src/utils/gas.js';
+import { applyChainRiskProfile, calculateExecutionEta, calculatePotentialLoss, getRiskLevel } from './src/utils/calculations.js';
+import { CHAIN_KEYS, DEFAULT_CHAIN, getChainMevProfile } from './src/utils/chains.js';
+import { calculateGasPercentile, estimateNextBlockInclusion, getMempoolPosition } from './src/utils/gas.js';
+import { getNextBaseFee, getUserEffectiveTip } from './src/utils/fees.js';
 import { initDatabase } from './src/database/init.js';
 
 // Load environment variables
@@ -22,6 +37,9 @@ dotenv.config();
 // Initialize database
 initDatabase();
 
+// Validate the simulated-mempool scenario once the environment is loaded
+configureSimulation();
+
 const app = express();
 app.use(express.json());
 
@@ -32,7 +50,28 @@ const scanRequestSchema = z.object({
   token_in: z.string().min(1),
   token_out: z.string().min(1),
   amount_in: z.string().min(1),
-  dex: z.enum(['uniswap-v2', 'uniswap-v3', 'sushiswap', 'curve', 'balancer'])
+  amount_out_min: z.string().optional(),
+  gas_price: z.string().optional(),
+  max_fee_per_gas: z.string().optional(),
+  max_priority_fee_per_gas: z.string().optional(),
+  dex: z.enum(['uniswap-v2', 'uniswap-v3', 'sushiswap', 'curve', 'balancer']),
+  chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN),
+  compare_routes: z.boolean().optional().default(false),
+  simulation: z.object({
+    scenario: z.enum(SIMULATION_SCENARIOS).optional(),
+    seed: z.union([z.string(), z.number()]).optional()
+  }).optional()
+});
+
+// Route comparison takes the trade without transaction details; dex marks the venue to compare against
+const routeRequestSchema = scanRequestSchema
+  .pick({ token_in: true, token_out: true, amount_in: true, amount_out_min: true, chain: true, simulation: true })
+  .extend({ dex: scanRequestSchema.shape.dex.optional() });
+
+// Forensics takes a mined transaction instead of a planned trade
+const executedTransactionSchema = z.object({
+  transaction_hash: z.string().regex(/^0x[0-9a-fA-F]{64}$/, 'Expected a 32-byte transaction hash'),
+  chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN)
 });
 
 // Health check endpoint
@@ -51,18 +90,33 @@ app.post('/api/v1/scan_transaction', async (req, res) => {
 
   try {
     // Validate input
-    const input = scanRequestSchema.parse(req.body);
+    // Validate input; token addresses resolve to registry keys
+    const input = await resolveTradeTokens(scanRequestSchema.parse(req.body));
     console.log('🔍 Starting MEV scan for:', input);
 
     // Step 1: Fetch mempool data
     console.log('📊 Fetching mempool data...');
-    const mempoolData = await getMempoolData(input.token_in, input.token_out);
+    const mempoolData = await getMempoolData(input.token_in, input.token_out, {
+      amountIn: input.amount_in,
+      gasPrice: input.gas_price,
+      chain: input.chain,
+      simulation: input.simulation
+    });
+
+    // Pool reserves and USD prices drive the sandwich profitability simulation;
+    // token contracts are checked for taxes, owner controls and sell blocking
+    const [prices, tokenSafety] = await Promise.all([getTradePrices(input), analyzeTradeTokens(input)]);
+    const poolData = withLiquidityUsd(
+      await getPoolData(input.token_in, input.token_out, input.dex, input.chain),
+      prices
+    );
+    const sandwichSimulation = simulateSandwichAttack(input, poolData, mempoolData, prices);
 
     // Step 2: Run detection algorithms
     console.log('🎯 Running detection algorithms...');
 
     // Sandwich attack detection
-    const sandwichRisk = detectSandwich(input, mempoolData);
+    const sandwichRisk = detectSandwich(input, mempoolData, sandwichSimulation);
     console.log('Sandwich detection:', sandwichRisk.type, 'Score:', sandwichRisk.score);
 
     // Front-running detection
@@ -88,38 +142,65 @@ app.post('/api/v1/scan_transaction', async (req, res) => {
     );
 
     // Add copycat risk if detected
-    const riskScore = Math.min(
+    const mempoolRiskScore = Math.min(
       Math.round(baseRiskScore + copycatRisk.riskIncrease),
       100
     );
 
     // Determine primary attack type
     const attackType = determineAttackType(sandwichRisk, frontRunRisk, copycatRisk);
+
+    // Scale by how exposed the chain's ordering model is; token risks apply on every chain
+    const riskScore = Math.min(
+      applyChainRiskProfile(mempoolRiskScore, attackType, input.chain) + tokenSafety.riskIncrease,
+      100
+    );
+    const chainProfile = getChainMevProfile(input.chain);
     console.log('📈 Final risk score:', riskScore, '| Attack type:', attackType);
 
     // Step 4: Calculate potential loss
-    const estimatedLoss = calculatePotentialLoss(input, riskScore);
+    const estimatedLoss = calculatePotentialLoss(input, riskScore, sandwichSimulation, prices);
 
     // Step 5: Determine risk level
     const riskLevel = getRiskLevel(riskScore);
 
     // Step 6: Calculate mempool position
-    const userGasPrice = parseFloat(mempoolData.gasPercentiles.p50);
-    const gasPercentile = calculateGasPercentile(userGasPrice, mempoolData.gasPercentiles);
+    const userTip = getUserEffectiveTip(input, mempoolData);
+    const gasPercentile = calculateGasPercentile(userTip, mempoolData.gasPercentiles, getNextBaseFee(mempoolData));
     const mempoolPosition = getMempoolPosition(gasPercentile);
+    const executionEta = calculateExecutionEta(
+      mempoolData.blockTiming || getNominalBlockTiming(input.chain),
+      estimateNextBlockInclusion(userTip, gasPercentile, mempoolData.feeHistory)
+    );
 
-    // Step 7: Generate protection suggestions
+    // Step 7: Plan trade splitting, compare routes and generate protection suggestions
+    const tradePlan = planTrade(input, poolData, mempoolData, riskScore, prices);
+    // Quoting every venue costs a pool read each, so scans only compare on request
+    const routeComparison = input.compare_routes
+      ? await compareRoutes(input, mempoolData, riskScore, prices, poolData)
+      : null;
     const suggestions = generateProtectionSuggestions(
       riskScore,
       attackType,
       mempoolData,
-      input
+      input,
+      sandwichSimulation,
+      tradePlan
     );
 
     // Add DEX-specific recommendations
-    const dexRecommendations = getDexSpecificRecommendations(input.dex, riskScore);
+    const dexRecommendations = getDexSpecificRecommendations(
+      input.dex,
+      riskScore,
+      input.chain,
+      sandwichSimulation,
+      routeComparison
+    );
     suggestions.push(...dexRecommendations);
 
+    // Token hazards go first - no ordering protection helps with an unsellable token
+    suggestions.unshift(...getTokenSafetyRecommendations(tokenSafety));
+
     // Format suggestions for output
     const formattedSuggestions = formatSuggestionsForOutput(suggestions);
 
@@ -134,13 +215,31 @@ app.post('/api/v1/scan_transaction', async (req, res) => {
       similar_attacks_found: historicalAnalysis.similarAttacksFound || 0,
       protection_suggestions: formattedSuggestions,
       details: {
+        chain: input.chain,
+        mempool_model: chainProfile.mempool,
+        chain_risk_note: chainProfile.summary,
+        mempool_risk_score: mempoolRiskScore,
         mempool_position: mempoolPosition,
         gas_price_percentile: gasPercentile,
         competing_txs: mempoolData.competingTxs.length,
+        simulation: formatSimulation(mempoolData.simulation),
         block_time_estimate: mempoolData.blockTimeEstimate,
+        amount_in_usd: prices.amountInUsd,
+        prices: formatTradePrices(prices),
+        execution_eta: {
+          next_block_seconds: executionEta.nextBlockSeconds,
+          expected_seconds: executionEta.expectedSeconds,
+          p50_seconds: executionEta.p50Seconds,
+          p90_seconds: executionEta.p90Seconds,
+          distribution: executionEta.distribution
+        },
         detection_confidence: calculateOverallConfidence(sandwichRisk, frontRunRisk),
         response_time_ms: responseTime
       },
+      sandwich_simulation: formatSandwichSimulation(sandwichSimulation),
+      token_safety: formatTokenSafety(tokenSafety),
+      trade_plan: formatTradePlan(tradePlan),
+      route_comparison: formatRouteComparison(routeComparison),
       analysis: {
         sandwich_detection: {
           score: sandwichRisk.score,
@@ -196,6 +295,62 @@ app.post('/api/v1/scan_transaction', async (req, res) => {
   }
 });
 
+// Route comparison endpoint
+app.post('/api/v1/compare_routes', async (req, res) => {
+  try {
+    const input = await resolveTradeTokens(routeRequestSchema.parse(req.body));
+    console.log('🔀 Comparing routes for:', input);
+
+    const mempoolData = await getMempoolData(input.token_in, input.token_out, {
+      amountIn: input.amount_in,
+      chain: input.chain,
+      simulation: input.simulation
+    });
+
+    const comparison = await compareRoutes(input, mempoolData);
+    if (!comparison) {
+      return res.status(404).json({
+        error: 'No route found',
+        message: `No pool with reserves for ${input.token_in}/${input.token_out} on ${input.chain}`
+      });
+    }
+
+    res.json({
+      chain: input.chain,
+      token_in: comparison.tokenIn,
+      token_out: comparison.tokenOut,
+      amount_in: comparison.amountIn,
+      ...formatRouteComparison(comparison)
+    });
+
+  } catch (error) {
+    console.error('❌ Route comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare routes', message: error.message });
+  }
+});
+
+// Executed transaction forensics endpoint
+app.post('/api/v1/analyze_executed_transaction', async (req, res) => {
+  try {
+    const input = executedTransactionSchema.parse(req.body);
+    console.log('🔬 Analyzing executed transaction:', input);
+
+    const analysis = await analyzeExecutedTransaction(input.transaction_hash, input.chain);
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: `No mined transaction ${input.transaction_hash} on ${input.chain}`
+      });
+    }
+
+    res.json(formatExecutedTransactionAnalysis(analysis));
+
+  } catch (error) {
+    console.error('❌ Transaction analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze transaction', message: error.message });
+  }
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -203,7 +358,9 @@ app.use((req, res) => {
     message: `Cannot ${req.method} ${req.path}`,
     availableEndpoints: {
       health: 'GET /health',
-      scan: 'POST /api/v1/scan_transaction'
+      scan: 'POST /api/v1/scan_transaction',
+      compareRoutes: 'POST /api/v1/compare_routes',
+      analyzeExecutedTransaction: 'POST /api/v1/analyze_executed_transaction'
     }
   });
 });
@@ -238,9 +395,20 @@ app.listen(PORT, () => {
   console.log('📡 Server running on port', PORT);
   console.log('🏥 Health check: http://localhost:' + PORT + '/health');
   console.log('🔍 Scan endpoint: POST http://localhost:' + PORT + '/api/v1/scan_transaction');
+  console.log('🔀 Route comparison: POST http://localhost:' + PORT + '/api/v1/compare_routes');
+  console.log('🔬 Transaction forensics: POST http://localhost:' + PORT + '/api/v1/analyze_executed_transaction');
   console.log('💰 Payment: $0.10 per scan (USDC on Base)');
   console.log('');
   console.log('Ready to protect transactions from MEV attacks! 🛡️');
+
+  // Keep WATCHED_POOLS current from their logs
+  initializePoolState()
+    .then(count => count > 0 && console.log(`👁️  Live pool state: ${count} watched pool(s)`))
+    .catch(error => console.error('❌ Pool state initialization failed:', error.message));
+
+  // Record mined MEV on MEV_INDEXER_CHAINS for the historical detectors
+  const indexedChains = initializeMevIndexer();
+  if (indexedChains > 0) console.log(`🗂️  MEV indexer: following ${indexedChains} chain(s)`);
 });
 
 export default app;
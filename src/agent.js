@@ -4,6 +4,16 @@ import dotenv from 'dotenv';
 
 // Import services and detectors
 import { getMempoolData } from './services/mempool.js';
+import { SIMULATION_SCENARIOS, configureSimulation, formatSimulation } from './services/simulation.js';
+import { getNominalBlockTiming } from './services/block-time.js';
+import { getPoolData } from './services/dex-pools.js';
+import { formatSandwichSimulation, simulateSandwichAttack } from './services/sandwich-simulator.js';
+import { formatTradePlan, planTrade } from './services/trade-planner.js';
+import { compareRoutes, formatRouteComparison } from './services/route-comparison.js';
+import { formatTradePrices, getTradePrices, withLiquidityUsd } from './services/pricing.js';
+import { resolveTradeTokens } from './services/token-registry.js';
+import { analyzeExecutedTransaction, formatExecutedTransactionAnalysis } from './services/tx-forensics.js';
+import { analyzeTradeTokens, formatTokenSafety } from './services/token-safety.js';
 import { detectSandwich } from './detectors/sandwich.js';
 import { detectFrontRun, detectCopycat } from './detectors/frontrun.js';
 import { performHistoricalAnalysis } from './detectors/historical.js';
@@ -11,10 +21,13 @@ import {
   generateProtectionSuggestions,
   formatSuggestionsForOutput,
   getDexSpecificRecommendations,
+  getTokenSafetyRecommendations,
   generateEmergencyRecommendations
 } from './services/protection.js';
-import { calculatePotentialLoss, getRiskLevel } from './utils/calculations.js';
-import { calculateGasPercentile, getMempoolPosition } from './utils/gas.js';
+import { applyChainRiskProfile, calculateExecutionEta, calculatePotentialLoss, getRiskLevel } from './utils/calculations.js';
+import { CHAIN_KEYS, DEFAULT_CHAIN, getChainMevProfile } from './utils/chains.js';
+import { calculateGasPercentile, estimateNextBlockInclusion, getMempoolPosition } from './utils/gas.js';
+import { getNextBaseFee, getUserEffectiveTip } from './utils/fees.js';
 import { initDatabase } from './database/init.js';
 
 // Load environment variables
@@ -23,6 +36,9 @@ dotenv.config();
 // Initialize database
 initDatabase();
 
+// Validate the simulated-mempool scenario once the environment is loaded
+configureSimulation();
+
 // Create agent app (using agent-kit two-parameter format like bridge-route-pinger)
 // Check if payment should be enabled
 const enablePayment = process.env.ENABLE_PAYMENTS === 'true';
@@ -61,27 +77,53 @@ addEntrypoint({
   input: z.object({
     transaction_hash: z.string().optional().describe('Optional: Hash of pending transaction to analyze'),
     wallet_address: z.string().optional().describe('Optional: Wallet address planning to trade'),
-    token_in: z.string().describe('Token being sold (e.g., "USDC", "ETH")'),
-    token_out: z.string().describe('Token being bought (e.g., "ETH", "USDC")'),
+    token_in: z.string().describe('Token being sold: symbol (e.g., "USDC", "ETH") or contract address'),
+    token_out: z.string().describe('Token being bought: symbol (e.g., "ETH", "USDC") or contract address'),
     amount_in: z.string().describe('Amount to trade (e.g., "1000")'),
-    dex: z.enum(['uniswap-v2', 'uniswap-v3', 'sushiswap', 'curve', 'balancer']).describe('DEX to use for the swap')
+    amount_out_min: z.string().optional().describe('Optional: Minimum output the swap accepts (default: 0.5% slippage)'),
+    gas_price: z.string().optional().describe('Optional: Legacy gas price in gwei'),
+    max_fee_per_gas: z.string().optional().describe('Optional: EIP-1559 max fee per gas in gwei'),
+    max_priority_fee_per_gas: z.string().optional().describe('Optional: EIP-1559 max priority fee per gas in gwei'),
+    dex: z.enum(['uniswap-v2', 'uniswap-v3', 'sushiswap', 'curve', 'balancer']).describe('DEX to use for the swap'),
+    chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN).describe('Chain the swap executes on (default: ethereum)'),
+    compare_routes: z.boolean().optional().default(false).describe('Optional: Also quote other venues and two-hop routes (default: false)'),
+    simulation: z.object({
+      scenario: z.enum(SIMULATION_SCENARIOS).optional().describe('Simulated mempool scenario'),
+      seed: z.union([z.string(), z.number()]).optional().describe('Seed for reproducible simulated transactions')
+    }).optional().describe('Optional: Deterministic simulated mempool instead of live data')
   }),
 
-  async handler({ input }) {
+  async handler({ input: request }) {
     const startTime = Date.now();
 
     try {
+      // Token addresses resolve to registry keys
+      const input = await resolveTradeTokens(request);
       console.log('🔍 Starting MEV scan for:', input);
 
       // Step 1: Fetch mempool data
       console.log('📊 Fetching mempool data...');
-      const mempoolData = await getMempoolData(input.token_in, input.token_out);
+      const mempoolData = await getMempoolData(input.token_in, input.token_out, {
+        amountIn: input.amount_in,
+        gasPrice: input.gas_price,
+        chain: input.chain,
+        simulation: input.simulation
+      });
+
+      // Pool reserves and USD prices drive the sandwich profitability simulation;
+      // token contracts are checked for taxes, owner controls and sell blocking
+      const [prices, tokenSafety] = await Promise.all([getTradePrices(input), analyzeTradeTokens(input)]);
+      const poolData = withLiquidityUsd(
+        await getPoolData(input.token_in, input.token_out, input.dex, input.chain),
+        prices
+      );
+      const sandwichSimulation = simulateSandwichAttack(input, poolData, mempoolData, prices);
 
       // Step 2: Run detection algorithms
       console.log('🎯 Running detection algorithms...');
 
       // Sandwich attack detection
-      const sandwichRisk = detectSandwich(input, mempoolData);
+      const sandwichRisk = detectSandwich(input, mempoolData, sandwichSimulation);
       console.log('Sandwich detection:', sandwichRisk.type, 'Score:', sandwichRisk.score);
 
       // Front-running detection
@@ -107,7 +149,7 @@ addEntrypoint({
       );
 
       // Add copycat risk if detected
-      const riskScore = Math.min(
+      const mempoolRiskScore = Math.min(
         Math.round(baseRiskScore + copycatRisk.riskIncrease),
         100
       );
@@ -115,31 +157,58 @@ addEntrypoint({
       // Determine primary attack type
       const attackType = determineAttackType(sandwichRisk, frontRunRisk, copycatRisk);
 
+      // Scale by how exposed the chain's ordering model is; token risks apply on every chain
+      const riskScore = Math.min(
+        applyChainRiskProfile(mempoolRiskScore, attackType, input.chain) + tokenSafety.riskIncrease,
+        100
+      );
+      const chainProfile = getChainMevProfile(input.chain);
+
       console.log('📈 Final risk score:', riskScore, '| Attack type:', attackType);
 
       // Step 4: Calculate potential loss
-      const estimatedLoss = calculatePotentialLoss(input, riskScore);
+      const estimatedLoss = calculatePotentialLoss(input, riskScore, sandwichSimulation, prices);
 
       // Step 5: Determine risk level
       const riskLevel = getRiskLevel(riskScore);
 
       // Step 6: Calculate mempool position
-      const userGasPrice = parseFloat(mempoolData.gasPercentiles.p50); // Assume median if not specified
-      const gasPercentile = calculateGasPercentile(userGasPrice, mempoolData.gasPercentiles);
+      const userTip = getUserEffectiveTip(input, mempoolData); // Assumes median if not specified
+      const gasPercentile = calculateGasPercentile(userTip, mempoolData.gasPercentiles, getNextBaseFee(mempoolData));
       const mempoolPosition = getMempoolPosition(gasPercentile);
+      const executionEta = calculateExecutionEta(
+        mempoolData.blockTiming || getNominalBlockTiming(input.chain),
+        estimateNextBlockInclusion(userTip, gasPercentile, mempoolData.feeHistory)
+      );
 
-      // Step 7: Generate protection suggestions
+      // Step 7: Plan trade splitting, compare routes and generate protection suggestions
+      const tradePlan = planTrade(input, poolData, mempoolData, riskScore, prices);
+      // Quoting every venue costs a pool read each, so scans only compare on request
+      const routeComparison = input.compare_routes
+        ? await compareRoutes(input, mempoolData, riskScore, prices, poolData)
+        : null;
       const suggestions = generateProtectionSuggestions(
         riskScore,
         attackType,
         mempoolData,
-        input
+        input,
+        sandwichSimulation,
+        tradePlan
       );
 
       // Add DEX-specific recommendations
-      const dexRecommendations = getDexSpecificRecommendations(input.dex, riskScore);
+      const dexRecommendations = getDexSpecificRecommendations(
+        input.dex,
+        riskScore,
+        input.chain,
+        sandwichSimulation,
+        routeComparison
+      );
       suggestions.push(...dexRecommendations);
 
+      // Token hazards go first - no ordering protection helps with an unsellable token
+      suggestions.unshift(...getTokenSafetyRecommendations(tokenSafety));
+
       // Format suggestions for output
       const formattedSuggestions = formatSuggestionsForOutput(suggestions);
 
@@ -147,7 +216,9 @@ addEntrypoint({
       const emergency = generateEmergencyRecommendations({
         riskScore,
         attackType,
-        estimatedLoss
+        estimatedLoss,
+        chain: input.chain,
+        routeComparison
       });
 
       // Step 8: Prepare response
@@ -161,13 +232,31 @@ addEntrypoint({
         similar_attacks_found: historicalAnalysis.similarAttacksFound || 0,
         protection_suggestions: formattedSuggestions,
         details: {
+          chain: input.chain,
+          mempool_model: chainProfile.mempool,
+          chain_risk_note: chainProfile.summary,
+          mempool_risk_score: mempoolRiskScore,
           mempool_position: mempoolPosition,
           gas_price_percentile: gasPercentile,
           competing_txs: mempoolData.competingTxs.length,
+          simulation: formatSimulation(mempoolData.simulation),
           block_time_estimate: mempoolData.blockTimeEstimate,
+          amount_in_usd: prices.amountInUsd,
+          prices: formatTradePrices(prices),
+          execution_eta: {
+            next_block_seconds: executionEta.nextBlockSeconds,
+            expected_seconds: executionEta.expectedSeconds,
+            p50_seconds: executionEta.p50Seconds,
+            p90_seconds: executionEta.p90Seconds,
+            distribution: executionEta.distribution
+          },
           detection_confidence: calculateOverallConfidence(sandwichRisk, frontRunRisk),
           response_time_ms: responseTime
         },
+        sandwich_simulation: formatSandwichSimulation(sandwichSimulation),
+        token_safety: formatTokenSafety(tokenSafety),
+        trade_plan: formatTradePlan(tradePlan),
+        route_comparison: formatRouteComparison(routeComparison),
         analysis: {
           sandwich_detection: {
             score: sandwichRisk.score,
@@ -233,6 +322,115 @@ addEntrypoint({
   }
 });
 
+// Route comparison entrypoint
+addEntrypoint({
+  key: 'compare_routes',
+  description: 'Quote a swap on every supported DEX and through WETH/USDC hops, ranked by expected output after MEV losses and gas',
+
+  input: z.object({
+    token_in: z.string().describe('Token being sold: symbol (e.g., "USDC", "ETH") or contract address'),
+    token_out: z.string().describe('Token being bought: symbol (e.g., "ETH", "USDC") or contract address'),
+    amount_in: z.string().describe('Amount to trade (e.g., "1000")'),
+    amount_out_min: z.string().optional().describe('Optional: Minimum output the swap accepts (default: 0.5% slippage)'),
+    dex: z.enum(['uniswap-v2', 'uniswap-v3', 'sushiswap', 'curve', 'balancer']).optional().describe('Optional: DEX currently planned, to compare against'),
+    chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN).describe('Chain the swap executes on (default: ethereum)'),
+    simulation: z.object({
+      scenario: z.enum(SIMULATION_SCENARIOS).optional().describe('Simulated mempool scenario'),
+      seed: z.union([z.string(), z.number()]).optional().describe('Seed for reproducible simulated transactions')
+    }).optional().describe('Optional: Deterministic simulated mempool instead of live data')
+  }),
+
+  async handler({ input: request }) {
+    try {
+      const input = await resolveTradeTokens(request);
+      console.log('🔀 Comparing routes for:', input);
+
+      const mempoolData = await getMempoolData(input.token_in, input.token_out, {
+        amountIn: input.amount_in,
+        chain: input.chain,
+        simulation: input.simulation
+      });
+
+      const comparison = await compareRoutes(input, mempoolData);
+      if (!comparison) {
+        return {
+          output: {
+            error: 'No route found',
+            message: `No pool with reserves for ${input.token_in}/${input.token_out} on ${input.chain}`
+          },
+          usage: { total_tokens: 0 }
+        };
+      }
+
+      return {
+        output: {
+          chain: input.chain,
+          token_in: comparison.tokenIn,
+          token_out: comparison.tokenOut,
+          amount_in: comparison.amountIn,
+          ...formatRouteComparison(comparison)
+        },
+        usage: { total_tokens: 1 }
+      };
+
+    } catch (error) {
+      console.error('❌ Route comparison error:', error);
+
+      return {
+        output: {
+          error: 'Failed to compare routes',
+          message: error.message
+        },
+        usage: { total_tokens: 0 }
+      };
+    }
+  }
+});
+
+// Executed transaction forensics entrypoint
+addEntrypoint({
+  key: 'analyze_executed_transaction',
+  description: 'Check whether a mined swap was sandwiched and how much value the front/back-run pair extracted, in tokens and USD',
+
+  input: z.object({
+    transaction_hash: z.string().regex(/^0x[0-9a-fA-F]{64}$/).describe('Hash of the mined transaction to analyze'),
+    chain: z.enum(CHAIN_KEYS).optional().default(DEFAULT_CHAIN).describe('Chain the transaction was mined on (default: ethereum)')
+  }),
+
+  async handler({ input }) {
+    try {
+      console.log('🔬 Analyzing executed transaction:', input);
+
+      const analysis = await analyzeExecutedTransaction(input.transaction_hash, input.chain);
+      if (!analysis) {
+        return {
+          output: {
+            error: 'Transaction not found',
+            message: `No mined transaction ${input.transaction_hash} on ${input.chain}`
+          },
+          usage: { total_tokens: 0 }
+        };
+      }
+
+      return {
+        output: formatExecutedTransactionAnalysis(analysis),
+        usage: { total_tokens: 1 }
+      };
+
+    } catch (error) {
+      console.error('❌ Transaction analysis error:', error);
+
+      return {
+        output: {
+          error: 'Failed to analyze transaction',
+          message: error.message
+        },
+        usage: { total_tokens: 0 }
+      };
+    }
+  }
+});
+
 /**
  * Determine the primary attack type based on detection results
  */
@@ -21,10 +21,21 @@ export function initDatabase() {
       profit_usd REAL,
       attack_type TEXT,
       timestamp INTEGER,
-      created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      chain TEXT,
+      pool_address TEXT,
+      transaction_hash TEXT
     );
   `);
 
+  // Columns added after the table shipped (SQLite has no ADD COLUMN IF NOT EXISTS)
+  const attackColumns = db.prepare('PRAGMA table_info(mev_attacks)').all().map(column => column.name);
+  for (const column of ['chain', 'pool_address', 'transaction_hash']) {
+    if (!attackColumns.includes(column)) {
+      db.exec(`ALTER TABLE mev_attacks ADD COLUMN ${column} TEXT`);
+    }
+  }
+
   // Create indexes for better query performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_token_pair ON mev_attacks(token_pair);
@@ -33,6 +44,21 @@ export function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_attack_type ON mev_attacks(attack_type);
   `);
 
+  // Indexed attacks are keyed by victim transaction, so re-scanned blocks don't duplicate them
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_attack_identity
+      ON mev_attacks(chain, transaction_hash, pool_address, attack_type);
+  `);
+
+  // Create indexer_checkpoints table for resuming the block indexer
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+      chain TEXT PRIMARY KEY,
+      last_block INTEGER NOT NULL,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+    );
+  `);
+
   // Create mempool_cache table for caching recent mempool data
   db.exec(`
     CREATE TABLE IF NOT EXISTS mempool_cache (
@@ -48,6 +74,24 @@ export function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_cache_time ON mempool_cache(cached_at);
   `);
 
+  // Create tokens table for ERC-20 metadata (resolved on-chain or imported from token lists)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tokens (
+      chain TEXT NOT NULL,
+      address TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      name TEXT,
+      decimals INTEGER NOT NULL,
+      source TEXT,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+      PRIMARY KEY (chain, address)
+    );
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_tokens_symbol ON tokens(chain, symbol COLLATE NOCASE);
+  `);
+
   console.log('Database initialized successfully at:', dbPath);
 
   return db;
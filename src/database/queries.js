@@ -2,11 +2,14 @@ import { getDatabase } from './init.js';
 
 export function recordMevAttack(attack) {
   const db = getDatabase();
+
+  // An attack already recorded for the same victim transaction and pool is skipped
   const stmt = db.prepare(`
-    INSERT INTO mev_attacks (
+    INSERT OR IGNORE INTO mev_attacks (
       block_number, attacker_address, victim_address,
-      token_pair, profit_usd, attack_type, timestamp
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      token_pair, profit_usd, attack_type, timestamp,
+      chain, pool_address, transaction_hash
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   return stmt.run(
@@ -16,7 +19,10 @@ export function recordMevAttack(attack) {
     attack.token_pair,
     attack.profit_usd,
     attack.attack_type,
-    attack.timestamp
+    attack.timestamp,
+    attack.chain ?? null,
+    attack.pool_address ?? null,
+    attack.transaction_hash ?? null
   );
 }
 
@@ -49,7 +55,7 @@ export function checkIfKnownAttacker(address) {
   const db = getDatabase();
   const stmt = db.prepare(`
     SELECT COUNT(*) as count FROM mev_attacks
-    WHERE attacker_address = ?
+    WHERE attacker_address = ? COLLATE NOCASE
   `);
 
   const result = stmt.get(address);
@@ -103,3 +109,72 @@ export function cacheMempoolData(tokenPair, data) {
 
   return stmt.run(tokenPair, JSON.stringify(data));
 }
+
+export function getCachedToken(chain, address) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM tokens
+    WHERE chain = ? AND address = ?
+  `);
+
+  return stmt.get(chain, address.toLowerCase()) || null;
+}
+
+export function getCachedTokensBySymbol(chain, symbol) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM tokens
+    WHERE chain = ? AND symbol = ? COLLATE NOCASE
+  `);
+
+  return stmt.all(chain, symbol);
+}
+
+export function cacheTokens(tokens) {
+  const db = getDatabase();
+
+  // Addresses are stored lowercase; a newer entry replaces the old metadata
+  const stmt = db.prepare(`
+    INSERT INTO tokens (chain, address, symbol, name, decimals, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(chain, address) DO UPDATE SET
+      symbol = excluded.symbol,
+      name = excluded.name,
+      decimals = excluded.decimals,
+      source = excluded.source,
+      updated_at = strftime('%s', 'now')
+  `);
+
+  const insertAll = db.transaction((rows) => {
+    for (const token of rows) {
+      stmt.run(token.chain, token.address.toLowerCase(), token.symbol, token.name, token.decimals, token.source);
+    }
+  });
+
+  insertAll(tokens);
+  return tokens.length;
+}
+
+export function getIndexerCheckpoint(chain) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT last_block FROM indexer_checkpoints
+    WHERE chain = ?
+  `);
+
+  const result = stmt.get(chain);
+  return result ? result.last_block : null;
+}
+
+export function saveIndexerCheckpoint(chain, blockNumber) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    INSERT INTO indexer_checkpoints (chain, last_block)
+    VALUES (?, ?)
+    ON CONFLICT(chain) DO UPDATE SET
+      last_block = excluded.last_block,
+      updated_at = strftime('%s', 'now')
+  `);
+
+  return stmt.run(chain, blockNumber);
+}
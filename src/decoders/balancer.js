@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { buildSwap, getSelectors, parseCalldata, resolveNativeToken } from './swap.js';
+
+/**
+ * Balancer V2 Vault calldata decoding
+ */
+
+export const BALANCER_VAULT = '0xBA12222222228d8Ba445958a75a0704d566BF2C8';
+
+const FUND_MANAGEMENT = '(address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds';
+
+const BALANCER_ABI = [
+  `function swap((bytes32 poolId, uint8 kind, address assetIn, address assetOut, uint256 amount, bytes userData) singleSwap, ${FUND_MANAGEMENT}, uint256 limit, uint256 deadline)`,
+  `function batchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, ${FUND_MANAGEMENT}, int256[] limits, uint256 deadline)`
+];
+
+const balancerInterface = new ethers.Interface(BALANCER_ABI);
+
+const SWAP_KIND = {
+  GIVEN_IN: 0,
+  GIVEN_OUT: 1
+};
+
+export const balancerDecoder = {
+  name: 'balancer',
+  routers: [BALANCER_VAULT],
+  selectors: getSelectors(balancerInterface),
+  decode: decodeBalancerSwap
+};
+
+/**
+ * Decode a Balancer Vault swap/batchSwap call into a normalized swap record
+ * @param {object} tx - Transaction with `to`, `data` (or `input`) and `value`
+ * @returns {object|null} Normalized swap or null if not recognized
+ */
+export function decodeBalancerSwap(tx) {
+  const data = tx.data || tx.input;
+  const value = BigInt(tx.value || 0);
+  const parsed = parseCalldata(balancerInterface, data, value);
+  if (!parsed) return null;
+
+  return parsed.name === 'swap'
+    ? decodeSingleSwap(parsed.args)
+    : decodeBatchSwap(parsed.args);
+}
+
+/**
+ * swap(): `limit` is the minimum out for GIVEN_IN and maximum in for GIVEN_OUT
+ */
+function decodeSingleSwap(args) {
+  const { singleSwap, funds, limit, deadline } = args;
+  const exactInput = Number(singleSwap.kind) === SWAP_KIND.GIVEN_IN;
+  const assetIn = resolveNativeToken(singleSwap.assetIn);
+  const assetOut = resolveNativeToken(singleSwap.assetOut);
+
+  return {
+    ...buildSwap({
+      protocol: 'balancer',
+      method: 'swap',
+      path: [assetIn.address, assetOut.address],
+      exactInput,
+      amountIn: exactInput ? singleSwap.amount : limit,
+      amountOutMin: exactInput ? limit : singleSwap.amount,
+      recipient: funds.recipient,
+      deadline: Number(deadline),
+      nativeIn: assetIn.native,
+      nativeOut: assetOut.native
+    }),
+    poolIds: [singleSwap.poolId]
+  };
+}
+
+/**
+ * batchSwap(): input comes from the first step, output from the last.
+ * limits are signed per asset - positive is the most the vault may take,
+ * negative is the least it must pay out
+ */
+function decodeBatchSwap(args) {
+  const { kind, swaps, assets, funds, limits, deadline } = args;
+  if (swaps.length === 0) return null;
+
+  const exactInput = Number(kind) === SWAP_KIND.GIVEN_IN;
+  const first = swaps[0];
+  const last = swaps[swaps.length - 1];
+  const inIndex = Number(first.assetInIndex);
+  const outIndex = Number(last.assetOutIndex);
+
+  const assetPath = [inIndex];
+  for (const step of swaps) {
+    const stepOut = Number(step.assetOutIndex);
+    if (assetPath[assetPath.length - 1] !== stepOut) assetPath.push(stepOut);
+  }
+  const path = assetPath.map(index => resolveNativeToken(assets[index]));
+
+  // Steps with amount 0 chain the previous step's output
+  const sumAmounts = (filter) => swaps
+    .filter(filter)
+    .reduce((sum, step) => sum + step.amount, 0n);
+
+  const absolute = (amount) => (amount < 0n ? -amount : amount);
+
+  const amountIn = exactInput
+    ? sumAmounts(step => Number(step.assetInIndex) === inIndex)
+    : absolute(limits[inIndex]);
+
+  const amountOutMin = exactInput
+    ? absolute(limits[outIndex])
+    : sumAmounts(step => Number(step.assetOutIndex) === outIndex);
+
+  return {
+    ...buildSwap({
+      protocol: 'balancer',
+      method: 'batchSwap',
+      path: path.map(asset => asset.address),
+      exactInput,
+      amountIn,
+      amountOutMin,
+      recipient: funds.recipient,
+      deadline: Number(deadline),
+      nativeIn: path[0].native,
+      nativeOut: path[path.length - 1].native
+    }),
+    poolIds: [...new Set(swaps.map(step => step.poolId))]
+  };
+}
@@ -0,0 +1,96 @@
+import { ethers } from 'ethers';
+import { buildSwap, getSelectors, parseCalldata, resolveNativeToken } from './swap.js';
+
+/**
+ * Curve pool calldata decoding
+ * Curve swaps are called on the pool itself and reference coins by index,
+ * so only pools with known coin lists can be decoded
+ */
+
+// Known pools (mainnet): coins and underlying coins by index
+export const CURVE_POOLS = {
+  '0xbebc44782c7db0a1a60cb6fe97d0b483032ff1c7': {
+    name: '3pool',
+    coins: [
+      '0x6B175474E89094C44Da98b954EedeAC495271d0F', // DAI
+      '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
+      '0xdAC17F958D2ee523a2206206994597C13D831ec7'  // USDT
+    ]
+  },
+  '0xd51a44d3fae010294c616388b506acda1bfaae46': {
+    name: 'tricrypto2',
+    coins: [
+      '0xdAC17F958D2ee523a2206206994597C13D831ec7', // USDT
+      '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', // WBTC
+      '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'  // WETH
+    ]
+  },
+  '0xdc24316b9ae028f1497c275eb9192a3ea0f67022': {
+    name: 'steth',
+    coins: [
+      '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE', // ETH
+      '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84'  // stETH
+    ]
+  }
+};
+
+const CURVE_ABI = [
+  'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)',
+  'function exchange_underlying(int128 i, int128 j, uint256 dx, uint256 min_dy)',
+  'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy)',
+  'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy, bool use_eth)',
+  'function exchange_underlying(uint256 i, uint256 j, uint256 dx, uint256 min_dy)'
+];
+
+const curveInterface = new ethers.Interface(CURVE_ABI);
+
+export const curveDecoder = {
+  name: 'curve',
+  routers: Object.keys(CURVE_POOLS),
+  selectors: getSelectors(curveInterface),
+  decode: decodeCurveSwap
+};
+
+/**
+ * Decode a Curve pool exchange call into a normalized swap record
+ * @param {object} tx - Transaction with `to`, `data` (or `input`) and `value`
+ * @returns {object|null} Normalized swap or null if the pool is unknown
+ */
+export function decodeCurveSwap(tx) {
+  const pool = CURVE_POOLS[tx.to?.toLowerCase()];
+  if (!pool) return null;
+
+  const data = tx.data || tx.input;
+  const value = BigInt(tx.value || 0);
+  const parsed = parseCalldata(curveInterface, data, value);
+  if (!parsed) return null;
+
+  const { args } = parsed;
+  const coins = pool.underlyingCoins && parsed.name === 'exchange_underlying'
+    ? pool.underlyingCoins
+    : pool.coins;
+
+  const coinIn = coins[Number(args.i)];
+  const coinOut = coins[Number(args.j)];
+  if (!coinIn || !coinOut) return null;
+
+  const tokenIn = resolveNativeToken(coinIn);
+  const tokenOut = resolveNativeToken(coinOut);
+  // tricrypto-style pools only move native ETH when use_eth is set
+  const usesEth = args.length < 5 || args.use_eth;
+
+  return {
+    ...buildSwap({
+      protocol: 'curve',
+      method: parsed.name,
+      path: [tokenIn.address, tokenOut.address],
+      amountIn: args.dx,
+      amountOutMin: args.min_dy,
+      recipient: tx.from || null,
+      nativeIn: tokenIn.native || (usesEth && value > 0n),
+      nativeOut: tokenOut.native
+    }),
+    pool: ethers.getAddress(tx.to),
+    poolName: pool.name
+  };
+}
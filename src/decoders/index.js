@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+import { uniswapDecoder, UNISWAP_ROUTERS } from './uniswap.js';
+import { universalRouterDecoder } from './universal-router.js';
+import { oneInchDecoder } from './oneinch.js';
+import { zeroExDecoder } from './zeroex.js';
+import { curveDecoder } from './curve.js';
+import { balancerDecoder } from './balancer.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { getTokenByAddress, getTokenSymbol, isSameToken } from '../utils/tokens.js';
+
+/**
+ * Swap Calldata Decoding
+ * Turns raw pending transactions into normalized swap records
+ * that the detectors and pattern analyzer can filter by token pair
+ *
+ * Decoders are registered against (router address, selector) keys.
+ * A decoder registered without routers matches its selectors on any address
+ * (router forks share ABIs).
+ */
+
+const UNKNOWN_PAIR = 'UNKNOWN/UNKNOWN';
+const ANY_ROUTER = '*';
+
+// `${router}:${selector}` -> decoders
+const decoderRegistry = new Map();
+
+/**
+ * Register a calldata decoder
+ * @param {object} decoder - { name, routers?, selectors, decode(tx) }
+ */
+export function registerDecoder(decoder) {
+  const routers = decoder.routers?.length ? decoder.routers : [ANY_ROUTER];
+
+  for (const router of routers) {
+    for (const selector of decoder.selectors) {
+      const key = `${router.toLowerCase()}:${selector.toLowerCase()}`;
+      const existing = decoderRegistry.get(key) || [];
+      if (!existing.includes(decoder)) {
+        decoderRegistry.set(key, [...existing, decoder]);
+      }
+    }
+  }
+}
+
+/**
+ * Router/pool addresses with a dedicated decoder, plus the known Uniswap-style
+ * routers (whose decoder matches any address)
+ * @returns {string[]} Lowercase addresses
+ */
+export function getKnownRouters() {
+  const routers = new Set(UNISWAP_ROUTERS);
+
+  for (const key of decoderRegistry.keys()) {
+    const [router] = key.split(':');
+    if (router !== ANY_ROUTER) routers.add(router);
+  }
+
+  return [...routers];
+}
+
+/**
+ * Find decoders for a transaction, most specific (router-bound) first
+ */
+export function getDecodersForTransaction(tx) {
+  const data = tx.data || tx.input;
+  if (!data || data.length < 10) return [];
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const router = tx.to?.toLowerCase();
+
+  return [
+    ...(router ? decoderRegistry.get(`${router}:${selector}`) || [] : []),
+    ...(decoderRegistry.get(`${ANY_ROUTER}:${selector}`) || [])
+  ];
+}
+
+/**
+ * Decode a DEX swap transaction
+ * @param {object} tx - Transaction with `to`, `data` (or `input`) and `value`
+ * @param {string} chain - Chain key whose tokens label the swap (defaults to Ethereum)
+ * @returns {object|null} Normalized swap with token symbols, or null if not a swap
+ */
+export function decodeSwapTransaction(tx, chain = DEFAULT_CHAIN) {
+  const { nativeSymbol } = getChain(chain);
+
+  for (const decoder of getDecodersForTransaction(tx)) {
+    try {
+      const swap = decoder.decode(tx);
+      if (!swap) continue;
+
+      return {
+        ...swap,
+        router: swap.router || tx.to || null,
+        tokenInSymbol: swap.nativeIn ? nativeSymbol : getTokenSymbol(swap.tokenIn, chain),
+        tokenOutSymbol: swap.nativeOut ? nativeSymbol : (swap.tokenOut ? getTokenSymbol(swap.tokenOut, chain) : 'UNKNOWN')
+      };
+    } catch (error) {
+      // Malformed calldata is common in the mempool - try the next decoder
+      continue;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format a decoded swap as a "TOKEN_IN/TOKEN_OUT" pair
+ */
+export function formatTokenPair(swap) {
+  if (!swap) return UNKNOWN_PAIR;
+  return `${swap.tokenInSymbol}/${swap.tokenOutSymbol}`;
+}
+
+/**
+ * Convert a decoded swap's raw amountIn to a human-readable number
+ * @param {string} chain - Chain key the swap was seen on (defaults to Ethereum)
+ * @returns {number|null} Amount in token units, or null if decimals are unknown
+ */
+export function getSwapAmount(swap, chain = DEFAULT_CHAIN) {
+  if (!swap) return null;
+
+  const token = getTokenByAddress(swap.tokenIn, chain);
+  if (!token) return null;
+
+  return parseFloat(ethers.formatUnits(swap.amountIn, token.decimals));
+}
+
+/**
+ * Compare a decoded swap against a requested pair
+ * @param {string} chain - Chain key the swap was seen on (defaults to Ethereum)
+ * @returns {string|null} 'same', 'reverse', or null if unrelated
+ */
+export function getSwapDirection(swap, tokenIn, tokenOut, chain = DEFAULT_CHAIN) {
+  if (!swap) return null;
+
+  if (isSameToken(swap.tokenIn, tokenIn, chain) && isSameToken(swap.tokenOut, tokenOut, chain)) {
+    return 'same';
+  }
+
+  if (isSameToken(swap.tokenIn, tokenOut, chain) && isSameToken(swap.tokenOut, tokenIn, chain)) {
+    return 'reverse';
+  }
+
+  return null;
+}
+
+// Built-in venues
+[
+  universalRouterDecoder,
+  uniswapDecoder,
+  oneInchDecoder,
+  zeroExDecoder,
+  curveDecoder,
+  balancerDecoder
+].forEach(registerDecoder);
@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+import { buildSwap, getSelectors, parseCalldata, resolveNativeToken } from './swap.js';
+import { getPairTokens } from './pairs.js';
+
+/**
+ * 1inch Aggregation Router calldata decoding
+ * swap() carries full src/dst metadata; unoswap() only carries the source
+ * token and a list of pools, so the output token is resolved by walking
+ * known V2 pairs
+ */
+
+export const ONEINCH_ROUTERS = [
+  '0x1111111254fb6c44bac0bed2854e76f90643097d', // Aggregation Router V4
+  '0x1111111254eeb25477b68fb85ed929f73a960582', // Aggregation Router V5
+  '0x111111125421ca6dc452d289314280a0f8842a65'  // Aggregation Router V6
+];
+
+const ONEINCH_ABI = [
+  // V4
+  'function swap(address caller, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags, bytes permit) desc, bytes data)',
+  'function unoswap(address srcToken, uint256 amount, uint256 minReturn, bytes32[] pools)',
+  // V5
+  'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)',
+  'function unoswap(address srcToken, uint256 amount, uint256 minReturn, uint256[] pools)',
+  // V6
+  'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes data)',
+  'function unoswap(uint256 token, uint256 amount, uint256 minReturn, uint256 dex)',
+  'function unoswap2(uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2)',
+  'function unoswap3(uint256 token, uint256 amount, uint256 minReturn, uint256 dex, uint256 dex2, uint256 dex3)'
+];
+
+const oneInchInterface = new ethers.Interface(ONEINCH_ABI);
+
+const ADDRESS_MASK = (1n << 160n) - 1n;
+// V4/V5 pool flag: unwrap WETH after the final hop
+const WETH_UNWRAP_FLAG = 1n << 254n;
+
+export const oneInchDecoder = {
+  name: '1inch',
+  routers: ONEINCH_ROUTERS,
+  selectors: getSelectors(oneInchInterface),
+  decode: decodeOneInchSwap
+};
+
+/**
+ * Decode a 1inch router call into a normalized swap record
+ * @param {object} tx - Transaction with `to`, `data` (or `input`) and `value`
+ * @returns {object|null} Normalized swap or null if not recognized
+ */
+export function decodeOneInchSwap(tx) {
+  const data = tx.data || tx.input;
+  const value = BigInt(tx.value || 0);
+  const parsed = parseCalldata(oneInchInterface, data, value);
+  if (!parsed) return null;
+
+  if (parsed.name === 'swap') {
+    const { desc } = parsed.args;
+    const src = resolveNativeToken(desc.srcToken);
+    const dst = resolveNativeToken(desc.dstToken);
+
+    return buildSwap({
+      protocol: '1inch',
+      method: 'swap',
+      path: [src.address, dst.address],
+      amountIn: desc.amount,
+      amountOutMin: desc.minReturnAmount,
+      recipient: desc.dstReceiver === ethers.ZeroAddress ? tx.from : desc.dstReceiver,
+      nativeIn: src.native,
+      nativeOut: dst.native
+    });
+  }
+
+  // unoswap variants
+  const { args } = parsed;
+  const srcRaw = typeof args[0] === 'bigint'
+    ? ethers.toBeHex(args[0] & ADDRESS_MASK, 20)
+    : args[0];
+  const src = resolveNativeToken(srcRaw);
+  const pools = parsed.name === 'unoswap'
+    ? [].concat(args.pools ?? args.dex).map(BigInt)
+    : args.slice(3).map(BigInt);
+
+  const path = resolveUnoswapPath(src.address, pools);
+
+  return {
+    ...buildSwap({
+      protocol: '1inch',
+      method: parsed.name,
+      path: path.length > 1 ? path : [src.address, null],
+      amountIn: src.native ? value : args.amount,
+      amountOutMin: args.minReturn,
+      recipient: tx.from || null,
+      nativeIn: src.native,
+      // Only the V4/V5 bytes32/uint256[] pool encodings carry the unwrap flag
+      nativeOut: Array.isArray(args.pools) && (pools[pools.length - 1] & WETH_UNWRAP_FLAG) !== 0n
+    }),
+    pools: pools.map(pool => ethers.getAddress(ethers.toBeHex(pool & ADDRESS_MASK, 20)))
+  };
+}
+
+/**
+ * Follow unoswap pools through known pairs: each hop exits via the other token
+ */
+function resolveUnoswapPath(srcToken, pools) {
+  const path = [srcToken];
+  let current = srcToken;
+
+  for (const pool of pools) {
+    const pair = getPairTokens(ethers.toBeHex(pool & ADDRESS_MASK, 20));
+    if (!pair) return [srcToken];
+
+    if (pair.token0.toLowerCase() === current.toLowerCase()) {
+      current = pair.token1;
+    } else if (pair.token1.toLowerCase() === current.toLowerCase()) {
+      current = pair.token0;
+    } else {
+      return [srcToken];
+    }
+
+    path.push(current);
+  }
+
+  return path;
+}
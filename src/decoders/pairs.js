@@ -0,0 +1,58 @@
+import { ethers } from 'ethers';
+import { TOKENS } from '../utils/tokens.js';
+
+/**
+ * Offline V2-style pair lookup
+ * Pair addresses are CREATE2-deterministic, so pairs between known tokens
+ * can be resolved from calldata without an RPC round-trip
+ */
+
+const V2_FACTORIES = [
+  {
+    dex: 'uniswap-v2',
+    factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+    initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f'
+  }
+];
+
+// Lazily built: lowercase pair address -> { dex, token0, token1 }
+let pairIndex = null;
+
+/**
+ * Compute the V2 pair address for two tokens on a factory
+ */
+export function computePairAddress(factory, initCodeHash, tokenA, tokenB) {
+  const [token0, token1] = sortTokens(tokenA, tokenB);
+  const salt = ethers.keccak256(ethers.solidityPacked(['address', 'address'], [token0, token1]));
+  return ethers.getCreate2Address(factory, salt, initCodeHash);
+}
+
+/**
+ * Look up the tokens of a known V2-style pair
+ * @returns {object|null} { dex, token0, token1 } or null if unknown
+ */
+export function getPairTokens(pairAddress) {
+  if (!pairIndex) pairIndex = buildPairIndex();
+  return pairIndex.get(pairAddress.toLowerCase()) || null;
+}
+
+function sortTokens(tokenA, tokenB) {
+  return tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+function buildPairIndex() {
+  const index = new Map();
+  const addresses = Object.values(TOKENS).map(token => ethers.getAddress(token.address));
+
+  for (const { dex, factory, initCodeHash } of V2_FACTORIES) {
+    for (let i = 0; i < addresses.length; i++) {
+      for (let j = i + 1; j < addresses.length; j++) {
+        const [token0, token1] = sortTokens(addresses[i], addresses[j]);
+        const pair = computePairAddress(factory, initCodeHash, token0, token1);
+        index.set(pair.toLowerCase(), { dex, token0, token1 });
+      }
+    }
+  }
+
+  return index;
+}
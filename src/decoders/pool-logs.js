@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+
+/**
+ * Pool Event Log Decoding
+ * Turns Uniswap V2-style Swap/Sync and V3-style Swap/Mint/Burn logs from
+ * receipts and eth_getLogs into normalized records, so executed trades and
+ * liquidity changes on a pool can be ordered and compared. Amounts are raw
+ * integers in each token's base units.
+ */
+
+const POOL_LOG_EVENTS = new ethers.Interface([
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+]);
+
+const V2_SWAP_TOPIC = POOL_LOG_EVENTS.getEvent('Swap(address,uint256,uint256,uint256,uint256,address)').topicHash;
+const V2_SYNC_TOPIC = POOL_LOG_EVENTS.getEvent('Sync').topicHash;
+const V3_SWAP_TOPIC = POOL_LOG_EVENTS.getEvent('Swap(address,address,int256,int256,uint160,uint128,int24)').topicHash;
+const V3_MINT_TOPIC = POOL_LOG_EVENTS.getEvent('Mint').topicHash;
+const V3_BURN_TOPIC = POOL_LOG_EVENTS.getEvent('Burn').topicHash;
+
+// topic0 filter for every event decodePoolLog understands
+export const POOL_LOG_TOPICS = [V2_SWAP_TOPIC, V2_SYNC_TOPIC, V3_SWAP_TOPIC, V3_MINT_TOPIC, V3_BURN_TOPIC];
+
+/**
+ * Decode a pool event log
+ * @param {object} log - ethers Log or raw JSON-RPC log
+ * @returns {object|null} { type: 'swap' | 'sync' | 'mint' | 'burn', protocol, pool, transactionHash,
+ *   transactionIndex, logIndex, ... } - swaps add zeroForOne, amountIn, amountOut, sender,
+ *   recipient (and sqrtPriceX96, liquidity, tick after a V3 swap); syncs add reserve0,
+ *   reserve1; mints and burns add owner, tickLower, tickUpper, liquidity, amount0, amount1.
+ *   null for other events and swaps with no net input
+ */
+export function decodePoolLog(log) {
+  const topic = log.topics?.[0];
+  if (!POOL_LOG_TOPICS.includes(topic)) return null;
+
+  let parsed;
+  try {
+    parsed = POOL_LOG_EVENTS.parseLog({ topics: log.topics, data: log.data });
+  } catch {
+    return null; // Same topic, different indexing (e.g. a non-Uniswap contract)
+  }
+  if (!parsed) return null;
+
+  const base = {
+    pool: log.address.toLowerCase(),
+    blockNumber: Number(log.blockNumber),
+    transactionHash: log.transactionHash,
+    transactionIndex: Number(log.transactionIndex),
+    logIndex: Number(log.index ?? log.logIndex)
+  };
+
+  if (topic === V2_SYNC_TOPIC) {
+    return { ...base, type: 'sync', protocol: 'v2', reserve0: parsed.args.reserve0, reserve1: parsed.args.reserve1 };
+  }
+
+  if (topic === V3_MINT_TOPIC || topic === V3_BURN_TOPIC) {
+    return {
+      ...base,
+      type: topic === V3_MINT_TOPIC ? 'mint' : 'burn',
+      protocol: 'v3',
+      owner: parsed.args.owner.toLowerCase(),
+      tickLower: Number(parsed.args.tickLower),
+      tickUpper: Number(parsed.args.tickUpper),
+      liquidity: parsed.args.amount,
+      amount0: parsed.args.amount0,
+      amount1: parsed.args.amount1
+    };
+  }
+
+  if (topic === V2_SWAP_TOPIC) {
+    const { amount0In, amount1In, amount0Out, amount1Out } = parsed.args;
+    // Net flows, so flash swaps that repay in the same token read as trades
+    const zeroForOne = amount0In > amount0Out;
+    const amountIn = zeroForOne ? amount0In - amount0Out : amount1In - amount1Out;
+    const amountOut = zeroForOne ? amount1Out - amount1In : amount0Out - amount0In;
+    if (amountIn <= 0n || amountOut <= 0n) return null;
+
+    return {
+      ...base,
+      type: 'swap',
+      protocol: 'v2',
+      zeroForOne,
+      amountIn,
+      amountOut,
+      sender: parsed.args.sender.toLowerCase(),
+      recipient: parsed.args.to.toLowerCase()
+    };
+  }
+
+  // V3 amounts are the pool's deltas: positive in, negative out
+  const { amount0, amount1 } = parsed.args;
+  const zeroForOne = amount0 > 0n;
+  const amountIn = zeroForOne ? amount0 : amount1;
+  const amountOut = zeroForOne ? -amount1 : -amount0;
+  if (amountIn <= 0n || amountOut <= 0n) return null;
+
+  return {
+    ...base,
+    type: 'swap',
+    protocol: 'v3',
+    zeroForOne,
+    amountIn,
+    amountOut,
+    sender: parsed.args.sender.toLowerCase(),
+    recipient: parsed.args.recipient.toLowerCase(),
+    sqrtPriceX96: parsed.args.sqrtPriceX96,
+    liquidity: parsed.args.liquidity,
+    tick: Number(parsed.args.tick)
+  };
+}
+
+/**
+ * Order decoded logs as they executed in the block
+ */
+export function compareLogOrder(a, b) {
+  return (a.blockNumber - b.blockNumber) || (a.transactionIndex - b.transactionIndex) || (a.logIndex - b.logIndex);
+}
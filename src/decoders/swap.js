@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+import { TOKENS } from '../utils/tokens.js';
+
+/**
+ * Normalized pending-swap record shared by all calldata decoders
+ *
+ * {
+ *   protocol, method, router,
+ *   tokenIn, tokenOut, path, fees,
+ *   exactInput, amountIn, amountOutMin,
+ *   recipient, deadline, nativeIn, nativeOut
+ * }
+ *
+ * Amounts are decimal strings in raw token units so records survive JSON caching.
+ */
+
+/**
+ * Build the normalized swap record
+ * For exact-output swaps, amountIn is the maximum input and
+ * amountOutMin is the exact output requested
+ */
+export function buildSwap({ protocol, method, path, fees = [], exactInput = true, amountIn, amountOutMin, recipient = null, deadline = null, nativeIn = false, nativeOut = false }) {
+  if (!path || path.length < 2) return null;
+
+  return {
+    protocol,
+    method,
+    tokenIn: path[0],
+    tokenOut: path[path.length - 1],
+    path,
+    fees,
+    exactInput,
+    amountIn: amountIn.toString(),
+    amountOutMin: amountOutMin.toString(),
+    recipient: recipient ? ethers.getAddress(recipient) : null,
+    deadline,
+    nativeIn,
+    nativeOut
+  };
+}
+
+/**
+ * Parse calldata against an interface, returning null on unknown selectors
+ */
+export function parseCalldata(iface, data, value = 0n) {
+  try {
+    return iface.parseTransaction({ data, value });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Placeholder addresses routers use for native ETH
+const NATIVE_ETH_ADDRESSES = [
+  '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+  '0x0000000000000000000000000000000000000000'
+];
+
+/**
+ * Map native-ETH placeholders onto WETH so symbol lookups work
+ * @returns {object} { address, native }
+ */
+export function resolveNativeToken(address) {
+  if (NATIVE_ETH_ADDRESSES.includes(address.toLowerCase())) {
+    return { address: TOKENS.WETH.address, native: true };
+  }
+
+  return { address: ethers.getAddress(address), native: false };
+}
+
+/**
+ * List the function selectors an interface can decode
+ */
+export function getSelectors(iface) {
+  const selectors = [];
+  iface.forEachFunction(fragment => selectors.push(fragment.selector));
+  return selectors;
+}
@@ -0,0 +1,242 @@
+import { ethers } from 'ethers';
+import { buildSwap, getSelectors, parseCalldata } from './swap.js';
+import { CHAINS } from '../utils/chains.js';
+
+/**
+ * Uniswap V2 / V3 router calldata decoding
+ * Covers the V2 router (and forks like Sushiswap), the V3 SwapRouter
+ * and SwapRouter02, including multicall-wrapped swaps
+ */
+
+// Known router deployments (mainnet) -> DEX name
+const ROUTER_NAMES = {
+  '0x7a250d5630b4cf539739df2c5dacb4c659f2488d': 'uniswap-v2', // Uniswap V2 Router02
+  '0xd9e1ce17f2641f24ae83637ab66a2cca9c378b9f': 'sushiswap',  // Sushiswap Router
+  '0xe592427a0aece92de3edee1f18e0157c05861564': 'uniswap-v3', // Uniswap V3 SwapRouter
+  '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45': 'uniswap-v3'  // Uniswap SwapRouter02
+};
+
+export const UNISWAP_ROUTERS = Object.keys(ROUTER_NAMES);
+
+// Wrapped native tokens (lowercase); V3 routers wrap msg.value when the path starts at one
+const WRAPPED_NATIVE_TOKENS = new Set(Object.values(CHAINS)
+  .map(chain => chain.tokens[chain.wrappedNative]?.address.toLowerCase())
+  .filter(Boolean));
+
+const V2_ROUTER_ABI = [
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+];
+
+const V3_ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+  'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+  'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+  'function multicall(bytes[] data)',
+  'function unwrapWETH9(uint256 amountMinimum, address recipient)'
+];
+
+// SwapRouter02 drops the per-swap deadline and moves it onto multicall
+const SWAP_ROUTER_02_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+  'function exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)',
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to)',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to)',
+  'function multicall(uint256 deadline, bytes[] data)',
+  'function multicall(bytes32 previousBlockhash, bytes[] data)',
+  'function unwrapWETH9(uint256 amountMinimum)'
+];
+
+const v2Interface = new ethers.Interface(V2_ROUTER_ABI);
+const v3Interface = new ethers.Interface(V3_ROUTER_ABI);
+const router02Interface = new ethers.Interface(SWAP_ROUTER_02_ABI);
+
+const INTERFACES = [
+  { iface: v2Interface, family: 'uniswap-v2' },
+  { iface: v3Interface, family: 'uniswap-v3' },
+  { iface: router02Interface, family: 'uniswap-v3' }
+];
+
+// Selectors shared by the V2 router and its forks, so match on any address
+export const uniswapDecoder = {
+  name: 'uniswap',
+  selectors: INTERFACES.flatMap(({ iface }) => getSelectors(iface)),
+  decode: decodeUniswapSwap
+};
+
+/**
+ * Decode a Uniswap-style router call into a normalized swap record
+ * @param {object} tx - Transaction with `to`, `data` (or `input`) and `value`
+ * @returns {object|null} Normalized swap or null if not a recognized swap
+ */
+export function decodeUniswapSwap(tx) {
+  const data = tx.data || tx.input;
+  if (!data || data.length < 10) return null;
+
+  const value = BigInt(tx.value || 0);
+
+  for (const { iface, family } of INTERFACES) {
+    const parsed = parseCalldata(iface, data, value);
+    if (!parsed) continue;
+
+    const swap = parsed.name === 'multicall'
+      ? decodeMulticall(parsed, value)
+      : decodeSwapCall(parsed, value, family);
+
+    if (swap) {
+      swap.protocol = ROUTER_NAMES[tx.to?.toLowerCase()] || swap.protocol;
+      swap.router = tx.to || null;
+      return swap;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode the packed V3 path: token (20 bytes) | fee (3 bytes) | token | ...
+ * @param {string} path - Hex-encoded packed path
+ * @returns {object} { tokens, fees }
+ */
+export function decodePackedPath(path) {
+  const bytes = ethers.getBytes(path);
+  const tokens = [];
+  const fees = [];
+
+  let offset = 0;
+  while (offset + 20 <= bytes.length) {
+    tokens.push(ethers.getAddress(ethers.hexlify(bytes.slice(offset, offset + 20))));
+    offset += 20;
+
+    if (offset + 3 > bytes.length) break;
+    fees.push((bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]);
+    offset += 3;
+  }
+
+  return { tokens, fees };
+}
+
+/**
+ * Decode the inner calls of a multicall and return the first swap found
+ */
+function decodeMulticall(parsed, value) {
+  const deadline = parsed.args.length > 1 && typeof parsed.args[0] === 'bigint'
+    ? Number(parsed.args[0])
+    : null;
+
+  let swap = null;
+  let unwrapsWeth = false;
+
+  for (const call of parsed.args.data) {
+    for (const { iface, family } of INTERFACES) {
+      const inner = parseCalldata(iface, call, value);
+      if (!inner) continue;
+
+      if (inner.name === 'unwrapWETH9') {
+        unwrapsWeth = true;
+      } else if (!swap && inner.name !== 'multicall') {
+        swap = decodeSwapCall(inner, value, family);
+      }
+      break;
+    }
+  }
+
+  if (!swap) return null;
+
+  if (swap.deadline === null) swap.deadline = deadline;
+  if (unwrapsWeth) swap.nativeOut = true;
+  swap.method = `multicall:${swap.method}`;
+
+  return swap;
+}
+
+/**
+ * Turn a parsed router call into the normalized swap shape
+ */
+function decodeSwapCall(parsed, value, family) {
+  const { name, args } = parsed;
+
+  // V3 struct-style calls carry everything in `params`
+  if (name.startsWith('exact')) {
+    const hasDeadline = parsed.fragment.inputs[0].components.some(c => c.name === 'deadline');
+    return decodeV3Call(name, args.params, hasDeadline, value);
+  }
+
+  if (!name.startsWith('swap')) return null;
+
+  const path = args.path.map(address => ethers.getAddress(address));
+  const exactInput = name.startsWith('swapExact');
+  const nativeIn = name.includes('ETHFor');
+
+  let amountIn;
+  let amountOutMin;
+
+  if (exactInput) {
+    amountIn = nativeIn ? value : args.amountIn;
+    amountOutMin = args.amountOutMin;
+  } else {
+    amountIn = nativeIn ? value : args.amountInMax;
+    amountOutMin = args.amountOut;
+  }
+
+  return buildSwap({
+    protocol: family,
+    method: name,
+    path,
+    fees: [],
+    exactInput,
+    amountIn,
+    amountOutMin,
+    recipient: args.to,
+    deadline: parsed.fragment.inputs.some(input => input.name === 'deadline') ? Number(args.deadline) : null,
+    nativeIn,
+    nativeOut: name.includes('ForETH') || name.includes('ForExactETH')
+  });
+}
+
+/**
+ * Decode exactInput/exactOutput(Single) params
+ * The V3 routers are payable: ETH sent with a swap whose path starts at WETH
+ * is wrapped and spent as the input.
+ */
+function decodeV3Call(name, params, hasDeadline, value = 0n) {
+  const exactInput = name.startsWith('exactInput');
+  let path;
+  let fees;
+
+  if (name.endsWith('Single')) {
+    path = [ethers.getAddress(params.tokenIn), ethers.getAddress(params.tokenOut)];
+    fees = [Number(params.fee)];
+  } else {
+    ({ tokens: path, fees } = decodePackedPath(params.path));
+    // exactOutput paths are encoded output-first
+    if (!exactInput) {
+      path.reverse();
+      fees.reverse();
+    }
+  }
+
+  return buildSwap({
+    protocol: 'uniswap-v3',
+    method: name,
+    path,
+    fees,
+    exactInput,
+    amountIn: exactInput ? params.amountIn : params.amountInMaximum,
+    amountOutMin: exactInput ? params.amountOutMinimum : params.amountOut,
+    recipient: params.recipient,
+    deadline: hasDeadline ? Number(params.deadline) : null,
+    nativeIn: value > 0n && WRAPPED_NATIVE_TOKENS.has(path[0].toLowerCase()),
+    nativeOut: false
+  });
+}
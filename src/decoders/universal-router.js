@@ -0,0 +1,314 @@
+import { ethers } from 'ethers';
+import { buildSwap, getSelectors, parseCalldata } from './swap.js';
+import { decodePackedPath } from './uniswap.js';
+import { TOKENS } from '../utils/tokens.js';
+
+/**
+ * Uniswap Universal Router calldata decoding
+ * Walks the execute(commands, inputs, deadline) command stream and folds
+ * the swap commands into a single normalized swap record
+ */
+
+// Universal Router deployments (mainnet)
+export const UNIVERSAL_ROUTERS = [
+  '0xef1c6e67703c7bd7107eed8303fbe6ec2554bf6b', // Universal Router v1
+  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad', // Universal Router v1.2
+  '0x66a9893cc07d91d95644aedd05d03f95e1dba8af'  // Universal Router v2 (v4 support)
+];
+
+const UNIVERSAL_ROUTER_ABI = [
+  'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+  'function execute(bytes commands, bytes[] inputs)'
+];
+
+const routerInterface = new ethers.Interface(UNIVERSAL_ROUTER_ABI);
+
+// Command identifiers (lower 6 bits of each command byte)
+export const COMMANDS = {
+  V3_SWAP_EXACT_IN: 0x00,
+  V3_SWAP_EXACT_OUT: 0x01,
+  PERMIT2_TRANSFER_FROM: 0x02,
+  PERMIT2_PERMIT_BATCH: 0x03,
+  SWEEP: 0x04,
+  TRANSFER: 0x05,
+  PAY_PORTION: 0x06,
+  V2_SWAP_EXACT_IN: 0x08,
+  V2_SWAP_EXACT_OUT: 0x09,
+  PERMIT2_PERMIT: 0x0a,
+  WRAP_ETH: 0x0b,
+  UNWRAP_WETH: 0x0c,
+  PERMIT2_TRANSFER_FROM_BATCH: 0x0d
+};
+
+const COMMAND_NAMES = Object.fromEntries(
+  Object.entries(COMMANDS).map(([name, id]) => [id, name])
+);
+
+const COMMAND_TYPE_MASK = 0x3f;
+
+// ABI layouts of each command's input
+const COMMAND_INPUTS = {
+  [COMMANDS.V3_SWAP_EXACT_IN]: ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+  [COMMANDS.V3_SWAP_EXACT_OUT]: ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+  [COMMANDS.V2_SWAP_EXACT_IN]: ['address', 'uint256', 'uint256', 'address[]', 'bool'],
+  [COMMANDS.V2_SWAP_EXACT_OUT]: ['address', 'uint256', 'uint256', 'address[]', 'bool'],
+  [COMMANDS.PERMIT2_PERMIT]: ['((address,uint160,uint48,uint48),address,uint256)', 'bytes'],
+  [COMMANDS.PERMIT2_TRANSFER_FROM]: ['address', 'address', 'uint160'],
+  [COMMANDS.WRAP_ETH]: ['address', 'uint256'],
+  [COMMANDS.UNWRAP_WETH]: ['address', 'uint256'],
+  [COMMANDS.SWEEP]: ['address', 'address', 'uint256']
+};
+
+// Special values understood by the router
+const CONTRACT_BALANCE = 1n << 255n;
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+export const universalRouterDecoder = {
+  name: 'uniswap-universal-router',
+  routers: UNIVERSAL_ROUTERS,
+  selectors: getSelectors(routerInterface),
+  decode: decodeUniversalRouterSwap
+};
+
+/**
+ * Check whether an address is a known Universal Router
+ */
+export function isUniversalRouter(address) {
+  return !!address && UNIVERSAL_ROUTERS.includes(address.toLowerCase());
+}
+
+/**
+ * Decode a Universal Router execute() call into a normalized swap record
+ * @param {object} tx - Transaction with `to`, `from`, `data` (or `input`) and `value`
+ * @returns {object|null} Normalized swap or null if the command stream has no swaps
+ */
+export function decodeUniversalRouterSwap(tx) {
+  const data = tx.data || tx.input;
+  if (!data || data.length < 10) return null;
+
+  const value = BigInt(tx.value || 0);
+  const parsed = parseCalldata(routerInterface, data, value);
+  if (!parsed) return null;
+
+  const commands = decodeCommands(parsed.args.commands, parsed.args.inputs);
+  const swaps = resolveContractBalances(commands, value);
+
+  if (swaps.length === 0) return null;
+
+  const wrap = commands.find(command => command.name === 'WRAP_ETH');
+  const unwrap = commands.find(command => command.name === 'UNWRAP_WETH');
+  const permit = commands.find(command => command.name === 'PERMIT2_PERMIT');
+
+  const swap = mergeSwaps(swaps);
+  swap.router = tx.to || null;
+  swap.method = `execute:${commands.filter(c => c.swap).map(c => c.name).join('+')}`;
+  swap.deadline = parsed.args.length > 2 ? Number(parsed.args.deadline) : null;
+  swap.nativeIn = !!wrap;
+  swap.nativeOut = !!unwrap;
+  swap.recipient = resolveRecipient(unwrap ? unwrap.params.recipient : swap.recipient, tx.from);
+  swap.commands = commands.map(command => command.name);
+
+  if (permit) {
+    swap.permit = permit.params;
+  }
+
+  return swap;
+}
+
+/**
+ * Decode the command byte string alongside its inputs
+ */
+function decodeCommands(commandBytes, inputs) {
+  const bytes = ethers.getBytes(commandBytes);
+
+  return Array.from(bytes, (byte, i) => {
+    const id = byte & COMMAND_TYPE_MASK;
+    const name = COMMAND_NAMES[id] || `UNKNOWN_0x${id.toString(16).padStart(2, '0')}`;
+    const layout = COMMAND_INPUTS[id];
+
+    if (!layout || !inputs[i]) {
+      return { name, allowRevert: (byte & 0x80) !== 0 };
+    }
+
+    try {
+      const decoded = abiCoder.decode(layout, inputs[i]);
+      return {
+        name,
+        allowRevert: (byte & 0x80) !== 0,
+        ...decodeCommandInput(id, decoded)
+      };
+    } catch (error) {
+      return { name, allowRevert: (byte & 0x80) !== 0 };
+    }
+  });
+}
+
+/**
+ * Turn a decoded command input into params (and a swap for swap commands)
+ */
+function decodeCommandInput(id, decoded) {
+  switch (id) {
+    case COMMANDS.V2_SWAP_EXACT_IN:
+    case COMMANDS.V2_SWAP_EXACT_OUT: {
+      const [recipient, amountA, amountB, path] = decoded;
+      const exactInput = id === COMMANDS.V2_SWAP_EXACT_IN;
+
+      return {
+        swap: buildSwap({
+          protocol: 'uniswap-v2',
+          method: exactInput ? 'V2_SWAP_EXACT_IN' : 'V2_SWAP_EXACT_OUT',
+          path: path.map(address => ethers.getAddress(address)),
+          exactInput,
+          amountIn: exactInput ? amountA : amountB,
+          amountOutMin: exactInput ? amountB : amountA,
+          recipient
+        })
+      };
+    }
+
+    case COMMANDS.V3_SWAP_EXACT_IN:
+    case COMMANDS.V3_SWAP_EXACT_OUT: {
+      const [recipient, amountA, amountB, encodedPath] = decoded;
+      const exactInput = id === COMMANDS.V3_SWAP_EXACT_IN;
+      const { tokens, fees } = decodePackedPath(encodedPath);
+
+      // Exact-output paths are encoded output-first
+      if (!exactInput) {
+        tokens.reverse();
+        fees.reverse();
+      }
+
+      return {
+        swap: buildSwap({
+          protocol: 'uniswap-v3',
+          method: exactInput ? 'V3_SWAP_EXACT_IN' : 'V3_SWAP_EXACT_OUT',
+          path: tokens,
+          fees,
+          exactInput,
+          amountIn: exactInput ? amountA : amountB,
+          amountOutMin: exactInput ? amountB : amountA,
+          recipient
+        })
+      };
+    }
+
+    case COMMANDS.PERMIT2_PERMIT: {
+      const [[[token, amount, expiration, nonce], spender, sigDeadline]] = decoded;
+      return {
+        params: {
+          token: ethers.getAddress(token),
+          amount: amount.toString(),
+          expiration: Number(expiration),
+          nonce: Number(nonce),
+          spender: ethers.getAddress(spender),
+          sigDeadline: Number(sigDeadline)
+        }
+      };
+    }
+
+    case COMMANDS.PERMIT2_TRANSFER_FROM: {
+      const [token, recipient, amount] = decoded;
+      return { params: { token: ethers.getAddress(token), recipient, amount: amount.toString() } };
+    }
+
+    case COMMANDS.WRAP_ETH:
+    case COMMANDS.UNWRAP_WETH: {
+      const [recipient, amountMin] = decoded;
+      return { params: { recipient, amountMin: amountMin.toString() } };
+    }
+
+    case COMMANDS.SWEEP: {
+      const [token, recipient, amountMin] = decoded;
+      return { params: { token: ethers.getAddress(token), recipient, amountMin: amountMin.toString() } };
+    }
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Fold split-route swaps into one record: input token from the first swap,
+ * output token from the last, amounts summed across matching legs
+ */
+function mergeSwaps(swaps) {
+  const first = swaps[0];
+  const last = swaps[swaps.length - 1];
+
+  const amountIn = swaps
+    .filter(swap => swap.tokenIn === first.tokenIn)
+    .reduce((sum, swap) => sum + BigInt(swap.amountIn), 0n);
+
+  const amountOutMin = swaps
+    .filter(swap => swap.tokenOut === last.tokenOut)
+    .reduce((sum, swap) => sum + BigInt(swap.amountOutMin), 0n);
+
+  const path = first.tokenOut === last.tokenOut
+    ? first.path
+    : [...first.path, ...last.path.slice(1)];
+
+  return {
+    ...first,
+    tokenOut: last.tokenOut,
+    path,
+    fees: swaps.length === 1 ? first.fees : swaps.flatMap(swap => swap.fees),
+    amountIn: amountIn.toString(),
+    amountOutMin: amountOutMin.toString(),
+    recipient: last.recipient
+  };
+}
+
+/**
+ * Replace CONTRACT_BALANCE swap inputs ("use what the router holds") with
+ * the amount earlier commands moved in: wrapped msg.value, Permit2 transfers
+ * and the minimum output of swaps paid to the router. Nothing known to be
+ * held resolves to 0.
+ * @returns {object[]} Swap records of the swap commands, in order
+ */
+function resolveContractBalances(commands, value) {
+  const balances = new Map(); // lowercase token -> amount held
+  const credit = (token, amount) => {
+    const key = token.toLowerCase();
+    balances.set(key, (balances.get(key) || 0n) + amount);
+  };
+
+  const swaps = [];
+  for (const command of commands) {
+    if (command.name === 'WRAP_ETH') {
+      const amount = BigInt(command.params.amountMin);
+      credit(TOKENS.WETH.address, amount === CONTRACT_BALANCE ? value : amount);
+    } else if (command.name === 'PERMIT2_TRANSFER_FROM') {
+      // Into the router, or straight into the pair a V2 swap then reads
+      credit(command.params.token, BigInt(command.params.amount));
+    }
+
+    if (!command.swap) continue;
+
+    const tokenIn = command.swap.tokenIn.toLowerCase();
+    const held = balances.get(tokenIn) || 0n;
+    const requested = BigInt(command.swap.amountIn);
+    const amountIn = requested === CONTRACT_BALANCE ? held : requested;
+    balances.set(tokenIn, held > amountIn ? held - amountIn : 0n);
+
+    if (command.swap.recipient?.toLowerCase() === ADDRESS_THIS) {
+      credit(command.swap.tokenOut, BigInt(command.swap.amountOutMin));
+    }
+
+    swaps.push({ ...command.swap, amountIn: amountIn.toString() });
+  }
+
+  return swaps;
+}
+
+/**
+ * Map the router's recipient placeholders to real addresses
+ */
+function resolveRecipient(recipient, sender) {
+  if (!recipient) return null;
+  if (recipient.toLowerCase() === MSG_SENDER) return sender ? ethers.getAddress(sender) : null;
+  if (recipient.toLowerCase() === ADDRESS_THIS) return null;
+  return ethers.getAddress(recipient);
+}
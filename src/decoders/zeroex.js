@@ -0,0 +1,56 @@
+import { ethers } from 'ethers';
+import { buildSwap, getSelectors, parseCalldata, resolveNativeToken } from './swap.js';
+
+/**
+ * 0x Exchange Proxy calldata decoding
+ */
+
+export const ZEROEX_ROUTERS = [
+  '0xdef1c0ded9bec7f1a1670819833240f027b25eff' // Exchange Proxy
+];
+
+const ZEROEX_ABI = [
+  'function transformERC20(address inputToken, address outputToken, uint256 inputTokenAmount, uint256 minOutputTokenAmount, (uint32 deploymentNonce, bytes data)[] transformations)',
+  'function sellToUniswap(address[] tokens, uint256 sellAmount, uint256 minBuyAmount, bool isSushi)'
+];
+
+const zeroExInterface = new ethers.Interface(ZEROEX_ABI);
+
+export const zeroExDecoder = {
+  name: '0x',
+  routers: ZEROEX_ROUTERS,
+  selectors: getSelectors(zeroExInterface),
+  decode: decodeZeroExSwap
+};
+
+/**
+ * Decode a 0x Exchange Proxy call into a normalized swap record
+ * @param {object} tx - Transaction with `to`, `data` (or `input`) and `value`
+ * @returns {object|null} Normalized swap or null if not recognized
+ */
+export function decodeZeroExSwap(tx) {
+  const data = tx.data || tx.input;
+  const value = BigInt(tx.value || 0);
+  const parsed = parseCalldata(zeroExInterface, data, value);
+  if (!parsed) return null;
+
+  const { args } = parsed;
+
+  const [tokens, amountIn, amountOutMin] = parsed.name === 'transformERC20'
+    ? [[args.inputToken, args.outputToken], args.inputTokenAmount, args.minOutputTokenAmount]
+    : [args.tokens, args.sellAmount, args.minBuyAmount];
+
+  const resolved = tokens.map(resolveNativeToken);
+
+  return buildSwap({
+    protocol: '0x',
+    method: parsed.name,
+    path: resolved.map(token => token.address),
+    amountIn,
+    amountOutMin,
+    // The proxy always pays out to the taker
+    recipient: tx.from || null,
+    nativeIn: resolved[0].native,
+    nativeOut: resolved[resolved.length - 1].native
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * Detect MEV in mined blocks from their decoded pool events
+ * (decoders/pool-logs.js), ordered as they executed
+ *
+ * - Sandwich: a swap before the victim's in the same direction and one after
+ *   it in the opposite direction, on the same pool, from the same searcher
+ * - Back-run arbitrage: a transaction whose swaps end in the token they start
+ *   with, for more than they put in, right after a swap that moved one of its
+ *   pools the other way
+ * - JIT liquidity: a V3 position minted before a swap and burned after it,
+ *   earning the swap's fees
+ *
+ * Transactions are looked up by lowercase hash and need from and to.
+ */
+
+// Nearest swaps on each side of a victim considered as front/back-run legs
+const MAX_SANDWICH_CANDIDATES = 8;
+
+/**
+ * Find the front/back-run pair around a victim swap
+ * The legs must share a sender, or a contract that isn't a shared router
+ * (routers carry unrelated users' swaps), and not be the victim's own.
+ * @param {object} victim - Decoded swap
+ * @param {object[]} poolSwaps - Decoded swaps on the victim's pool, in execution order
+ * @param {Map} transactions - Lowercase hash -> transaction
+ * @param {Set} routers - Lowercase addresses of shared routers
+ * @returns {object|null} { front, back, frontTx, backTx, matchedBy: 'sender' | 'contract' } for the closest pair
+ */
+export function findSandwichLegs(victim, poolSwaps, transactions, routers) {
+  const victimSender = transactions.get(victim.transactionHash.toLowerCase())?.from.toLowerCase();
+  const legTx = (swap) => {
+    const tx = transactions.get(swap.transactionHash.toLowerCase());
+    return tx && tx.from.toLowerCase() !== victimSender ? tx : null;
+  };
+
+  const fronts = poolSwaps
+    .filter(swap => swap.transactionIndex < victim.transactionIndex && swap.zeroForOne === victim.zeroForOne)
+    .slice(-MAX_SANDWICH_CANDIDATES)
+    .reverse();
+  const backs = poolSwaps
+    .filter(swap => swap.transactionIndex > victim.transactionIndex && swap.zeroForOne !== victim.zeroForOne)
+    .slice(0, MAX_SANDWICH_CANDIDATES);
+
+  for (const front of fronts) {
+    const frontTx = legTx(front);
+    if (!frontTx) continue;
+
+    for (const back of backs) {
+      const backTx = legTx(back);
+      if (!backTx || back.transactionHash === front.transactionHash) continue;
+
+      const sameSender = frontTx.from.toLowerCase() === backTx.from.toLowerCase();
+      const contract = frontTx.to?.toLowerCase();
+      const sameContract = Boolean(contract) && contract === backTx.to?.toLowerCase() && !routers.has(contract);
+
+      if (sameSender || sameContract) {
+        return { front, back, frontTx, backTx, matchedBy: sameSender ? 'sender' : 'contract' };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find every sandwich in a block
+ * Victims between the same front/back-run pair are grouped into one attack;
+ * swaps that are themselves legs of a sandwich are not counted as victims.
+ * @param {object[]} events - Decoded pool events of one block, in execution order
+ * @param {Map} transactions - Lowercase hash -> transaction
+ * @param {Set} routers - Lowercase addresses of shared routers
+ * @returns {object[]} [{ pool, front, back, frontTx, backTx, matchedBy, victims: [{ swap, tx }] }]
+ */
+export function findSandwiches(events, transactions, routers) {
+  const attacks = new Map(); // front/back log pair -> attack
+
+  for (const poolSwaps of groupSwapsByPool(events).values()) {
+    for (const victim of poolSwaps) {
+      const legs = findSandwichLegs(victim, poolSwaps, transactions, routers);
+      if (!legs) continue;
+
+      const key = `${legs.front.transactionHash}:${legs.front.logIndex}:${legs.back.transactionHash}:${legs.back.logIndex}`;
+      const attack = attacks.get(key) || { pool: victim.pool, ...legs, victims: [] };
+      attack.victims.push({ swap: victim, tx: transactions.get(victim.transactionHash.toLowerCase()) });
+      attacks.set(key, attack);
+    }
+  }
+
+  const legHashes = getSandwichTransactions([...attacks.values()]);
+
+  return [...attacks.values()]
+    .map(attack => ({
+      ...attack,
+      victims: attack.victims.filter(victim => !legHashes.has(victim.swap.transactionHash.toLowerCase()))
+    }))
+    .filter(attack => attack.victims.length > 0);
+}
+
+/**
+ * Lowercase hashes of the front and back-run transactions of sandwiches
+ */
+export function getSandwichTransactions(sandwiches) {
+  return new Set(sandwiches.flatMap(attack => [
+    attack.front.transactionHash.toLowerCase(),
+    attack.back.transactionHash.toLowerCase()
+  ]));
+}
+
+/**
+ * Find cyclic arbitrages that back-run another swap
+ * @param {object[]} events - Decoded pool events of one block, in execution order
+ * @param {Map} transactions - Lowercase hash -> transaction
+ * @param {Map} pools - Pool address -> { token0, token1 } (lowercase addresses)
+ * @param {Set} excluded - Lowercase hashes to skip (e.g. sandwich legs)
+ * @returns {object[]} [{ transactionHash, searcher, contract, swaps, victim: { swap, tx }, pool,
+ *   profitToken, profit }] with profit in raw units of profitToken
+ */
+export function findBackrunArbitrages(events, transactions, pools, excluded = new Set()) {
+  const swaps = events.filter(event => event.type === 'swap');
+  const swapsByTx = new Map();
+  for (const swap of swaps) {
+    const hash = swap.transactionHash.toLowerCase();
+    swapsByTx.set(hash, [...(swapsByTx.get(hash) || []), swap]);
+  }
+
+  const arbitrages = [];
+  for (const [hash, txSwaps] of swapsByTx) {
+    const tx = transactions.get(hash);
+    if (txSwaps.length < 2 || excluded.has(hash) || !tx) continue;
+
+    const first = txSwaps[0];
+    const last = txSwaps.at(-1);
+    const firstPool = pools.get(first.pool);
+    const lastPool = pools.get(last.pool);
+    if (!firstPool || !lastPool) continue;
+
+    const startToken = first.zeroForOne ? firstPool.token0 : firstPool.token1;
+    const endToken = last.zeroForOne ? lastPool.token1 : lastPool.token0;
+    if (startToken !== endToken || last.amountOut <= first.amountIn) continue;
+
+    // The swap it back-runs is the last one before it on one of its pools, in the other direction
+    let victim = null;
+    for (const swap of txSwaps) {
+      const previous = swaps
+        .filter(other => other.pool === swap.pool && other.transactionIndex < swap.transactionIndex)
+        .at(-1);
+      const previousTx = previous && transactions.get(previous.transactionHash.toLowerCase());
+      if (!previousTx || previous.zeroForOne === swap.zeroForOne) continue;
+      if (previousTx.from.toLowerCase() === tx.from.toLowerCase()) continue;
+
+      if (!victim || previous.transactionIndex > victim.swap.transactionIndex) {
+        victim = { swap: previous, tx: previousTx };
+      }
+    }
+    if (!victim) continue;
+
+    arbitrages.push({
+      transactionHash: tx.hash,
+      searcher: tx.from,
+      contract: tx.to,
+      swaps: txSwaps,
+      victim,
+      pool: victim.swap.pool,
+      profitToken: startToken,
+      profit: last.amountOut - first.amountIn
+    });
+  }
+
+  return arbitrages;
+}
+
+/**
+ * Find V3 positions minted and burned around other users' swaps in one block
+ * @param {object[]} events - Decoded pool events of one block, in execution order
+ * @param {Map} transactions - Lowercase hash -> transaction
+ * @returns {object[]} [{ pool, provider, contract, mint, burn, victims: [{ swap, tx, liquidityShare }] }]
+ *   where liquidityShare is the position's share of the liquidity the swap traded against
+ */
+export function findJitLiquidity(events, transactions) {
+  const attacks = [];
+
+  for (const mint of events.filter(event => event.type === 'mint')) {
+    const burn = events.find(event =>
+      event.type === 'burn' &&
+      event.pool === mint.pool &&
+      event.transactionIndex > mint.transactionIndex &&
+      event.owner === mint.owner &&
+      event.tickLower === mint.tickLower &&
+      event.tickUpper === mint.tickUpper &&
+      event.liquidity === mint.liquidity
+    );
+    if (!burn) continue;
+
+    // Position managers own many users' positions, so the provider must send both
+    const mintTx = transactions.get(mint.transactionHash.toLowerCase());
+    const burnTx = transactions.get(burn.transactionHash.toLowerCase());
+    if (!mintTx || !burnTx || mintTx.from.toLowerCase() !== burnTx.from.toLowerCase()) continue;
+
+    const victims = events
+      .filter(event =>
+        event.type === 'swap' &&
+        event.pool === mint.pool &&
+        event.transactionIndex > mint.transactionIndex &&
+        event.transactionIndex < burn.transactionIndex
+      )
+      .map(swap => ({ swap, tx: transactions.get(swap.transactionHash.toLowerCase()) }))
+      .filter(({ tx }) => tx && tx.from.toLowerCase() !== mintTx.from.toLowerCase())
+      .map(victim => ({ ...victim, liquidityShare: getLiquidityShare(mint, victim.swap) }));
+    if (victims.length === 0) continue;
+
+    attacks.push({ pool: mint.pool, provider: mintTx.from, contract: mintTx.to, mint, burn, victims });
+  }
+
+  return attacks;
+}
+
+/**
+ * Decoded swaps grouped by pool, keeping execution order
+ */
+export function groupSwapsByPool(events) {
+  const swapsByPool = new Map();
+  for (const event of events) {
+    if (event.type !== 'swap') continue;
+    swapsByPool.set(event.pool, [...(swapsByPool.get(event.pool) || []), event]);
+  }
+  return swapsByPool;
+}
+
+/**
+ * A position's share of the in-range liquidity a swap ended at
+ * Swaps that ended outside the position's range are counted as not using it.
+ */
+function getLiquidityShare(position, swap) {
+  if (swap.liquidity === undefined || !(swap.liquidity > 0n)) return 0;
+  if (swap.tick < position.tickLower || swap.tick >= position.tickUpper) return 0;
+
+  return Math.min(Number(position.liquidity) / Number(swap.liquidity), 1);
+}
@@ -1,9 +1,11 @@
+import { getEffectiveGasPrice, getEffectiveTip, getNextBaseFee, getUserEffectiveTip, getUserFees } from '../utils/fees.js';
+
 /**
- * Detect front-running attacks by analyzing gas prices and transaction timing
+ * Detect front-running attacks by analyzing priority fees and transaction timing
  *
  * Front-running occurs when an attacker:
  * 1. Observes a pending transaction
- * 2. Submits a similar transaction with higher gas
+ * 2. Submits a similar transaction with a higher effective tip
  * 3. Gets their transaction executed first
  *
  * @param {object} userTx - User's transaction details
@@ -12,7 +14,8 @@
  */
 export function detectFrontRun(userTx, mempoolData) {
   const { competingTxs } = mempoolData;
-  const userGasPrice = getUserGasPrice(userTx, mempoolData);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
   const tokenPair = `${userTx.token_in}/${userTx.token_out}`;
 
   // Filter for same token pair and same direction
@@ -33,13 +36,13 @@ export function detectFrontRun(userTx, mempoolData) {
     };
   }
 
-  // Find transactions with significantly higher gas (potential front-runners)
+  // Find transactions with significantly higher tips (potential front-runners)
   const highGasCompetitors = similarTxs.filter(tx =>
-    tx.gasPrice > userGasPrice * 1.1 // 10% or more higher gas
+    getEffectiveTip(tx, baseFee) > userTip * 1.1 // 10% or more higher tip
   );
 
   const veryHighGasCompetitors = similarTxs.filter(tx =>
-    tx.gasPrice > userGasPrice * 1.25 // 25% or more higher gas
+    getEffectiveTip(tx, baseFee) > userTip * 1.25 // 25% or more higher tip
   );
 
   // Calculate risk score
@@ -85,27 +88,19 @@ export function detectFrontRun(userTx, mempoolData) {
       competitors: similarTxs.length,
       highGasCompetitors: highGasCompetitors.length,
       veryHighGasCompetitors: veryHighGasCompetitors.length,
-      competitorGasPrices: highGasCompetitors.map(tx => tx.gasPrice),
-      userGasPrice,
-      gasGap: highGasCompetitors.length > 0
-        ? ((Math.max(...highGasCompetitors.map(tx => tx.gasPrice)) - userGasPrice) / userGasPrice * 100).toFixed(1) + '%'
+      // Gas prices are what each transaction pays at the next base fee, so
+      // EIP-1559 transactions report min(maxFeePerGas, baseFee + tip)
+      competitorGasPrices: highGasCompetitors.map(tx => getEffectiveGasPrice(tx, baseFee)),
+      competitorTips: highGasCompetitors.map(tx => getEffectiveTip(tx, baseFee)),
+      userGasPrice: getEffectiveGasPrice(getUserFees(userTx, mempoolData), baseFee),
+      userTip,
+      gasGap: highGasCompetitors.length > 0 && userTip > 0
+        ? ((Math.max(...highGasCompetitors.map(tx => getEffectiveTip(tx, baseFee))) - userTip) / userTip * 100).toFixed(1) + '%'
         : '0%'
     }
   };
 }
 
-/**
- * Get user's gas price, either from input or estimated from percentile
- */
-function getUserGasPrice(userTx, mempoolData) {
-  if (userTx.gasPrice) {
-    return parseFloat(userTx.gasPrice);
-  }
-
-  // If user didn't specify gas price, assume they're using median
-  return parseFloat(mempoolData.gasPercentiles.p50);
-}
-
 /**
  * Detect copycat transactions (exact copies with higher gas)
  * This is a specific type of front-running
@@ -113,7 +108,8 @@ function getUserGasPrice(userTx, mempoolData) {
 export function detectCopycat(userTx, mempoolData) {
   const { competingTxs } = mempoolData;
   const userAmount = parseFloat(userTx.amount_in);
-  const userGasPrice = getUserGasPrice(userTx, mempoolData);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
   const tokenPair = `${userTx.token_in}/${userTx.token_out}`;
 
   // Find transactions that are very similar in amount and token pair
@@ -122,7 +118,7 @@ export function detectCopycat(userTx, mempoolData) {
     return (
       tx.tokenPair === tokenPair &&
       amountSimilarity < 0.1 && // Within 10% of user's amount
-      tx.gasPrice > userGasPrice * 1.05 // Higher gas
+      getEffectiveTip(tx, baseFee) > userTip * 1.05 // Higher tip
     );
   });
 
@@ -135,7 +131,8 @@ export function detectCopycat(userTx, mempoolData) {
       copycats: copycatTxs.map(tx => ({
         hash: tx.hash,
         amount: tx.amount,
-        gasPrice: tx.gasPrice
+        gasPrice: getEffectiveGasPrice(tx, baseFee),
+        effectiveTip: getEffectiveTip(tx, baseFee)
       }))
     };
   }
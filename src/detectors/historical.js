@@ -1,4 +1,5 @@
 import { getAttacksByTokenPair, checkIfKnownAttacker, getRecentAttacks } from '../database/queries.js';
+import { normalizeToken } from '../utils/tokens.js';
 
 /**
  * Analyze historical MEV attack patterns for a token pair
@@ -152,7 +153,7 @@ function generateHistoricalRecommendation(totalAttacks, recentAttacks, avgProfit
   }
 
   if (totalAttacks > 20 || recentAttacks > 2) {
-    return 'Moderate MEV activity detected. Consider increasing slippage tolerance.';
+    return 'Moderate MEV activity detected. Keep slippage tolerance tight.';
   }
 
   if (totalAttacks > 10 || recentAttacks > 0) {
@@ -192,7 +193,8 @@ export function getSimilarAttacks(tokenPair, amount) {
  * @returns {object} Complete historical analysis
  */
 export function performHistoricalAnalysis(input) {
-  const tokenPair = `${input.token_in}/${input.token_out}`;
+  // Recorded attacks use registry keys (e.g. WETH for ETH), see services/mev-indexer.js
+  const tokenPair = `${normalizeToken(input.token_in, input.chain)}/${normalizeToken(input.token_out, input.chain)}`;
   const amount = parseFloat(input.amount_in);
 
   // Get all historical analyses
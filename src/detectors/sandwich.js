@@ -1,21 +1,24 @@
 import { calculatePriceImpact, estimateSandwichProfit } from '../utils/calculations.js';
+import { getEffectiveGasPrice, getEffectiveTip, getNextBaseFee, getUserEffectiveTip } from '../utils/fees.js';
 
 /**
  * Detect sandwich attacks by analyzing mempool transactions
  *
  * A sandwich attack consists of:
- * 1. Front-run transaction (higher gas, same token pair)
+ * 1. Front-run transaction (higher effective tip, same token pair)
  * 2. Victim transaction (user's transaction)
- * 3. Back-run transaction (lower gas, opposite direction)
+ * 3. Back-run transaction (lower effective tip, opposite direction)
  *
  * @param {object} userTx - User's transaction details
  * @param {object} mempoolData - Mempool data with competing transactions
+ * @param {object} sandwichSimulation - Optional pool-math simulation (simulateSandwichAttack)
  * @returns {object} Detection result with risk score and details
  */
-export function detectSandwich(userTx, mempoolData) {
+export function detectSandwich(userTx, mempoolData, sandwichSimulation = null) {
   const { competingTxs } = mempoolData;
   const userAmount = parseFloat(userTx.amount_in);
-  const userGasPrice = calculateUserGasPrice(userTx, mempoolData);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
   const tokenPair = `${userTx.token_in}/${userTx.token_out}`;
 
   // Filter transactions with same token pair
@@ -38,23 +41,27 @@ export function detectSandwich(userTx, mempoolData) {
     };
   }
 
-  // Identify potential front-runners (higher gas, same direction)
+  // Identify potential front-runners (higher tip, same direction)
   const frontRunners = samePairTxs.filter(tx =>
-    tx.gasPrice > userGasPrice * 1.05 && // At least 5% higher gas
+    getEffectiveTip(tx, baseFee) > userTip * 1.05 && // At least 5% higher tip
     tx.tokenPair === tokenPair // Same direction
   );
 
-  // Identify potential back-runners (lower gas, opposite direction)
+  // Identify potential back-runners (lower tip, opposite direction)
   const backRunners = samePairTxs.filter(tx =>
-    tx.gasPrice < userGasPrice * 0.95 && // At least 5% lower gas
+    getEffectiveTip(tx, baseFee) < userTip * 0.95 && // At least 5% lower tip
     tx.tokenPair === `${userTx.token_out}/${userTx.token_in}` // Opposite direction
   );
 
   // Check for sandwich pattern: both front and back runners exist
   if (frontRunners.length > 0 && backRunners.length > 0) {
     // High probability of sandwich attack
-    const priceImpact = calculatePriceImpact(userAmount);
-    const attackerProfit = estimateSandwichProfit(userAmount, priceImpact);
+    const priceImpact = sandwichSimulation
+      ? sandwichSimulation.priceImpact
+      : calculatePriceImpact(userAmount);
+    const attackerProfit = sandwichSimulation
+      ? sandwichSimulation.netProfitUsd
+      : estimateSandwichProfit(userAmount, priceImpact);
 
     // Calculate risk score based on multiple factors
     let riskScore = 70; // Base score for sandwich pattern
@@ -78,12 +85,14 @@ export function detectSandwich(userTx, mempoolData) {
       details: {
         frontRunners: frontRunners.map(tx => ({
           hash: tx.hash,
-          gasPrice: tx.gasPrice,
+          gasPrice: getEffectiveGasPrice(tx, baseFee),
+          effectiveTip: getEffectiveTip(tx, baseFee),
           amount: tx.amount
         })),
         backRunners: backRunners.map(tx => ({
           hash: tx.hash,
-          gasPrice: tx.gasPrice,
+          gasPrice: getEffectiveGasPrice(tx, baseFee),
+          effectiveTip: getEffectiveTip(tx, baseFee),
           amount: tx.amount
         })),
         priceImpact,
@@ -103,7 +112,8 @@ export function detectSandwich(userTx, mempoolData) {
       details: {
         frontRunners: frontRunners.map(tx => ({
           hash: tx.hash,
-          gasPrice: tx.gasPrice,
+          gasPrice: getEffectiveGasPrice(tx, baseFee),
+          effectiveTip: getEffectiveTip(tx, baseFee),
           amount: tx.amount
         })),
         backRunners: [],
@@ -128,19 +138,6 @@ export function detectSandwich(userTx, mempoolData) {
   };
 }
 
-/**
- * Calculate user's gas price based on percentile
- * If not provided, assume median (50th percentile)
- */
-function calculateUserGasPrice(userTx, mempoolData) {
-  if (userTx.gasPrice) {
-    return parseFloat(userTx.gasPrice);
-  }
-
-  // Use median gas price as default
-  return parseFloat(mempoolData.gasPercentiles.p50);
-}
-
 /**
  * Analyze historical sandwich attacks for this token pair
  * to improve detection accuracy
@@ -1,5 +1,7 @@
 import { serve } from '@hono/node-server';
 import agent from './agent.js';
+import { initializePoolState } from './services/pool-state.js';
+import { initializeMevIndexer } from './services/mev-indexer.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -39,4 +41,13 @@ serve({
   console.log('');
   console.log('Ready to protect transactions from MEV attacks! 🛡️');
   console.log('');
+
+  // Keep WATCHED_POOLS current from their logs
+  initializePoolState()
+    .then(count => count > 0 && console.log(`👁️  Live pool state: ${count} watched pool(s)`))
+    .catch(error => console.error('❌ Pool state initialization failed:', error.message));
+
+  // Record mined MEV on MEV_INDEXER_CHAINS for the historical detectors
+  const indexedChains = initializeMevIndexer();
+  if (indexedChains > 0) console.log(`🗂️  MEV indexer: following ${indexedChains} chain(s)`);
 });
@@ -0,0 +1,98 @@
+import { withProvider } from './provider-manager.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+
+/**
+ * Block Timing
+ * Measures each chain's block time from recent header timestamps. On
+ * proof-of-stake Ethereum blocks land on fixed slots, so the measured time
+ * also gives the share of slots whose proposer missed them.
+ */
+
+const SAMPLE_BLOCKS = 50;
+const MEASUREMENT_TTL = 60 * 1000; // block times drift slowly
+
+// chain key -> { data, expiresAt }
+const timingCache = new Map();
+
+/**
+ * Measure a chain's block timing from recent headers
+ * @param {string} chainKey - Chain key
+ * @returns {Promise<object>} {
+ *   chain, blockTime, slots, missedSlotRate, latestBlock, latestTimestamp,
+ *   sampleSize, source: 'headers'
+ * }
+ */
+export async function getBlockTiming(chainKey = DEFAULT_CHAIN) {
+  const chain = getChain(chainKey);
+
+  const cached = timingCache.get(chain.key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+
+  const [latest, earlier] = await withProvider(async (provider) => {
+    const head = await provider.getBlock('latest');
+    return [head, await provider.getBlock(Math.max(head.number - SAMPLE_BLOCKS, 0))];
+  }, chain.key);
+
+  const sampleSize = latest.number - earlier.number;
+  const blockTime = sampleSize > 0
+    ? (latest.timestamp - earlier.timestamp) / sampleSize
+    : chain.blockTime;
+
+  const data = buildBlockTiming(chain, {
+    blockTime,
+    latestBlock: latest.number,
+    latestTimestamp: latest.timestamp,
+    sampleSize,
+    source: 'headers'
+  });
+
+  timingCache.set(chain.key, { data, expiresAt: Date.now() + MEASUREMENT_TTL });
+  return data;
+}
+
+/**
+ * Block timing from the chain registry, for offline and fallback data
+ */
+export function getNominalBlockTiming(chainKey = DEFAULT_CHAIN) {
+  const chain = getChain(chainKey);
+
+  return buildBlockTiming(chain, {
+    blockTime: chain.blockTime,
+    latestBlock: null,
+    latestTimestamp: null,
+    sampleSize: 0,
+    source: 'chain-config'
+  });
+}
+
+/**
+ * Measure block timing, falling back to the registry's nominal block time
+ */
+export async function getBlockTimingOrNominal(chainKey = DEFAULT_CHAIN) {
+  try {
+    return await getBlockTiming(chainKey);
+  } catch (error) {
+    console.warn(`⚠️  Could not measure block time on ${chainKey}:`, error.message);
+    return getNominalBlockTiming(chainKey);
+  }
+}
+
+function buildBlockTiming(chain, measurement) {
+  // Every missed slot stretches the average gap between blocks
+  const missedSlotRate = chain.slots
+    ? Math.min(Math.max(1 - chain.slots.slotTime / measurement.blockTime, 0), 1)
+    : 0;
+
+  return {
+    chain: chain.key,
+    blockTime: parseFloat(measurement.blockTime.toFixed(3)),
+    slots: chain.slots,
+    missedSlotRate: parseFloat(missedSlotRate.toFixed(3)),
+    latestBlock: measurement.latestBlock,
+    latestTimestamp: measurement.latestTimestamp,
+    sampleSize: measurement.sampleSize,
+    source: measurement.source
+  };
+}
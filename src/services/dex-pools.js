@@ -1,64 +1,119 @@
 import { ethers } from 'ethers';
 import fetch from 'node-fetch';
+import { getChainTokens, getTokenAddress, normalizeToken } from '../utils/tokens.js';
+import { V2_FEE, createConstantProductPool, getPriceImpact } from '../utils/amm.js';
+import { MAX_TICK, MIN_TICK, V3_FEE_TIERS, createConcentratedLiquidityPool } from '../utils/amm-v3.js';
+import { createStableSwapPool } from '../utils/amm-curve.js';
+import { createWeightedPool } from '../utils/amm-balancer.js';
+import { DEFAULT_CHAIN, getChain, getDexDeployment } from '../utils/chains.js';
+import { getProvider } from './provider-manager.js';
+import { getLivePoolData } from './pool-state.js';
 
 /**
  * DEX Pool Data Integration
  * Fetches real liquidity and price data from decentralized exchanges
+ * Factory and token addresses come from the per-chain registry (utils/chains.js)
  */
 
-// Uniswap V2 Factory and Router addresses
-const UNISWAP_V2_FACTORY = '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f';
-const UNISWAP_V2_ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
-const SUSHISWAP_FACTORY = '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac';
-const SUSHISWAP_ROUTER = '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F';
-
-// Token addresses (mainnet)
-const TOKEN_ADDRESSES = {
-  'WETH': '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-  'USDC': '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-  'USDT': '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-  'DAI': '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-  'WBTC': '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'
-};
-
-// Normalize token symbols
-function normalizeToken(token) {
-  const upperToken = token.toUpperCase();
-  if (upperToken === 'ETH') return 'WETH';
-  return upperToken;
-}
+// Tick bitmap words read on each side of a V3 pool's current tick (V3_TICK_WORDS)
+const DEFAULT_V3_TICK_WORDS = 2;
+
+// Initialized ticks loaded per V3 pool, nearest the current tick first
+const MAX_V3_TICKS = 200;
+
+// Multicall3 has the same address on every supported chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)'
+];
+const MULTICALL_BATCH_SIZE = 100; // calls per eth_call
+
+const V3_FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)'
+];
+
+const V3_POOL_ABI = [
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() external view returns (uint128)',
+  'function tickSpacing() external view returns (int24)',
+  'function token0() external view returns (address)',
+  'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+  'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)'
+];
+
+// Immutables shared by V2 pairs and V3 pools
+const POOL_IDENTITY_ABI = [
+  'function factory() external view returns (address)',
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function fee() external view returns (uint24)'
+];
+
+// `${chain}:${pool}` -> identity promise; pool immutables never change
+const poolIdentityCache = new Map();
+
+const CURVE_META_REGISTRY_ABI = [
+  'function find_pool_for_coins(address _from, address _to) external view returns (address)',
+  'function get_coin_indices(address _pool, address _from, address _to) external view returns (int128, int128, bool)',
+  'function get_n_coins(address _pool) external view returns (uint256)',
+  'function get_balances(address _pool) external view returns (uint256[8])',
+  'function get_decimals(address _pool) external view returns (uint256[8])'
+];
+
+const CURVE_POOL_ABI = [
+  'function A() external view returns (uint256)',
+  'function fee() external view returns (uint256)',
+  'function gamma() external view returns (uint256)'
+];
+
+const CURVE_FEE_DENOMINATOR = 1e10;
+
+const BALANCER_API_URL = 'https://api-v3.balancer.fi/';
+
+const BALANCER_VAULT_ABI = [
+  'function getPoolTokens(bytes32 poolId) external view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+];
+
+const BALANCER_WEIGHTED_POOL_ABI = [
+  'function getNormalizedWeights() external view returns (uint256[])',
+  'function getSwapFeePercentage() external view returns (uint256)'
+];
 
 /**
  * Get pool data for a token pair on a specific DEX
+ * @param {string} chain - Chain key (defaults to Ethereum)
  */
-export async function getPoolData(tokenIn, tokenOut, dex = 'uniswap-v2') {
-  const normalizedIn = normalizeToken(tokenIn);
-  const normalizedOut = normalizeToken(tokenOut);
+export async function getPoolData(tokenIn, tokenOut, dex = 'uniswap-v2', chain = DEFAULT_CHAIN) {
+  const normalizedIn = normalizeToken(tokenIn, chain);
+  const normalizedOut = normalizeToken(tokenOut, chain);
 
-  console.log(`🏊 Fetching pool data for ${normalizedIn}/${normalizedOut} on ${dex}`);
+  console.log(`🏊 Fetching pool data for ${normalizedIn}/${normalizedOut} on ${dex} (${chain})`);
 
   try {
-    // Try multiple methods
-    let poolData;
-
-    // Method 1: Use The Graph (best for accurate data)
-    poolData = await getPoolDataFromGraph(normalizedIn, normalizedOut, dex);
+    // Watched pools are kept current from their logs
+    let poolData = getLivePoolData(normalizedIn, normalizedOut, dex, chain);
     if (poolData) return poolData;
 
+    // Method 1: Use The Graph (best for accurate data; mainnet subgraphs only)
+    if (chain === DEFAULT_CHAIN) {
+      poolData = await getPoolDataFromGraph(normalizedIn, normalizedOut, dex);
+      if (poolData) return poolData;
+    }
+
     // Method 2: Direct on-chain query
-    poolData = await getPoolDataOnChain(normalizedIn, normalizedOut, dex);
+    poolData = await getPoolDataOnChain(normalizedIn, normalizedOut, dex, chain);
     if (poolData) return poolData;
 
     // Method 3: Use public APIs
-    poolData = await getPoolDataFromAPI(normalizedIn, normalizedOut, dex);
+    poolData = await getPoolDataFromAPI(normalizedIn, normalizedOut, dex, chain);
     if (poolData) return poolData;
 
     // Fallback to estimated data
-    return getEstimatedPoolData(normalizedIn, normalizedOut, dex);
+    return getEstimatedPoolData(normalizedIn, normalizedOut, dex, chain);
 
   } catch (error) {
     console.error('❌ Pool data fetch failed:', error.message);
-    return getEstimatedPoolData(normalizedIn, normalizedOut, dex);
+    return getEstimatedPoolData(normalizedIn, normalizedOut, dex, chain);
   }
 }
 
@@ -66,17 +121,17 @@ export async function getPoolData(tokenIn, tokenOut, dex = 'uniswap-v2') {
  * Get pool data from The Graph protocol
  */
 async function getPoolDataFromGraph(tokenIn, tokenOut, dex) {
+  // V3 swaps need tick data, which only the on-chain reader provides
   const graphEndpoints = {
     'uniswap-v2': 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v2',
-    'uniswap-v3': 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v3',
     'sushiswap': 'https://api.thegraph.com/subgraphs/name/sushiswap/exchange'
   };
 
   const endpoint = graphEndpoints[dex];
   if (!endpoint) return null;
 
-  const token0Address = TOKEN_ADDRESSES[tokenIn];
-  const token1Address = TOKEN_ADDRESSES[tokenOut];
+  const token0Address = getTokenAddress(tokenIn);
+  const token1Address = getTokenAddress(tokenOut);
 
   if (!token0Address || !token1Address) {
     console.warn(`⚠️  Unknown token address for ${tokenIn} or ${tokenOut}`);
@@ -147,6 +202,7 @@ async function getPoolDataFromGraph(tokenIn, tokenOut, dex) {
       token0Price: parseFloat(pair.token0Price),
       token1Price: parseFloat(pair.token1Price),
       liquidity: parseFloat(pair.reserveUSD),
+      fee: V2_FEE,
       dataSource: 'the-graph',
       timestamp: Math.floor(Date.now() / 1000)
     };
@@ -159,18 +215,35 @@ async function getPoolDataFromGraph(tokenIn, tokenOut, dex) {
 
 /**
  * Get pool data directly from blockchain
+ * Also takes the snapshots services/pool-state.js keeps current.
  */
-async function getPoolDataOnChain(tokenIn, tokenOut, dex) {
+export async function getPoolDataOnChain(tokenIn, tokenOut, dex, chain) {
   try {
-    const provider = await getProvider();
+    if (dex === 'uniswap-v3') {
+      return await getV3PoolDataOnChain(tokenIn, tokenOut, chain);
+    }
+    if (dex === 'curve') {
+      return await getCurvePoolDataOnChain(tokenIn, tokenOut, chain);
+    }
+    if (dex === 'balancer') {
+      return await getBalancerPoolDataOnChain(tokenIn, tokenOut, chain);
+    }
 
-    const factoryAddress = dex === 'sushiswap' ? SUSHISWAP_FACTORY : UNISWAP_V2_FACTORY;
+    // V2-style getPair lookup
+    const deployment = getDexDeployment(chain, dex === 'sushiswap' ? 'sushiswap' : 'uniswap-v2');
+    if (!deployment) {
+      console.warn(`⚠️  ${dex} is not deployed on ${chain}`);
+      return null;
+    }
 
-    const token0Address = TOKEN_ADDRESSES[tokenIn];
-    const token1Address = TOKEN_ADDRESSES[tokenOut];
+    const token0Address = getTokenAddress(tokenIn, chain);
+    const token1Address = getTokenAddress(tokenOut, chain);
 
     if (!token0Address || !token1Address) return null;
 
+    const provider = await getProvider(chain);
+    const factoryAddress = deployment.factory;
+
     // Factory ABI (simplified)
     const factoryABI = [
       'function getPair(address tokenA, address tokenB) external view returns (address pair)'
@@ -193,29 +266,33 @@ async function getPoolDataOnChain(tokenIn, tokenOut, dex) {
     ];
 
     const pair = new ethers.Contract(pairAddress, pairABI, provider);
-    const [reserves, token0, token1, totalSupply] = await Promise.all([
+    const [reserves, token0, totalSupply] = await Promise.all([
       pair.getReserves(),
       pair.token0(),
-      pair.token1(),
       pair.totalSupply()
     ]);
 
-    const reserve0 = ethers.formatUnits(reserves.reserve0, 18);
-    const reserve1 = ethers.formatUnits(reserves.reserve1, 18);
-
-    // Estimate USD value (simplified - would need price oracle in production)
-    const estimatedUSD = parseFloat(reserve0) * 1000; // Placeholder
+    // Pairs sort their tokens by address
+    const tokens = getChainTokens(chain);
+    const inIsToken0 = token0.toLowerCase() === token0Address.toLowerCase();
+    const reserveIn = inIsToken0 ? reserves.reserve0 : reserves.reserve1;
+    const reserveOut = inIsToken0 ? reserves.reserve1 : reserves.reserve0;
+    const reserve0 = ethers.formatUnits(reserveIn, tokens[tokenIn].decimals);
+    const reserve1 = ethers.formatUnits(reserveOut, tokens[tokenOut].decimals);
 
     return {
       pairAddress,
       dex,
+      chain,
       token0: tokenIn,
       token1: tokenOut,
       reserve0: parseFloat(reserve0),
       reserve1: parseFloat(reserve1),
-      reserveUSD: estimatedUSD,
       totalSupply: ethers.formatUnits(totalSupply, 18),
-      liquidity: estimatedUSD,
+      // Priced in USD by withLiquidityUsd (services/pricing.js)
+      reserveUSD: null,
+      liquidity: null,
+      fee: V2_FEE,
       dataSource: 'on-chain',
       timestamp: Math.floor(Date.now() / 1000)
     };
@@ -226,13 +303,343 @@ async function getPoolDataOnChain(tokenIn, tokenOut, dex) {
   }
 }
 
+/**
+ * Get Uniswap V3 pool state directly from blockchain
+ * Reads the deepest fee tier's slot0, active liquidity and the initialized
+ * ticks within V3_TICK_WORDS bitmap words of the current tick.
+ */
+async function getV3PoolDataOnChain(tokenIn, tokenOut, chain) {
+  const deployment = getDexDeployment(chain, 'uniswap-v3');
+  if (!deployment) {
+    console.warn(`⚠️  uniswap-v3 is not deployed on ${chain}`);
+    return null;
+  }
+
+  const tokens = getChainTokens(chain);
+  if (!tokens[tokenIn] || !tokens[tokenOut]) return null;
+
+  const provider = await getProvider(chain);
+  const factory = new ethers.Contract(deployment.factory, V3_FACTORY_ABI, provider);
+
+  // One pool per fee tier - trade against the one with the most active liquidity
+  const tierPools = await Promise.all(V3_FEE_TIERS.map(async (feeTier) => {
+    const address = await factory.getPool(tokens[tokenIn].address, tokens[tokenOut].address, feeTier);
+    if (address === ethers.ZeroAddress) return null;
+
+    const pool = new ethers.Contract(address, V3_POOL_ABI, provider);
+    return { address, feeTier, pool, liquidity: await pool.liquidity() };
+  }));
+
+  const best = tierPools
+    .filter(Boolean)
+    .reduce((a, b) => (!a || b.liquidity > a.liquidity ? b : a), null);
+
+  if (!best) {
+    console.warn(`⚠️  No pool exists for ${tokenIn}/${tokenOut} on uniswap-v3`);
+    return null;
+  }
+
+  const [slot0, tickSpacing, token0] = await Promise.all([
+    best.pool.slot0(),
+    best.pool.tickSpacing(),
+    best.pool.token0()
+  ]);
+
+  const tick = Number(slot0.tick);
+  const { ticks, minTick, maxTick } = await getInitializedTicks(best.pool, tick, Number(tickSpacing));
+
+  // Pools sort their tokens by address
+  const inIsToken0 = token0.toLowerCase() === tokens[tokenIn].address.toLowerCase();
+  const [symbol0, symbol1] = inIsToken0 ? [tokenIn, tokenOut] : [tokenOut, tokenIn];
+  const sqrtPrice = Number(slot0.sqrtPriceX96) / 2 ** 96;
+  const liquidity = Number(best.liquidity);
+
+  // Virtual reserves of the active range, for liquidity checks
+  const virtual0 = liquidity / sqrtPrice / 10 ** tokens[symbol0].decimals;
+  const virtual1 = liquidity * sqrtPrice / 10 ** tokens[symbol1].decimals;
+  const [reserve0, reserve1] = inIsToken0 ? [virtual0, virtual1] : [virtual1, virtual0];
+
+  console.log(`🦄 V3 ${tokenIn}/${tokenOut} ${best.feeTier / 10000}% pool: ${ticks.length} initialized ticks loaded`);
+
+  return {
+    pairAddress: best.address,
+    dex: 'uniswap-v3',
+    chain,
+    token0: tokenIn,
+    token1: tokenOut,
+    reserve0,
+    reserve1,
+    // Priced in USD by withLiquidityUsd (services/pricing.js)
+    reserveUSD: null,
+    liquidity: null,
+    fee: best.feeTier / 1e6,
+    concentratedLiquidity: {
+      token0: symbol0,
+      decimals0: tokens[symbol0].decimals,
+      decimals1: tokens[symbol1].decimals,
+      sqrtPrice,
+      tick,
+      liquidity,
+      tickSpacing: Number(tickSpacing),
+      ticks,
+      minTick,
+      maxTick
+    },
+    dataSource: 'on-chain',
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Read the initialized ticks around the current tick from a V3 pool's bitmap
+ * Each bitmap word covers 256 tick spacings. Bitmaps and ticks are read
+ * through Multicall3; past MAX_V3_TICKS only the nearest ticks are loaded
+ * and the known range ends at the first tick left out.
+ */
+async function getInitializedTicks(pool, currentTick, tickSpacing) {
+  const tickWords = parseInt(process.env.V3_TICK_WORDS) || DEFAULT_V3_TICK_WORDS;
+  const currentWord = Math.floor(currentTick / tickSpacing) >> 8;
+  const wordPositions = [];
+  for (let word = currentWord - tickWords; word <= currentWord + tickWords; word++) {
+    wordPositions.push(word);
+  }
+
+  const bitmaps = await multicallView(pool, 'tickBitmap', wordPositions.map(word => [word]));
+
+  const initialized = [];
+  bitmaps.forEach(([bitmap], i) => {
+    for (let bit = 0; bit < 256; bit++) {
+      if ((bitmap >> BigInt(bit)) & 1n) {
+        initialized.push(((wordPositions[i] << 8) + bit) * tickSpacing);
+      }
+    }
+  });
+
+  let minTick = Math.max((wordPositions[0] << 8) * tickSpacing, MIN_TICK);
+  let maxTick = Math.min(((currentWord + tickWords + 1) << 8) * tickSpacing - tickSpacing, MAX_TICK);
+
+  const nearest = [...initialized]
+    .sort((a, b) => Math.abs(a - currentTick) - Math.abs(b - currentTick))
+    .slice(0, MAX_V3_TICKS)
+    .sort((a, b) => a - b);
+
+  const loaded = new Set(nearest);
+  for (const tick of initialized.filter(tick => !loaded.has(tick))) {
+    if (tick <= currentTick) minTick = Math.max(minTick, tick);
+    else maxTick = Math.min(maxTick, tick);
+  }
+
+  const tickData = await multicallView(pool, 'ticks', nearest.map(tick => [tick]));
+
+  return {
+    ticks: nearest.map((tick, i) => ({ tick, liquidityNet: Number(tickData[i].liquidityNet) })),
+    minTick,
+    maxTick
+  };
+}
+
+/**
+ * Call one view function of a contract once per argument list, batched
+ * through Multicall3 (one eth_call per MULTICALL_BATCH_SIZE calls)
+ * @returns {Promise<Array>} Decoded results in argument order
+ */
+async function multicallView(contract, method, argsList) {
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, contract.runner);
+  const target = await contract.getAddress();
+  const results = [];
+
+  for (let i = 0; i < argsList.length; i += MULTICALL_BATCH_SIZE) {
+    const calls = argsList.slice(i, i + MULTICALL_BATCH_SIZE).map(args => ({
+      target,
+      allowFailure: false,
+      callData: contract.interface.encodeFunctionData(method, args)
+    }));
+
+    const responses = await multicall.aggregate3.staticCall(calls);
+    results.push(...responses.map(({ returnData }) => contract.interface.decodeFunctionResult(method, returnData)));
+  }
+
+  return results;
+}
+
+/**
+ * Get Curve StableSwap pool state directly from blockchain
+ * Finds the pool through the MetaRegistry and reads A, fee and all balances
+ * (the invariant depends on every coin). Cryptoswap pools use a different
+ * invariant and are skipped.
+ */
+async function getCurvePoolDataOnChain(tokenIn, tokenOut, chain) {
+  const deployment = getDexDeployment(chain, 'curve');
+  if (!deployment) {
+    console.warn(`⚠️  curve is not deployed on ${chain}`);
+    return null;
+  }
+
+  const tokens = getChainTokens(chain);
+  if (!tokens[tokenIn] || !tokens[tokenOut]) return null;
+
+  const provider = await getProvider(chain);
+  const registry = new ethers.Contract(deployment.metaRegistry, CURVE_META_REGISTRY_ABI, provider);
+
+  const poolAddress = await registry.find_pool_for_coins(tokens[tokenIn].address, tokens[tokenOut].address);
+  if (poolAddress === ethers.ZeroAddress) {
+    console.warn(`⚠️  No pool exists for ${tokenIn}/${tokenOut} on curve`);
+    return null;
+  }
+
+  const pool = new ethers.Contract(poolAddress, CURVE_POOL_ABI, provider);
+  const isCryptoswap = await pool.gamma().then(() => true, () => false);
+  if (isCryptoswap) {
+    console.warn(`⚠️  Curve pool ${poolAddress} for ${tokenIn}/${tokenOut} is a cryptoswap pool, not StableSwap`);
+    return null;
+  }
+
+  const [[i, j, isUnderlying], nCoins, rawBalances, decimals, amp, fee] = await Promise.all([
+    registry.get_coin_indices(poolAddress, tokens[tokenIn].address, tokens[tokenOut].address),
+    registry.get_n_coins(poolAddress),
+    registry.get_balances(poolAddress),
+    registry.get_decimals(poolAddress),
+    pool.A(),
+    pool.fee()
+  ]);
+
+  // Metapool swaps into underlying coins route through the base pool
+  if (isUnderlying) {
+    console.warn(`⚠️  Curve ${tokenIn}/${tokenOut} trades through a metapool's underlying coins`);
+    return null;
+  }
+
+  const balances = rawBalances
+    .slice(0, Number(nCoins))
+    .map((balance, k) => parseFloat(ethers.formatUnits(balance, Number(decimals[k]))));
+
+  const reserve0 = balances[Number(i)];
+  const reserve1 = balances[Number(j)];
+
+  return {
+    pairAddress: poolAddress,
+    dex: 'curve',
+    chain,
+    token0: tokenIn,
+    token1: tokenOut,
+    reserve0,
+    reserve1,
+    // Priced in USD by withLiquidityUsd (services/pricing.js)
+    reserveUSD: null,
+    liquidity: null,
+    fee: Number(fee) / CURVE_FEE_DENOMINATOR,
+    stableSwap: {
+      amp: Number(amp),
+      balances,
+      indices: { [tokenIn]: Number(i), [tokenOut]: Number(j) }
+    },
+    dataSource: 'on-chain',
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Get Balancer weighted pool state
+ * The Vault has no lookup by token pair, so the deepest weighted pool holding
+ * both tokens comes from the Balancer API; balances, weights and the swap fee
+ * are then read on-chain.
+ */
+async function getBalancerPoolDataOnChain(tokenIn, tokenOut, chain) {
+  const deployment = getDexDeployment(chain, 'balancer');
+  if (!deployment) {
+    console.warn(`⚠️  balancer is not deployed on ${chain}`);
+    return null;
+  }
+
+  const tokens = getChainTokens(chain);
+  if (!tokens[tokenIn] || !tokens[tokenOut]) return null;
+
+  const addressIn = tokens[tokenIn].address.toLowerCase();
+  const addressOut = tokens[tokenOut].address.toLowerCase();
+
+  const query = `
+    {
+      poolGetPools(
+        where: { chainIn: [${deployment.apiChain}], poolTypeIn: [WEIGHTED], tokensIn: ["${addressIn}", "${addressOut}"] }
+        orderBy: totalLiquidity
+        orderDirection: desc
+        first: 20
+      ) {
+        id
+        address
+        poolTokens {
+          address
+        }
+      }
+    }
+  `;
+
+  const response = await fetch(BALANCER_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query })
+  });
+  if (!response.ok) throw new Error(`Balancer API returned ${response.status}`);
+
+  const data = await response.json();
+
+  // tokensIn matches pools holding either token
+  const match = data.data?.poolGetPools?.find(pool => {
+    const addresses = pool.poolTokens.map(token => token.address.toLowerCase());
+    return addresses.includes(addressIn) && addresses.includes(addressOut);
+  });
+
+  if (!match) {
+    console.warn(`⚠️  No pool exists for ${tokenIn}/${tokenOut} on balancer`);
+    return null;
+  }
+
+  const provider = await getProvider(chain);
+  const vault = new ethers.Contract(deployment.vault, BALANCER_VAULT_ABI, provider);
+  const pool = new ethers.Contract(match.address, BALANCER_WEIGHTED_POOL_ABI, provider);
+
+  const [poolTokens, weights, swapFee] = await Promise.all([
+    vault.getPoolTokens(match.id),
+    pool.getNormalizedWeights(),
+    pool.getSwapFeePercentage()
+  ]);
+
+  // Only the two traded tokens enter the weighted-pool swap math
+  const indexOf = (address) => poolTokens.tokens.findIndex(token => token.toLowerCase() === address);
+  const [i, j] = [indexOf(addressIn), indexOf(addressOut)];
+
+  const reserve0 = parseFloat(ethers.formatUnits(poolTokens.balances[i], tokens[tokenIn].decimals));
+  const reserve1 = parseFloat(ethers.formatUnits(poolTokens.balances[j], tokens[tokenOut].decimals));
+
+  return {
+    pairAddress: match.address,
+    poolId: match.id,
+    dex: 'balancer',
+    chain,
+    token0: tokenIn,
+    token1: tokenOut,
+    reserve0,
+    reserve1,
+    // Priced in USD by withLiquidityUsd (services/pricing.js)
+    reserveUSD: null,
+    liquidity: null,
+    fee: parseFloat(ethers.formatUnits(swapFee, 18)),
+    weighted: {
+      weight0: parseFloat(ethers.formatUnits(weights[i], 18)),
+      weight1: parseFloat(ethers.formatUnits(weights[j], 18))
+    },
+    dataSource: 'on-chain',
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
 /**
  * Get pool data from public APIs (CoinGecko, 1inch, etc.)
  */
-async function getPoolDataFromAPI(tokenIn, tokenOut, dex) {
+async function getPoolDataFromAPI(tokenIn, tokenOut, dex, chain) {
   // Try 1inch API for liquidity data
   try {
-    const chainId = 1; // Ethereum mainnet
+    const chainId = getChain(chain).id;
     const response = await fetch(
       `https://api.1inch.dev/swap/v5.2/${chainId}/quote?src=${tokenIn}&dst=${tokenOut}&amount=1000000000000000000`,
       {
@@ -248,6 +655,7 @@ async function getPoolDataFromAPI(tokenIn, tokenOut, dex) {
 
     return {
       dex: 'aggregated',
+      chain,
       token0: tokenIn,
       token1: tokenOut,
       estimatedPrice: data.toTokenAmount / data.fromTokenAmount,
@@ -265,7 +673,7 @@ async function getPoolDataFromAPI(tokenIn, tokenOut, dex) {
 /**
  * Get estimated pool data (fallback)
  */
-function getEstimatedPoolData(tokenIn, tokenOut, dex) {
+function getEstimatedPoolData(tokenIn, tokenOut, dex, chain = DEFAULT_CHAIN) {
   // Common pairs have higher liquidity estimates
   const commonPairs = ['USDC/ETH', 'ETH/USDC', 'USDT/ETH', 'DAI/ETH', 'WBTC/ETH'];
   const pairKey = `${tokenIn}/${tokenOut}`;
@@ -274,6 +682,7 @@ function getEstimatedPoolData(tokenIn, tokenOut, dex) {
 
   return {
     dex,
+    chain,
     token0: tokenIn,
     token1: tokenOut,
     reserve0: isCommon ? 1000000 : 10000, // Estimated reserves
@@ -281,34 +690,146 @@ function getEstimatedPoolData(tokenIn, tokenOut, dex) {
     reserveUSD: isCommon ? 2000000 : 20000, // $2M or $20K
     liquidity: isCommon ? 2000000 : 20000,
     volumeUSD: isCommon ? 500000 : 5000, // Daily volume estimate
+    fee: V2_FEE,
     isEstimated: true,
     dataSource: 'estimated',
     timestamp: Math.floor(Date.now() / 1000)
   };
 }
 
+/**
+ * Identify a V2 pair or V3 pool by address
+ * The venue comes from the pool's factory, so pools deployed by unknown
+ * factories (including contracts that merely emit Uniswap-style events) have
+ * no dex.
+ * @param {string} address - Pool address
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<object|null>} { address, dex, protocol, token0, token1, fee } with lowercase
+ *   addresses, or null when the contract isn't a pool
+ */
+export function getPoolByAddress(address, chain = DEFAULT_CHAIN) {
+  const chainKey = getChain(chain).key;
+  const cacheKey = `${chainKey}:${address.toLowerCase()}`;
+
+  if (!poolIdentityCache.has(cacheKey)) {
+    const identity = readPoolIdentity(address.toLowerCase(), chainKey);
+    poolIdentityCache.set(cacheKey, identity);
+    // Don't keep RPC failures; a contract that isn't a pool stays null
+    identity.catch(() => poolIdentityCache.delete(cacheKey));
+  }
+
+  return poolIdentityCache.get(cacheKey);
+}
+
+async function readPoolIdentity(address, chain) {
+  const provider = await getProvider(chain);
+  const pool = new ethers.Contract(address, POOL_IDENTITY_ABI, provider);
+
+  // A revert (or an empty return) means the contract lacks the method
+  const optional = (call) => call.catch(error => {
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') return null;
+    throw error;
+  });
+
+  const [factory, token0, token1, v3Fee] = await Promise.all([
+    optional(pool.factory()),
+    optional(pool.token0()),
+    optional(pool.token1()),
+    // Only V3 pools have fee()
+    optional(pool.fee())
+  ]);
+  if (!factory || !token0 || !token1) return null;
+
+  const dexEntry = Object.entries(getChain(chain).dexes)
+    .find(([, deployment]) => deployment.factory?.toLowerCase() === factory.toLowerCase());
+  const dex = dexEntry?.[0] || null;
+  const fee = v3Fee !== null ? Number(v3Fee) : null;
+
+  return {
+    address,
+    dex,
+    protocol: fee !== null ? 'v3' : 'v2',
+    token0: token0.toLowerCase(),
+    token1: token1.toLowerCase(),
+    fee: fee !== null ? fee / 1e6 : V2_FEE
+  };
+}
+
+/**
+ * Build a swap model for a pool, oriented to a trade direction
+ * V3 pools with tick data, Curve StableSwap and Balancer weighted pools get
+ * their own invariant; everything else is treated as constant product on its
+ * reserves.
+ * @param {object} poolData - Pool data from getPoolData
+ * @param {string} tokenIn - Symbol of the token being sold
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {object|null} Pool model (see utils/amm.js), or null without reserves (e.g. API quotes)
+ */
+export function getPoolModel(poolData, tokenIn, chain = DEFAULT_CHAIN) {
+  const normalizedIn = normalizeToken(tokenIn, chain);
+  const v3 = poolData.concentratedLiquidity;
+
+  if (v3) {
+    const zeroForOne = v3.token0 === normalizedIn;
+    return createConcentratedLiquidityPool({
+      sqrtPrice: v3.sqrtPrice,
+      tick: v3.tick,
+      liquidity: v3.liquidity,
+      ticks: v3.ticks,
+      minTick: v3.minTick,
+      maxTick: v3.maxTick,
+      fee: poolData.fee,
+      zeroForOne,
+      decimalsIn: zeroForOne ? v3.decimals0 : v3.decimals1,
+      decimalsOut: zeroForOne ? v3.decimals1 : v3.decimals0
+    });
+  }
+
+  if (poolData.stableSwap) {
+    const { amp, balances, indices } = poolData.stableSwap;
+    const i = indices[normalizedIn];
+    const j = Object.values(indices).find(index => index !== i);
+    return createStableSwapPool({ balances, amp, fee: poolData.fee, i, j });
+  }
+
+  const { reserve0, reserve1, token0 } = poolData;
+  if (!(reserve0 > 0) || !(reserve1 > 0)) return null;
+
+  const inIsToken0 = normalizeToken(token0, chain) === normalizedIn;
+
+  if (poolData.weighted) {
+    const { weight0, weight1 } = poolData.weighted;
+    return createWeightedPool({
+      balances: inIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0],
+      weights: inIsToken0 ? [weight0, weight1] : [weight1, weight0],
+      fee: poolData.fee,
+      i: 0,
+      j: 1
+    });
+  }
+
+  return createConstantProductPool({
+    reserveIn: inIsToken0 ? reserve0 : reserve1,
+    reserveOut: inIsToken0 ? reserve1 : reserve0,
+    fee: poolData.fee ?? V2_FEE
+  });
+}
+
 /**
  * Calculate price impact for a trade
  */
 export function calculatePriceImpact(poolData, tradeAmount, tokenIn) {
   try {
-    const { reserve0, reserve1, token0, token1 } = poolData;
+    const pool = getPoolModel(poolData, tokenIn, poolData.chain);
+    if (!pool) throw new Error(`no reserve data from ${poolData.dataSource}`);
 
-    // Determine which reserve to use
-    const reserveIn = token0 === tokenIn ? reserve0 : reserve1;
-    const reserveOut = token0 === tokenIn ? reserve1 : reserve0;
-
-    // Constant product formula: x * y = k
     const amountIn = parseFloat(tradeAmount);
 
-    // Amount after 0.3% fee
-    const amountInWithFee = amountIn * 0.997;
-
     // Calculate output amount
-    const amountOut = (reserveOut * amountInWithFee) / (reserveIn + amountInWithFee);
+    const amountOut = pool.swap(amountIn).amountOut;
 
     // Calculate price impact
-    const priceImpact = (amountIn / reserveIn) * 100;
+    const priceImpact = getPriceImpact(pool, amountIn, amountOut);
 
     return {
       priceImpact: priceImpact.toFixed(4),
@@ -342,24 +863,6 @@ export function hassufficientLiquidity(poolData, tradeAmountUSD) {
   return tradeAmountUSD < poolData.reserveUSD / minLiquidityRatio;
 }
 
-/**
- * Get provider
- */
-async function getProvider() {
-  const infuraKey = process.env.INFURA_PROJECT_ID;
-  const alchemyKey = process.env.ALCHEMY_API_KEY;
-
-  if (alchemyKey) {
-    return new ethers.JsonRpcProvider(`https://eth-mainnet.g.alchemy.com/v2/${alchemyKey}`);
-  }
-
-  if (infuraKey) {
-    return new ethers.JsonRpcProvider(`https://mainnet.infura.io/v3/${infuraKey}`);
-  }
-
-  return new ethers.JsonRpcProvider('https://eth.llamarpc.com');
-}
-
 /**
  * Get real-time token prices from multiple sources
  */
@@ -400,11 +903,11 @@ export async function getTokenPrices(tokens) {
 /**
  * Get aggregated liquidity across multiple DEXs
  */
-export async function getAggregatedLiquidity(tokenIn, tokenOut) {
-  const dexes = ['uniswap-v2', 'uniswap-v3', 'sushiswap'];
+export async function getAggregatedLiquidity(tokenIn, tokenOut, chain = DEFAULT_CHAIN) {
+  const dexes = Object.keys(getChain(chain).dexes);
 
   const poolDataPromises = dexes.map(dex =>
-    getPoolData(tokenIn, tokenOut, dex).catch(() => null)
+    getPoolData(tokenIn, tokenOut, dex, chain).catch(() => null)
   );
 
   const pools = await Promise.all(poolDataPromises);
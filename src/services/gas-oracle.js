@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+import { withProvider } from './provider-manager.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { estimateInclusionProbability, findTipForInclusion } from '../utils/gas.js';
+
+/**
+ * Fee History Gas Oracle
+ * Builds gas percentiles from the priority fees blocks actually paid
+ * (`eth_feeHistory` reward percentiles) and the next block's base fee, and
+ * estimates inclusion probability for a given tip.
+ */
+
+export const REWARD_PERCENTILES = [10, 25, 50, 75, 90];
+
+const DEFAULT_BLOCK_COUNT = 20;
+
+// Inclusion targets behind the slow / standard / fast estimates
+const ESTIMATE_TARGETS = {
+  slow: { probability: 0.9, blocks: 3 },
+  standard: { probability: 0.9, blocks: 1 },
+  fast: { probability: 0.99, blocks: 1 }
+};
+
+// `${chain}:${blockCount}` -> { data, expiresAt }
+const feeHistoryCache = new Map();
+
+/**
+ * Fetch and summarize fee history for recent blocks
+ * Cached for one block time per chain.
+ * @param {string} chainKey - Chain key
+ * @param {number} blockCount - Number of recent blocks to sample (default GAS_ORACLE_BLOCKS, else 20)
+ * @returns {Promise<object>} {
+ *   chain, oldestBlock, latestBlock, nextBaseFee, rewardPercentiles,
+ *   blocks: [{ number, baseFee, gasUsedRatio, rewards }],
+ *   tipPercentiles: { p10, p25, p50, p75, p90 }, gasPercentiles: { p25, p50, p75, p90 }
+ * } (fees in gwei)
+ */
+export async function getFeeHistory(chainKey = DEFAULT_CHAIN, blockCount = parseInt(process.env.GAS_ORACLE_BLOCKS) || DEFAULT_BLOCK_COUNT) {
+  const chain = getChain(chainKey);
+  const cacheKey = `${chain.key}:${blockCount}`;
+
+  const cached = feeHistoryCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+
+  const raw = await withProvider(
+    provider => provider.send('eth_feeHistory', [ethers.toQuantity(blockCount), 'latest', REWARD_PERCENTILES]),
+    chain.key
+  );
+
+  const data = parseFeeHistory(raw, chain.key);
+  feeHistoryCache.set(cacheKey, { data, expiresAt: Date.now() + chain.blockTime * 1000 });
+
+  return data;
+}
+
+/**
+ * Gas oracle for a chain: fee history percentiles plus slow / standard /
+ * fast tips and their inclusion probabilities
+ * @param {string} chainKey - Chain key
+ * @param {object} options - { tip } to also estimate a specific tip (gwei)
+ */
+export async function getGasOracle(chainKey = DEFAULT_CHAIN, options = {}) {
+  const feeHistory = await getFeeHistory(chainKey);
+  const { nextBaseFee } = feeHistory;
+
+  const describeTip = (tip) => ({
+    maxPriorityFeePerGas: tip,
+    maxFeePerGas: parseFloat((nextBaseFee * 2 + tip).toFixed(2)),
+    inclusionProbability: estimateInclusionProbability(tip, feeHistory)
+  });
+
+  const estimates = Object.fromEntries(
+    Object.entries(ESTIMATE_TARGETS).map(([speed, target]) => [
+      speed,
+      describeTip(findTipForInclusion(feeHistory, target.probability, target.blocks))
+    ])
+  );
+
+  return {
+    chain: feeHistory.chain,
+    latestBlock: feeHistory.latestBlock,
+    blocksSampled: feeHistory.blocks.length,
+    nextBaseFee,
+    tipPercentiles: feeHistory.tipPercentiles,
+    gasPercentiles: feeHistory.gasPercentiles,
+    estimates,
+    tipEstimate: options.tip !== undefined ? describeTip(parseFloat(options.tip)) : null
+  };
+}
+
+/**
+ * Convert an `eth_feeHistory` response to gwei and summarize it
+ */
+function parseFeeHistory(raw, chainKey) {
+  if (!raw?.reward?.length) {
+    throw new Error(`eth_feeHistory returned no reward data on ${chainKey}`);
+  }
+
+  const toGwei = (value) => Number(ethers.formatUnits(value, 'gwei'));
+  const oldestBlock = Number(raw.oldestBlock);
+
+  const blocks = raw.reward.map((rewards, i) => ({
+    number: oldestBlock + i,
+    baseFee: toGwei(raw.baseFeePerGas[i]),
+    gasUsedRatio: raw.gasUsedRatio[i],
+    rewards: rewards.map(toGwei)
+  }));
+
+  // baseFeePerGas carries one extra entry: the block after the newest
+  const nextBaseFee = toGwei(raw.baseFeePerGas[raw.baseFeePerGas.length - 1]);
+
+  // Empty blocks report zero rewards, which says nothing about competition
+  const sampled = blocks.filter(block => block.gasUsedRatio > 0);
+  const tipPercentiles = Object.fromEntries(REWARD_PERCENTILES.map((percentile, i) => [
+    `p${percentile}`,
+    median(sampled.map(block => block.rewards[i]))
+  ]));
+
+  const gasPercentiles = Object.fromEntries(['p25', 'p50', 'p75', 'p90'].map(key => [
+    key,
+    (nextBaseFee + tipPercentiles[key]).toFixed(2)
+  ]));
+
+  return {
+    chain: chainKey,
+    oldestBlock,
+    latestBlock: oldestBlock + blocks.length - 1,
+    nextBaseFee,
+    rewardPercentiles: REWARD_PERCENTILES,
+    blocks,
+    tipPercentiles,
+    gasPercentiles
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -2,6 +2,12 @@ import { ethers } from 'ethers';
 import fetch from 'node-fetch';
 import { getCachedMempoolData, cacheMempoolData } from '../database/queries.js';
 import { getCachedPendingTransactions, getWebSocketStatus, initializeWebSocketMempool } from './websocket-mempool.js';
+import { decodeSwapTransaction, getSwapAmount, getSwapDirection } from '../decoders/index.js';
+import { withProvider } from './provider-manager.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { formatFeeFields, getEffectiveGasPrice, getEffectiveTip, normalizeFees, predictNextBaseFeeFromBlock } from '../utils/fees.js';
+import { getFeeHistory, getGasOracle } from './gas-oracle.js';
+import { getBlockTimingOrNominal, getNominalBlockTiming } from './block-time.js';
 
 /**
  * Enhanced Mempool Service with Real Blockchain Data + WebSocket Streaming
@@ -10,6 +16,14 @@ import { getCachedPendingTransactions, getWebSocketStatus, initializeWebSocketMe
 
 const CACHE_DURATION = 3000; // 3 seconds cache
 
+// Used when no fee history is available
+const FALLBACK_GAS_PERCENTILES = {
+  p25: '20',
+  p50: '35',
+  p75: '50',
+  p90: '80'
+};
+
 // WebSocket initialization state (called explicitly by server)
 let wsInitialized = false;
 
@@ -23,10 +37,12 @@ export function initWebSocketMempoolService() {
   }
 
   console.log('🔍 Checking for WebSocket API keys...');
+  console.log('  MEMPOOL_WS_URL:', process.env.MEMPOOL_WS_URL ? '✅ Found' : '❌ Missing');
+  console.log('  ALCHEMY_API_KEY:', process.env.ALCHEMY_API_KEY ? '✅ Found' : '❌ Missing');
   console.log('  INFURA_PROJECT_ID:', process.env.INFURA_PROJECT_ID ? '✅ Found' : '❌ Missing');
   console.log('  BLOCKNATIVE_API_KEY:', process.env.BLOCKNATIVE_API_KEY ? '✅ Found' : '❌ Missing');
 
-  if (process.env.INFURA_PROJECT_ID || process.env.BLOCKNATIVE_API_KEY) {
+  if (process.env.MEMPOOL_WS_URL || process.env.ALCHEMY_API_KEY || process.env.INFURA_PROJECT_ID || process.env.BLOCKNATIVE_API_KEY) {
     wsInitialized = initializeWebSocketMempool();
     if (wsInitialized) {
       console.log('✅ WebSocket mempool service initialized successfully');
@@ -41,12 +57,18 @@ export function initWebSocketMempoolService() {
 /**
  * Main entry point - fetches real mempool data with fallbacks
  * NOW WITH WEBSOCKET SUPPORT FOR 100% REAL-TIME DATA
+ *
+ * The WebSocket stream and Blocknative only cover Ethereum mainnet; other
+ * chains (userTxDetails.chain) go straight to that chain's RPC endpoints.
  */
 export async function getRealMempoolData(tokenIn, tokenOut, userTxDetails = {}) {
   const tokenPair = `${tokenIn}/${tokenOut}`;
+  const chain = getChain(userTxDetails.chain);
+  const isMainnet = chain.key === DEFAULT_CHAIN;
+  const cacheKey = `${chain.key}:${tokenPair}`;
 
   // Check cache first
-  const cached = getCachedMempoolData(tokenPair);
+  const cached = getCachedMempoolData(cacheKey);
   if (cached) {
     console.log('✅ Using cached mempool data for', tokenPair);
     return cached;
@@ -59,45 +81,45 @@ export async function getRealMempoolData(tokenIn, tokenOut, userTxDetails = {})
 
   // 0. Try WebSocket real-time mempool (NEW - HIGHEST PRIORITY!)
   const wsStatus = getWebSocketStatus();
-  if (wsStatus.isConnected) {
+  if (isMainnet && wsStatus.isConnected) {
     // Try WebSocket cache if:
     // - Has cached transactions with fresh data (< 10s old), OR
     // - No transactions yet but WebSocket is actively listening
     const hasFreshCache = wsStatus.cachedTransactions > 0 && wsStatus.cacheAge < 10000;
-    const isActivelyListening = wsStatus.lastUpdate === 0 || wsStatus.cacheAge < 60000;
+    const isActivelyListening = wsStatus.lastUpdate === 0 || wsStatus.cacheAge < 60000 || wsStatus.source === 'replay';
 
     if (hasFreshCache || isActivelyListening) {
       console.log('📡 Using REAL-TIME WebSocket mempool data from', wsStatus.source);
       mempoolData = await fetchFromWebSocketCache(tokenIn, tokenOut, userTxDetails);
       if (mempoolData) {
-        cacheMempoolData(tokenPair, mempoolData);
+        cacheMempoolData(cacheKey, mempoolData);
         return mempoolData;
       }
     }
   }
 
   // 1. Try Blocknative (best for real-time mempool)
-  if (process.env.BLOCKNATIVE_API_KEY) {
+  if (isMainnet && process.env.BLOCKNATIVE_API_KEY) {
     console.log('📡 Attempting Blocknative real-time mempool...');
     mempoolData = await fetchFromBlocknative(tokenIn, tokenOut);
     if (mempoolData) {
-      cacheMempoolData(tokenPair, mempoolData);
+      cacheMempoolData(cacheKey, mempoolData);
       return mempoolData;
     }
   }
 
-  // 2. Try Ethereum RPC pending transactions
-  console.log('📡 Attempting Ethereum RPC mempool...');
-  mempoolData = await fetchFromEthereumRPC(tokenIn, tokenOut, userTxDetails);
+  // 2. Try RPC pending transactions
+  console.log(`📡 Attempting ${chain.name} RPC mempool...`);
+  mempoolData = await fetchFromEthereumRPC(tokenIn, tokenOut, userTxDetails, chain);
   if (mempoolData) {
-    cacheMempoolData(tokenPair, mempoolData);
+    cacheMempoolData(cacheKey, mempoolData);
     return mempoolData;
   }
 
   // 3. Fallback to recent block analysis
   console.log('📊 Using recent block analysis as fallback...');
-  mempoolData = await analyzeRecentBlocks(tokenIn, tokenOut);
-  cacheMempoolData(tokenPair, mempoolData);
+  mempoolData = await analyzeRecentBlocks(tokenIn, tokenOut, chain);
+  cacheMempoolData(cacheKey, mempoolData);
   return mempoolData;
 }
 
@@ -121,9 +143,17 @@ async function fetchFromWebSocketCache(tokenIn, tokenOut, userTxDetails) {
       console.log(`✅ Found ${wsData.transactions.length} real-time pending transactions from ${wsData.source}`);
     }
 
-    // Get gas price percentiles from current pending transactions
+    // Recorded streams are replayed offline
+    const isReplay = wsData.source === 'replay';
+    const feeHistory = isReplay ? null : await getFeeHistory().catch(() => null);
+    const blockTiming = isReplay ? getNominalBlockTiming() : await getBlockTimingOrNominal();
+
+    // Base fee the pending transactions will compete at
+    const nextBaseFee = wsData.nextBaseFee ?? feeHistory?.nextBaseFee ?? null;
+
+    // Get gas price percentiles from what pending transactions would actually pay
     const gasPrices = wsData.transactions
-      .map(tx => parseFloat(tx.gasPrice))
+      .map(tx => getEffectiveGasPrice(tx, nextBaseFee))
       .filter(gp => !isNaN(gp) && gp > 0)
       .sort((a, b) => a - b);
 
@@ -132,19 +162,18 @@ async function fetchFromWebSocketCache(tokenIn, tokenOut, userTxDetails) {
       p50: (gasPrices[Math.floor(gasPrices.length * 0.50)] || 35).toFixed(2),
       p75: (gasPrices[Math.floor(gasPrices.length * 0.75)] || 50).toFixed(2),
       p90: (gasPrices[Math.floor(gasPrices.length * 0.90)] || 80).toFixed(2)
-    } : {
-      p25: '20',
-      p50: '35',
-      p75: '50',
-      p90: '80'
-    };
+    } : FALLBACK_GAS_PERCENTILES;
 
     // Return real-time mempool data
     return {
       tokenPair: `${tokenIn}/${tokenOut}`,
       currentBlock: 0, // Not applicable for real-time stream
-      blockTimeEstimate: 12,
+      chain: DEFAULT_CHAIN,
+      blockTimeEstimate: blockTiming.blockTime,
+      blockTiming,
+      nextBaseFee,
       gasPercentiles,
+      feeHistory,
       competingTxs: wsData.transactions,
       pendingTxCount: wsData.totalCached,
       dataSource: `real-mempool-${wsData.source}`, // CHANGED TO SHOW REAL MEMPOOL!
@@ -195,11 +224,16 @@ async function fetchFromBlocknative(tokenIn, tokenOut) {
 
     // Get competing transactions (if available)
     const competingTxs = await getCompetingTransactionsBlocknative(tokenIn, tokenOut, apiKey);
+    const blockTiming = await getBlockTimingOrNominal();
 
     return {
       tokenPair: `${tokenIn}/${tokenOut}`,
       currentBlock: blockPrices.blockNumber || 0,
-      blockTimeEstimate: blockPrices.estimatedTransactionCount > 200 ? 13 : 12,
+      chain: DEFAULT_CHAIN,
+      blockTimeEstimate: blockTiming.blockTime,
+      blockTiming,
+      // Blocknative's first block price entry is the next block
+      nextBaseFee: blockPrices.baseFeePerGas ?? null,
       gasPercentiles,
       competingTxs,
       dataSource: 'blocknative',
@@ -223,85 +257,55 @@ async function getCompetingTransactionsBlocknative(tokenIn, tokenOut, apiKey) {
 }
 
 /**
- * Fetch mempool data from Ethereum RPC (pending transactions)
+ * Fetch mempool data from the chain's RPC (pending transactions)
  */
-async function fetchFromEthereumRPC(tokenIn, tokenOut, userTxDetails) {
-  const provider = await getProvider();
-
+async function fetchFromEthereumRPC(tokenIn, tokenOut, userTxDetails, chain) {
   try {
-    // Get current block for gas price data
-    const currentBlock = await provider.getBlockNumber();
-    const block = await provider.getBlock(currentBlock);
-
-    // Get pending transactions using eth_getBlockByNumber with 'pending'
-    const pendingTxs = await getPendingTransactions(provider);
-
-    // Analyze pending transactions for competition
-    const competingTxs = analyzePendingTransactions(
-      pendingTxs,
-      tokenIn,
-      tokenOut,
-      userTxDetails
-    );
-
-    // Calculate gas price percentiles from recent blocks
-    const gasPercentiles = await getGasPricePercentiles(provider, currentBlock);
-
-    return {
-      tokenPair: `${tokenIn}/${tokenOut}`,
-      currentBlock,
-      blockTimeEstimate: 12,
-      gasPercentiles,
-      competingTxs,
-      pendingTxCount: pendingTxs.length,
-      dataSource: 'ethereum-rpc',
-      confidence: 0.85,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
+    return await withProvider(async (provider) => {
+      // Get current block for gas price data
+      const currentBlock = await provider.getBlockNumber();
+      const block = await provider.getBlock(currentBlock);
+
+      // Gas percentiles from what recent blocks actually paid
+      const feeHistory = await getFeeHistory(chain.key).catch(() => null);
+      const nextBaseFee = feeHistory?.nextBaseFee ?? predictNextBaseFeeFromBlock(block);
+      const blockTiming = await getBlockTimingOrNominal(chain.key);
+
+      // Get pending transactions using eth_getBlockByNumber with 'pending'
+      const pendingTxs = await getPendingTransactions(provider);
+
+      // Analyze pending transactions for competition
+      const competingTxs = analyzePendingTransactions(
+        pendingTxs,
+        tokenIn,
+        tokenOut,
+        userTxDetails,
+        nextBaseFee,
+        chain.key
+      );
 
+      return {
+        tokenPair: `${tokenIn}/${tokenOut}`,
+        currentBlock,
+        chain: chain.key,
+        blockTimeEstimate: blockTiming.blockTime,
+        blockTiming,
+        nextBaseFee,
+        gasPercentiles: feeHistory?.gasPercentiles ?? FALLBACK_GAS_PERCENTILES,
+        feeHistory,
+        competingTxs,
+        pendingTxCount: pendingTxs.length,
+        dataSource: chain.key === DEFAULT_CHAIN ? 'ethereum-rpc' : `${chain.key}-rpc`,
+        confidence: 0.85,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    }, chain.key);
   } catch (error) {
-    console.error('❌ Ethereum RPC fetch failed:', error.message);
+    console.error(`❌ ${chain.name} RPC fetch failed:`, error.message);
     return null;
   }
 }
 
-/**
- * Get Ethereum provider with fallbacks
- */
-async function getProvider() {
-  const infuraKey = process.env.INFURA_PROJECT_ID;
-  const alchemyKey = process.env.ALCHEMY_API_KEY;
-
-  // Priority: Alchemy > Infura > Public RPC
-  if (alchemyKey) {
-    return new ethers.JsonRpcProvider(`https://eth-mainnet.g.alchemy.com/v2/${alchemyKey}`);
-  }
-
-  if (infuraKey) {
-    return new ethers.JsonRpcProvider(`https://mainnet.infura.io/v3/${infuraKey}`);
-  }
-
-  // Public RPC fallbacks
-  const publicRPCs = [
-    'https://eth.llamarpc.com',
-    'https://rpc.ankr.com/eth',
-    'https://ethereum.publicnode.com'
-  ];
-
-  // Try each RPC until one works
-  for (const rpc of publicRPCs) {
-    try {
-      const provider = new ethers.JsonRpcProvider(rpc);
-      await provider.getBlockNumber(); // Test connection
-      return provider;
-    } catch (error) {
-      continue;
-    }
-  }
-
-  throw new Error('No working Ethereum RPC provider available');
-}
-
 /**
  * Get pending transactions from mempool
  */
@@ -329,7 +333,7 @@ async function getPendingTransactions(provider) {
 /**
  * Analyze pending transactions for competing/suspicious patterns
  */
-function analyzePendingTransactions(pendingTxs, tokenIn, tokenOut, userTxDetails) {
+function analyzePendingTransactions(pendingTxs, tokenIn, tokenOut, userTxDetails, nextBaseFee, chainKey) {
   const competingTxs = [];
   const tokenPair = `${tokenIn}/${tokenOut}`;
 
@@ -337,24 +341,27 @@ function analyzePendingTransactions(pendingTxs, tokenIn, tokenOut, userTxDetails
     try {
       // Decode transaction data to check if it's a DEX swap
       const isSwapTx = isLikelySwapTransaction(tx);
+      const swap = decodeSwapTransaction(tx, chainKey);
 
-      if (isSwapTx) {
+      if (isSwapTx || swap) {
         // Check if transaction involves our token pair
-        const txTokenPair = extractTokenPair(tx);
+        const direction = getSwapDirection(swap, tokenIn, tokenOut, chainKey);
 
-        if (txTokenPair === tokenPair || isRelatedPair(txTokenPair, tokenPair)) {
-          const gasPrice = tx.gasPrice || tx.maxFeePerGas || BigInt(0);
+        if (direction) {
+          const fees = formatFeeFields(tx);
 
           competingTxs.push({
             hash: tx.hash,
             from: tx.from,
             to: tx.to,
-            gasPrice: ethers.formatUnits(gasPrice, 'gwei'),
+            ...fees,
             value: ethers.formatEther(tx.value || 0),
-            tokenPair: txTokenPair,
+            tokenPair: direction === 'same' ? tokenPair : `${tokenOut}/${tokenIn}`,
+            amount: getSwapAmount(swap, chainKey),
+            swap,
             input: tx.input?.slice(0, 10), // Method signature
             timestamp: Math.floor(Date.now() / 1000),
-            isSuspicious: isSuspiciousTransaction(tx, userTxDetails)
+            isSuspicious: isSuspiciousTransaction(fees, userTxDetails, nextBaseFee)
           });
         }
       }
@@ -384,150 +391,89 @@ function isLikelySwapTransaction(tx) {
     '0x414bf389', // exactInputSingle (Uniswap V3)
     '0xc04b8d59', // exactInput (Uniswap V3)
     '0xdb3e2198', // exactOutputSingle (Uniswap V3)
-    '0x09b81346'  // exactOutput (Uniswap V3)
+    '0x09b81346', // exactOutput (Uniswap V3)
+    '0x3593564c', // execute (Universal Router, with deadline)
+    '0x24856bc3'  // execute (Universal Router)
   ];
 
   const methodSig = tx.input.slice(0, 10);
   return swapSignatures.includes(methodSig);
 }
 
-/**
- * Extract token pair from transaction (simplified)
- */
-function extractTokenPair(tx) {
-  // In production, decode the transaction input to get exact tokens
-  // For now, return a generic identifier
-  return 'UNKNOWN/UNKNOWN';
-}
-
-/**
- * Check if two token pairs are related
- */
-function isRelatedPair(pair1, pair2) {
-  // Consider pairs related if they share a common token
-  const tokens1 = pair1.split('/');
-  const tokens2 = pair2.split('/');
-
-  return tokens1.some(t => tokens2.includes(t));
-}
-
 /**
  * Check if transaction exhibits suspicious MEV patterns
+ * @param {object} fees - Transaction fee fields (gwei)
+ * @param {object} userTxDetails - { gasPrice, maxFeePerGas, maxPriorityFeePerGas } (gwei)
+ * @param {number} nextBaseFee - Predicted next-block base fee (gwei)
  */
-function isSuspiciousTransaction(tx, userTxDetails) {
-  if (!userTxDetails.gasPrice) return false;
-
-  const txGasPrice = tx.gasPrice || tx.maxFeePerGas || BigInt(0);
-  const userGasPrice = BigInt(userTxDetails.gasPrice || 0);
-
-  // Suspicious if gas price is significantly higher (potential front-run)
-  const gasDiff = Number(txGasPrice - userGasPrice) / Number(userGasPrice);
-
-  return gasDiff > 0.1; // 10% higher gas price
-}
-
-/**
- * Calculate gas price percentiles from recent blocks
- */
-async function getGasPricePercentiles(provider, currentBlock) {
-  try {
-    const blocks = await Promise.all([
-      provider.getBlock(currentBlock),
-      provider.getBlock(currentBlock - 1),
-      provider.getBlock(currentBlock - 2),
-      provider.getBlock(currentBlock - 3),
-      provider.getBlock(currentBlock - 4)
-    ]);
-
-    // Extract base fees from recent blocks
-    const baseFees = blocks
-      .filter(b => b && b.baseFeePerGas)
-      .map(b => Number(ethers.formatUnits(b.baseFeePerGas, 'gwei')));
-
-    if (baseFees.length === 0) {
-      // Fallback values
-      return {
-        p25: '20',
-        p50: '35',
-        p75: '50',
-        p90: '80'
-      };
-    }
+function isSuspiciousTransaction(fees, userTxDetails, nextBaseFee) {
+  if (!userTxDetails.gasPrice && !userTxDetails.maxFeePerGas) return false;
 
-    baseFees.sort((a, b) => a - b);
+  const userTip = getEffectiveTip(normalizeFees(userTxDetails), nextBaseFee);
+  if (userTip <= 0) return false;
 
-    return {
-      p25: (baseFees[Math.floor(baseFees.length * 0.25)] * 1.1).toFixed(2),
-      p50: (baseFees[Math.floor(baseFees.length * 0.50)] * 1.25).toFixed(2),
-      p75: (baseFees[Math.floor(baseFees.length * 0.75)] * 1.5).toFixed(2),
-      p90: (baseFees[Math.floor(baseFees.length * 0.90)] * 2).toFixed(2)
-    };
+  // Suspicious if it tips significantly more (potential front-run)
+  const tipDiff = (getEffectiveTip(fees, nextBaseFee) - userTip) / userTip;
 
-  } catch (error) {
-    console.warn('⚠️  Could not calculate gas percentiles:', error.message);
-    return {
-      p25: '20',
-      p50: '35',
-      p75: '50',
-      p90: '80'
-    };
-  }
+  return tipDiff > 0.1; // 10% higher effective tip
 }
 
 /**
  * Analyze recent blocks for patterns (fallback method)
  */
-async function analyzeRecentBlocks(tokenIn, tokenOut) {
-  const provider = await getProvider();
-
+async function analyzeRecentBlocks(tokenIn, tokenOut, chain) {
   try {
-    const currentBlock = await provider.getBlockNumber();
-    const gasPercentiles = await getGasPricePercentiles(provider, currentBlock);
-
-    // Get recent block data for pattern analysis
-    const recentBlocks = await Promise.all([
-      provider.getBlock(currentBlock),
-      provider.getBlock(currentBlock - 1),
-      provider.getBlock(currentBlock - 2)
-    ]);
+    return await withProvider(async (provider) => {
+      const currentBlock = await provider.getBlockNumber();
+      const feeHistory = await getFeeHistory(chain.key).catch(() => null);
+      const blockTiming = await getBlockTimingOrNominal(chain.key);
 
-    // Analyze transaction density
-    const avgTxCount = recentBlocks.reduce((sum, b) => sum + (b?.transactions?.length || 0), 0) / 3;
+      // Get recent block data for pattern analysis
+      const recentBlocks = await Promise.all([
+        provider.getBlock(currentBlock),
+        provider.getBlock(currentBlock - 1),
+        provider.getBlock(currentBlock - 2)
+      ]);
 
-    return {
-      tokenPair: `${tokenIn}/${tokenOut}`,
-      currentBlock,
-      blockTimeEstimate: avgTxCount > 200 ? 13 : 12,
-      gasPercentiles,
-      competingTxs: [],
-      avgBlockTxCount: Math.round(avgTxCount),
-      dataSource: 'block-analysis',
-      confidence: 0.70,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
+      // Analyze transaction density
+      const avgTxCount = recentBlocks.reduce((sum, b) => sum + (b?.transactions?.length || 0), 0) / 3;
 
+      return {
+        tokenPair: `${tokenIn}/${tokenOut}`,
+        currentBlock,
+        chain: chain.key,
+        blockTimeEstimate: blockTiming.blockTime,
+        blockTiming,
+        nextBaseFee: feeHistory?.nextBaseFee ?? predictNextBaseFeeFromBlock(recentBlocks[0]),
+        gasPercentiles: feeHistory?.gasPercentiles ?? FALLBACK_GAS_PERCENTILES,
+        feeHistory,
+        competingTxs: [],
+        avgBlockTxCount: Math.round(avgTxCount),
+        dataSource: 'block-analysis',
+        confidence: 0.70,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    }, chain.key);
   } catch (error) {
     console.error('❌ Block analysis failed:', error.message);
 
     // Ultimate fallback - simulated data
-    return getSimulatedMempoolData(tokenIn, tokenOut);
+    return getSimulatedMempoolData(tokenIn, tokenOut, chain);
   }
 }
 
 /**
  * Get simulated mempool data (last resort fallback)
  */
-function getSimulatedMempoolData(tokenIn, tokenOut) {
+function getSimulatedMempoolData(tokenIn, tokenOut, chain) {
   return {
     tokenPair: `${tokenIn}/${tokenOut}`,
     currentBlock: 0,
-    blockTimeEstimate: 12,
-    gasPercentiles: {
-      p25: '20',
-      p50: '35',
-      p75: '50',
-      p90: '80'
-    },
+    chain: chain.key,
+    blockTimeEstimate: chain.blockTime,
+    blockTiming: getNominalBlockTiming(chain.key),
+    nextBaseFee: null,
+    gasPercentiles: FALLBACK_GAS_PERCENTILES,
     competingTxs: [],
     dataSource: 'simulated',
     confidence: 0.50,
@@ -537,12 +483,19 @@ function getSimulatedMempoolData(tokenIn, tokenOut) {
 
 /**
  * Get gas price oracle data from multiple sources
+ * Blocknative and Etherscan only cover Ethereum mainnet. The fee history
+ * oracle (null if the chain's RPC lacks eth_feeHistory) adds percentiles and
+ * 1/2/3-block inclusion probabilities.
+ * @param {string} chainKey - Chain key (defaults to Ethereum)
+ * @param {object} options - { tip } priority fee (gwei) to estimate inclusion for
  */
-export async function getGasPrice() {
+export async function getGasPrice(chainKey = DEFAULT_CHAIN, options = {}) {
+  const chain = getChain(chainKey);
+  const isMainnet = chain.key === DEFAULT_CHAIN;
   const sources = [];
 
   // 1. Blocknative
-  if (process.env.BLOCKNATIVE_API_KEY) {
+  if (isMainnet && process.env.BLOCKNATIVE_API_KEY) {
     try {
       const response = await fetch('https://api.blocknative.com/gasprices/blockprices', {
         headers: { 'Authorization': process.env.BLOCKNATIVE_API_KEY }
@@ -558,7 +511,7 @@ export async function getGasPrice() {
   }
 
   // 2. Etherscan
-  if (process.env.ETHERSCAN_API_KEY) {
+  if (isMainnet && process.env.ETHERSCAN_API_KEY) {
     try {
       const response = await fetch(
         `https://api.etherscan.io/api?module=gastracker&action=gasoracle&apikey=${process.env.ETHERSCAN_API_KEY}`
@@ -581,8 +534,7 @@ export async function getGasPrice() {
 
   // 3. On-chain data
   try {
-    const provider = await getProvider();
-    const feeData = await provider.getFeeData();
+    const feeData = await withProvider(provider => provider.getFeeData(), chain.key);
     sources.push({
       source: 'on-chain',
       prices: {
@@ -595,8 +547,16 @@ export async function getGasPrice() {
     // Skip if fails
   }
 
+  // 4. Fee history oracle
+  const oracle = await getGasOracle(chain.key, { tip: options.tip }).catch((error) => {
+    console.warn(`⚠️  Fee history unavailable on ${chain.name}:`, error.message);
+    return null;
+  });
+
   return {
+    chain: chain.key,
     sources,
+    oracle,
     timestamp: Math.floor(Date.now() / 1000)
   };
 }
@@ -604,4 +564,4 @@ export async function getGasPrice() {
 /**
  * Export WebSocket status for health checks
  */
-export { getWebSocketStatus } from './websocket-mempool.js';
+export { getWebSocketStatus, getReplacementHistory } from './websocket-mempool.js';
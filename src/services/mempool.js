@@ -1,26 +1,59 @@
-import { ethers } from 'ethers';
 import fetch from 'node-fetch';
 import { getCachedMempoolData, cacheMempoolData } from '../database/queries.js';
+import { getProvider } from './provider-manager.js';
+import { getFeeHistory } from './gas-oracle.js';
+import { getBlockTimingOrNominal, getNominalBlockTiming } from './block-time.js';
+import { getChain } from '../utils/chains.js';
+import { generateScenarioTransactions, resolveSimulationConfig } from './simulation.js';
+
+// Base fee (gwei) used for offline simulated data, below the simulated p25
+const SIMULATED_BASE_FEE = 15;
 
 /**
  * Fetch mempool data for a given token pair
  * Uses caching to avoid excessive API calls
+ *
+ * Competing transactions are simulated from a seeded scenario. When a
+ * scenario or seed is requested explicitly (per request or via
+ * MEMPOOL_SIM_SCENARIO / MEMPOOL_SIM_SEED) the whole result is simulated
+ * offline so it is fully reproducible. Otherwise the seed comes from the pair
+ * and amount, but competitors are priced against live fee history, so scores
+ * follow the market; simulation.feeSource ('live' or 'simulated') says which.
+ *
+ * @param {string} tokenIn
+ * @param {string} tokenOut
+ * @param {object} options - { amountIn, gasPrice, chain, simulation: { scenario, seed } }
  */
-export async function getMempoolData(tokenIn, tokenOut) {
+export async function getMempoolData(tokenIn, tokenOut, options = {}) {
   const tokenPair = `${tokenIn}/${tokenOut}`;
+  const chain = getChain(options.chain);
+  const simulation = resolveSimulationConfig(options.simulation, {
+    tokenIn,
+    tokenOut,
+    amountIn: options.amountIn
+  });
+  const isExplicit = options.simulation?.scenario !== undefined ||
+    options.simulation?.seed !== undefined ||
+    !!process.env.MEMPOOL_SIM_SCENARIO ||
+    !!process.env.MEMPOOL_SIM_SEED;
+
+  // Simulated transactions depend on scenario and seed, so they are part of the key
+  const cacheKey = `${chain.key}:${tokenPair}:${simulation.scenario}:${simulation.seed}`;
 
   // Check cache first
-  const cached = getCachedMempoolData(tokenPair);
+  const cached = getCachedMempoolData(cacheKey);
   if (cached) {
     console.log('Using cached mempool data for', tokenPair);
     return cached;
   }
 
   // Fetch fresh data
-  const data = await fetchMempoolFromEtherscan(tokenIn, tokenOut);
+  const data = isExplicit
+    ? getSimulatedMempoolData(tokenIn, tokenOut, simulation, chain, options)
+    : await fetchMempoolFromEtherscan(tokenIn, tokenOut, simulation, chain, options);
 
   // Cache the result
-  cacheMempoolData(tokenPair, data);
+  cacheMempoolData(cacheKey, data);
 
   return data;
 }
@@ -29,71 +62,54 @@ export async function getMempoolData(tokenIn, tokenOut) {
  * Fetch mempool data using Etherscan API (fallback method)
  * In production, this would use Blocknative or Flashbots
  */
-async function fetchMempoolFromEtherscan(tokenIn, tokenOut) {
+async function fetchMempoolFromEtherscan(tokenIn, tokenOut, simulation, chain, options) {
   // Since we can't access real mempool data without paid APIs in MVP,
   // we'll simulate mempool data based on recent blocks
   // In production, use Blocknative or Flashbots Protect RPC
 
-  const provider = await getProvider();
+  const provider = await getProvider(chain.key);
 
   try {
     // Get current block
     const currentBlock = await provider.getBlockNumber();
-    const block = await provider.getBlock(currentBlock);
 
     // Get recent transactions
     const pendingTxs = await getPendingTransactions(provider);
 
-    // Calculate gas price percentiles
-    const gasPrices = block.transactions
-      .map(tx => block.baseFeePerGas ? block.baseFeePerGas : BigInt(0))
-      .sort((a, b) => Number(a - b));
-
-    const gasPercentiles = {
-      p25: gasPrices[Math.floor(gasPrices.length * 0.25)],
-      p50: gasPrices[Math.floor(gasPrices.length * 0.50)],
-      p75: gasPrices[Math.floor(gasPrices.length * 0.75)],
-      p90: gasPrices[Math.floor(gasPrices.length * 0.90)]
-    };
+    // Gas price percentiles from what recent blocks actually paid
+    const feeHistory = await getFeeHistory(chain.key);
+    const { gasPercentiles, nextBaseFee } = feeHistory;
+    const blockTiming = await getBlockTimingOrNominal(chain.key);
 
     // Simulate mempool data structure
     return {
       tokenPair: `${tokenIn}/${tokenOut}`,
       currentBlock,
-      blockTimeEstimate: 12, // Ethereum block time ~12 seconds
+      chain: chain.key,
+      blockTimeEstimate: blockTiming.blockTime,
+      blockTiming,
+      nextBaseFee,
       position: 'middle', // User's position in mempool
       gasPercentile: 50, // Default to median
-      gasPercentiles: {
-        p25: ethers.formatUnits(gasPercentiles.p25 || 0, 'gwei'),
-        p50: ethers.formatUnits(gasPercentiles.p50 || 0, 'gwei'),
-        p75: ethers.formatUnits(gasPercentiles.p75 || 0, 'gwei'),
-        p90: ethers.formatUnits(gasPercentiles.p90 || 0, 'gwei')
-      },
-      competingTxs: generateSimulatedCompetingTxs(tokenIn, tokenOut),
+      gasPercentiles,
+      feeHistory,
+      competingTxs: generateSimulatedCompetingTxs(tokenIn, tokenOut, simulation, {
+        amountIn: options.amountIn,
+        userGasPrice: options.gasPrice || gasPercentiles.p50,
+        baseFee: nextBaseFee
+      }),
       similarAttacks: 0, // Will be populated by historical analysis
+      dataSource: 'simulated',
+      simulation: { ...simulation, feeSource: 'live' },
       timestamp: Math.floor(Date.now() / 1000)
     };
   } catch (error) {
     console.error('Error fetching mempool data:', error);
     // Return simulated data as fallback
-    return getSimulatedMempoolData(tokenIn, tokenOut);
+    return getSimulatedMempoolData(tokenIn, tokenOut, simulation, chain, options);
   }
 }
 
-/**
- * Get provider (Infura or public RPC)
- */
-async function getProvider() {
-  const infuraKey = process.env.INFURA_PROJECT_ID;
-
-  if (infuraKey) {
-    return new ethers.JsonRpcProvider(`https://mainnet.infura.io/v3/${infuraKey}`);
-  }
-
-  // Use public Ethereum RPC as fallback
-  return new ethers.JsonRpcProvider('https://eth.llamarpc.com');
-}
-
 /**
  * Get pending transactions (simplified for MVP)
  */
@@ -111,32 +127,32 @@ async function getPendingTransactions(provider) {
 }
 
 /**
- * Generate simulated competing transactions for testing
+ * Generate simulated competing transactions from the seeded scenario
  */
-function generateSimulatedCompetingTxs(tokenIn, tokenOut) {
-  // In production, this would be real mempool data
-  // For MVP, we simulate some competing transactions
-  const numCompetitors = Math.floor(Math.random() * 5); // 0-4 competitors
-
-  return Array.from({ length: numCompetitors }, (_, i) => ({
-    hash: `0x${Math.random().toString(16).slice(2)}`,
+function generateSimulatedCompetingTxs(tokenIn, tokenOut, simulation, { amountIn, userGasPrice, baseFee }) {
+  return generateScenarioTransactions({
+    ...simulation,
     tokenIn,
     tokenOut,
-    tokenPair: `${tokenIn}/${tokenOut}`,
-    gasPrice: 20 + Math.random() * 80, // 20-100 gwei
-    amount: Math.random() * 10000,
-    timestamp: Math.floor(Date.now() / 1000)
-  }));
+    amountIn,
+    userGasPrice,
+    baseFee
+  });
 }
 
 /**
- * Get simulated mempool data (for MVP testing)
+ * Get simulated mempool data (fully offline and reproducible)
  */
-function getSimulatedMempoolData(tokenIn, tokenOut) {
+function getSimulatedMempoolData(tokenIn, tokenOut, simulation, chain, options = {}) {
+  const nextBaseFee = SIMULATED_BASE_FEE;
+
   return {
     tokenPair: `${tokenIn}/${tokenOut}`,
     currentBlock: 18000000,
-    blockTimeEstimate: 12,
+    chain: chain.key,
+    blockTimeEstimate: chain.blockTime,
+    blockTiming: getNominalBlockTiming(chain.key),
+    nextBaseFee,
     position: 'middle',
     gasPercentile: 50,
     gasPercentiles: {
@@ -145,8 +161,14 @@ function getSimulatedMempoolData(tokenIn, tokenOut) {
       p75: '50',
       p90: '80'
     },
-    competingTxs: generateSimulatedCompetingTxs(tokenIn, tokenOut),
+    competingTxs: generateSimulatedCompetingTxs(tokenIn, tokenOut, simulation, {
+      amountIn: options.amountIn,
+      userGasPrice: options.gasPrice || 35,
+      baseFee: nextBaseFee
+    }),
     similarAttacks: 0,
+    dataSource: 'simulated',
+    simulation: { ...simulation, feeSource: 'simulated' },
     timestamp: Math.floor(Date.now() / 1000)
   };
 }
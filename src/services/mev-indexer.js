@@ -0,0 +1,354 @@
+import { ethers } from 'ethers';
+import { getPoolByAddress } from './dex-pools.js';
+import { getTokenPriceUsd } from './pricing.js';
+import { stopProviderHealthChecks, withProvider } from './provider-manager.js';
+import { resolveToken } from './token-registry.js';
+import { initDatabase } from '../database/init.js';
+import { getIndexerCheckpoint, recordMevAttack, saveIndexerCheckpoint } from '../database/queries.js';
+import { getKnownRouters } from '../decoders/index.js';
+import { POOL_LOG_TOPICS, compareLogOrder, decodePoolLog } from '../decoders/pool-logs.js';
+import { findBackrunArbitrages, findJitLiquidity, findSandwiches, getSandwichTransactions } from '../detectors/block-mev.js';
+import { CHAIN_KEYS, DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+
+/**
+ * MEV Block Indexer
+ * Walks mined blocks, decodes their pool events and records sandwiches,
+ * back-run arbitrages and JIT liquidity into mev_attacks, where the
+ * historical detectors read them. Progress is checkpointed per chain, so a
+ * backfill or the follower resumes after the last indexed block.
+ *
+ * Profits are net of the attacker's gas and valued at current USD prices.
+ */
+
+// Blocks per eth_getLogs request; the checkpoint advances after each batch
+const BLOCKS_PER_BATCH = 10;
+
+// Blocks behind the head left unindexed, so shallow reorgs don't record phantom attacks
+const CONFIRMATION_BLOCKS = 3;
+
+// Most blocks a follower indexes per poll while catching up
+const MAX_FOLLOW_BLOCKS = 100;
+
+const followers = new Map(); // chain -> { timer, running, lastBlock, attacksRecorded, lastError }
+
+/**
+ * Index a range of blocks and record the attacks found
+ * @param {number} fromBlock - First block to index
+ * @param {number} toBlock - Last block to index (inclusive)
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<object>} { fromBlock, toBlock, attacksFound, attacksRecorded }; attacks already
+ *   recorded by an earlier run count as found only
+ */
+export async function indexBlocks(fromBlock, toBlock, chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+  let attacksFound = 0;
+  let attacksRecorded = 0;
+
+  for (let start = fromBlock; start <= toBlock; start += BLOCKS_PER_BATCH) {
+    const end = Math.min(start + BLOCKS_PER_BATCH - 1, toBlock);
+
+    const logs = await withProvider(provider => provider.getLogs({
+      fromBlock: start,
+      toBlock: end,
+      topics: [POOL_LOG_TOPICS]
+    }), config.key);
+
+    const eventsByBlock = new Map();
+    for (const event of logs.map(decodePoolLog).filter(Boolean)) {
+      eventsByBlock.set(event.blockNumber, [...(eventsByBlock.get(event.blockNumber) || []), event]);
+    }
+
+    for (const blockNumber of [...eventsByBlock.keys()].sort((a, b) => a - b)) {
+      const attacks = await analyzeBlock(blockNumber, eventsByBlock.get(blockNumber).sort(compareLogOrder), config);
+
+      for (const attack of attacks) {
+        attacksRecorded += recordMevAttack(attack).changes;
+      }
+      attacksFound += attacks.length;
+    }
+
+    saveIndexerCheckpoint(config.key, end);
+    console.log(`🗂️  Indexed ${config.key} blocks ${start}-${end}: ${attacksFound} attack(s) found so far`);
+  }
+
+  return { fromBlock, toBlock, attacksFound, attacksRecorded };
+}
+
+/**
+ * Follow the chains listed in MEV_INDEXER_CHAINS (e.g. "ethereum,base"),
+ * resuming from each chain's checkpoint or starting at the head
+ * @returns {number} Number of chains followed
+ */
+export function initializeMevIndexer() {
+  const chains = (process.env.MEV_INDEXER_CHAINS || '')
+    .split(',')
+    .map(chain => chain.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const chain of chains) {
+    if (!CHAIN_KEYS.includes(chain)) {
+      console.warn(`⚠️  Skipping MEV indexer for unsupported chain "${chain}"`);
+      continue;
+    }
+    followChain(chain);
+  }
+
+  return followers.size;
+}
+
+/**
+ * Index new blocks on a chain as they are confirmed
+ * @param {string} chain - Chain key
+ */
+export function followChain(chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+  if (followers.has(config.key)) return;
+
+  const state = {
+    timer: null,
+    running: false,
+    lastBlock: getIndexerCheckpoint(config.key),
+    attacksRecorded: 0,
+    lastError: null
+  };
+  followers.set(config.key, state);
+
+  const poll = async () => {
+    if (state.running) return;
+    state.running = true;
+
+    try {
+      const head = await withProvider(provider => provider.getBlockNumber(), config.key);
+      const target = head - CONFIRMATION_BLOCKS;
+      // Without a checkpoint, history starts now; older blocks need a backfill
+      const fromBlock = state.lastBlock !== null ? state.lastBlock + 1 : target;
+      const toBlock = Math.min(target, fromBlock + MAX_FOLLOW_BLOCKS - 1);
+
+      if (toBlock >= fromBlock) {
+        const result = await indexBlocks(fromBlock, toBlock, config.key);
+        state.attacksRecorded += result.attacksRecorded;
+      }
+      state.lastError = null;
+    } catch (error) {
+      state.lastError = error.message;
+      console.warn(`⚠️  MEV indexer poll failed on ${config.key}:`, error.message);
+    } finally {
+      // Batches that finished before a failure are kept
+      state.lastBlock = getIndexerCheckpoint(config.key);
+      state.running = false;
+    }
+  };
+
+  state.timer = setInterval(poll, config.blockTime * 1000);
+  poll();
+}
+
+/**
+ * Indexer progress per followed chain, for health checks
+ */
+export function getMevIndexerStatus() {
+  return Object.fromEntries([...followers].map(([chain, state]) => [chain, {
+    lastBlock: state.lastBlock,
+    attacksRecorded: state.attacksRecorded,
+    lastError: state.lastError
+  }]));
+}
+
+/**
+ * Stop following all chains
+ */
+export function stopMevIndexer() {
+  for (const state of followers.values()) {
+    clearInterval(state.timer);
+  }
+  followers.clear();
+}
+
+/**
+ * Find and price the attacks in one block
+ * @returns {Promise<object[]>} Rows for recordMevAttack, one per victim
+ */
+async function analyzeBlock(blockNumber, events, config) {
+  // Anything can emit Uniswap-style events; only pools from known factories count
+  const addresses = [...new Set(events.map(event => event.pool))];
+  const identities = await Promise.all(addresses.map(address => getPoolByAddress(address, config.key)));
+  const pools = new Map(addresses
+    .map((address, index) => [address, identities[index]])
+    .filter(([, pool]) => pool?.dex));
+
+  const poolEvents = events.filter(event => pools.has(event.pool));
+  if (!poolEvents.some(event => event.type === 'swap')) return [];
+
+  const block = await withProvider(provider => provider.getBlock(blockNumber, true), config.key);
+  if (!block) return [];
+
+  const transactions = new Map(block.prefetchedTransactions.map(tx => [tx.hash.toLowerCase(), tx]));
+  const routers = new Set([
+    ...getKnownRouters(),
+    ...Object.values(config.dexes).map(deployment => deployment.router?.toLowerCase()).filter(Boolean)
+  ]);
+
+  const sandwiches = findSandwiches(poolEvents, transactions, routers);
+  const arbitrages = findBackrunArbitrages(poolEvents, transactions, pools, getSandwichTransactions(sandwiches));
+  const jitPositions = findJitLiquidity(poolEvents, transactions);
+  if (sandwiches.length + arbitrages.length + jitPositions.length === 0) return [];
+
+  const valuation = await createValuation(config, [
+    ...sandwiches.flatMap(attack => [attack.front.transactionHash, attack.back.transactionHash]),
+    ...arbitrages.map(arbitrage => arbitrage.transactionHash),
+    ...jitPositions.flatMap(position => [position.mint.transactionHash, position.burn.transactionHash])
+  ]);
+
+  const row = async (attackType, attacker, victim, profitUsd) => {
+    const pool = pools.get(victim.swap.pool);
+    const [tokenIn, tokenOut] = victim.swap.zeroForOne ? [pool.token0, pool.token1] : [pool.token1, pool.token0];
+    const [keyIn, keyOut] = await Promise.all([valuation.tokenKey(tokenIn), valuation.tokenKey(tokenOut)]);
+
+    return {
+      block_number: blockNumber,
+      attacker_address: attacker,
+      victim_address: victim.tx.from,
+      token_pair: `${keyIn}/${keyOut}`,
+      profit_usd: profitUsd,
+      attack_type: attackType,
+      timestamp: block.timestamp,
+      chain: config.key,
+      pool_address: victim.swap.pool,
+      transaction_hash: victim.tx.hash
+    };
+  };
+
+  const rows = [];
+
+  for (const attack of sandwiches) {
+    const pool = pools.get(attack.pool);
+    const [tokenIn, tokenOut] = attack.front.zeroForOne ? [pool.token0, pool.token1] : [pool.token1, pool.token0];
+    const gross = await sumUsd([
+      valuation.toUsd(tokenIn, attack.back.amountOut - attack.front.amountIn),
+      valuation.toUsd(tokenOut, attack.front.amountOut - attack.back.amountIn)
+    ]);
+    const net = netOfGas(gross, valuation.gasUsd([attack.front.transactionHash, attack.back.transactionHash]));
+
+    // Victims between the same legs share the attack's profit
+    for (const victim of attack.victims) {
+      rows.push(await row('sandwich', attack.frontTx.from, victim, splitUsd(net, attack.victims.length)));
+    }
+  }
+
+  for (const arbitrage of arbitrages) {
+    const gross = await valuation.toUsd(arbitrage.profitToken, arbitrage.profit);
+    const net = netOfGas(gross, valuation.gasUsd([arbitrage.transactionHash]));
+    rows.push(await row('back-run', arbitrage.searcher, arbitrage.victim, net));
+  }
+
+  for (const position of jitPositions) {
+    const pool = pools.get(position.pool);
+    const gasUsd = valuation.gasUsd([position.mint.transactionHash, position.burn.transactionHash]);
+
+    // The position earns its share of each victim's fee, paid in the victim's input token
+    for (const victim of position.victims) {
+      const tokenIn = victim.swap.zeroForOne ? pool.token0 : pool.token1;
+      const fees = await valuation.toUsd(tokenIn, Number(victim.swap.amountIn) * pool.fee * victim.liquidityShare);
+      const gasShare = gasUsd !== null ? gasUsd / position.victims.length : null;
+      rows.push(await row('jit-liquidity', position.provider, victim, netOfGas(fees, gasShare)));
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Token keys, USD values and gas costs for a block's attacks, sharing lookups
+ */
+async function createValuation(config, attackHashes) {
+  const hashes = [...new Set(attackHashes.map(hash => hash.toLowerCase()))];
+  const [receipts, native] = await Promise.all([
+    withProvider(provider => Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash))), config.key),
+    getTokenPriceUsd(config.wrappedNative, config.key)
+  ]);
+
+  const gasCostNative = new Map(hashes.map((hash, index) => {
+    const receipt = receipts[index];
+    return [hash, receipt ? Number(ethers.formatEther(receipt.gasUsed * (receipt.gasPrice ?? 0n))) : 0];
+  }));
+
+  const tokens = new Map(); // address -> promise of resolved token (null if not an ERC-20)
+  const getToken = (address) => {
+    if (!tokens.has(address)) {
+      tokens.set(address, resolveToken(address, config.key).catch(() => null));
+    }
+    return tokens.get(address);
+  };
+
+  return {
+    // Gas the transactions paid, in USD; null without a native price
+    gasUsd(transactionHashes) {
+      if (!native) return null;
+      const gasNative = transactionHashes.reduce((sum, hash) => sum + (gasCostNative.get(hash.toLowerCase()) || 0), 0);
+      return gasNative * native.priceUsd;
+    },
+
+    async tokenKey(address) {
+      return (await getToken(address))?.key ?? ethers.getAddress(address);
+    },
+
+    // Raw token amount (bigint or number) to USD; null when the token can't be priced
+    async toUsd(address, rawAmount) {
+      if (rawAmount === 0n || rawAmount === 0) return 0;
+
+      const token = await getToken(address);
+      const price = token && await getTokenPriceUsd(token.key, config.key);
+      if (!price) return null;
+
+      return Number(rawAmount) / 10 ** token.decimals * price.priceUsd;
+    }
+  };
+}
+
+async function sumUsd(values) {
+  const resolved = await Promise.all(values);
+  return resolved.some(value => value === null) ? null : resolved.reduce((sum, value) => sum + value, 0);
+}
+
+function netOfGas(grossUsd, gasUsd) {
+  return grossUsd !== null && gasUsd !== null ? parseFloat((grossUsd - gasUsd).toFixed(2)) : null;
+}
+
+function splitUsd(usd, parts) {
+  return usd !== null ? parseFloat((usd / parts).toFixed(2)) : null;
+}
+
+// Backfill from the command line:
+//   node src/services/mev-indexer.js [chain] [fromBlock] [toBlock] [--follow]
+// Without fromBlock the run resumes after the chain's checkpoint; without
+// toBlock it indexes up to the confirmed head.
+if (import.meta.url === `file://${process.argv[1]}`) {
+  initDatabase();
+
+  const args = process.argv.slice(2);
+  const follow = args.includes('--follow');
+  const [chain = DEFAULT_CHAIN, from, to] = args.filter(arg => arg !== '--follow');
+  const config = getChain(chain);
+
+  const checkpoint = getIndexerCheckpoint(config.key);
+  const fromBlock = from !== undefined ? parseInt(from) : checkpoint !== null ? checkpoint + 1 : null;
+  if (fromBlock === null || Number.isNaN(fromBlock)) {
+    throw new Error(`No checkpoint for ${config.key} - pass the block to start from`);
+  }
+
+  const head = await withProvider(provider => provider.getBlockNumber(), config.key);
+  const toBlock = to !== undefined ? parseInt(to) : head - CONFIRMATION_BLOCKS;
+
+  if (toBlock >= fromBlock) {
+    const result = await indexBlocks(fromBlock, toBlock, config.key);
+    console.log(`🗂️  ${config.key} blocks ${result.fromBlock}-${result.toBlock}: ` +
+      `${result.attacksFound} attack(s) found, ${result.attacksRecorded} newly recorded`);
+  }
+
+  if (follow) {
+    console.log(`👁️  Following ${config.key} for new blocks...`);
+    followChain(config.key);
+  } else {
+    stopProviderHealthChecks();
+  }
+}
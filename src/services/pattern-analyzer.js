@@ -1,14 +1,18 @@
+import { getEffectiveTip, getNextBaseFee, getUserEffectiveTip } from '../utils/fees.js';
+
 /**
  * Advanced Transaction Pattern Analyzer
  * Detects MEV attack patterns in real mempool data
+ * Ordering compares effective priority fees at the next block's base fee
  */
 
 /**
  * Analyze mempool transactions for MEV attack patterns
+ * @param {object} sandwichSimulation - Optional pool-math simulation (simulateSandwichAttack)
  */
-export function analyzeMEVPatterns(mempoolData, userTx) {
+export function analyzeMEVPatterns(mempoolData, userTx, sandwichSimulation = null) {
   const patterns = {
-    sandwich: detectSandwichPattern(mempoolData, userTx),
+    sandwich: detectSandwichPattern(mempoolData, userTx, sandwichSimulation),
     frontrun: detectFrontrunPattern(mempoolData, userTx),
     backrun: detectBackrunPattern(mempoolData, userTx),
     copycat: detectCopycatPattern(mempoolData, userTx),
@@ -30,7 +34,7 @@ export function analyzeMEVPatterns(mempoolData, userTx) {
  * Detect sandwich attack pattern
  * Pattern: Front-run -> User Tx -> Back-run
  */
-function detectSandwichPattern(mempoolData, userTx) {
+function detectSandwichPattern(mempoolData, userTx, sandwichSimulation) {
   const { competingTxs } = mempoolData;
 
   if (!competingTxs || competingTxs.length === 0) {
@@ -42,21 +46,22 @@ function detectSandwichPattern(mempoolData, userTx) {
   }
 
   // Look for transactions with:
-  // 1. Higher gas (potential front-run)
+  // 1. Higher tip (potential front-run)
   // 2. Same token pair
-  // 3. Lower gas following (potential back-run)
+  // 3. Lower tip following (potential back-run)
 
-  const userGasPrice = parseFloat(userTx.gasPrice || mempoolData.gasPercentiles.p50);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
 
   const frontRunners = competingTxs.filter(tx => {
-    const txGasPrice = parseFloat(tx.gasPrice);
-    return txGasPrice > userGasPrice * 1.05 && // 5% higher gas
+    const txTip = getEffectiveTip(tx, baseFee);
+    return txTip > userTip * 1.05 && // 5% higher tip
            isSameOrRelatedPair(tx.tokenPair, `${userTx.token_in}/${userTx.token_out}`);
   });
 
   const backRunners = competingTxs.filter(tx => {
-    const txGasPrice = parseFloat(tx.gasPrice);
-    return txGasPrice < userGasPrice * 0.95 && // 5% lower gas
+    const txTip = getEffectiveTip(tx, baseFee);
+    return txTip < userTip * 0.95 && // 5% lower tip
            isSameOrRelatedPair(tx.tokenPair, `${userTx.token_in}/${userTx.token_out}`) &&
            isOppositeDirection(tx, userTx);
   });
@@ -70,7 +75,7 @@ function detectSandwichPattern(mempoolData, userTx) {
       0.6 + // Base confidence
       (frontRunners.length * 0.1) + // More front-runners = higher confidence
       (backRunners.length * 0.1) + // More back-runners = higher confidence
-      (checkGasOrdering(frontRunners, backRunners, userGasPrice) ? 0.2 : 0), // Perfect ordering
+      (checkGasOrdering(frontRunners, backRunners, userTip, baseFee) ? 0.2 : 0), // Perfect ordering
       1.0
     );
   }
@@ -81,20 +86,24 @@ function detectSandwichPattern(mempoolData, userTx) {
     frontRunners: frontRunners.map(tx => ({
       hash: tx.hash,
       gasPrice: tx.gasPrice,
-      gasDiff: ((parseFloat(tx.gasPrice) - userGasPrice) / userGasPrice * 100).toFixed(2)
+      effectiveTip: getEffectiveTip(tx, baseFee),
+      venue: tx.swap?.protocol || null,
+      gasDiff: (getTipGap(getEffectiveTip(tx, baseFee), userTip) * 100).toFixed(2)
     })),
     backRunners: backRunners.map(tx => ({
       hash: tx.hash,
       gasPrice: tx.gasPrice,
-      gasDiff: ((userGasPrice - parseFloat(tx.gasPrice)) / userGasPrice * 100).toFixed(2)
+      effectiveTip: getEffectiveTip(tx, baseFee),
+      venue: tx.swap?.protocol || null,
+      gasDiff: (-getTipGap(getEffectiveTip(tx, baseFee), userTip) * 100).toFixed(2)
     })),
-    estimatedProfit: estimateSandwichProfit(userTx, frontRunners, backRunners)
+    estimatedProfit: estimateSandwichProfit(userTx, frontRunners, backRunners, sandwichSimulation)
   };
 }
 
 /**
  * Detect front-running pattern
- * Pattern: Competing transaction with higher gas
+ * Pattern: Competing transaction with a higher effective tip
  */
 function detectFrontrunPattern(mempoolData, userTx) {
   const { competingTxs } = mempoolData;
@@ -107,29 +116,34 @@ function detectFrontrunPattern(mempoolData, userTx) {
     };
   }
 
-  const userGasPrice = parseFloat(userTx.gasPrice || mempoolData.gasPercentiles.p50);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
   const tokenPair = `${userTx.token_in}/${userTx.token_out}`;
 
-  // Find transactions with higher gas on same pair
+  // Find transactions with higher tips on same pair
   const competitors = competingTxs.filter(tx => {
-    const txGasPrice = parseFloat(tx.gasPrice);
-    return txGasPrice > userGasPrice &&
+    const txTip = getEffectiveTip(tx, baseFee);
+    return txTip > userTip &&
            isSameOrRelatedPair(tx.tokenPair, tokenPair);
   });
 
   const detected = competitors.length > 0;
 
+  // Competitors that re-broadcast the same nonce with a higher fee are bidding for position
+  const gasBumpers = competitors.filter(tx => tx.replacementCount > 0);
+
   // Calculate confidence
   let confidence = 0;
   if (detected) {
     const maxGasDiff = Math.max(...competitors.map(tx =>
-      (parseFloat(tx.gasPrice) - userGasPrice) / userGasPrice
+      getTipGap(getEffectiveTip(tx, baseFee), userTip)
     ));
 
     confidence = Math.min(
       0.5 + // Base confidence
       (competitors.length * 0.1) + // More competitors = higher risk
-      (maxGasDiff * 0.3), // Higher gas difference = higher risk
+      (maxGasDiff * 0.3) + // Higher tip difference = higher risk
+      (gasBumpers.length * 0.1), // Repeated gas bumps = active bidding
       1.0
     );
   }
@@ -138,13 +152,17 @@ function detectFrontrunPattern(mempoolData, userTx) {
     detected,
     confidence,
     competitorCount: competitors.length,
+    gasBumperCount: gasBumpers.length,
     competitors: competitors.map(tx => ({
       hash: tx.hash,
       gasPrice: tx.gasPrice,
-      gasPremium: ((parseFloat(tx.gasPrice) - userGasPrice) / userGasPrice * 100).toFixed(2)
+      effectiveTip: getEffectiveTip(tx, baseFee),
+      venue: tx.swap?.protocol || null,
+      replacementCount: tx.replacementCount || 0,
+      gasPremium: (getTipGap(getEffectiveTip(tx, baseFee), userTip) * 100).toFixed(2)
     })),
     maxGasPremium: detected ? Math.max(...competitors.map(tx =>
-      ((parseFloat(tx.gasPrice) - userGasPrice) / userGasPrice * 100)
+      getTipGap(getEffectiveTip(tx, baseFee), userTip) * 100
     )).toFixed(2) : 0
   };
 }
@@ -164,16 +182,17 @@ function detectBackrunPattern(mempoolData, userTx) {
     };
   }
 
-  const userGasPrice = parseFloat(userTx.gasPrice || mempoolData.gasPercentiles.p50);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
   const tokenPair = `${userTx.token_in}/${userTx.token_out}`;
 
   // Look for transactions with:
-  // 1. Slightly lower gas (to execute after user)
+  // 1. Slightly lower tip (to execute after user)
   // 2. Opposite direction (to profit from price movement)
   const backRunners = competingTxs.filter(tx => {
-    const txGasPrice = parseFloat(tx.gasPrice);
-    return txGasPrice < userGasPrice &&
-           txGasPrice > userGasPrice * 0.8 && // Not too low
+    const txTip = getEffectiveTip(tx, baseFee);
+    return txTip < userTip &&
+           txTip > userTip * 0.8 && // Not too low
            isSameOrRelatedPair(tx.tokenPair, tokenPair) &&
            isOppositeDirection(tx, userTx);
   });
@@ -185,7 +204,7 @@ function detectBackrunPattern(mempoolData, userTx) {
     confidence = Math.min(
       0.4 + // Base confidence (lower than front-run)
       (backRunners.length * 0.15) +
-      (checkGasPositioning(backRunners, userGasPrice) ? 0.2 : 0),
+      (checkGasPositioning(backRunners, userTip, baseFee) ? 0.2 : 0),
       1.0
     );
   }
@@ -196,6 +215,7 @@ function detectBackrunPattern(mempoolData, userTx) {
     backRunners: backRunners.map(tx => ({
       hash: tx.hash,
       gasPrice: tx.gasPrice,
+      effectiveTip: getEffectiveTip(tx, baseFee),
       direction: tx.tokenPair
     }))
   };
@@ -203,7 +223,7 @@ function detectBackrunPattern(mempoolData, userTx) {
 
 /**
  * Detect copycat transactions
- * Pattern: Identical or very similar transactions with higher gas
+ * Pattern: Identical or very similar transactions with a higher tip
  */
 function detectCopycatPattern(mempoolData, userTx) {
   const { competingTxs } = mempoolData;
@@ -216,18 +236,19 @@ function detectCopycatPattern(mempoolData, userTx) {
     };
   }
 
-  const userGasPrice = parseFloat(userTx.gasPrice || mempoolData.gasPercentiles.p50);
+  const baseFee = getNextBaseFee(mempoolData);
+  const userTip = getUserEffectiveTip(userTx, mempoolData);
   const userAmount = parseFloat(userTx.amount_in);
 
   // Find transactions with:
   // 1. Same token pair
   // 2. Similar amount (within 10%)
-  // 3. Higher gas price
+  // 3. Higher effective tip
   const copycats = competingTxs.filter(tx => {
-    const txGasPrice = parseFloat(tx.gasPrice);
+    const txTip = getEffectiveTip(tx, baseFee);
     const isSamePair = tx.tokenPair === `${userTx.token_in}/${userTx.token_out}`;
     const isSimilarAmount = Math.abs(parseFloat(tx.value) - userAmount) / userAmount < 0.1;
-    const isHigherGas = txGasPrice > userGasPrice;
+    const isHigherGas = txTip > userTip;
 
     return isSamePair && isSimilarAmount && isHigherGas;
   });
@@ -241,6 +262,7 @@ function detectCopycatPattern(mempoolData, userTx) {
     copycats: copycats.map(tx => ({
       hash: tx.hash,
       gasPrice: tx.gasPrice,
+      effectiveTip: getEffectiveTip(tx, baseFee),
       amount: tx.value
     }))
   };
@@ -266,7 +288,9 @@ function detectJITLiquidityPattern(mempoolData, userTx) {
   const liquidityTxs = competingTxs.filter(tx =>
     tx.input && (
       tx.input.startsWith('0xe8e33700') || // addLiquidity
-      tx.input.startsWith('0xf305d719')    // addLiquidityETH
+      tx.input.startsWith('0xf305d719') || // addLiquidityETH
+      tx.input.startsWith('0x88316456') || // mint (V3 position manager)
+      tx.input.startsWith('0x219f5d17')    // increaseLiquidity (V3 position manager)
     )
   );
 
@@ -313,35 +337,53 @@ function isOppositeDirection(tx, userTx) {
 }
 
 /**
- * Check if gas prices are properly ordered for sandwich
+ * Check if effective tips are properly ordered for sandwich
  */
-function checkGasOrdering(frontRunners, backRunners, userGasPrice) {
+function checkGasOrdering(frontRunners, backRunners, userTip, baseFee) {
   if (frontRunners.length === 0 || backRunners.length === 0) return false;
 
-  const avgFrontGas = frontRunners.reduce((sum, tx) => sum + parseFloat(tx.gasPrice), 0) / frontRunners.length;
-  const avgBackGas = backRunners.reduce((sum, tx) => sum + parseFloat(tx.gasPrice), 0) / backRunners.length;
+  const avgFrontTip = averageTip(frontRunners, baseFee);
+  const avgBackTip = averageTip(backRunners, baseFee);
 
-  return avgFrontGas > userGasPrice && userGasPrice > avgBackGas;
+  return avgFrontTip > userTip && userTip > avgBackTip;
 }
 
 /**
  * Check if back-runners are positioned correctly
  */
-function checkGasPositioning(backRunners, userGasPrice) {
+function checkGasPositioning(backRunners, userTip, baseFee) {
   if (backRunners.length === 0) return false;
 
-  const avgBackGas = backRunners.reduce((sum, tx) => sum + parseFloat(tx.gasPrice), 0) / backRunners.length;
+  const avgBackTip = averageTip(backRunners, baseFee);
+
+  // Back-runners should tip slightly less
+  return avgBackTip < userTip && avgBackTip > userTip * 0.85;
+}
+
+function averageTip(txs, baseFee) {
+  return txs.reduce((sum, tx) => sum + getEffectiveTip(tx, baseFee), 0) / txs.length;
+}
 
-  // Back-runners should have slightly lower gas
-  return avgBackGas < userGasPrice && avgBackGas > userGasPrice * 0.85;
+/**
+ * Relative tip difference vs the user's tip (0.25 = 25% higher)
+ * A zero user tip is outbid by any positive tip, counted as 100%
+ */
+function getTipGap(tip, userTip) {
+  if (userTip > 0) return (tip - userTip) / userTip;
+  return tip > 0 ? 1 : 0;
 }
 
 /**
  * Estimate sandwich attack profit
+ * Uses the pool-math simulation (net of gas) when pool reserves are known
  */
-function estimateSandwichProfit(userTx, frontRunners, backRunners) {
+function estimateSandwichProfit(userTx, frontRunners, backRunners, sandwichSimulation) {
   if (frontRunners.length === 0 || backRunners.length === 0) return 0;
 
+  if (sandwichSimulation) {
+    return Math.max(sandwichSimulation.netProfitUsd, 0).toFixed(2);
+  }
+
   const tradeAmount = parseFloat(userTx.amount_in);
 
   // Simplified profit estimation
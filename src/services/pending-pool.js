@@ -0,0 +1,233 @@
+import { normalizeFees } from '../utils/fees.js';
+
+/**
+ * Pending Transaction Pool
+ * Tracks pending transactions by (sender, nonce) so that mined transactions
+ * are evicted when their block arrives and same-nonce replacements
+ * (speed-ups and cancels) are detected and recorded
+ */
+
+const MAX_POOL_SIZE = 5000;
+const MAX_PENDING_AGE = 10 * 60 * 1000; // 10 minutes
+const MAX_HISTORY = 1000;
+const SWEEP_INTERVAL = 1000; // Stale sweep at most once per second
+
+// Geth/Erigon reject replacements below a 10% fee bump
+const MIN_REPLACEMENT_BUMP = 0.1;
+
+// `${from}:${nonce}` -> pending entry
+const pool = new Map();
+
+// Most recent replacements first
+let replacementHistory = [];
+
+let lastSweep = 0;
+
+const stats = {
+  added: 0,
+  replaced: 0,
+  evictedIncluded: 0,
+  evictedStale: 0,
+  lastBlockNumber: 0
+};
+
+/**
+ * Build the pool key for a transaction
+ */
+function getPoolKey(from, nonce) {
+  return `${from.toLowerCase()}:${nonce}`;
+}
+
+/**
+ * Add a pending transaction to the pool
+ * @param {object} tx - Processed pending tx (needs hash, from, nonce and gas fields)
+ * @returns {object|null} Replacement record if this tx replaced an existing one
+ */
+export function addPendingTransaction(tx) {
+  if (!tx?.from || tx.nonce === undefined || tx.nonce === null) return null;
+
+  const key = getPoolKey(tx.from, tx.nonce);
+  const existing = pool.get(key);
+  const now = Date.now();
+
+  if (existing?.hash === tx.hash) return null;
+
+  let replacement = null;
+
+  if (existing) {
+    replacement = classifyReplacement(existing, tx);
+    replacementHistory.unshift(replacement);
+    if (replacementHistory.length > MAX_HISTORY) {
+      replacementHistory = replacementHistory.slice(0, MAX_HISTORY);
+    }
+    stats.replaced++;
+  }
+
+  pool.set(key, {
+    ...tx,
+    firstSeen: existing?.firstSeen || now,
+    lastSeen: now,
+    replacementCount: (existing?.replacementCount || 0) + (existing ? 1 : 0),
+    replacedHashes: existing ? [...(existing.replacedHashes || []), existing.hash] : []
+  });
+  stats.added++;
+
+  enforcePoolLimits(now);
+
+  return replacement;
+}
+
+/**
+ * Evict every pending transaction included in a block
+ * @param {object} block - Block with `number` and `transactions` ({ hash, from, nonce })
+ * @returns {number} Number of evicted pool entries
+ */
+export function handleIncludedBlock(block) {
+  if (!block?.transactions) return 0;
+
+  let evicted = 0;
+
+  for (const tx of block.transactions) {
+    if (!tx?.from || tx.nonce === undefined) continue;
+
+    const key = getPoolKey(tx.from, Number(tx.nonce));
+    if (pool.delete(key)) evicted++;
+  }
+
+  stats.evictedIncluded += evicted;
+  stats.lastBlockNumber = Math.max(stats.lastBlockNumber, Number(block.number) || 0);
+
+  enforcePoolLimits(Date.now());
+
+  return evicted;
+}
+
+/**
+ * Get pending transactions, most recently seen first
+ */
+export function getPendingTransactions() {
+  return [...pool.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Get the pending entry for a sender/nonce
+ */
+export function getPendingTransaction(from, nonce) {
+  return pool.get(getPoolKey(from, nonce)) || null;
+}
+
+/**
+ * Get recorded replacements, optionally for a single sender
+ * @param {string} from - Optional sender address
+ * @param {number} limit - Maximum records to return
+ */
+export function getReplacementHistory(from = null, limit = 100) {
+  const history = from
+    ? replacementHistory.filter(r => r.from.toLowerCase() === from.toLowerCase())
+    : replacementHistory;
+
+  return history.slice(0, limit);
+}
+
+/**
+ * Pool size and lifetime counters
+ */
+export function getPendingPoolStats() {
+  return {
+    size: pool.size,
+    ...stats,
+    replacementsTracked: replacementHistory.length
+  };
+}
+
+/**
+ * Drop all pool state
+ */
+export function clearPendingPool() {
+  pool.clear();
+  replacementHistory = [];
+  Object.assign(stats, {
+    added: 0,
+    replaced: 0,
+    evictedIncluded: 0,
+    evictedStale: 0,
+    lastBlockNumber: 0
+  });
+}
+
+/**
+ * Describe how a same-nonce transaction replaced the previous one
+ */
+function classifyReplacement(previous, next) {
+  const useTip = !!(previous.maxPriorityFeePerGas && next.maxPriorityFeePerGas);
+  const previousFee = getComparableFee(previous, useTip);
+  const nextFee = getComparableFee(next, useTip);
+  const bump = previousFee > 0 ? (nextFee - previousFee) / previousFee : 0;
+
+  let type;
+  if (isCancellation(next)) {
+    type = 'cancel';
+  } else if (bump >= MIN_REPLACEMENT_BUMP) {
+    type = 'speed-up';
+  } else {
+    type = 'replacement';
+  }
+
+  return {
+    type,
+    from: next.from,
+    nonce: next.nonce,
+    previousHash: previous.hash,
+    hash: next.hash,
+    previousGasPrice: previousFee,
+    gasPrice: nextFee,
+    bumpPercent: parseFloat((bump * 100).toFixed(2)),
+    tokenPair: next.tokenPair || previous.tokenPair || null,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Fee used to compare replacements (gwei): priority fee when both sides are
+ * EIP-1559, otherwise the fee cap (a legacy gas price is its own cap)
+ */
+function getComparableFee(tx, useTip) {
+  const fees = normalizeFees(tx);
+  return useTip ? fees.maxPriorityFeePerGas : fees.maxFeePerGas;
+}
+
+/**
+ * A cancel is a zero-value, empty-calldata self-transfer
+ */
+function isCancellation(tx) {
+  const isSelf = tx.to && tx.from && tx.to.toLowerCase() === tx.from.toLowerCase();
+  const noValue = !tx.value || parseFloat(tx.value) === 0;
+  const noData = !tx.input || tx.input === '0x';
+  return isSelf && noValue && noData;
+}
+
+/**
+ * Expire stale entries and cap the pool size (oldest first)
+ */
+function enforcePoolLimits(now) {
+  if (now - lastSweep >= SWEEP_INTERVAL) {
+    lastSweep = now;
+    for (const [key, entry] of pool) {
+      if (now - entry.lastSeen > MAX_PENDING_AGE) {
+        pool.delete(key);
+        stats.evictedStale++;
+      }
+    }
+  }
+
+  if (pool.size <= MAX_POOL_SIZE) return;
+
+  const oldest = [...pool.entries()]
+    .sort(([, a], [, b]) => a.lastSeen - b.lastSeen)
+    .slice(0, pool.size - MAX_POOL_SIZE);
+
+  for (const [key] of oldest) {
+    pool.delete(key);
+    stats.evictedStale++;
+  }
+}
@@ -0,0 +1,359 @@
+import { ethers } from 'ethers';
+import { getPoolDataOnChain } from './dex-pools.js';
+import { withProvider } from './provider-manager.js';
+import { CHAIN_KEYS, getChain } from '../utils/chains.js';
+import { getChainTokens, normalizeToken } from '../utils/tokens.js';
+
+/**
+ * Live Pool State
+ * Keeps the reserves (V2) and price, liquidity and ticks (V3) of watched pools
+ * current in memory. Each pool is read once on-chain, then updated from its
+ * Sync, Swap, Mint and Burn logs, fetched with eth_getLogs every block.
+ * getPoolData serves watched pools from here while their chain is in sync.
+ */
+
+const POOL_EVENTS = new ethers.Interface([
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+]);
+const POOL_EVENT_TOPICS = ['Sync', 'Swap', 'Mint', 'Burn'].map(name => POOL_EVENTS.getEvent(name).topicHash);
+
+// Venues whose pools emit the events above
+const WATCHABLE_DEXES = ['uniswap-v2', 'sushiswap', 'uniswap-v3'];
+
+// Blocks per eth_getLogs request; a watcher further behind re-reads its pools
+const MAX_LOG_BLOCKS = 500;
+
+// Re-read pools periodically so missed or reorged logs can't drift the state
+const RESYNC_INTERVAL_MS = 10 * 60 * 1000;
+
+// State older than this many block times is not served
+const MAX_STALE_BLOCKS = 3;
+
+// `${chain}:${dex}:${tokenA}/${tokenB}` (sorted) -> { chain, dex, address, poolData, snapshotBlock }
+const watchedPools = new Map();
+
+// chain key -> { timer, syncedBlock, syncedAt, resyncedAt, lastError }
+const chainWatchers = new Map();
+
+/**
+ * Start watching the pools listed in WATCHED_POOLS
+ * Entries are `chain:dex:TOKENA/TOKENB`, comma separated
+ * (e.g. `ethereum:uniswap-v3:WETH/USDC,base:uniswap-v2:WETH/USDC`).
+ * @returns {Promise<number>} Number of pools watched
+ */
+export async function initializePoolState() {
+  const entries = (process.env.WATCHED_POOLS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return 0;
+
+  for (const entry of entries) {
+    const [chain, dex, pair] = entry.split(':');
+    const [tokenA, tokenB] = (pair || '').split('/');
+
+    if (!CHAIN_KEYS.includes(chain) || !tokenA || !tokenB) {
+      console.error(`❌ Invalid WATCHED_POOLS entry "${entry}" (expected chain:dex:TOKENA/TOKENB)`);
+      continue;
+    }
+
+    await watchPool(tokenA, tokenB, dex, chain);
+  }
+
+  return watchedPools.size;
+}
+
+/**
+ * Read a pool on-chain and keep it current from its logs
+ * @param {string} tokenA - Token symbol or registered key
+ * @param {string} tokenB - Token symbol or registered key
+ * @param {string} dex - uniswap-v2, sushiswap or uniswap-v3
+ * @param {string} chain - Chain key
+ * @returns {Promise<boolean>} Whether the pool is watched
+ */
+export async function watchPool(tokenA, tokenB, dex, chain) {
+  const symbolA = normalizeToken(tokenA, chain);
+  const symbolB = normalizeToken(tokenB, chain);
+  const key = getPoolKey(symbolA, symbolB, dex, chain);
+  if (watchedPools.has(key)) return true;
+
+  if (!WATCHABLE_DEXES.includes(dex)) {
+    console.warn(`⚠️  Can't watch ${dex} pools (supported: ${WATCHABLE_DEXES.join(', ')})`);
+    return false;
+  }
+
+  // Logs up to the block the snapshot is read at are already in its state
+  const watcher = getChainWatcher(chain);
+  const snapshotBlock = await withProvider(provider => provider.getBlockNumber(), chain);
+
+  const poolData = await getPoolDataOnChain(symbolA, symbolB, dex, chain);
+  if (!poolData) {
+    console.warn(`⚠️  Not watching ${symbolA}/${symbolB} on ${dex} (${chain}): pool not found`);
+    return false;
+  }
+
+  watchedPools.set(key, { chain, dex, address: poolData.pairAddress.toLowerCase(), poolData, snapshotBlock });
+  if (watcher.syncedBlock === null) {
+    watcher.syncedBlock = snapshotBlock;
+    watcher.syncedAt = Date.now();
+    watcher.resyncedAt = Date.now();
+  }
+  scheduleChainSync(chain);
+
+  console.log(`👁️  Watching ${symbolA}/${symbolB} on ${dex} (${chain}) at ${poolData.pairAddress} from block ${snapshotBlock}`);
+  return true;
+}
+
+/**
+ * Serve a watched pool from memory
+ * @param {string} tokenIn - Normalized tokenIn symbol
+ * @param {string} tokenOut - Normalized tokenOut symbol
+ * @param {string} dex - DEX identifier
+ * @param {string} chain - Chain key
+ * @returns {object|null} Pool data in the getPoolData shape (token0 = tokenIn) with the block and
+ *   age of its state, or null when the pool isn't watched or its chain has fallen behind
+ */
+export function getLivePoolData(tokenIn, tokenOut, dex, chain) {
+  const watched = watchedPools.get(getPoolKey(tokenIn, tokenOut, dex, chain));
+  const watcher = chainWatchers.get(chain);
+  if (!watched || !watcher?.syncedAt) return null;
+
+  const ageSeconds = (Date.now() - watcher.syncedAt) / 1000;
+  if (ageSeconds > MAX_STALE_BLOCKS * Math.max(getChain(chain).blockTime, 1)) return null;
+
+  const { poolData, snapshotBlock } = watched;
+  const oriented = poolData.token0 === tokenIn
+    ? poolData
+    : {
+      ...poolData,
+      token0: poolData.token1,
+      token1: poolData.token0,
+      reserve0: poolData.reserve1,
+      reserve1: poolData.reserve0
+    };
+
+  return {
+    ...oriented,
+    dataSource: 'live',
+    stateBlock: Math.max(watcher.syncedBlock, snapshotBlock),
+    stateAgeSeconds: parseFloat(ageSeconds.toFixed(1)),
+    timestamp: Math.floor(watcher.syncedAt / 1000)
+  };
+}
+
+/**
+ * Watched pools and per-chain sync progress, for /health
+ */
+export function getPoolStateStatus() {
+  return {
+    watchedPools: watchedPools.size,
+    chains: Object.fromEntries([...chainWatchers].map(([chain, watcher]) => [chain, {
+      pools: [...watchedPools.values()].filter(watched => watched.chain === chain).length,
+      syncedBlock: watcher.syncedBlock,
+      ageSeconds: watcher.syncedAt ? Math.round((Date.now() - watcher.syncedAt) / 1000) : null,
+      lastError: watcher.lastError
+    }]))
+  };
+}
+
+/**
+ * Stop following logs and forget watched pools
+ */
+export function stopPoolState() {
+  for (const watcher of chainWatchers.values()) {
+    clearTimeout(watcher.timer);
+  }
+  chainWatchers.clear();
+  watchedPools.clear();
+}
+
+/**
+ * Pools are keyed by their sorted pair so either direction finds them
+ */
+function getPoolKey(tokenA, tokenB, dex, chain) {
+  return `${chain}:${dex}:${[tokenA, tokenB].sort().join('/')}`;
+}
+
+function getChainWatcher(chain) {
+  if (!chainWatchers.has(chain)) {
+    chainWatchers.set(chain, { timer: null, syncedBlock: null, syncedAt: null, resyncedAt: null, lastError: null });
+  }
+  return chainWatchers.get(chain);
+}
+
+/**
+ * Poll for the chain's new logs once per block
+ */
+function scheduleChainSync(chain) {
+  const watcher = getChainWatcher(chain);
+  if (watcher.timer) return;
+
+  const interval = Math.max(getChain(chain).blockTime * 1000, 1000);
+  watcher.timer = setTimeout(async () => {
+    try {
+      await syncChain(chain);
+      watcher.lastError = null;
+    } catch (error) {
+      watcher.lastError = error.message;
+      console.warn(`⚠️  Pool state sync failed on ${chain}:`, error.message);
+    }
+
+    watcher.timer = null;
+    if (chainWatchers.get(chain) === watcher) scheduleChainSync(chain);
+  }, interval);
+  watcher.timer.unref?.();
+}
+
+/**
+ * Apply the watched pools' logs since the last synced block
+ * A pool watched after the chain's last sync skips the logs its snapshot already includes.
+ * @param {string} chain - Chain key
+ */
+export async function syncChain(chain) {
+  const watcher = getChainWatcher(chain);
+  const pools = [...watchedPools.values()].filter(watched => watched.chain === chain);
+  if (pools.length === 0) return;
+
+  const latest = await withProvider(provider => provider.getBlockNumber(), chain);
+  if (latest <= watcher.syncedBlock) {
+    watcher.syncedAt = Date.now();
+    return;
+  }
+
+  if (latest - watcher.syncedBlock > MAX_LOG_BLOCKS || Date.now() - watcher.resyncedAt > RESYNC_INTERVAL_MS) {
+    await resyncChain(chain, pools, latest);
+    return;
+  }
+
+  const logs = await withProvider(provider => provider.getLogs({
+    address: pools.map(watched => watched.address),
+    topics: [POOL_EVENT_TOPICS],
+    fromBlock: watcher.syncedBlock + 1,
+    toBlock: latest
+  }), chain);
+
+  const poolsByAddress = new Map(pools.map(watched => [watched.address, watched]));
+  logs
+    .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index))
+    .forEach(log => {
+      const watched = poolsByAddress.get(log.address.toLowerCase());
+      if (watched && log.blockNumber > watched.snapshotBlock) applyLog(watched, log);
+    });
+
+  watcher.syncedBlock = latest;
+  watcher.syncedAt = Date.now();
+}
+
+/**
+ * Re-read every watched pool on a chain
+ */
+async function resyncChain(chain, pools, latest) {
+  const watcher = getChainWatcher(chain);
+
+  await Promise.all(pools.map(async watched => {
+    const { token0, token1 } = watched.poolData;
+    const poolData = await getPoolDataOnChain(token0, token1, watched.dex, chain);
+    if (poolData) {
+      watched.poolData = poolData;
+      watched.snapshotBlock = latest;
+    }
+  }));
+
+  watcher.syncedBlock = latest;
+  watcher.syncedAt = Date.now();
+  watcher.resyncedAt = Date.now();
+  console.log(`🔄 Re-read ${pools.length} watched pool(s) on ${chain} at block ${latest}`);
+}
+
+/**
+ * Update a pool's state from one of its logs
+ * State is replaced rather than mutated, so pool data already handed to a
+ * scan stays consistent.
+ */
+function applyLog(watched, log) {
+  const event = POOL_EVENTS.parseLog(log);
+  if (!event) return;
+
+  const { poolData } = watched;
+  const v3 = poolData.concentratedLiquidity;
+
+  if (event.name === 'Sync' && !v3) {
+    watched.poolData = applySync(poolData, event.args, watched.chain);
+    return;
+  }
+
+  if (!v3) return;
+
+  if (event.name === 'Swap') {
+    watched.poolData = withConcentratedLiquidity(poolData, {
+      ...v3,
+      sqrtPrice: Number(event.args.sqrtPriceX96) / 2 ** 96,
+      tick: Number(event.args.tick),
+      liquidity: Number(event.args.liquidity)
+    });
+    return;
+  }
+
+  // Mint adds liquidity to [tickLower, tickUpper), Burn removes it
+  const sign = event.name === 'Mint' ? 1 : -1;
+  const amount = sign * Number(event.args.amount);
+  const tickLower = Number(event.args.tickLower);
+  const tickUpper = Number(event.args.tickUpper);
+
+  let ticks = v3.ticks;
+  if (tickLower >= v3.minTick && tickLower <= v3.maxTick) ticks = addLiquidityNet(ticks, tickLower, amount);
+  if (tickUpper >= v3.minTick && tickUpper <= v3.maxTick) ticks = addLiquidityNet(ticks, tickUpper, -amount);
+
+  const inRange = tickLower <= v3.tick && v3.tick < tickUpper;
+
+  watched.poolData = withConcentratedLiquidity(poolData, {
+    ...v3,
+    ticks,
+    liquidity: inRange ? v3.liquidity + amount : v3.liquidity
+  });
+}
+
+/**
+ * V2 Sync logs carry both reserves in the pair's (address-sorted) token order
+ */
+function applySync(poolData, args, chain) {
+  const tokens = getChainTokens(chain);
+  const meta0 = tokens[poolData.token0];
+  const meta1 = tokens[poolData.token1];
+  const token0IsPairToken0 = meta0.address.toLowerCase() < meta1.address.toLowerCase();
+  const [raw0, raw1] = token0IsPairToken0
+    ? [args.reserve0, args.reserve1]
+    : [args.reserve1, args.reserve0];
+
+  return {
+    ...poolData,
+    reserve0: parseFloat(ethers.formatUnits(raw0, meta0.decimals)),
+    reserve1: parseFloat(ethers.formatUnits(raw1, meta1.decimals)),
+    // Repriced by withLiquidityUsd
+    reserveUSD: null,
+    liquidity: null
+  };
+}
+
+/**
+ * Replace a V3 pool's state and recompute the active range's virtual reserves
+ */
+function withConcentratedLiquidity(poolData, v3) {
+  const virtual0 = v3.liquidity / v3.sqrtPrice / 10 ** v3.decimals0;
+  const virtual1 = v3.liquidity * v3.sqrtPrice / 10 ** v3.decimals1;
+  const [reserve0, reserve1] = poolData.token0 === v3.token0 ? [virtual0, virtual1] : [virtual1, virtual0];
+
+  return { ...poolData, reserve0, reserve1, reserveUSD: null, liquidity: null, concentratedLiquidity: v3 };
+}
+
+/**
+ * Add to an initialized tick's liquidityNet, keeping ticks ascending
+ */
+function addLiquidityNet(ticks, tick, amount) {
+  const existing = ticks.find(entry => entry.tick === tick);
+  if (existing) {
+    return ticks.map(entry => entry.tick === tick ? { tick, liquidityNet: entry.liquidityNet + amount } : entry);
+  }
+
+  return [...ticks, { tick, liquidityNet: amount }].sort((a, b) => a.tick - b.tick);
+}
@@ -0,0 +1,185 @@
+import { ethers } from 'ethers';
+import { getPoolData, getPoolModel } from './dex-pools.js';
+import { getProvider } from './provider-manager.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { normalizeToken } from '../utils/tokens.js';
+
+/**
+ * USD Pricing
+ * Prices tokens from Chainlink aggregators where the chain registry lists a
+ * feed, otherwise from the deepest reference pool against a feed-priced token
+ * (the wrapped native coin or USDC). Prices are cached briefly in memory.
+ */
+
+const CHAINLINK_AGGREGATOR_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Feeds update at least daily (stablecoin heartbeat); older answers are ignored
+const FEED_MAX_AGE_SECONDS = 25 * 3600;
+
+// Venues and minimum depth for pricing a token against a reference token
+const REFERENCE_DEXES = ['uniswap-v3', 'uniswap-v2'];
+const MIN_REFERENCE_LIQUIDITY_USD = 100000;
+
+const PRICE_CACHE_TTL_MS = 60 * 1000;
+const priceCache = new Map(); // `${source}:${chain}:${token}` -> { price (promise), cachedAt }
+
+/**
+ * Get a token's USD price
+ * @param {string} token - Token symbol or registered key
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<object|null>} { priceUsd, source } or null when no feed or deep pool prices it
+ */
+export async function getTokenPriceUsd(token, chain = DEFAULT_CHAIN) {
+  const chainKey = getChain(chain).key;
+  const symbol = normalizeToken(token, chainKey);
+
+  return await cached('chainlink', chainKey, symbol, getChainlinkPrice) ??
+    await cached('pool', chainKey, symbol, getReferencePoolPrice);
+}
+
+/**
+ * Price both sides of a trade and the chain's native coin (for gas)
+ * @param {object} input - Trade input (token_in, token_out, amount_in, chain)
+ * @returns {Promise<object>} { tokenIn, tokenOut, native, amountInUsd, sources } with null for anything unpriced
+ */
+export async function getTradePrices(input) {
+  const chain = getChain(input.chain || DEFAULT_CHAIN);
+
+  const [tokenIn, tokenOut, native] = await Promise.all([
+    getTokenPriceUsd(input.token_in, chain.key),
+    getTokenPriceUsd(input.token_out, chain.key),
+    getTokenPriceUsd(chain.wrappedNative, chain.key)
+  ]);
+
+  const amountIn = parseFloat(input.amount_in);
+
+  return {
+    tokenIn: tokenIn?.priceUsd ?? null,
+    tokenOut: tokenOut?.priceUsd ?? null,
+    native: native?.priceUsd ?? null,
+    amountInUsd: tokenIn && amountIn > 0 ? parseFloat((amountIn * tokenIn.priceUsd).toFixed(2)) : null,
+    sources: {
+      tokenIn: tokenIn?.source ?? null,
+      tokenOut: tokenOut?.source ?? null,
+      native: native?.source ?? null
+    }
+  };
+}
+
+/**
+ * Fill in a pool's USD liquidity from trade prices
+ * Pool readers report reserves only; Graph and estimated data keep their own figures.
+ * @param {object} poolData - Pool data from getPoolData (token0 is the trade's tokenIn)
+ * @param {object} prices - Result of getTradePrices for the same pair
+ * @returns {object} Pool data with reserveUSD and liquidity in USD where prices allow
+ */
+export function withLiquidityUsd(poolData, prices) {
+  if (poolData.reserveUSD != null || !(poolData.reserve0 > 0) || !(poolData.reserve1 > 0)) return poolData;
+
+  // A missing side is valued like the other, as pools hold comparable value on both sides
+  const value0 = prices.tokenIn !== null ? poolData.reserve0 * prices.tokenIn : null;
+  const value1 = prices.tokenOut !== null ? poolData.reserve1 * prices.tokenOut : null;
+  if (value0 === null && value1 === null) return poolData;
+
+  const liquidityUsd = Math.round((value0 ?? value1) + (value1 ?? value0));
+  return { ...poolData, reserveUSD: liquidityUsd, liquidity: liquidityUsd };
+}
+
+/**
+ * Format trade prices for API responses
+ */
+export function formatTradePrices(prices) {
+  if (!prices) return null;
+
+  return {
+    token_in_usd: prices.tokenIn,
+    token_out_usd: prices.tokenOut,
+    native_usd: prices.native,
+    sources: {
+      token_in: prices.sources.tokenIn,
+      token_out: prices.sources.tokenOut,
+      native: prices.sources.native
+    }
+  };
+}
+
+/**
+ * Share one lookup per token and source between concurrent callers for the cache TTL
+ */
+function cached(source, chain, token, lookup) {
+  const cacheKey = `${source}:${chain}:${token}`;
+  const entry = priceCache.get(cacheKey);
+  if (entry && Date.now() - entry.cachedAt < PRICE_CACHE_TTL_MS) return entry.price;
+
+  const price = lookup(token, chain);
+  priceCache.set(cacheKey, { price, cachedAt: Date.now() });
+  return price;
+}
+
+/**
+ * Read a token's USD price from its Chainlink aggregator
+ */
+async function getChainlinkPrice(token, chain) {
+  const feedAddress = getChain(chain).priceFeeds?.[token];
+  if (!feedAddress) return null;
+
+  try {
+    const provider = await getProvider(chain);
+    const feed = new ethers.Contract(feedAddress, CHAINLINK_AGGREGATOR_ABI, provider);
+    const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+
+    const age = Math.floor(Date.now() / 1000) - Number(round.updatedAt);
+    if (round.answer <= 0n || age > FEED_MAX_AGE_SECONDS) {
+      console.warn(`⚠️  Stale Chainlink ${token}/USD answer on ${chain} (${age}s old)`);
+      return null;
+    }
+
+    return {
+      priceUsd: parseFloat(ethers.formatUnits(round.answer, decimals)),
+      source: 'chainlink'
+    };
+  } catch (error) {
+    console.warn(`⚠️  Chainlink ${token}/USD read failed on ${chain}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Price a token from its deepest pool against a reference token with a Chainlink feed
+ */
+async function getReferencePoolPrice(token, chain) {
+  const config = getChain(chain);
+  const references = [config.wrappedNative, 'USDC'].filter(reference => reference !== token && config.tokens[reference]);
+  const dexes = REFERENCE_DEXES.filter(dex => config.dexes[dex]);
+
+  const candidates = await Promise.all(references.flatMap(reference => dexes.map(async dex => {
+    const referencePrice = await cached('chainlink', chain, reference, getChainlinkPrice);
+    if (!referencePrice) return null;
+
+    const poolData = await getPoolData(token, reference, dex, chain).catch(() => null);
+    if (!poolData || poolData.isEstimated) return null;
+
+    const pool = getPoolModel(poolData, token, chain);
+    if (!pool) return null;
+
+    // Count both sides at the reference's value
+    const referenceReserve = normalizeToken(poolData.token0, chain) === token ? poolData.reserve1 : poolData.reserve0;
+    const liquidityUsd = 2 * referenceReserve * referencePrice.priceUsd;
+    if (!(liquidityUsd >= MIN_REFERENCE_LIQUIDITY_USD)) return null;
+
+    return {
+      priceUsd: pool.spotPrice * referencePrice.priceUsd,
+      source: `${dex}:${reference}`,
+      liquidityUsd
+    };
+  })));
+
+  const deepest = candidates
+    .filter(Boolean)
+    .sort((a, b) => b.liquidityUsd - a.liquidityUsd)[0];
+
+  return deepest ? { priceUsd: deepest.priceUsd, source: deepest.source } : null;
+}
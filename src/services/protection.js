@@ -1,78 +1,87 @@
 import { calculateOptimalGasPrice } from '../utils/gas.js';
 import { calculateOptimalSplit } from '../utils/calculations.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+
+// Tolerances tighter than this tend to revert on ordinary price movement
+const MIN_PRACTICAL_SLIPPAGE = 0.001;
 
 /**
  * Generate protection suggestions based on risk score and attack type
  * @param {number} riskScore - Overall risk score (0-100)
  * @param {string} attackType - Detected attack type
  * @param {object} mempoolData - Mempool data
- * @param {object} input - User transaction input
+ * @param {object} input - User transaction input (input.chain selects the chain)
+ * @param {object} sandwichSimulation - Result of simulateSandwichAttack, when pool state was available
+ * @param {object} tradePlan - Result of planTrade, when pool state was available
  * @returns {array} Array of actionable protection suggestions
  */
-export function generateProtectionSuggestions(riskScore, attackType, mempoolData, input) {
+export function generateProtectionSuggestions(riskScore, attackType, mempoolData, input, sandwichSimulation = null, tradePlan = null) {
   const suggestions = [];
+  const chain = getChain(input.chain);
 
   // Critical risk (85+)
   if (riskScore >= 85) {
-    suggestions.push({
-      priority: 'CRITICAL',
-      icon: '🔴',
-      title: 'Use Private Transaction Service',
-      description: 'Your transaction is at critical risk. Use Flashbots Protect RPC to hide it from public mempool.',
-      implementation: 'Change RPC to https://rpc.flashbots.net or use MEV Blocker'
-    });
+    suggestions.push(getPrivateSubmissionSuggestion(chain, 'CRITICAL'));
 
     suggestions.push({
       priority: 'CRITICAL',
       icon: '⚠️',
       title: 'Consider Delaying Transaction',
       description: 'Wait 1-2 blocks for mempool to clear of potential attackers.',
-      implementation: 'Wait 15-30 seconds before submitting'
+      implementation: `Wait ${Math.ceil(chain.blockTime * 1.25)}-${Math.ceil(chain.blockTime * 2.5)} seconds before submitting`
     });
   }
 
   // High risk (70-84)
   if (riskScore >= 70 && riskScore < 85) {
-    suggestions.push({
-      priority: 'HIGH',
-      icon: '🟠',
-      title: 'Use Flashbots Protect RPC',
-      description: 'Hide your transaction from public mempool to prevent MEV attacks.',
-      implementation: 'Add Flashbots RPC: https://rpc.flashbots.net'
-    });
+    suggestions.push(getPrivateSubmissionSuggestion(chain, 'HIGH'));
 
-    const optimalGas = calculateOptimalGasPrice(mempoolData.gasPercentiles, attackType);
-    suggestions.push({
-      priority: 'HIGH',
-      icon: '⛽',
-      title: `Increase Gas Price to ${optimalGas.recommended} gwei`,
-      description: 'Use higher gas to reduce front-running risk.',
-      implementation: `Set gas price to ${optimalGas.recommended} gwei (${optimalGas.strategy} strategy)`
-    });
+    // First-come-first-served sequencers ignore fees when ordering
+    if (chain.mempool !== 'sequencer-fcfs') {
+      const optimalGas = calculateOptimalGasPrice(mempoolData.gasPercentiles, attackType, mempoolData.feeHistory);
+      suggestions.push({
+        priority: 'HIGH',
+        icon: '⛽',
+        title: `Increase Gas Price to ${optimalGas.recommended} gwei`,
+        description: 'Use higher gas to reduce front-running risk.',
+        implementation: getGasImplementation(optimalGas)
+      });
+    }
+  }
+
+  // Slippage is what a sandwich extracts - advise on it at medium risk, or
+  // whenever the swap's current minimum output leaves a profitable sandwich
+  if ((riskScore >= 40 && riskScore < 70) || sandwichSimulation?.profitable) {
+    suggestions.push(getSlippageSuggestion(sandwichSimulation, input, riskScore >= 70 ? 'HIGH' : 'MEDIUM'));
   }
 
   // Medium risk (40-69)
   if (riskScore >= 40 && riskScore < 70) {
-    suggestions.push({
-      priority: 'MEDIUM',
-      icon: '🟡',
-      title: 'Increase Slippage Tolerance',
-      description: 'Set slippage to 1-2% to reduce transaction failure risk.',
-      implementation: 'Update slippage tolerance in your DEX interface'
-    });
-
     suggestions.push({
       priority: 'MEDIUM',
       icon: '⏰',
       title: 'Monitor Transaction Closely',
       description: 'Watch for transaction status after submission.',
-      implementation: 'Use Etherscan or your wallet to monitor execution'
+      implementation: `Use ${chain.explorer} or your wallet to monitor execution`
+    });
+  }
+
+  // Pool-priced split plan, whenever splitting beats a single trade
+  if (tradePlan?.splits > 1) {
+    suggestions.push({
+      priority: riskScore >= 70 ? 'HIGH' : 'MEDIUM',
+      icon: '✂️',
+      title: `Split Trade into ${tradePlan.splits} Transactions`,
+      description: `Expected cost $${tradePlan.costsUsd.total} vs $${tradePlan.singleTradeCostUsd} in one trade ` +
+        '(price impact, MEV exposure, gas and price drift).',
+      implementation: `Execute ${tradePlan.splits} trades of ${parseFloat(tradePlan.chunkAmountIn.toPrecision(6))} ${input.token_in} ` +
+        `every ${tradePlan.spacingBlocks} block${tradePlan.spacingBlocks === 1 ? '' : 's'} (~${tradePlan.spacingSeconds}s apart)`
     });
   }
 
   // Sandwich attack specific
   if (attackType === 'sandwich' || attackType === 'potential-sandwich') {
-    const split = calculateOptimalSplit(parseFloat(input.amount_in), riskScore);
+    const split = tradePlan ? { splits: 1 } : calculateOptimalSplit(parseFloat(input.amount_in), riskScore);
 
     if (split.splits > 1) {
       suggestions.push({
@@ -95,15 +104,17 @@ export function generateProtectionSuggestions(riskScore, attackType, mempoolData
 
   // Front-run specific
   if (attackType === 'front-run') {
-    const optimalGas = calculateOptimalGasPrice(mempoolData.gasPercentiles, attackType);
+    if (chain.mempool !== 'sequencer-fcfs') {
+      const optimalGas = calculateOptimalGasPrice(mempoolData.gasPercentiles, attackType, mempoolData.feeHistory);
 
-    suggestions.push({
-      priority: 'HIGH',
-      icon: '🚀',
-      title: `Increase Gas to Top 10%`,
-      description: `Set gas price to ${optimalGas.recommended} gwei to outpace competitors.`,
-      implementation: `Use ${optimalGas.recommended} gwei gas price`
-    });
+      suggestions.push({
+        priority: 'HIGH',
+        icon: '🚀',
+        title: `Increase Gas to Top 10%`,
+        description: `Set gas price to ${optimalGas.recommended} gwei to outpace competitors.`,
+        implementation: getGasImplementation(optimalGas)
+      });
+    }
 
     suggestions.push({
       priority: 'MEDIUM',
@@ -120,7 +131,7 @@ export function generateProtectionSuggestions(riskScore, attackType, mempoolData
     icon: '✅',
     title: 'Monitor After Submission',
     description: 'Always check transaction status after submission.',
-    implementation: 'Use block explorer (Etherscan) to verify execution'
+    implementation: `Use block explorer (${chain.explorer}) to verify execution`
   });
 
   // Low risk advice
@@ -141,6 +152,99 @@ export function generateProtectionSuggestions(riskScore, attackType, mempoolData
   return suggestions;
 }
 
+/**
+ * Private submission advice for the chain's transaction-ordering model
+ * Public-mempool chains get their private RPC; sequencer chains already keep
+ * pending transactions private, so the advice is to bound execution instead.
+ */
+function getPrivateSubmissionSuggestion(chain, priority) {
+  const critical = priority === 'CRITICAL';
+
+  if (chain.mempool !== 'public') {
+    return {
+      priority,
+      icon: critical ? '🔴' : '🟠',
+      title: 'Tighten Slippage and Deadline',
+      description: `${chain.name} has no public mempool, so private RPCs add little. Limit what an ordering race can take instead.`,
+      implementation: 'Set a tight minimum output and a short deadline on the swap'
+    };
+  }
+
+  if (!chain.privateRpc) {
+    return {
+      priority,
+      icon: critical ? '🔴' : '🟠',
+      title: 'Reduce Public Mempool Exposure',
+      description: `${chain.name} has a public mempool and no widely used private RPC. Keep the trade unattractive to sandwich.`,
+      implementation: 'Set a tight minimum output, or route through an aggregator with private order flow'
+    };
+  }
+
+  return {
+    priority,
+    icon: critical ? '🔴' : '🟠',
+    title: critical ? 'Use Private Transaction Service' : `Use ${chain.privateRpc.name} RPC`,
+    description: critical
+      ? `Your transaction is at critical risk. Use ${chain.privateRpc.name} RPC to hide it from public mempool.`
+      : 'Hide your transaction from public mempool to prevent MEV attacks.',
+    implementation: critical
+      ? `Change RPC to ${chain.privateRpc.url}${chain.key === DEFAULT_CHAIN ? ' or use MEV Blocker' : ''}`
+      : `Add ${chain.privateRpc.name} RPC: ${chain.privateRpc.url}`
+  };
+}
+
+/**
+ * Minimum-output advice from the sandwich-proof slippage search
+ * Without pool state there is no computed bound, so the advice stays generic.
+ */
+function getSlippageSuggestion(simulation, input, priority) {
+  if (!simulation) {
+    return {
+      priority,
+      icon: '🎯',
+      title: 'Keep Slippage Tolerance Tight',
+      description: 'Wide slippage is what lets a sandwich profit from your trade. Use 0.5% or less unless the swap keeps failing.',
+      implementation: 'Lower slippage tolerance in your DEX interface'
+    };
+  }
+
+  const slippagePercent = parseFloat((simulation.safeSlippage * 100).toFixed(2));
+  const amountOutMin = parseFloat(simulation.safeAmountOutMin.toPrecision(6));
+
+  // The price can move that much between signing and inclusion on its own
+  if (simulation.safeSlippage < MIN_PRACTICAL_SLIPPAGE) {
+    return {
+      priority,
+      icon: '🎯',
+      title: 'No Safe Slippage Tolerance',
+      description: `A sandwich on this pool stays profitable at any slippage above ${slippagePercent}%, too tight to execute reliably.`,
+      implementation: 'Submit privately, split the trade, or use a deeper pool'
+    };
+  }
+
+  return {
+    priority,
+    icon: '🎯',
+    title: `Set Minimum Output to ${amountOutMin} ${input.token_out}`,
+    description: `At ${slippagePercent}% slippage or less no sandwich on this pool covers the attacker's gas.`,
+    implementation: `Set slippage tolerance to ${slippagePercent}% (amountOutMin ${amountOutMin})`
+  };
+}
+
+/**
+ * How to apply a calculateOptimalGasPrice recommendation
+ * EIP-1559 recommendations spell out the fee fields and inclusion odds
+ */
+function getGasImplementation(optimalGas) {
+  if (optimalGas.maxPriorityFeePerGas === undefined) {
+    return `Set gas price to ${optimalGas.recommended} gwei (${optimalGas.strategy} strategy)`;
+  }
+
+  const nextBlock = Math.round(optimalGas.inclusionProbability[1] * 100);
+  return `Set max priority fee to ${optimalGas.maxPriorityFeePerGas} gwei and max fee to ${optimalGas.maxFeePerGas} gwei ` +
+    `(${optimalGas.strategy} strategy, ~${nextBlock}% chance of inclusion in the next block)`;
+}
+
 /**
  * Format suggestions for output (simple text format)
  * @param {array} suggestions - Array of suggestion objects
@@ -156,15 +260,31 @@ export function formatSuggestionsForOutput(suggestions) {
  * Get specific DEX recommendations based on the DEX being used
  * @param {string} dex - DEX name
  * @param {number} riskScore - Risk score
+ * @param {string} chain - Chain key (Flashbots advice only applies to Ethereum)
+ * @param {object} sandwichSimulation - Result of simulateSandwichAttack, when pool state was available
+ * @param {object} routeComparison - Result of compareRoutes, when other venues were quoted
  * @returns {array} DEX-specific suggestions
  */
-export function getDexSpecificRecommendations(dex, riskScore) {
+export function getDexSpecificRecommendations(dex, riskScore, chain = DEFAULT_CHAIN, sandwichSimulation = null, routeComparison = null) {
   const recommendations = [];
 
+  const betterRoute = getBetterRoute(routeComparison);
+  if (betterRoute) {
+    recommendations.push({
+      priority: riskScore >= 70 ? 'HIGH' : 'MEDIUM',
+      icon: '🔀',
+      title: `Route Through ${betterRoute.route}`,
+      description: `Expected to deliver ${parseFloat(betterRoute.netAmountOut.toPrecision(6))} ${routeComparison.tokenOut} after MEV and gas, $${routeComparison.improvementUsd} more than ${dex}.`,
+      implementation: betterRoute.hops.length > 1
+        ? `Swap via ${betterRoute.hops[0].tokenOut} in one transaction through an aggregator or multi-hop router`
+        : `Submit the swap to ${betterRoute.hops[0].dex} instead`
+    });
+  }
+
   switch (dex.toLowerCase()) {
     case 'uniswap-v2':
     case 'uniswap-v3':
-      if (riskScore >= 70) {
+      if (riskScore >= 70 && chain === DEFAULT_CHAIN) {
         recommendations.push({
           priority: 'HIGH',
           icon: '🦄',
@@ -176,23 +296,27 @@ export function getDexSpecificRecommendations(dex, riskScore) {
       break;
 
     case 'curve':
-      recommendations.push({
-        priority: 'INFO',
-        icon: 'ℹ️',
-        title: 'Curve Has Lower MEV Risk',
-        description: 'Curve\'s stable swap design reduces sandwich attack profitability.',
-        implementation: 'Curve is generally safer for stable swaps'
-      });
+      recommendations.push(sandwichSimulation?.poolType === 'stableswap'
+        ? getSimulatedPoolRecommendation('Curve', sandwichSimulation)
+        : {
+          priority: 'INFO',
+          icon: 'ℹ️',
+          title: 'Curve Has Lower MEV Risk',
+          description: 'Curve\'s stable swap design reduces sandwich attack profitability.',
+          implementation: 'Curve is generally safer for stable swaps'
+        });
       break;
 
     case 'balancer':
-      recommendations.push({
-        priority: 'INFO',
-        icon: 'ℹ️',
-        title: 'Balancer Multi-Token Pools',
-        description: 'Balancer pools may have different MEV characteristics.',
-        implementation: 'Check pool liquidity depth before trading'
-      });
+      recommendations.push(sandwichSimulation?.poolType === 'weighted'
+        ? getSimulatedPoolRecommendation('Balancer', sandwichSimulation)
+        : {
+          priority: 'INFO',
+          icon: 'ℹ️',
+          title: 'Balancer Multi-Token Pools',
+          description: 'Balancer pools may have different MEV characteristics.',
+          implementation: 'Check pool liquidity depth before trading'
+        });
       break;
 
     default:
@@ -202,6 +326,119 @@ export function getDexSpecificRecommendations(dex, riskScore) {
   return recommendations;
 }
 
+/**
+ * Venue advice backed by the sandwich simulation on the actual pool
+ */
+function getSimulatedPoolRecommendation(venue, simulation) {
+  const impact = simulation.priceImpact.toFixed(3);
+
+  if (simulation.profitable) {
+    return {
+      priority: 'MEDIUM',
+      icon: '🥪',
+      title: `${venue} Pool Can Be Sandwiched`,
+      description: `Price impact on this pool is ${impact}%, leaving room for a sandwich that nets an attacker $${simulation.netProfitUsd} after gas and costs you $${simulation.victimLossUsd}.`,
+      implementation: 'Tighten your minimum output or submit through a private RPC'
+    };
+  }
+
+  return {
+    priority: 'INFO',
+    icon: 'ℹ️',
+    title: `${venue} Pool Resists Sandwiching`,
+    description: `Price impact on this pool is ${impact}%; the best sandwich grosses $${simulation.grossProfitUsd}, below the attacker's $${simulation.gasCostUsd} gas.`,
+    implementation: `${venue} is a low-MEV route for this trade at the current pool state`
+  };
+}
+
+/**
+ * Best quoted route when it beats the requested venue after MEV and gas
+ */
+function getBetterRoute(routeComparison) {
+  if (!routeComparison?.requestedRoute || !(routeComparison.improvementUsd > 0)) return null;
+  return routeComparison.bestRoute;
+}
+
+/**
+ * Suggestions for taxed, controllable or unsellable tokens in the trade
+ * @param {object} tokenSafety - Result of analyzeTradeTokens (services/token-safety.js)
+ * @returns {array} Token-specific suggestions, most severe first
+ */
+export function getTokenSafetyRecommendations(tokenSafety) {
+  const recommendations = [];
+
+  for (const analysis of tokenSafety?.tokens || []) {
+    const { token, taxes } = analysis;
+    const types = analysis.findings.map(finding => finding.type);
+
+    if (types.includes('sell-blocked')) {
+      recommendations.push({
+        priority: 'CRITICAL',
+        icon: '🍯',
+        title: `${token} Cannot Be Sold`,
+        description: `A simulated buy of ${token} succeeded but selling it reverted - this is the signature of a honeypot.`,
+        implementation: `Do not buy ${token}`
+      });
+    }
+
+    if (types.includes('buy-blocked')) {
+      recommendations.push({
+        priority: 'HIGH',
+        icon: '🚫',
+        title: `${token} Cannot Be Bought Right Now`,
+        description: 'A simulated buy reverted, so trading is likely disabled or restricted by the contract.',
+        implementation: 'Expect this swap to revert; check the token contract before retrying'
+      });
+    }
+
+    const fee = analysis.findings.find(finding => finding.type === 'transfer-fee' || finding.type === 'high-transfer-fee');
+    if (fee) {
+      const maxTax = Math.max(taxes.buy ?? 0, taxes.sell ?? 0, taxes.transfer ?? 0);
+      recommendations.push({
+        priority: fee.type === 'high-transfer-fee' ? 'HIGH' : 'MEDIUM',
+        icon: '💸',
+        title: maxTax > 0 ? `${token} Charges a ${parseFloat((maxTax * 100).toFixed(2))}% Transfer Tax` : `${token} Has Transfer Fees`,
+        description: `${fee.detail}. A minimum output that ignores the tax makes the swap revert, and the extra slippage it needs is room for a sandwich.`,
+        implementation: 'Use a *SupportingFeeOnTransferTokens router function, set the minimum output net of the tax and submit privately'
+      });
+    }
+
+    const controls = analysis.findings.filter(finding => finding.type === 'blacklist' || finding.type === 'pausable');
+    if (controls.length > 0) {
+      recommendations.push({
+        priority: 'MEDIUM',
+        icon: '⛔',
+        title: `${token} Owner Can Freeze Trading`,
+        description: `${controls.map(finding => finding.detail).join('; ')}.`,
+        implementation: 'Keep position sizes small and avoid holding the token longer than needed'
+      });
+    }
+
+    if (types.includes('max-tx')) {
+      recommendations.push({
+        priority: 'MEDIUM',
+        icon: '📏',
+        title: `${token} Limits Transaction Size`,
+        description: 'Swaps or balances above the contract\'s maximum revert.',
+        implementation: 'Split the trade if a single swap reverts'
+      });
+    }
+
+    if (types.includes('rebasing')) {
+      recommendations.push({
+        priority: 'INFO',
+        icon: '🔁',
+        title: `${token} Rebases Balances`,
+        description: 'Balances change without transfers, so pool prices can jump when the supply adjusts.',
+        implementation: 'Avoid trading around rebase times'
+      });
+    }
+  }
+
+  const order = ['CRITICAL', 'HIGH', 'MEDIUM', 'INFO'];
+  return recommendations.sort((a, b) => order.indexOf(a.priority) - order.indexOf(b.priority));
+}
+
 /**
  * Generate emergency recommendations for critical situations
  * @param {object} detectionResults - All detection results
@@ -214,6 +451,11 @@ export function generateEmergencyRecommendations(detectionResults) {
     return null; // Not an emergency
   }
 
+  const chain = getChain(detectionResults.chain);
+  const privateRpcAlternatives = chain.key === DEFAULT_CHAIN
+    ? [`Use Flashbots Protect RPC (${chain.privateRpc.url})`]
+    : chain.privateRpc ? [`Use ${chain.privateRpc.name} (${chain.privateRpc.url})`] : [];
+
   return {
     severity: 'EMERGENCY',
     icon: '🚨',
@@ -221,11 +463,13 @@ export function generateEmergencyRecommendations(detectionResults) {
     immediateAction: 'DO NOT SUBMIT THIS TRANSACTION',
     explanation: `High probability ${attackType} attack detected with ${riskScore}% risk score.`,
     alternatives: [
-      'Use Flashbots Protect RPC (https://rpc.flashbots.net)',
+      ...privateRpcAlternatives,
       'Wait 5-10 minutes for mempool to clear',
       'Split into multiple smaller transactions',
-      'Use a private transaction service like MEV Blocker',
-      'Consider using a different DEX or route'
+      ...(chain.key === DEFAULT_CHAIN ? ['Use a private transaction service like MEV Blocker'] : []),
+      getBetterRoute(detectionResults.routeComparison)
+        ? `Route through ${detectionResults.routeComparison.bestRoute.route} (about $${detectionResults.routeComparison.improvementUsd} more after MEV and gas)`
+        : 'Consider using a different DEX or route'
     ],
     estimatedSavings: `Could save up to $${detectionResults.estimatedLoss} by using protection`
   };
@@ -0,0 +1,260 @@
+import { ethers } from 'ethers';
+import { DEFAULT_CHAIN, getChain, getChainRpcEndpoints } from '../utils/chains.js';
+
+/**
+ * Shared RPC Provider Manager
+ * Keeps one provider per configured endpoint, scores each by latency,
+ * error rate and head lag, and routes calls to the healthiest endpoint with
+ * automatic failover. Failing endpoints cool down with exponential backoff.
+ * Endpoint pools are built lazily per chain.
+ */
+
+const HEALTH_CHECK_INTERVAL = 15 * 1000;
+const LATENCY_SMOOTHING = 0.3; // EWMA weight of the newest sample
+const ERROR_SMOOTHING = 0.2;
+
+// Backoff shared by endpoint cooldowns and WebSocket reconnects
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 60 * 1000;
+
+// Score penalties (in latency-equivalent milliseconds)
+const ERROR_RATE_PENALTY = 2000;
+const HEAD_LAG_PENALTY = 500; // per block behind the best known head
+
+const DEGRADED_ERROR_RATE = 0.25;
+const DEGRADED_HEAD_LAG = 3;
+
+// Errors caused by the request itself - another endpoint would fail the same way
+const NON_RETRYABLE_CODES = ['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'UNSUPPORTED_OPERATION'];
+
+// chain key -> endpoint pool
+const endpointsByChain = new Map();
+// chain key -> best block number seen
+const networkHeads = new Map();
+
+let healthTimer = null;
+
+/**
+ * Run an operation against the healthiest provider, failing over to the
+ * next endpoint if it throws
+ * @param {Function} operation - async (provider, endpointName) => result
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withProvider(operation, chain = DEFAULT_CHAIN) {
+  const candidates = getRankedEndpoints(chain);
+  let lastError = null;
+
+  for (const endpoint of candidates) {
+    try {
+      // Operations span several calls, so only probes feed the latency average
+      const result = await operation(endpoint.provider, endpoint.name);
+      recordSuccess(endpoint);
+      return result;
+    } catch (error) {
+      if (NON_RETRYABLE_CODES.includes(error.code)) {
+        recordSuccess(endpoint);
+        throw error;
+      }
+
+      recordFailure(endpoint, error);
+      lastError = error;
+      console.warn(`⚠️  RPC ${endpoint.name} failed (${error.message}), failing over...`);
+    }
+  }
+
+  throw lastError || new Error('No RPC endpoints configured');
+}
+
+/**
+ * Get the healthiest provider for callers that manage their own calls
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<ethers.JsonRpcProvider>}
+ */
+export async function getProvider(chain = DEFAULT_CHAIN) {
+  return getRankedEndpoints(chain)[0].provider;
+}
+
+/**
+ * Record the chain head seen from a push source (e.g. newHeads) so head lag
+ * is measured against the freshest block available
+ */
+export function reportHead(blockNumber, chain = DEFAULT_CHAIN) {
+  networkHeads.set(chain, Math.max(networkHeads.get(chain) || 0, Number(blockNumber) || 0));
+}
+
+/**
+ * Exponential backoff delay with jitter
+ * @param {number} attempt - 1-based attempt number
+ */
+export function getBackoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_BASE * 2 ** Math.max(attempt - 1, 0), BACKOFF_MAX);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Per-endpoint health for /health
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ */
+export function getProviderHealth(chain = DEFAULT_CHAIN) {
+  return getEndpoints(chain).map(endpoint => ({
+    name: endpoint.name,
+    status: getEndpointStatus(endpoint),
+    score: Math.round(getEndpointScore(endpoint)),
+    latencyMs: endpoint.latency !== null ? Math.round(endpoint.latency) : null,
+    errorRate: parseFloat(endpoint.errorRate.toFixed(3)),
+    headLag: getHeadLag(endpoint),
+    lastBlock: endpoint.lastBlock,
+    requests: endpoint.requests,
+    errors: endpoint.errors,
+    consecutiveFailures: endpoint.consecutiveFailures,
+    cooldownSeconds: Math.max(0, Math.ceil((endpoint.cooldownUntil - Date.now()) / 1000)),
+    lastError: endpoint.lastError
+  }));
+}
+
+/**
+ * Stop background health checks
+ */
+export function stopProviderHealthChecks() {
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+}
+
+/**
+ * Build a chain's endpoints from the environment (once) and start health checks
+ * Priority: MEMPOOL_RPC_URL (Ethereum only) > RPC_URL_<CHAIN> > Alchemy > Infura > public RPCs
+ */
+function getEndpoints(chain = DEFAULT_CHAIN) {
+  if (endpointsByChain.has(chain)) return endpointsByChain.get(chain);
+
+  const config = getChain(chain);
+  const configured = getChainRpcEndpoints(chain);
+
+  if (config.key === DEFAULT_CHAIN && process.env.MEMPOOL_RPC_URL) {
+    configured.unshift({ name: 'custom', url: process.env.MEMPOOL_RPC_URL });
+  }
+
+  const network = new ethers.Network(config.key, config.id);
+
+  const endpoints = configured.map((endpoint, priority) => ({
+    ...endpoint,
+    chain: config.key,
+    priority,
+    provider: new ethers.JsonRpcProvider(endpoint.url, network, { staticNetwork: network }),
+    latency: null,
+    errorRate: 0,
+    lastBlock: 0,
+    requests: 0,
+    errors: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    lastError: null
+  }));
+
+  endpointsByChain.set(config.key, endpoints);
+
+  if (healthTimer) {
+    // Probe a newly added chain right away instead of waiting for the next round
+    checkEndpointHealth(endpoints);
+  } else {
+    startHealthChecks();
+  }
+
+  return endpoints;
+}
+
+/**
+ * Endpoints ordered best first; cooling-down endpoints go last so they are
+ * still tried when everything else fails
+ */
+function getRankedEndpoints(chain) {
+  const now = Date.now();
+
+  return [...getEndpoints(chain)].sort((a, b) => {
+    const aCooling = a.cooldownUntil > now;
+    const bCooling = b.cooldownUntil > now;
+    if (aCooling !== bCooling) return aCooling ? 1 : -1;
+
+    return getEndpointScore(a) - getEndpointScore(b) || a.priority - b.priority;
+  });
+}
+
+/**
+ * Lower is better; unmeasured endpoints rank by configured priority
+ */
+function getEndpointScore(endpoint) {
+  const latency = endpoint.latency ?? 250 * (endpoint.priority + 1);
+
+  return latency +
+    endpoint.errorRate * ERROR_RATE_PENALTY +
+    getHeadLag(endpoint) * HEAD_LAG_PENALTY;
+}
+
+function getHeadLag(endpoint) {
+  const networkHead = networkHeads.get(endpoint.chain);
+  if (!endpoint.lastBlock || !networkHead) return 0;
+  return Math.max(0, networkHead - endpoint.lastBlock);
+}
+
+function getEndpointStatus(endpoint) {
+  if (endpoint.cooldownUntil > Date.now()) return 'down';
+  if (endpoint.errorRate > DEGRADED_ERROR_RATE || getHeadLag(endpoint) > DEGRADED_HEAD_LAG) return 'degraded';
+  if (endpoint.latency === null) return 'unknown';
+  return 'healthy';
+}
+
+function recordSuccess(endpoint, latency = null) {
+  endpoint.requests++;
+  endpoint.consecutiveFailures = 0;
+  endpoint.cooldownUntil = 0;
+  endpoint.errorRate *= (1 - ERROR_SMOOTHING);
+
+  if (latency === null) return;
+  endpoint.latency = endpoint.latency === null
+    ? latency
+    : endpoint.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING;
+}
+
+function recordFailure(endpoint, error) {
+  endpoint.requests++;
+  endpoint.errors++;
+  endpoint.consecutiveFailures++;
+  endpoint.errorRate = endpoint.errorRate * (1 - ERROR_SMOOTHING) + ERROR_SMOOTHING;
+  endpoint.cooldownUntil = Date.now() + getBackoffDelay(endpoint.consecutiveFailures);
+  endpoint.lastError = error.message;
+}
+
+/**
+ * Probe every endpoint of every chain in use with eth_blockNumber for
+ * latency and head lag
+ */
+async function checkEndpointHealth(endpoints = [...endpointsByChain.values()].flat()) {
+  await Promise.all(endpoints.map(async endpoint => {
+    // Respect cooldowns - the probe after the cooldown doubles as the retry
+    if (endpoint.cooldownUntil > Date.now()) return;
+
+    const started = Date.now();
+
+    try {
+      const blockNumber = await endpoint.provider.getBlockNumber();
+      endpoint.lastBlock = blockNumber;
+      reportHead(blockNumber, endpoint.chain);
+      recordSuccess(endpoint, Date.now() - started);
+    } catch (error) {
+      recordFailure(endpoint, error);
+    }
+  }));
+}
+
+function startHealthChecks() {
+  if (healthTimer) return;
+
+  checkEndpointHealth();
+  healthTimer = setInterval(() => checkEndpointHealth(), HEALTH_CHECK_INTERVAL);
+
+  // Don't keep short-lived scripts alive just for health checks
+  healthTimer.unref?.();
+}
@@ -0,0 +1,273 @@
+import { getPoolData, getPoolModel } from './dex-pools.js';
+import { getTradePrices } from './pricing.js';
+import { DEFAULT_SLIPPAGE_TOLERANCE, SWAP_GAS, getTradeValuation } from './sandwich-simulator.js';
+import { detectSandwich } from '../detectors/sandwich.js';
+import { simulateSandwich } from '../utils/amm.js';
+import { applyChainRiskProfile } from '../utils/calculations.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { getChainTokens, normalizeToken } from '../utils/tokens.js';
+
+/**
+ * Cross-DEX Route Comparison
+ * Quotes a trade on every venue deployed on the chain, directly and through
+ * one hub token (the wrapped native coin or USDC), and ranks the routes by
+ * what the user can expect to receive after sandwich losses and gas.
+ */
+
+// `${chain}:${tokenA}/${tokenB}:${dex}` -> { pool promise, expiresAt }
+const venuePoolCache = new Map();
+
+/**
+ * Quote and rank the routes for a swap
+ * @param {object} input - Scan input (token_in, token_out, amount_in, amount_out_min, dex, chain)
+ * @param {object} mempoolData - Mempool data (gas percentiles, competing transactions)
+ * @param {number|null} riskScore - Risk score (0-100) read as the chance of an attack;
+ *   derived from the mempool's sandwich signals when null
+ * @param {object|null} prices - USD prices from getTradePrices; fetched when null
+ * @param {object|null} poolData - The scan's pool for input.dex, reused instead of refetched
+ * @returns {Promise<object|null>} Ranked routes with USD values, or null when no venue has reserves
+ */
+export async function compareRoutes(input, mempoolData, riskScore = null, prices = null, poolData = null) {
+  const chain = getChain(input.chain || DEFAULT_CHAIN);
+  const tokenIn = normalizeToken(input.token_in, chain.key);
+  const tokenOut = normalizeToken(input.token_out, chain.key);
+  if (!(parseFloat(input.amount_in) > 0) || tokenIn === tokenOut) return null;
+
+  const hubs = [chain.wrappedNative, 'USDC'].filter(token =>
+    token !== tokenIn && token !== tokenOut && getChainTokens(chain.key)[token]
+  );
+  const knownPool = poolData && input.dex ? { dex: input.dex, poolData } : null;
+
+  const [tradePrices, directPools, ...hubLegs] = await Promise.all([
+    prices ?? getTradePrices(input),
+    getVenuePools(tokenIn, tokenOut, chain.key, knownPool),
+    ...hubs.flatMap(hub => [
+      getVenuePools(tokenIn, hub, chain.key),
+      getVenuePools(hub, tokenOut, chain.key)
+    ])
+  ]);
+
+  const attackProbability = Math.min(Math.max(
+    (riskScore ?? applyChainRiskProfile(detectSandwich(input, mempoolData).score, 'sandwich', chain.key)) / 100,
+    0
+  ), 1);
+
+  // Each candidate is a list of hops: [{ dex, tokenIn, tokenOut, pool }]
+  const candidates = directPools.map(venue => [{ ...venue, tokenIn, tokenOut }]);
+  hubs.forEach((hub, index) => {
+    for (const first of hubLegs[2 * index]) {
+      for (const second of hubLegs[2 * index + 1]) {
+        candidates.push([
+          { ...first, tokenIn, tokenOut: hub },
+          { ...second, tokenIn: hub, tokenOut }
+        ]);
+      }
+    }
+  });
+
+  return rankRoutes(input, candidates, { prices: tradePrices, attackProbability, mempoolData });
+}
+
+/**
+ * Rank candidate routes by expected output after sandwich losses and gas
+ * @param {object} input - Scan input (token_in, token_out, amount_in, amount_out_min, dex, chain)
+ * @param {Array<Array<object>>} candidates - Routes as hop lists: [{ dex, tokenIn, tokenOut, pool, dataSource }]
+ * @param {object} context - { prices, attackProbability (0-1), mempoolData }
+ * @returns {object|null} Ranked routes with USD values, or null when no route can be quoted
+ */
+export function rankRoutes(input, candidates, { prices, attackProbability, mempoolData }) {
+  const chain = getChain(input.chain || DEFAULT_CHAIN);
+  const amountIn = parseFloat(input.amount_in);
+  const explicitMin = input.amount_out_min !== undefined ? parseFloat(input.amount_out_min) : null;
+
+  const routes = candidates
+    .map(hops => quoteRoute(hops, {
+      input,
+      prices,
+      amountIn,
+      explicitMin,
+      attackProbability,
+      userGasPrice: parseFloat(mempoolData.gasPercentiles?.p50) || 0,
+      attackerGasPrice: parseFloat(mempoolData.gasPercentiles?.p90) || 0
+    }))
+    .filter(Boolean)
+    // Routes that can't meet the minimum output would revert
+    .sort((a, b) => (b.meetsAmountOutMin - a.meetsAmountOutMin) || (b.netAmountOut - a.netAmountOut))
+    .map((route, index) => ({ ...route, rank: index + 1 }));
+
+  if (routes.length === 0) return null;
+
+  const best = routes[0];
+  const requested = routes.find(route => route.hops.length === 1 && route.hops[0].dex === input.dex) || null;
+
+  return {
+    tokenIn: normalizeToken(input.token_in, chain.key),
+    tokenOut: normalizeToken(input.token_out, chain.key),
+    amountIn,
+    attackProbability,
+    bestRoute: best,
+    requestedRoute: requested,
+    // What switching from the requested venue to the best route is expected to gain
+    improvementUsd: requested
+      ? parseFloat((best.netAmountOutUsd - requested.netAmountOutUsd).toFixed(2))
+      : null,
+    routes
+  };
+}
+
+/**
+ * Fetch the pool on every venue deployed on the chain, keeping those with reserves
+ * Pools are cached for one block time, so repeated comparisons of the same
+ * pairs don't refetch every venue.
+ * @param {object|null} known - { dex, poolData } already fetched for one venue
+ */
+async function getVenuePools(tokenA, tokenB, chain, known = null) {
+  const { dexes, blockTime } = getChain(chain);
+
+  const pools = await Promise.all(Object.keys(dexes).map(async dex => {
+    const poolData = known?.dex === dex
+      ? known.poolData
+      : await getCachedPoolData(tokenA, tokenB, dex, chain, blockTime);
+    if (!poolData || poolData.isEstimated) return null;
+
+    const pool = getPoolModel(poolData, tokenA, chain);
+    return pool ? { dex, pool, dataSource: poolData.dataSource } : null;
+  }));
+
+  return pools.filter(Boolean);
+}
+
+function getCachedPoolData(tokenA, tokenB, dex, chain, blockTime) {
+  const now = Date.now();
+  const cacheKey = `${chain}:${tokenA}/${tokenB}:${dex}`;
+  const cached = venuePoolCache.get(cacheKey);
+  if (cached && cached.expiresAt > now) return cached.pool;
+
+  for (const [key, entry] of venuePoolCache) {
+    if (entry.expiresAt <= now) venuePoolCache.delete(key);
+  }
+
+  const pool = getPoolData(tokenA, tokenB, dex, chain).catch(() => null);
+  venuePoolCache.set(cacheKey, { pool, expiresAt: now + blockTime * 1000 });
+  return pool;
+}
+
+/**
+ * Expected output, sandwich loss and gas for one route, in tokenOut
+ *
+ * The router only enforces the minimum on the final output, so an attacker on
+ * either hop can take the whole slippage tolerance - but not both, or the
+ * swap reverts. The route's exposure is its worst hop.
+ */
+function quoteRoute(hops, context) {
+  const { input, prices, amountIn, explicitMin, attackProbability, userGasPrice, attackerGasPrice } = context;
+
+  // Spot price of the whole route, tokenOut per tokenIn
+  const spotPrice = hops.reduce((price, hop) => price * hop.pool.spotPrice, 1);
+  const valuation = getTradeValuation(input, { spotPrice }, prices);
+  if (!valuation) return null;
+
+  let amount = amountIn;
+  const legs = hops.map(hop => {
+    const amountOut = hop.pool.swap(amount).amountOut;
+    const leg = { ...hop, amountIn: amount, amountOut };
+    amount = amountOut;
+    return leg;
+  });
+  const expectedAmountOut = amount;
+  if (!(expectedAmountOut > 0)) return null;
+
+  const slippage = explicitMin !== null
+    ? Math.max(1 - explicitMin / expectedAmountOut, 0)
+    : DEFAULT_SLIPPAGE_TOLERANCE;
+
+  let spotSoFar = 1; // hop's tokenIn per route tokenIn, for attacker gas
+  let mevLoss = 0;
+  let sandwichable = false;
+
+  for (const [index, leg] of legs.entries()) {
+    const sandwich = simulateSandwich({
+      pool: leg.pool,
+      amountIn: leg.amountIn,
+      amountOutMin: leg.amountOut * (1 - slippage),
+      gasCost: valuation.gasToTokenIn(attackerGasPrice, 2 * SWAP_GAS) * spotSoFar
+    });
+    spotSoFar *= leg.pool.spotPrice;
+
+    if (!sandwich.profitable) continue;
+    sandwichable = true;
+
+    // A loss on an earlier hop shrinks everything after it
+    const laterHopsRate = legs.slice(index + 1).reduce((rate, later) => rate * later.amountOut / later.amountIn, 1);
+    mevLoss = Math.max(mevLoss, sandwich.victimLoss * laterHopsRate);
+  }
+
+  const expectedMevLoss = attackProbability * mevLoss;
+  const gasCost = valuation.gasToTokenIn(userGasPrice, SWAP_GAS * hops.length) * spotPrice;
+  const netAmountOut = expectedAmountOut - expectedMevLoss - gasCost;
+
+  const toUsd = (value) => parseFloat((value * valuation.tokenOutUsd).toFixed(2));
+
+  return {
+    route: legs.map((leg, index) => index === 0 ? leg.dex : `${leg.tokenIn} → ${leg.dex}`).join(' → '),
+    hops: legs.map(leg => ({
+      dex: leg.dex,
+      tokenIn: leg.tokenIn,
+      tokenOut: leg.tokenOut,
+      amountIn: leg.amountIn,
+      amountOut: leg.amountOut,
+      poolType: leg.pool.type,
+      fee: leg.pool.fee,
+      dataSource: leg.dataSource
+    })),
+    expectedAmountOut,
+    meetsAmountOutMin: explicitMin === null || expectedAmountOut >= explicitMin,
+    // Shortfall against the route's spot price, fees included
+    priceImpact: Math.max(1 - expectedAmountOut / (amountIn * spotPrice), 0) * 100,
+    sandwichable,
+    expectedMevLoss,
+    gasCost,
+    netAmountOut,
+    netAmountOutUsd: toUsd(netAmountOut),
+    expectedMevLossUsd: toUsd(expectedMevLoss),
+    gasCostUsd: toUsd(gasCost)
+  };
+}
+
+/**
+ * Format a route comparison for API responses
+ */
+export function formatRouteComparison(comparison) {
+  if (!comparison) return null;
+
+  return {
+    best_route: comparison.bestRoute.route,
+    requested_route_rank: comparison.requestedRoute?.rank ?? null,
+    improvement_usd: comparison.improvementUsd,
+    attack_probability: parseFloat(comparison.attackProbability.toFixed(2)),
+    routes: comparison.routes.map(route => ({
+      rank: route.rank,
+      route: route.route,
+      hops: route.hops.map(hop => ({
+        dex: hop.dex,
+        token_in: hop.tokenIn,
+        token_out: hop.tokenOut,
+        amount_in: hop.amountIn,
+        amount_out: hop.amountOut,
+        pool_type: hop.poolType,
+        pool_fee: hop.fee,
+        pool_data_source: hop.dataSource
+      })),
+      expected_amount_out: route.expectedAmountOut,
+      meets_amount_out_min: route.meetsAmountOutMin,
+      price_impact: parseFloat(route.priceImpact.toFixed(4)),
+      sandwichable: route.sandwichable,
+      expected_mev_loss: route.expectedMevLoss,
+      gas_cost: route.gasCost,
+      net_amount_out: route.netAmountOut,
+      net_amount_out_usd: route.netAmountOutUsd,
+      expected_mev_loss_usd: route.expectedMevLossUsd,
+      gas_cost_usd: route.gasCostUsd
+    }))
+  };
+}
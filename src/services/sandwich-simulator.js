@@ -0,0 +1,132 @@
+import { getPoolModel } from './dex-pools.js';
+import { findSafeSlippage, simulateSandwich } from '../utils/amm.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { normalizeToken } from '../utils/tokens.js';
+
+/**
+ * Sandwich Profitability Simulator
+ * Runs the sandwich simulation against the swap's pool (constant product or
+ * concentrated liquidity) and values the result in USD, so losses reflect
+ * what an attacker can actually extract after paying for both legs.
+ */
+
+// Slippage most swap interfaces default to when no amountOutMin is given
+export const DEFAULT_SLIPPAGE_TOLERANCE = 0.005;
+
+// Gas for one DEX swap; a sandwich pays for two
+export const SWAP_GAS = 120000;
+const SANDWICH_GAS = 2 * SWAP_GAS;
+
+// Pairs of these trade with little price drift (see services/trade-planner.js)
+const STABLECOINS = ['USDC', 'USDT', 'DAI', 'USDC.E', 'BUSD'];
+
+/**
+ * Simulate the most profitable sandwich against the user's swap
+ * @param {object} input - Scan input (token_in, token_out, amount_in, amount_out_min, chain)
+ * @param {object} poolData - Pool data from getPoolData
+ * @param {object} mempoolData - Mempool data (gas percentiles price the attacker's gas)
+ * @param {object} prices - USD prices from getTradePrices (services/pricing.js)
+ * @returns {object|null} Simulation in token units plus USD values, or null without real pool
+ *   reserves (placeholder estimates included) or prices
+ */
+export function simulateSandwichAttack(input, poolData, mempoolData, prices = null) {
+  // Placeholder reserves would turn into made-up losses, so the heuristic estimate applies
+  if (!poolData || poolData.isEstimated) return null;
+
+  const chain = getChain(input.chain || DEFAULT_CHAIN);
+  const pool = getPoolModel(poolData, input.token_in, chain.key);
+  const amountIn = parseFloat(input.amount_in);
+  if (!pool || !(amountIn > 0)) return null;
+
+  const valuation = getTradeValuation(input, pool, prices);
+  if (!valuation) return null;
+  const { tokenInUsd, tokenOutUsd } = valuation;
+
+  // Attackers outbid the top of the mempool on both legs
+  const attackerGasPrice = parseFloat(mempoolData.gasPercentiles?.p90) || 0;
+  const gasCost = valuation.gasToTokenIn(attackerGasPrice, SANDWICH_GAS);
+
+  // Without an explicit minimum, assume the interface default slippage
+  const explicitMin = input.amount_out_min !== undefined ? parseFloat(input.amount_out_min) : null;
+  const amountOutMin = explicitMin ?? pool.swap(amountIn).amountOut * (1 - DEFAULT_SLIPPAGE_TOLERANCE);
+
+  const result = simulateSandwich({ pool, amountIn, amountOutMin, gasCost });
+  const safe = findSafeSlippage({ pool, amountIn, gasCost });
+
+  const toUsd = (value, usd) => parseFloat((value * usd).toFixed(2));
+
+  return {
+    ...result,
+    amountIn,
+    amountOutMin,
+    assumedSlippage: explicitMin === null ? DEFAULT_SLIPPAGE_TOLERANCE : null,
+    // Widest tolerance that leaves no sandwich profitable after gas
+    safeSlippage: safe.slippage,
+    safeAmountOutMin: safe.amountOutMin,
+    fee: pool.fee,
+    poolType: pool.type,
+    attackerGasPrice,
+    victimLossUsd: toUsd(result.victimLoss, tokenOutUsd),
+    grossProfitUsd: toUsd(result.grossProfit, tokenInUsd),
+    gasCostUsd: toUsd(result.gasCost, tokenInUsd),
+    netProfitUsd: toUsd(result.netProfit, tokenInUsd),
+    poolDataSource: poolData.dataSource
+  };
+}
+
+/**
+ * Price a trade's tokens in USD and convert gas bills to tokenIn
+ * A token without its own price is valued through the pool's spot price.
+ * @param {object} input - Scan input (token_in, token_out, chain)
+ * @param {object} pool - Pool model from getPoolModel
+ * @param {object} prices - USD prices from getTradePrices (services/pricing.js)
+ * @returns {object|null} { tokenInUsd, tokenOutUsd, isStablePair, gasToTokenIn(gasPriceGwei, gasUnits) },
+ *   or null when neither token or the native coin can be priced
+ */
+export function getTradeValuation(input, pool, prices) {
+  const chain = getChain(input.chain || DEFAULT_CHAIN);
+  const tokenIn = normalizeToken(input.token_in, chain.key);
+  const tokenOut = normalizeToken(input.token_out, chain.key);
+  const { spotPrice } = pool; // tokenOut per tokenIn
+
+  const tokenInUsd = prices?.tokenIn ?? (prices?.tokenOut != null ? prices.tokenOut * spotPrice : null);
+  const tokenOutUsd = prices?.tokenOut ?? (tokenInUsd !== null ? tokenInUsd / spotPrice : null);
+  const nativeUsd = prices?.native ?? null;
+  if (tokenInUsd === null || nativeUsd === null) return null;
+
+  return {
+    tokenInUsd,
+    tokenOutUsd,
+    isStablePair: STABLECOINS.includes(tokenIn) && STABLECOINS.includes(tokenOut),
+    gasToTokenIn(gasPrice, gasUnits) {
+      const gasCostNative = (gasPrice * gasUnits) / 1e9;
+      return (gasCostNative * nativeUsd) / tokenInUsd;
+    }
+  };
+}
+
+/**
+ * Format a simulation for API responses
+ */
+export function formatSandwichSimulation(simulation) {
+  if (!simulation) return null;
+
+  return {
+    profitable: simulation.profitable,
+    front_run_amount_in: simulation.frontRunAmountIn,
+    expected_amount_out: simulation.expectedAmountOut,
+    victim_amount_out: simulation.victimAmountOut,
+    amount_out_min: simulation.amountOutMin,
+    assumed_slippage: simulation.assumedSlippage,
+    recommended_amount_out_min: simulation.safeAmountOutMin,
+    recommended_slippage_percent: parseFloat((simulation.safeSlippage * 100).toFixed(2)),
+    victim_loss_usd: simulation.victimLossUsd,
+    attacker_gross_profit_usd: simulation.grossProfitUsd,
+    attacker_gas_cost_usd: simulation.gasCostUsd,
+    attacker_net_profit_usd: simulation.netProfitUsd,
+    price_impact: parseFloat(simulation.priceImpact.toFixed(4)),
+    pool_fee: simulation.fee,
+    pool_type: simulation.poolType,
+    pool_data_source: simulation.poolDataSource
+  };
+}
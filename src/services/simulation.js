@@ -0,0 +1,356 @@
+/**
+ * Seeded Mempool Simulation
+ * Generates reproducible competing transactions for the simulated fallback
+ * data. The same scenario + seed always yields the same transactions, so
+ * scans and integration tests are repeatable.
+ *
+ * Gas prices are generated relative to the user's gas price so the intended
+ * ordering holds (front-runners above the victim, back-runners below). With a
+ * base fee they are emitted as EIP-1559 transactions tipping the excess.
+ */
+
+import { getEffectiveTip } from '../utils/fees.js';
+
+export const SIMULATION_SCENARIOS = ['quiet', 'busy', 'sandwich-bot', 'copycat-swarm', 'jit-liquidity'];
+
+export const DEFAULT_SCENARIO = 'busy';
+
+const ROUTERS = [
+  '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', // Uniswap V2
+  '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', // SwapRouter02
+  '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD'  // Universal Router
+];
+
+const POSITION_MANAGER = '0xC36442b4a4522E871399CD717aBDD847Ab11FE88';
+
+// Uniswap V3 NonfungiblePositionManager selectors used for JIT positions
+const MINT_SELECTOR = '0x88316456';
+const DECREASE_LIQUIDITY_SELECTOR = '0x0c49ccbe';
+const SWAP_SELECTOR = '0x3593564c';
+
+const UNKNOWN_PAIR = 'UNKNOWN/UNKNOWN';
+
+const scenarioBuilders = {
+  quiet: buildQuietScenario,
+  busy: buildBusyScenario,
+  'sandwich-bot': buildSandwichScenario,
+  'copycat-swarm': buildCopycatScenario,
+  'jit-liquidity': buildJitScenario
+};
+
+// MEMPOOL_SIM_SCENARIO, validated on first use (entrypoints configure at startup)
+let envScenario = null;
+
+/**
+ * Read MEMPOOL_SIM_SCENARIO once the environment is loaded
+ * Unknown scenarios fall back to the default rather than failing every scan.
+ * @returns {string} Scenario used when a request doesn't pick one
+ */
+export function configureSimulation() {
+  const raw = process.env.MEMPOOL_SIM_SCENARIO;
+  envScenario = DEFAULT_SCENARIO;
+
+  if (raw === undefined || raw.trim() === '') return envScenario;
+
+  if (!SIMULATION_SCENARIOS.includes(raw.trim())) {
+    console.warn(`⚠️  Ignoring MEMPOOL_SIM_SCENARIO=${raw} (expected ${SIMULATION_SCENARIOS.join(', ')}), using ${DEFAULT_SCENARIO}`);
+    return envScenario;
+  }
+
+  envScenario = raw.trim();
+  return envScenario;
+}
+
+/**
+ * Resolve scenario and seed: request options > env > defaults
+ * The default seed is derived from the request so identical calls match.
+ * @param {object} options - { scenario, seed }
+ * @param {object} request - { tokenIn, tokenOut, amountIn }
+ * @returns {{ scenario: string, seed: string }}
+ */
+export function resolveSimulationConfig(options = {}, request = {}) {
+  const scenario = options.scenario || envScenario || configureSimulation();
+
+  if (!SIMULATION_SCENARIOS.includes(scenario)) {
+    throw new Error(`Unknown simulation scenario "${scenario}" (expected ${SIMULATION_SCENARIOS.join(', ')})`);
+  }
+
+  const seed = String(
+    options.seed ??
+    process.env.MEMPOOL_SIM_SEED ??
+    `${request.tokenIn}/${request.tokenOut}/${request.amountIn ?? ''}`
+  );
+
+  return { scenario, seed };
+}
+
+/**
+ * Format the simulation behind mempool data for API responses
+ * Only offline fees make a scan repeatable; live fees move with the market.
+ * @param {object} simulation - { scenario, seed, feeSource } from getMempoolData
+ * @returns {object|null} null for real mempool data
+ */
+export function formatSimulation(simulation) {
+  if (!simulation) return null;
+
+  return {
+    scenario: simulation.scenario,
+    seed: simulation.seed,
+    fee_source: simulation.feeSource,
+    repeatable: simulation.feeSource === 'simulated'
+  };
+}
+
+/**
+ * Generate competing transactions for a scenario
+ * @param {object} params
+ * @param {string} params.scenario - One of SIMULATION_SCENARIOS
+ * @param {string|number} params.seed - PRNG seed
+ * @param {string} params.tokenIn - User's input token symbol
+ * @param {string} params.tokenOut - User's output token symbol
+ * @param {number} params.amountIn - User's trade amount
+ * @param {number} params.userGasPrice - User's gas price (gwei)
+ * @param {number} params.baseFee - Predicted next-block base fee (gwei); omit for legacy-priced transactions
+ * @param {number} params.timestamp - Unix timestamp to stamp transactions with
+ * @returns {Array} Competing transactions, highest effective tip first
+ */
+export function generateScenarioTransactions({
+  scenario = DEFAULT_SCENARIO,
+  seed,
+  tokenIn,
+  tokenOut,
+  amountIn,
+  userGasPrice,
+  baseFee,
+  timestamp = Math.floor(Date.now() / 1000)
+}) {
+  const rng = createRng(`${scenario}:${seed}`);
+  const ctx = {
+    rng,
+    tokenIn,
+    tokenOut,
+    amountIn: parseFloat(amountIn) || 1000,
+    userGasPrice: parseFloat(userGasPrice) || 35,
+    baseFee: parseFloat(baseFee) || 0,
+    timestamp
+  };
+
+  const txs = scenarioBuilders[scenario](ctx);
+
+  // Block builders order by effective tip - present the mempool the same way
+  return txs.sort((a, b) => getEffectiveTip(b, ctx.baseFee) - getEffectiveTip(a, ctx.baseFee));
+}
+
+/**
+ * Mulberry32 PRNG seeded from a string hash
+ * @returns {Function} () => float in [0, 1)
+ */
+export function createRng(seed) {
+  let state = hashSeed(String(seed));
+
+  return function next() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a 32-bit string hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// ---- Scenarios ----
+
+/**
+ * Quiet: zero or one unrelated-size organic swap
+ */
+function buildQuietScenario(ctx) {
+  const count = Math.floor(ctx.rng() * 2);
+  return Array.from({ length: count }, () => buildOrganicSwap(ctx));
+}
+
+/**
+ * Busy: 4-9 organic swaps in both directions with a wide fee spread
+ */
+function buildBusyScenario(ctx) {
+  const count = 4 + Math.floor(ctx.rng() * 6);
+  return Array.from({ length: count }, () => buildOrganicSwap(ctx));
+}
+
+/**
+ * Active sandwich bot: one bot brackets the user (front-run above, back-run
+ * below, consecutive nonces) amid light organic flow
+ */
+function buildSandwichScenario(ctx) {
+  const { rng } = ctx;
+  const bot = randomHex(rng, 40);
+  const nonce = Math.floor(rng() * 50000);
+  const frontAmount = ctx.amountIn * between(rng, 1.5, 4);
+
+  const frontRun = buildSwap(ctx, {
+    from: bot,
+    nonce,
+    direction: 'same',
+    amount: frontAmount,
+    gasPrice: ctx.userGasPrice * between(rng, 1.15, 1.4),
+    role: 'frontrun'
+  });
+
+  const backRun = buildSwap(ctx, {
+    from: bot,
+    nonce: nonce + 1,
+    direction: 'reverse',
+    amount: frontAmount * between(rng, 0.98, 1.02),
+    gasPrice: ctx.userGasPrice * between(rng, 0.75, 0.92),
+    role: 'backrun'
+  });
+
+  const organicCount = 1 + Math.floor(rng() * 3);
+  return [frontRun, backRun, ...Array.from({ length: organicCount }, () => buildOrganicSwap(ctx))];
+}
+
+/**
+ * Copycat swarm: several bots replay the user's trade size with slightly
+ * higher fees
+ */
+function buildCopycatScenario(ctx) {
+  const { rng } = ctx;
+  const copycatCount = 3 + Math.floor(rng() * 4);
+
+  const copycats = Array.from({ length: copycatCount }, () => buildSwap(ctx, {
+    from: randomHex(rng, 40),
+    nonce: Math.floor(rng() * 5000),
+    direction: 'same',
+    amount: ctx.amountIn * between(rng, 0.92, 1.08),
+    gasPrice: ctx.userGasPrice * between(rng, 1.06, 1.3),
+    role: 'copycat'
+  }));
+
+  const organicCount = Math.floor(rng() * 3);
+  return [...copycats, ...Array.from({ length: organicCount }, () => buildOrganicSwap(ctx))];
+}
+
+/**
+ * JIT liquidity: a concentrated position minted just above the user's fee
+ * and withdrawn just below it by the same address
+ */
+function buildJitScenario(ctx) {
+  const { rng } = ctx;
+  const provider = randomHex(rng, 40);
+  const nonce = Math.floor(rng() * 20000);
+
+  const base = {
+    from: provider,
+    to: POSITION_MANAGER,
+    value: '0',
+    tokenPair: UNKNOWN_PAIR,
+    amount: null,
+    timestamp: ctx.timestamp,
+    isSuspicious: false
+  };
+
+  const mint = {
+    ...base,
+    hash: randomHex(rng, 64),
+    nonce,
+    input: MINT_SELECTOR,
+    ...buildFees(ctx.userGasPrice * between(rng, 1.2, 1.5), ctx.baseFee),
+    simulatedRole: 'jit-mint'
+  };
+
+  const burn = {
+    ...base,
+    hash: randomHex(rng, 64),
+    nonce: nonce + 1,
+    input: DECREASE_LIQUIDITY_SELECTOR,
+    ...buildFees(ctx.userGasPrice * between(rng, 0.8, 0.92), ctx.baseFee),
+    simulatedRole: 'jit-burn'
+  };
+
+  const organicCount = 1 + Math.floor(rng() * 3);
+  return [mint, burn, ...Array.from({ length: organicCount }, () => buildOrganicSwap(ctx))];
+}
+
+// ---- Transaction builders ----
+
+/**
+ * Ordinary user swap: either direction, log-spread size, fee around the market
+ */
+function buildOrganicSwap(ctx) {
+  const { rng } = ctx;
+
+  return buildSwap(ctx, {
+    from: randomHex(rng, 40),
+    nonce: Math.floor(rng() * 2000),
+    direction: rng() < 0.5 ? 'same' : 'reverse',
+    amount: ctx.amountIn * Math.exp(between(rng, -2, 1.5)),
+    gasPrice: ctx.userGasPrice * between(rng, 0.6, 1.6),
+    role: 'organic'
+  });
+}
+
+function buildSwap(ctx, { from, nonce, direction, amount, gasPrice, role }) {
+  const [tokenIn, tokenOut] = direction === 'same'
+    ? [ctx.tokenIn, ctx.tokenOut]
+    : [ctx.tokenOut, ctx.tokenIn];
+  const roundedAmount = parseFloat(amount.toFixed(4));
+
+  return {
+    hash: randomHex(ctx.rng, 64),
+    from,
+    to: ROUTERS[Math.floor(ctx.rng() * ROUTERS.length)],
+    nonce,
+    tokenIn,
+    tokenOut,
+    tokenPair: `${tokenIn}/${tokenOut}`,
+    amount: roundedAmount,
+    // Native ETH swaps carry the amount as msg.value
+    value: ['ETH', 'WETH'].includes(String(tokenIn).toUpperCase()) ? String(roundedAmount) : '0',
+    input: SWAP_SELECTOR,
+    ...buildFees(gasPrice, ctx.baseFee),
+    timestamp: ctx.timestamp,
+    isSuspicious: false,
+    simulatedRole: role
+  };
+}
+
+/**
+ * Fee fields (gwei) for a transaction that pays `gasPrice` at the given base fee
+ * With a base fee the transaction is type 2: everything above the base fee is
+ * tip, and the fee cap leaves the usual headroom of two base fees
+ */
+function buildFees(gasPrice, baseFee) {
+  const rounded = parseFloat(gasPrice.toFixed(2));
+  if (!baseFee) {
+    return { gasPrice: rounded, maxFeePerGas: null, maxPriorityFeePerGas: null };
+  }
+
+  const tip = parseFloat(Math.max(rounded - baseFee, 0.01).toFixed(2));
+  return {
+    gasPrice: null,
+    maxFeePerGas: parseFloat((baseFee * 2 + tip).toFixed(2)),
+    maxPriorityFeePerGas: tip
+  };
+}
+
+function between(rng, min, max) {
+  return min + rng() * (max - min);
+}
+
+function randomHex(rng, length) {
+  let hex = '0x';
+  while (hex.length < length + 2) {
+    hex += Math.floor(rng() * 0x100000000).toString(16).padStart(8, '0');
+  }
+  return hex.slice(0, length + 2);
+}
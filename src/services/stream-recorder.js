@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Mempool Stream Recorder / Replayer
+ * Writes the raw pending-transaction stream and included blocks to NDJSON
+ * (one `{ t, type, data }` event per line, `t` in ms since recording start)
+ * and reads it back with the original timing, optionally accelerated.
+ */
+
+export const STREAM_EVENTS = {
+  PENDING: 'pending', // Raw JSON-RPC transaction object
+  BLOCK: 'block'      // { number, timestamp, baseFeePerGas, gasUsed, gasLimit, transactions: [{ hash, from, nonce }] }
+};
+
+let recordStream = null;
+let recordFile = null;
+let recordStartedAt = 0;
+let recordedEvents = 0;
+
+/**
+ * Start recording stream events to an NDJSON file (appends if it exists)
+ * @param {string} filePath - Destination file
+ */
+export function startRecording(filePath) {
+  if (recordStream) stopRecording();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  recordStream = fs.createWriteStream(filePath, { flags: 'a' });
+  recordStream.on('error', (error) => {
+    console.error('❌ Stream recording error:', error.message);
+    recordStream = null;
+  });
+
+  recordFile = filePath;
+  recordStartedAt = Date.now();
+  recordedEvents = 0;
+
+  console.log(`⏺️  Recording mempool stream to ${filePath}`);
+}
+
+/**
+ * Stop recording and flush the file
+ */
+export function stopRecording() {
+  if (!recordStream) return;
+
+  recordStream.end();
+  console.log(`⏹️  Stopped recording (${recordedEvents} events written to ${recordFile})`);
+  recordStream = null;
+}
+
+/**
+ * Append one event if a recording is active
+ * @param {string} type - One of STREAM_EVENTS
+ * @param {object} data - Event payload (must be JSON-serializable)
+ */
+export function recordStreamEvent(type, data) {
+  if (!recordStream) return;
+
+  recordStream.write(JSON.stringify({ t: Date.now() - recordStartedAt, type, data }) + '\n');
+  recordedEvents++;
+}
+
+/**
+ * Recorder state for status endpoints
+ */
+export function getRecordingStatus() {
+  return {
+    active: !!recordStream,
+    file: recordFile,
+    events: recordedEvents
+  };
+}
+
+/**
+ * Replay a recorded NDJSON stream
+ * @param {string} filePath - Recording to read
+ * @param {object} options
+ * @param {number} options.speed - Playback multiplier (1 = original timing, 0 = as fast as possible)
+ * @param {Function} options.onEvent - async (type, data) => void, called in file order
+ * @param {Function} options.shouldStop - Optional () => boolean checked before each event
+ * @returns {Promise<number>} Number of events replayed
+ */
+export async function replayRecording(filePath, { speed = 1, onEvent, shouldStop = () => false }) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  const startedAt = Date.now();
+  let replayed = 0;
+
+  for await (const line of lines) {
+    if (shouldStop()) break;
+    if (!line.trim()) continue;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      console.warn(`⚠️  Skipping malformed recording line ${replayed + 1}`);
+      continue;
+    }
+
+    if (speed > 0) {
+      const wait = event.t / speed - (Date.now() - startedAt);
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    await onEvent(event.type, event.data);
+    replayed++;
+  }
+
+  lines.close();
+  return replayed;
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import fetch from 'node-fetch';
+import { getProvider } from './provider-manager.js';
+import { initDatabase } from '../database/init.js';
+import { cacheTokens, getCachedToken, getCachedTokensBySymbol } from '../database/queries.js';
+import { CHAINS, DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+import { isTokenAddress, normalizeToken, registerToken } from '../utils/tokens.js';
+
+/**
+ * Token Registry
+ * Resolves `token_in` / `token_out` given as a symbol or a contract address.
+ * Symbols come from the chain registry first, then from tokens cached in
+ * SQLite (imported token lists and addresses resolved earlier); a symbol
+ * shared by several cached addresses is rejected. Unknown addresses are read
+ * with ERC-20 calls and cached.
+ */
+
+const ERC20_METADATA_ABI = [
+  'function symbol() external view returns (string)',
+  'function name() external view returns (string)',
+  'function decimals() external view returns (uint8)'
+];
+
+// Some early tokens (e.g. MKR) return bytes32 metadata
+const ERC20_BYTES32_METADATA_ABI = [
+  'function symbol() external view returns (bytes32)',
+  'function name() external view returns (bytes32)'
+];
+
+/**
+ * Resolve a token symbol or address on a chain
+ * @param {string} token - Token symbol (e.g. "USDC", "ETH") or contract address
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<object|null>} { key, symbol, name, address, decimals, source } where key is the
+ *   identifier pool lookups use; null for a symbol the registry doesn't know
+ */
+export async function resolveToken(token, chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+
+  if (!isTokenAddress(token)) {
+    const symbol = normalizeToken(token, config.key);
+    const builtIn = config.tokens[symbol];
+    if (builtIn) return { key: symbol, symbol, name: null, ...builtIn, source: 'built-in' };
+
+    const matches = getCachedTokensBySymbol(config.key, symbol);
+    if (matches.length > 1) {
+      throw new Error(
+        `Ambiguous token symbol "${token}" on ${config.key}: ` +
+        `${matches.map(match => ethers.getAddress(match.address)).join(', ')} - pass the contract address instead`
+      );
+    }
+
+    return matches.length === 1 ? register(config, matches[0]) : null;
+  }
+
+  const address = ethers.getAddress(token.toLowerCase());
+  const builtInEntry = Object.entries(config.tokens)
+    .find(([, metadata]) => metadata.address.toLowerCase() === address.toLowerCase());
+  if (builtInEntry) {
+    const [symbol, metadata] = builtInEntry;
+    return { key: symbol, symbol, name: null, ...metadata, source: 'built-in' };
+  }
+
+  let cached = getCachedToken(config.key, address);
+  if (!cached) {
+    cached = await fetchTokenMetadata(address, config.key);
+    cacheTokens([cached]);
+    console.log(`🪙 Resolved ${cached.symbol} (${address}) on ${config.key}: ${cached.decimals} decimals`);
+  }
+
+  return register(config, cached);
+}
+
+/**
+ * Resolve a trade's tokens, replacing contract addresses with the key pool
+ * lookups use; symbols are left as given
+ * @param {object} input - Request input with token_in, token_out and chain
+ * @returns {Promise<object>} Input with resolved token identifiers
+ */
+export async function resolveTradeTokens(input) {
+  const chain = input.chain || DEFAULT_CHAIN;
+  const [tokenIn, tokenOut] = await Promise.all([
+    resolveToken(input.token_in, chain),
+    resolveToken(input.token_out, chain)
+  ]);
+
+  return {
+    ...input,
+    token_in: tokenIn && isTokenAddress(input.token_in) ? tokenIn.key : input.token_in,
+    token_out: tokenOut && isTokenAddress(input.token_out) ? tokenOut.key : input.token_out
+  };
+}
+
+/**
+ * Import a Uniswap-format token list into the token cache
+ * Tokens on chains the scanner doesn't support are skipped.
+ * @param {string|object} source - Path or URL of the list JSON, or the parsed list
+ * @returns {Promise<object>} { name, imported, skipped }
+ */
+export async function importTokenList(source) {
+  const list = typeof source === 'string' ? await loadTokenList(source) : source;
+  if (!Array.isArray(list?.tokens)) {
+    throw new Error('Token list has no "tokens" array');
+  }
+
+  const chainsById = Object.fromEntries(Object.entries(CHAINS).map(([key, config]) => [config.id, key]));
+
+  const tokens = list.tokens
+    .filter(token =>
+      chainsById[token.chainId] &&
+      isTokenAddress(token.address || '') &&
+      token.symbol &&
+      Number.isInteger(token.decimals)
+    )
+    .map(token => ({
+      chain: chainsById[token.chainId],
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name || null,
+      decimals: token.decimals,
+      source: list.name || 'token-list'
+    }));
+
+  cacheTokens(tokens);
+
+  return {
+    name: list.name || null,
+    imported: tokens.length,
+    skipped: list.tokens.length - tokens.length
+  };
+}
+
+/**
+ * Make a cached token available to pool lookups
+ * It is keyed by its symbol unless a different token already uses that symbol.
+ */
+function register(config, token) {
+  const address = ethers.getAddress(token.address);
+  const symbol = token.symbol.toUpperCase();
+  const symbolTaken = Boolean(config.tokens[symbol]) ||
+    getCachedTokensBySymbol(config.key, symbol).some(other => other.address.toLowerCase() !== address.toLowerCase());
+  const key = symbolTaken ? address : symbol;
+
+  registerToken(config.key, key, { address, decimals: token.decimals });
+
+  return {
+    key,
+    symbol: token.symbol,
+    name: token.name,
+    address,
+    decimals: token.decimals,
+    source: token.source
+  };
+}
+
+/**
+ * Read a token's symbol, name and decimals from its contract
+ */
+async function fetchTokenMetadata(address, chain) {
+  const provider = await getProvider(chain);
+  const contract = new ethers.Contract(address, ERC20_METADATA_ABI, provider);
+
+  let decimals;
+  try {
+    decimals = Number(await contract.decimals());
+  } catch (error) {
+    throw new Error(`${address} is not an ERC-20 token on ${chain} (decimals() failed: ${error.shortMessage || error.message})`);
+  }
+
+  const readText = async (method) => {
+    try {
+      return await contract[method]();
+    } catch {
+      const legacy = new ethers.Contract(address, ERC20_BYTES32_METADATA_ABI, provider);
+      return ethers.decodeBytes32String(await legacy[method]());
+    }
+  };
+
+  const [symbol, name] = await Promise.all([
+    readText('symbol'),
+    readText('name').catch(() => null)
+  ]);
+
+  return { chain, address, symbol, name, decimals, source: 'erc20' };
+}
+
+/**
+ * Read a token list from a file path or URL
+ */
+async function loadTokenList(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Token list fetch returned ${response.status}`);
+    return response.json();
+  }
+
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+// Import the token lists given on the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  initDatabase();
+
+  for (const source of process.argv.slice(2)) {
+    const result = await importTokenList(source);
+    console.log(`🪙 Imported ${result.imported} tokens from ${result.name || source} (${result.skipped} skipped)`);
+  }
+}
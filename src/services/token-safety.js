@@ -0,0 +1,405 @@
+import { ethers } from 'ethers';
+import { getProvider } from './provider-manager.js';
+import { DEFAULT_CHAIN, getChain, getDexDeployment } from '../utils/chains.js';
+import { getTokenAddress, normalizeToken } from '../utils/tokens.js';
+
+/**
+ * Token Safety Analyzer
+ * Flags long-tail tokens that tax transfers, let an owner freeze holders or
+ * halt trading, cap transaction sizes, rebase balances or refuse sells. The
+ * contract's bytecode is scanned for the selectors of those controls, and a
+ * buy, transfer and sell against its Uniswap V2 pool with the wrapped native
+ * coin are simulated with eth_simulateV1. Registry tokens are trusted.
+ */
+
+// Controls recognized by the function selectors a contract dispatches on
+const CONTROL_SIGNATURES = {
+  blacklist: [
+    'isBlacklisted(address)', 'blacklist(address)', 'addToBlacklist(address)', 'setBlacklist(address,bool)',
+    'isBlackListed(address)', 'addBlackList(address)', 'isBot(address)', 'setBots(address[])', 'addBots(address[])'
+  ],
+  // Pausing and trading switches both let the owner stop transfers
+  pausable: [
+    'paused()', 'pause()', 'unpause()', 'enableTrading()', 'openTrading()', 'tradingEnabled()', 'tradingOpen()',
+    'setTradingEnabled(bool)'
+  ],
+  maxTx: [
+    'maxTransactionAmount()', 'maxTxAmount()', '_maxTxAmount()', 'setMaxTxAmount(uint256)', 'updateMaxTxnAmount(uint256)',
+    'maxWallet()', 'maxWalletSize()', '_maxWalletSize()', 'setMaxWalletSize(uint256)'
+  ],
+  fees: [
+    'buyFee()', 'sellFee()', '_taxFee()', '_liquidityFee()', 'buyTotalFees()', 'sellTotalFees()',
+    'setFees(uint256,uint256)', 'setBuyFee(uint256)', 'setSellFee(uint256)', 'setTaxFeePercent(uint256)'
+  ],
+  rebasing: [
+    'rebase(uint256,int256)', 'rebase(uint256,uint256)', 'gonsPerFragment()', '_gonsPerFragment()',
+    'sharesOf(address)', 'getSharesByPooledEth(uint256)', 'scaledBalanceOf(address)'
+  ]
+};
+
+const CONTROL_SELECTORS = Object.fromEntries(Object.entries(CONTROL_SIGNATURES).map(([control, signatures]) =>
+  [control, signatures.map(signature => ethers.id(signature).slice(2, 10))]
+));
+
+// keccak256('eip1967.proxy.implementation') - 1
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+const ERC20 = new ethers.Interface([
+  'function balanceOf(address account) external view returns (uint256)',
+  'function transfer(address to, uint256 amount) external returns (bool)',
+  'function approve(address spender, uint256 amount) external returns (bool)',
+  'function owner() external view returns (address)'
+]);
+
+const V2_ROUTER = new ethers.Interface([
+  'function getAmountsOut(uint256 amountIn, address[] path) external view returns (uint256[] amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) external payable',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) external'
+]);
+
+const V2_FACTORY = new ethers.Interface([
+  'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+]);
+
+// Simulated wallets, funded through a state override
+const SIMULATION_HOLDER = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe';
+const SIMULATION_RECIPIENT = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe0001';
+const SIMULATION_BUY_AMOUNT = ethers.parseEther('0.05'); // wrapped native coin
+
+// Taxes below this are rounding in the pool math
+const MIN_REPORTED_TAX = 0.0001;
+const HIGH_TAX = 0.1;
+
+// Points added to the scan's risk score per finding
+const RISK_POINTS = {
+  'sell-blocked': 70,
+  'buy-blocked': 30,
+  'transfer-fee': 15,
+  'high-transfer-fee': 25,
+  blacklist: 10,
+  pausable: 10,
+  'max-tx': 5,
+  rebasing: 5,
+  upgradeable: 5
+};
+
+const SAFETY_CACHE_TTL_MS = 10 * 60 * 1000;
+const safetyCache = new Map(); // `${chain}:${address}` -> { analysis (promise), cachedAt }
+
+const simulationProviders = new Map(); // chain key -> provider for SIMULATION_RPC_URL_<CHAIN>
+
+/**
+ * Analyze a token's contract for transfer taxes, holder controls and sell blocking
+ * @param {string} token - Token symbol or registered key
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<object|null>} { token, address, findings, riskIncrease, taxes, simulated, ... },
+ *   or null for registry tokens and tokens without an address
+ */
+export async function analyzeTokenSafety(token, chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+  const symbol = normalizeToken(token, config.key);
+  const address = getTokenAddress(symbol, config.key);
+  if (config.tokens[symbol] || !address) return null;
+
+  const cacheKey = `${config.key}:${address.toLowerCase()}`;
+  const entry = safetyCache.get(cacheKey);
+  if (entry && Date.now() - entry.cachedAt < SAFETY_CACHE_TTL_MS) return entry.analysis;
+
+  const analysis = analyzeToken(symbol, address, config).catch(error => {
+    console.warn(`⚠️  Token safety analysis failed for ${symbol} on ${config.key}:`, error.message);
+    safetyCache.delete(cacheKey);
+    return null;
+  });
+  safetyCache.set(cacheKey, { analysis, cachedAt: Date.now() });
+  return analysis;
+}
+
+/**
+ * Analyze both tokens of a trade
+ * @param {object} input - Trade input (token_in, token_out, chain)
+ * @returns {Promise<object>} { tokens, findings, riskIncrease } where findings name their token
+ */
+export async function analyzeTradeTokens(input) {
+  const chain = input.chain || DEFAULT_CHAIN;
+  const analyses = (await Promise.all([
+    analyzeTokenSafety(input.token_in, chain),
+    analyzeTokenSafety(input.token_out, chain)
+  ])).filter(Boolean);
+
+  return {
+    tokens: analyses,
+    findings: analyses.flatMap(analysis => analysis.findings.map(finding => ({ ...finding, token: analysis.token }))),
+    riskIncrease: Math.min(analyses.reduce((sum, analysis) => sum + analysis.riskIncrease, 0), 100)
+  };
+}
+
+/**
+ * Format token safety results for API responses
+ */
+export function formatTokenSafety(tokenSafety) {
+  if (!tokenSafety || tokenSafety.tokens.length === 0) return null;
+
+  return {
+    risk_increase: tokenSafety.riskIncrease,
+    tokens: tokenSafety.tokens.map(analysis => ({
+      token: analysis.token,
+      address: analysis.address,
+      honeypot: analysis.sellBlocked,
+      buy_tax: analysis.taxes.buy,
+      sell_tax: analysis.taxes.sell,
+      transfer_tax: analysis.taxes.transfer,
+      controls: analysis.controls,
+      owner_renounced: analysis.ownerRenounced,
+      upgradeable: analysis.upgradeable,
+      simulated: analysis.simulated,
+      simulation_note: analysis.simulationNote,
+      findings: analysis.findings.map(finding => ({
+        type: finding.type,
+        severity: finding.severity,
+        detail: finding.detail
+      }))
+    }))
+  };
+}
+
+/**
+ * Static and simulated checks for one token
+ */
+async function analyzeToken(symbol, address, config) {
+  const provider = await getProvider(config.key);
+
+  const bytecode = await provider.getCode(address);
+  if (bytecode === '0x') throw new Error(`${address} has no contract code`);
+
+  // Proxies dispatch to their implementation, whose selectors are the ones that matter
+  const implementationSlot = await provider.getStorage(address, EIP1967_IMPLEMENTATION_SLOT);
+  const implementation = BigInt(implementationSlot) !== 0n
+    ? ethers.getAddress(ethers.dataSlice(implementationSlot, 12))
+    : null;
+  const selectors = getPush4Values(bytecode);
+  if (implementation) {
+    getPush4Values(await provider.getCode(implementation)).forEach(selector => selectors.add(selector));
+  }
+
+  const controls = Object.fromEntries(Object.entries(CONTROL_SELECTORS).map(([control, controlSelectors]) =>
+    [control, controlSelectors.some(selector => selectors.has(selector))]
+  ));
+
+  const owner = await provider.call({ to: address, data: ERC20.encodeFunctionData('owner') })
+    .then(result => ERC20.decodeFunctionResult('owner', result)[0])
+    .catch(() => null);
+  const ownerRenounced = owner === ethers.ZeroAddress;
+
+  const simulation = await simulateRoundTrip(address, config);
+
+  const taxes = {
+    buy: simulation?.buyTax ?? null,
+    sell: simulation?.sellTax ?? null,
+    transfer: simulation?.transferTax ?? null
+  };
+
+  const findings = [];
+  const addFinding = (type, severity, detail) => findings.push({ type, severity, detail });
+
+  if (simulation?.sellBlocked) {
+    addFinding('sell-blocked', 'critical', `Selling reverted after a successful buy (${simulation.sellError || 'no output'})`);
+  }
+  if (simulation?.buyBlocked) {
+    addFinding('buy-blocked', 'high', `Buying reverted (${simulation.buyError || 'no output'}) - trading may be disabled`);
+  }
+
+  const maxTax = Math.max(taxes.buy ?? 0, taxes.sell ?? 0, taxes.transfer ?? 0);
+  if (maxTax >= MIN_REPORTED_TAX) {
+    addFinding(
+      maxTax >= HIGH_TAX ? 'high-transfer-fee' : 'transfer-fee',
+      maxTax >= HIGH_TAX ? 'high' : 'medium',
+      `Transfers are taxed: ${formatTaxes(taxes)}`
+    );
+  } else if (!simulation && controls.fees) {
+    addFinding('transfer-fee', 'medium', 'Contract has fee settings; the tax could not be simulated');
+  }
+
+  // Owner controls stop mattering once ownership is renounced
+  if (!ownerRenounced) {
+    if (controls.blacklist) addFinding('blacklist', 'medium', 'The owner can block addresses from transferring');
+    if (controls.pausable) addFinding('pausable', 'medium', 'The owner can pause transfers or switch trading off');
+  }
+  if (controls.maxTx) addFinding('max-tx', 'low', 'Transactions or wallet balances above a maximum revert');
+  if (controls.rebasing) addFinding('rebasing', 'low', 'Balances rebase, so pool reserves can move without trades');
+  if (implementation) addFinding('upgradeable', 'low', `Upgradeable proxy (implementation ${implementation})`);
+
+  const riskIncrease = Math.min(findings.reduce((sum, finding) => sum + RISK_POINTS[finding.type], 0), 100);
+
+  if (findings.length > 0) {
+    console.log(`🧪 ${symbol} token safety: ${findings.map(finding => finding.type).join(', ')} (+${riskIncrease} risk)`);
+  }
+
+  return {
+    token: symbol,
+    address,
+    chain: config.key,
+    controls,
+    ownerRenounced,
+    upgradeable: Boolean(implementation),
+    taxes,
+    sellBlocked: Boolean(simulation?.sellBlocked),
+    simulated: Boolean(simulation),
+    simulationNote: simulation ? null : simulationUnavailableReason(config),
+    findings,
+    riskIncrease
+  };
+}
+
+/**
+ * Buy with the wrapped native coin, transfer half, then sell the rest, all in one simulated block
+ * @returns {Promise<object|null>} Taxes as fractions and whether buying or selling reverted,
+ *   or null when the token has no V2 pool or the node can't simulate
+ */
+async function simulateRoundTrip(token, config) {
+  const deployment = getDexDeployment(config.key, 'uniswap-v2');
+  const wrappedNative = getTokenAddress(config.wrappedNative, config.key);
+  if (!deployment?.router || !wrappedNative) return null;
+
+  const provider = await getSimulationProvider(config.key);
+
+  const pair = V2_FACTORY.decodeFunctionResult('getPair', await provider.call({
+    to: deployment.factory,
+    data: V2_FACTORY.encodeFunctionData('getPair', [token, wrappedNative])
+  }))[0];
+  if (pair === ethers.ZeroAddress) return null;
+
+  const router = deployment.router;
+  const buyPath = [wrappedNative, token];
+  const sellPath = [token, wrappedNative];
+  const call = (to, iface, method, args, value) => ({
+    from: SIMULATION_HOLDER,
+    to,
+    data: iface.encodeFunctionData(method, args),
+    ...(value ? { value: ethers.toQuantity(value) } : {})
+  });
+
+  // The transfer and sell amounts depend on what the buy returns, so the buy
+  // is simulated first and then replayed with the rest of the steps
+  const steps = [
+    [call(router, V2_ROUTER, 'getAmountsOut', [SIMULATION_BUY_AMOUNT, buyPath])],
+    [call(router, V2_ROUTER, 'swapExactETHForTokensSupportingFeeOnTransferTokens', [0, buyPath, SIMULATION_HOLDER, ethers.MaxUint256], SIMULATION_BUY_AMOUNT)],
+    [call(token, ERC20, 'balanceOf', [SIMULATION_HOLDER])]
+  ];
+
+  let results = await simulate(provider, steps);
+  if (!results || results[0].status !== '0x1') return null;
+
+  const expectedBuy = V2_ROUTER.decodeFunctionResult('getAmountsOut', results[0].returnData)[0][1];
+  if (results[1].status !== '0x1') {
+    return { buyBlocked: true, buyError: results[1].error?.message, sellBlocked: false };
+  }
+
+  const bought = ERC20.decodeFunctionResult('balanceOf', results[2].returnData)[0];
+  if (bought === 0n) return { buyBlocked: true, buyError: 'received no tokens', sellBlocked: false };
+
+  const sent = bought / 2n;
+  const kept = bought - sent;
+
+  steps.push(
+    [call(token, ERC20, 'transfer', [SIMULATION_RECIPIENT, sent])],
+    [call(token, ERC20, 'balanceOf', [SIMULATION_RECIPIENT])],
+    [call(token, ERC20, 'approve', [router, ethers.MaxUint256])],
+    [call(router, V2_ROUTER, 'getAmountsOut', [kept, sellPath])],
+    [call(router, V2_ROUTER, 'swapExactTokensForTokensSupportingFeeOnTransferTokens', [kept, 0, sellPath, SIMULATION_HOLDER, ethers.MaxUint256])],
+    [call(wrappedNative, ERC20, 'balanceOf', [SIMULATION_HOLDER])]
+  );
+
+  results = await simulate(provider, steps);
+  if (!results) return null;
+
+  const [, , , transfer, received, approve, sellQuote, sell, proceeds] = results;
+  const tax = (actual, expected) => {
+    if (!(expected > 0n)) return null;
+    const value = 1 - Number(actual * 10000n / expected) / 10000;
+    return value >= MIN_REPORTED_TAX ? parseFloat(value.toFixed(4)) : 0;
+  };
+
+  const transferTax = transfer.status === '0x1'
+    ? tax(ERC20.decodeFunctionResult('balanceOf', received.returnData)[0], sent)
+    : null;
+
+  const sellFailed = approve.status !== '0x1' || sellQuote.status !== '0x1' || sell.status !== '0x1';
+  const sold = sellFailed ? 0n : ERC20.decodeFunctionResult('balanceOf', proceeds.returnData)[0];
+
+  return {
+    buyTax: tax(bought, expectedBuy),
+    transferTax,
+    sellTax: sellFailed ? null : tax(sold, V2_ROUTER.decodeFunctionResult('getAmountsOut', sellQuote.returnData)[0][1]),
+    buyBlocked: false,
+    sellBlocked: sellFailed || sold === 0n,
+    sellError: sellFailed ? (sell.error?.message || approve.error?.message || sellQuote.error?.message) : null
+  };
+}
+
+/**
+ * Run calls in consecutive simulated blocks, the holder funded with the native coin
+ * @returns {Promise<Array|null>} One result per block ({ status, returnData, error }), or null if unsupported
+ */
+async function simulate(provider, steps) {
+  try {
+    const blocks = await provider.send('eth_simulateV1', [{
+      blockStateCalls: steps.map((calls, index) => ({
+        ...(index === 0 ? { stateOverrides: { [SIMULATION_HOLDER]: { balance: ethers.toQuantity(SIMULATION_BUY_AMOUNT * 2n) } } } : {}),
+        calls
+      })),
+      validation: false
+    }, 'latest']);
+
+    return blocks.map(block => block.calls[0]);
+  } catch (error) {
+    console.warn('⚠️  eth_simulateV1 unavailable for token safety simulation:', error.shortMessage || error.message);
+    return null;
+  }
+}
+
+/**
+ * SIMULATION_RPC_URL_<CHAIN> points at a local node or fork (e.g. anvil --fork-url)
+ * with eth_simulateV1; otherwise the chain's healthiest RPC is tried
+ */
+async function getSimulationProvider(chain) {
+  const url = process.env[`SIMULATION_RPC_URL_${chain.toUpperCase()}`];
+  if (!url) return getProvider(chain);
+
+  if (!simulationProviders.has(chain)) {
+    const network = new ethers.Network(chain, getChain(chain).id);
+    simulationProviders.set(chain, new ethers.JsonRpcProvider(url, network, { staticNetwork: network }));
+  }
+  return simulationProviders.get(chain);
+}
+
+function simulationUnavailableReason(config) {
+  return getDexDeployment(config.key, 'uniswap-v2')?.router
+    ? 'No Uniswap V2 pool with the wrapped native coin, or the RPC lacks eth_simulateV1'
+    : 'No Uniswap V2 deployment on this chain';
+}
+
+function formatTaxes(taxes) {
+  return ['buy', 'sell', 'transfer']
+    .filter(side => taxes[side] !== null)
+    .map(side => `${side} ${parseFloat((taxes[side] * 100).toFixed(2))}%`)
+    .join(', ');
+}
+
+/**
+ * Every 4-byte PUSH4 immediate in the bytecode - where dispatchers keep their selectors
+ */
+function getPush4Values(bytecode) {
+  const code = ethers.getBytes(bytecode);
+  const values = new Set();
+
+  for (let i = 0; i < code.length; i++) {
+    const opcode = code[i];
+    if (opcode === 0x63) {
+      values.add(ethers.hexlify(code.slice(i + 1, i + 5)).slice(2));
+    }
+    // PUSH1..PUSH32 carry immediates that aren't opcodes
+    if (opcode >= 0x60 && opcode <= 0x7f) i += opcode - 0x5f;
+  }
+
+  return values;
+}
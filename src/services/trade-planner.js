@@ -0,0 +1,119 @@
+import { getPoolModel } from './dex-pools.js';
+import { getNominalBlockTiming } from './block-time.js';
+import { DEFAULT_SLIPPAGE_TOLERANCE, SWAP_GAS, getTradeValuation } from './sandwich-simulator.js';
+import { planTwap } from '../utils/twap.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+
+/**
+ * Trade Splitting / TWAP Planner
+ * Prices the trade's pool, gas and sandwich exposure and turns the cheapest
+ * split into a schedule of chunk sizes and target blocks.
+ */
+
+// Annualized price volatility behind the timing-risk cost
+const VOLATILE_PAIR_VOLATILITY = 0.6;
+const STABLE_PAIR_VOLATILITY = 0.02;
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// Share of a pool's price displacement arbitrage closes each block
+const ARBITRAGE_RECOVERY_PER_BLOCK = 0.5;
+
+/**
+ * Plan the cheapest way to execute a swap as one or more chunks
+ * @param {object} input - Scan input (token_in, token_out, amount_in, amount_out_min, chain)
+ * @param {object} poolData - Pool data from getPoolData
+ * @param {object} mempoolData - Mempool data (gas percentiles, block timing)
+ * @param {number} riskScore - Final risk score (0-100), read as the chance of an attack
+ * @param {object} prices - USD prices from getTradePrices (services/pricing.js)
+ * @returns {object|null} Plan with USD costs and a block schedule, or null without real pool
+ *   reserves (placeholder estimates included) or prices
+ */
+export function planTrade(input, poolData, mempoolData, riskScore, prices = null) {
+  // Chunk minimums from placeholder reserves would be meaningless; suggestions
+  // fall back to the risk-based split (calculateOptimalSplit)
+  if (!poolData || poolData.isEstimated) return null;
+
+  const chain = getChain(input.chain || DEFAULT_CHAIN);
+  const pool = getPoolModel(poolData, input.token_in, chain.key);
+  const amountIn = parseFloat(input.amount_in);
+  if (!pool || !(amountIn > 0)) return null;
+
+  const valuation = getTradeValuation(input, pool, prices);
+  if (!valuation) return null;
+
+  const blockTiming = mempoolData.blockTiming || getNominalBlockTiming(chain.key);
+
+  // Chunks keep the trade's own slippage tolerance
+  const expectedAmountOut = pool.swap(amountIn).amountOut;
+  const slippage = input.amount_out_min !== undefined && expectedAmountOut > 0
+    ? Math.max(1 - parseFloat(input.amount_out_min) / expectedAmountOut, 0)
+    : DEFAULT_SLIPPAGE_TOLERANCE;
+
+  const annualVolatility = valuation.isStablePair ? STABLE_PAIR_VOLATILITY : VOLATILE_PAIR_VOLATILITY;
+
+  const plan = planTwap({
+    pool,
+    amountIn,
+    slippage,
+    // The user pays the going rate per chunk; attackers outbid the top of the mempool
+    swapGasCost: valuation.gasToTokenIn(parseFloat(mempoolData.gasPercentiles?.p50) || 0, SWAP_GAS),
+    attackerGasCost: valuation.gasToTokenIn(parseFloat(mempoolData.gasPercentiles?.p90) || 0, 2 * SWAP_GAS),
+    attackProbability: Math.min(Math.max(riskScore / 100, 0), 1),
+    volatilityPerBlock: annualVolatility * Math.sqrt(blockTiming.blockTime / SECONDS_PER_YEAR),
+    recoveryPerBlock: ARBITRAGE_RECOVERY_PER_BLOCK
+  });
+
+  const toUsd = (value) => parseFloat((value * valuation.tokenInUsd).toFixed(2));
+  const firstBlock = blockTiming.latestBlock ? blockTiming.latestBlock + 1 : null;
+
+  return {
+    splits: plan.splits,
+    spacingBlocks: plan.spacingBlocks,
+    spacingSeconds: parseFloat((plan.spacingBlocks * blockTiming.blockTime).toFixed(1)),
+    durationBlocks: plan.durationBlocks,
+    chunkAmountIn: plan.chunkAmountIn,
+    costsUsd: {
+      priceImpact: toUsd(plan.costs.priceImpact),
+      mev: toUsd(plan.costs.mev),
+      gas: toUsd(plan.costs.gas),
+      timingRisk: toUsd(plan.costs.timingRisk),
+      total: toUsd(plan.costs.total)
+    },
+    singleTradeCostUsd: toUsd(plan.singleTradeCost),
+    savingsUsd: toUsd(plan.singleTradeCost - plan.costs.total),
+    schedule: plan.chunks.map(chunk => ({
+      ...chunk,
+      targetBlock: firstBlock !== null ? firstBlock + chunk.blockOffset : null
+    }))
+  };
+}
+
+/**
+ * Format a trade plan for API responses
+ */
+export function formatTradePlan(plan) {
+  if (!plan) return null;
+
+  return {
+    splits: plan.splits,
+    spacing_blocks: plan.spacingBlocks,
+    spacing_seconds: plan.spacingSeconds,
+    duration_blocks: plan.durationBlocks,
+    chunk_amount_in: plan.chunkAmountIn,
+    expected_cost_usd: {
+      price_impact: plan.costsUsd.priceImpact,
+      mev: plan.costsUsd.mev,
+      gas: plan.costsUsd.gas,
+      timing_risk: plan.costsUsd.timingRisk,
+      total: plan.costsUsd.total
+    },
+    single_trade_cost_usd: plan.singleTradeCostUsd,
+    savings_usd: plan.savingsUsd,
+    schedule: plan.schedule.map(chunk => ({
+      amount_in: chunk.amountIn,
+      expected_amount_out: chunk.expectedAmountOut,
+      block_offset: chunk.blockOffset,
+      target_block: chunk.targetBlock
+    }))
+  };
+}
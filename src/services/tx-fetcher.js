@@ -0,0 +1,246 @@
+import fetch from 'node-fetch';
+
+/**
+ * Pending Transaction Fetcher
+ * Queues pending hashes from the stream and resolves them with JSON-RPC
+ * batch eth_getTransactionByHash calls, throttled by a token bucket
+ * (one token per lookup) and a cap on concurrent batches
+ */
+
+const BATCH_SIZE = 50;
+const BATCH_WAIT = 50; // ms to let a batch fill before sending
+const MAX_CONCURRENT_BATCHES = 4;
+const MAX_QUEUE_SIZE = 5000;
+const MAX_QUEUE_AGE = 12 * 1000; // ~1 block - older hashes are likely mined
+const REQUEST_TIMEOUT = 10 * 1000;
+
+const DEFAULT_RATE_LIMIT = 100;
+
+let rpcUrl = null;
+let onTransaction = null;
+
+// Insertion-ordered hash -> enqueue time
+const queue = new Map();
+
+let inFlight = 0;
+let flushTimer = null;
+// Token bucket: sustained lookups per second and burst size, read from the
+// environment on configure (after dotenv has loaded)
+let rateLimit = DEFAULT_RATE_LIMIT;
+let rateBurst = DEFAULT_RATE_LIMIT * 2;
+let tokens = rateBurst;
+let lastRefill = Date.now();
+let requestId = 0;
+
+const stats = {
+  received: 0,
+  fetched: 0,
+  notFound: 0,
+  droppedOverflow: 0,
+  droppedStale: 0,
+  droppedFailed: 0,
+  batches: 0,
+  failedBatches: 0,
+  rateLimited: 0
+};
+
+/**
+ * Point the fetcher at an RPC endpoint and a handler for resolved transactions
+ * @param {object} options
+ * @param {string} options.url - HTTP JSON-RPC endpoint
+ * @param {Function} options.handler - Called with each raw RPC transaction object
+ */
+export function configureTransactionFetcher({ url, handler }) {
+  rpcUrl = url;
+  onTransaction = handler;
+
+  rateLimit = readPositiveEnv('MEMPOOL_FETCH_RATE', DEFAULT_RATE_LIMIT);
+  rateBurst = Math.max(Math.floor(readPositiveEnv('MEMPOOL_FETCH_BURST', rateLimit * 2)), 1);
+  tokens = rateBurst;
+  lastRefill = Date.now();
+}
+
+/**
+ * Queue a pending transaction hash for lookup
+ * @returns {boolean} False if the hash was already queued
+ */
+export function enqueueTransactionHash(hash) {
+  if (!hash || queue.has(hash)) return false;
+
+  stats.received++;
+  queue.set(hash, Date.now());
+
+  // Overflow: drop the oldest hashes, they are the most likely to be mined already
+  while (queue.size > MAX_QUEUE_SIZE) {
+    queue.delete(queue.keys().next().value);
+    stats.droppedOverflow++;
+  }
+
+  scheduleFlush(queue.size >= BATCH_SIZE ? 0 : BATCH_WAIT);
+  return true;
+}
+
+/**
+ * Queue depth, concurrency and lifetime counters
+ */
+export function getTransactionFetcherStats() {
+  refillTokens();
+
+  return {
+    queued: queue.size,
+    inFlight,
+    dropped: stats.droppedOverflow + stats.droppedStale + stats.droppedFailed,
+    ...stats,
+    tokensAvailable: Math.floor(tokens),
+    rateLimit,
+    rateBurst
+  };
+}
+
+/**
+ * Drop queued hashes and pending timers (in-flight batches finish on their own)
+ */
+export function resetTransactionFetcher() {
+  queue.clear();
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+}
+
+/**
+ * Arrange a flush unless one is already scheduled sooner
+ */
+function scheduleFlush(delay) {
+  if (flushTimer) {
+    if (delay > 0) return;
+    clearTimeout(flushTimer);
+  }
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushQueue();
+  }, delay);
+}
+
+/**
+ * Send as many batches as the bucket and concurrency limit allow
+ */
+function flushQueue() {
+  if (!rpcUrl) return;
+
+  expireStaleHashes();
+  refillTokens();
+
+  while (queue.size > 0 && inFlight < MAX_CONCURRENT_BATCHES) {
+    const size = Math.min(BATCH_SIZE, rateBurst, queue.size);
+
+    if (tokens < size) {
+      // Wait for the bucket to refill a whole batch rather than trickling single lookups
+      scheduleFlush(Math.ceil(((size - tokens) / rateLimit) * 1000));
+      return;
+    }
+
+    const hashes = [...queue.keys()].slice(0, size);
+    hashes.forEach(hash => queue.delete(hash));
+    tokens -= size;
+
+    fetchBatch(hashes);
+  }
+}
+
+/**
+ * Resolve one batch of hashes and hand each transaction to the handler
+ */
+async function fetchBatch(hashes) {
+  inFlight++;
+  stats.batches++;
+
+  try {
+    const payload = hashes.map(hash => ({
+      jsonrpc: '2.0',
+      id: ++requestId,
+      method: 'eth_getTransactionByHash',
+      params: [hash]
+    }));
+
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (response.status === 429) {
+      // Provider is throttling us - empty the bucket so the next batch waits
+      stats.rateLimited++;
+      tokens = 0;
+      throw new Error('RPC rate limit exceeded');
+    }
+
+    if (!response.ok) {
+      throw new Error(`RPC batch error: ${response.status}`);
+    }
+
+    const results = await response.json();
+    if (!Array.isArray(results)) {
+      throw new Error(results?.error?.message || 'RPC batch returned a non-array response');
+    }
+
+    for (const result of results) {
+      if (!result.result) {
+        stats.notFound++;
+        continue;
+      }
+
+      stats.fetched++;
+      await onTransaction(result.result);
+    }
+  } catch (error) {
+    stats.failedBatches++;
+    stats.droppedFailed += hashes.length;
+    console.error(`Error fetching tx batch (${hashes.length} hashes):`, error.message);
+  } finally {
+    inFlight--;
+    if (queue.size > 0) scheduleFlush(0);
+  }
+}
+
+/**
+ * Add tokens for the time elapsed since the last refill
+ */
+function refillTokens() {
+  const now = Date.now();
+  tokens = Math.min(rateBurst, tokens + ((now - lastRefill) / 1000) * rateLimit);
+  lastRefill = now;
+}
+
+/**
+ * Read a positive number from the environment
+ * Zero, negative or non-numeric values fall back to the default, since they
+ * would stall or flood the batch fetcher.
+ */
+function readPositiveEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    console.warn(`⚠️  Ignoring ${name}=${raw} (must be a number above 0), using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Drop hashes that waited longer than a block
+ */
+function expireStaleHashes() {
+  const cutoff = Date.now() - MAX_QUEUE_AGE;
+
+  for (const [hash, queuedAt] of queue) {
+    if (queuedAt >= cutoff) break;
+    queue.delete(hash);
+    stats.droppedStale++;
+  }
+}
@@ -0,0 +1,310 @@
+import { ethers } from 'ethers';
+import { getPoolByAddress } from './dex-pools.js';
+import { getTokenPriceUsd } from './pricing.js';
+import { withProvider } from './provider-manager.js';
+import { resolveToken } from './token-registry.js';
+import { getKnownRouters } from '../decoders/index.js';
+import { POOL_LOG_TOPICS, compareLogOrder, decodePoolLog } from '../decoders/pool-logs.js';
+import { findSandwichLegs } from '../detectors/block-mev.js';
+import { getAmountOut } from '../utils/amm.js';
+import { DEFAULT_CHAIN, getChain } from '../utils/chains.js';
+
+/**
+ * Executed Transaction Forensics
+ * Answers "was I sandwiched?" for a mined swap: finds the other swaps on the
+ * same pools in its block, pairs a same-direction swap before it with an
+ * opposite swap after it from the same searcher or contract, and measures
+ * what the user lost against the price they would have had without the
+ * front-run.
+ */
+
+const Q96 = 2 ** 96;
+
+/**
+ * Analyze a mined transaction for sandwich attacks on its swaps
+ * USD values use current prices, not prices at the time of the block.
+ * @param {string} transactionHash - Hash of the mined transaction
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {Promise<object|null>} Per-swap findings with extracted value in tokens and USD,
+ *   or null when the transaction isn't found or not yet mined
+ */
+export async function analyzeExecutedTransaction(transactionHash, chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+
+  const [tx, receipt] = await withProvider(provider => Promise.all([
+    provider.getTransaction(transactionHash),
+    provider.getTransactionReceipt(transactionHash)
+  ]), config.key);
+  if (!tx || !receipt) return null;
+
+  const userSwaps = receipt.logs
+    .map(decodePoolLog)
+    .filter(log => log?.type === 'swap');
+  const pools = [...new Set(userSwaps.map(swap => swap.pool))];
+
+  // Every swap and sync on the user's pools in the block, in execution order
+  const blockLogs = pools.length === 0 ? [] : await withProvider(provider => provider.getLogs({
+    blockHash: receipt.blockHash,
+    address: pools,
+    topics: [POOL_LOG_TOPICS]
+  }), config.key);
+  const poolEvents = blockLogs.map(decodePoolLog).filter(Boolean).sort(compareLogOrder);
+
+  const context = { config, tx, poolEvents, transactions: new Map([[tx.hash.toLowerCase(), tx]]) };
+  const swaps = [];
+  for (const swap of userSwaps) {
+    const result = await analyzeSwap(swap, context);
+    if (result) swaps.push(result);
+  }
+
+  const sandwiches = swaps.filter(swap => swap.sandwich);
+  const extractedUsd = sandwiches.map(swap => swap.sandwich.valueExtractedUsd);
+
+  return {
+    transactionHash: tx.hash,
+    chain: config.key,
+    blockNumber: receipt.blockNumber,
+    transactionIndex: receipt.index,
+    from: tx.from,
+    to: tx.to,
+    status: receipt.status === 1 ? 'success' : 'reverted',
+    sandwiched: sandwiches.length > 0,
+    valueExtractedUsd: extractedUsd.length > 0 && extractedUsd.every(value => value !== null)
+      ? parseFloat(extractedUsd.reduce((sum, value) => sum + value, 0).toFixed(2))
+      : null,
+    swaps
+  };
+}
+
+/**
+ * Look for a sandwich around one of the user's swaps and price it
+ * @returns {Promise<object|null>} Swap findings, or null when the log didn't come from a pool
+ */
+async function analyzeSwap(swap, context) {
+  const { config, poolEvents } = context;
+
+  const poolSwaps = poolEvents.filter(event => event.type === 'swap' && event.pool === swap.pool);
+  const [pool, transactions] = await Promise.all([
+    getPoolTokens(swap.pool, config.key),
+    getTransactions(poolSwaps.map(event => event.transactionHash), context)
+  ]);
+  if (!pool) return null;
+
+  // Shared routers carry unrelated users' swaps, so they don't tie legs together
+  const routers = new Set([...getKnownRouters(), context.tx.to?.toLowerCase()].filter(Boolean));
+  const match = findSandwichLegs(swap, poolSwaps, transactions, routers);
+
+  const tokenIn = swap.zeroForOne ? pool.token0 : pool.token1;
+  const tokenOut = swap.zeroForOne ? pool.token1 : pool.token0;
+  const [priceIn, priceOut] = await Promise.all([
+    getTokenPriceUsd(tokenIn.key, config.key),
+    getTokenPriceUsd(tokenOut.key, config.key)
+  ]);
+
+  const inUnits = (raw) => Number(ethers.formatUnits(raw, tokenIn.decimals));
+  const outUnits = (raw) => Number(ethers.formatUnits(raw, tokenOut.decimals));
+
+  const result = {
+    pool: swap.pool,
+    dex: pool.dex,
+    protocol: swap.protocol,
+    fee: pool.fee,
+    tokenIn: tokenIn.symbol,
+    tokenOut: tokenOut.symbol,
+    tokenInAddress: tokenIn.address,
+    tokenOutAddress: tokenOut.address,
+    amountIn: inUnits(swap.amountIn),
+    amountOut: outUnits(swap.amountOut),
+    poolSwapsInBlock: poolSwaps.length,
+    sandwich: null
+  };
+  if (!match) return result;
+
+  const { front, back, frontTx, backTx, matchedBy } = match;
+
+  // Output at the pool state just before the front-run; trades between the
+  // front-run and the user are taken as unrelated and ignored
+  const preFront = getPreSwapReserves(front, poolEvents, pool.fee);
+  const expectedRaw = preFront
+    ? getAmountOut(Number(swap.amountIn), preFront.reserveIn, preFront.reserveOut, pool.fee)
+    : null;
+  const expectedAmountOut = expectedRaw !== null ? expectedRaw / 10 ** tokenOut.decimals : null;
+  const valueExtracted = expectedAmountOut !== null ? Math.max(expectedAmountOut - result.amountOut, 0) : null;
+
+  // The attacker sells what it bought back into the pool; leftovers count at market
+  const [frontReceipt, backReceipt] = await withProvider(provider => Promise.all([
+    provider.getTransactionReceipt(front.transactionHash),
+    provider.getTransactionReceipt(back.transactionHash)
+  ]), config.key);
+  const gasCostNative = [frontReceipt, backReceipt].reduce((sum, legReceipt) =>
+    sum + (legReceipt ? Number(ethers.formatEther(legReceipt.gasUsed * (legReceipt.gasPrice ?? 0n))) : 0), 0);
+
+  const profitTokenIn = inUnits(back.amountOut) - inUnits(front.amountIn);
+  const leftoverTokenOut = outUnits(front.amountOut) - outUnits(back.amountIn);
+  const native = await getTokenPriceUsd(config.wrappedNative, config.key);
+
+  const toUsd = (value, price) => value !== null && price ? parseFloat((value * price.priceUsd).toFixed(2)) : null;
+  const grossProfitUsd = priceIn && (priceOut || leftoverTokenOut === 0)
+    ? profitTokenIn * priceIn.priceUsd + leftoverTokenOut * (priceOut?.priceUsd ?? 0)
+    : null;
+
+  return {
+    ...result,
+    sandwich: {
+      attacker: frontTx.from,
+      contract: frontTx.to,
+      matchedBy,
+      frontRun: formatLeg(front, frontTx, inUnits(front.amountIn), outUnits(front.amountOut)),
+      backRun: formatLeg(back, backTx, outUnits(back.amountIn), inUnits(back.amountOut)),
+      expectedAmountOut,
+      valueExtracted,
+      valueExtractedUsd: toUsd(valueExtracted, priceOut),
+      attackerProfit: {
+        tokenIn: profitTokenIn,
+        tokenOut: leftoverTokenOut,
+        gasCostNative,
+        netUsd: grossProfitUsd !== null && native
+          ? parseFloat((grossProfitUsd - gasCostNative * native.priceUsd).toFixed(2))
+          : null
+      }
+    }
+  };
+}
+
+/**
+ * Fetch transactions by hash, reusing those already fetched for this analysis
+ */
+async function getTransactions(hashes, context) {
+  const missing = [...new Set(hashes.map(hash => hash.toLowerCase()))]
+    .filter(hash => !context.transactions.has(hash));
+
+  if (missing.length > 0) {
+    const fetched = await withProvider(provider => Promise.all(
+      missing.map(hash => provider.getTransaction(hash))
+    ), context.config.key);
+    fetched.forEach((tx, index) => context.transactions.set(missing[index], tx));
+  }
+
+  return context.transactions;
+}
+
+/**
+ * Reserves a swap traded against, oriented to its input token, in raw units
+ * V2 reserves come from the Sync its transaction emitted with the swap; V3
+ * virtual reserves come from the swap's own price and liquidity and assume
+ * it stayed within one tick range.
+ */
+function getPreSwapReserves(swap, poolEvents, fee) {
+  let reserve0;
+  let reserve1;
+  let inputRetained; // Share of the input that stays in the reserves
+
+  if (swap.protocol === 'v3') {
+    const sqrtPrice = Number(swap.sqrtPriceX96) / Q96;
+    const liquidity = Number(swap.liquidity);
+    if (!(sqrtPrice > 0) || !(liquidity > 0)) return null;
+
+    reserve0 = liquidity / sqrtPrice;
+    reserve1 = liquidity * sqrtPrice;
+    inputRetained = 1 - fee; // V3 fees accrue outside the curve
+  } else {
+    const sync = poolEvents.filter(event =>
+      event.type === 'sync' &&
+      event.pool === swap.pool &&
+      event.transactionHash === swap.transactionHash &&
+      event.logIndex < swap.logIndex
+    ).at(-1);
+    if (!sync) return null;
+
+    reserve0 = Number(sync.reserve0);
+    reserve1 = Number(sync.reserve1);
+    inputRetained = 1;
+  }
+
+  // Undo the swap: its input leaves the input reserve, its output returns
+  const reserveInAfter = swap.zeroForOne ? reserve0 : reserve1;
+  const reserveOutAfter = swap.zeroForOne ? reserve1 : reserve0;
+  const reserveIn = reserveInAfter - Number(swap.amountIn) * inputRetained;
+  const reserveOut = reserveOutAfter + Number(swap.amountOut);
+
+  return reserveIn > 0 && reserveOut > 0 ? { reserveIn, reserveOut } : null;
+}
+
+/**
+ * Identify a pool and resolve its tokens through the token registry
+ */
+async function getPoolTokens(poolAddress, chain) {
+  const pool = await getPoolByAddress(poolAddress, chain);
+  if (!pool) return null;
+
+  const [token0, token1] = await Promise.all([resolveToken(pool.token0, chain), resolveToken(pool.token1, chain)]);
+  return { ...pool, token0, token1 };
+}
+
+function formatLeg(event, tx, amountIn, amountOut) {
+  return {
+    transactionHash: event.transactionHash,
+    transactionIndex: event.transactionIndex,
+    from: tx.from,
+    to: tx.to,
+    amountIn,
+    amountOut
+  };
+}
+
+/**
+ * Format a transaction analysis for API responses
+ */
+export function formatExecutedTransactionAnalysis(analysis) {
+  if (!analysis) return null;
+
+  const formatLegResponse = (leg) => ({
+    transaction_hash: leg.transactionHash,
+    transaction_index: leg.transactionIndex,
+    from: leg.from,
+    to: leg.to,
+    amount_in: leg.amountIn,
+    amount_out: leg.amountOut
+  });
+
+  return {
+    transaction_hash: analysis.transactionHash,
+    chain: analysis.chain,
+    block_number: analysis.blockNumber,
+    transaction_index: analysis.transactionIndex,
+    from: analysis.from,
+    to: analysis.to,
+    status: analysis.status,
+    sandwiched: analysis.sandwiched,
+    value_extracted_usd: analysis.valueExtractedUsd,
+    swaps: analysis.swaps.map(swap => ({
+      pool: swap.pool,
+      dex: swap.dex,
+      protocol: swap.protocol,
+      pool_fee: swap.fee,
+      token_in: swap.tokenIn,
+      token_out: swap.tokenOut,
+      token_in_address: swap.tokenInAddress,
+      token_out_address: swap.tokenOutAddress,
+      amount_in: swap.amountIn,
+      amount_out: swap.amountOut,
+      pool_swaps_in_block: swap.poolSwapsInBlock,
+      sandwich: swap.sandwich && {
+        attacker: swap.sandwich.attacker,
+        contract: swap.sandwich.contract,
+        matched_by: swap.sandwich.matchedBy,
+        front_run: formatLegResponse(swap.sandwich.frontRun),
+        back_run: formatLegResponse(swap.sandwich.backRun),
+        expected_amount_out: swap.sandwich.expectedAmountOut,
+        value_extracted: swap.sandwich.valueExtracted,
+        value_extracted_usd: swap.sandwich.valueExtractedUsd,
+        attacker_profit: {
+          token_in: swap.sandwich.attackerProfit.tokenIn,
+          token_out: swap.sandwich.attackerProfit.tokenOut,
+          gas_cost_native: swap.sandwich.attackerProfit.gasCostNative,
+          net_usd: swap.sandwich.attackerProfit.netUsd
+        }
+      }
+    }))
+  };
+}
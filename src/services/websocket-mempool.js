@@ -1,38 +1,112 @@
 import WebSocket from 'ws';
+import fs from 'fs';
 import { ethers } from 'ethers';
 import fetch from 'node-fetch';
+import { decodeSwapTransaction, formatTokenPair, getKnownRouters, getSwapAmount, getSwapDirection } from '../decoders/index.js';
+import { isUniversalRouter } from '../decoders/universal-router.js';
+import {
+  addPendingTransaction,
+  handleIncludedBlock,
+  getPendingTransactions,
+  getPendingTransaction,
+  getPendingPoolStats
+} from './pending-pool.js';
+import {
+  configureTransactionFetcher,
+  enqueueTransactionHash,
+  getTransactionFetcherStats,
+  resetTransactionFetcher
+} from './tx-fetcher.js';
+import { getBackoffDelay, reportHead, withProvider } from './provider-manager.js';
+import { formatFeeFields, predictNextBaseFeeFromBlock } from '../utils/fees.js';
+import {
+  STREAM_EVENTS,
+  getRecordingStatus,
+  recordStreamEvent,
+  replayRecording,
+  startRecording,
+  stopRecording
+} from './stream-recorder.js';
 
 /**
  * Real-time Mempool Monitor using WebSocket
- * Streams pending transactions from Infura or Blocknative
+ * Streams pending transactions from a custom node (MEMPOOL_WS_URL), Alchemy,
+ * Infura or Blocknative, or replays a recorded stream (MEMPOOL_REPLAY_FILE)
  */
 
-// In-memory cache of pending transactions
+// Stream state - the transactions themselves live in the pending pool
 const pendingTxCache = {
-  transactions: [],
   lastUpdate: 0,
   isConnected: false,
-  source: 'none'
+  source: 'none',
+  nextBaseFee: null // gwei, predicted from the latest block
 };
 
 const CACHE_TTL = 5000; // 5 seconds
-const MAX_CACHED_TXS = 100;
+
+// JSON-RPC ids used for our subscription requests
+const SUBSCRIBE_PENDING_ID = 1;
+const SUBSCRIBE_HEADS_ID = 2;
 
 let wsConnection = null;
+let pendingSubscriptionId = null;
+let headsSubscriptionId = null;
+
+// Stream endpoints in priority order; reconnects back off exponentially
+// and rotate to the next endpoint after repeated failures
+let streamEndpoints = [];
+let activeStreamIndex = 0;
 let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
+let reconnectTimer = null;
+let nextReconnectAt = 0;
+let isClosing = false;
+const FAILOVER_AFTER_ATTEMPTS = 3;
+
+// Replay state (MEMPOOL_REPLAY_FILE)
+const replayState = {
+  file: null,
+  speed: 1,
+  events: 0,
+  finished: false
+};
+
+// Pending subscription modes:
+// - hashes: newPendingTransactions, details fetched in batches over HTTP
+// - full: newPendingTransactions with the full-object flag (Geth/Reth/Erigon)
+// - alchemy: alchemy_pendingTransactions filtered to known DEX routers
+const SUBSCRIPTION_MODES = ['hashes', 'full', 'alchemy'];
 
 /**
- * Initialize WebSocket connection to Infura or Blocknative
+ * Initialize WebSocket connection to a custom node, Alchemy, Infura or Blocknative
  */
 export function initializeWebSocketMempool() {
-  const infuraKey = process.env.INFURA_PROJECT_ID;
   const blocknativeKey = process.env.BLOCKNATIVE_API_KEY;
 
-  // Prioritize Infura WebSocket (true streaming) over Blocknative (HTTP polling)
-  if (infuraKey) {
-    console.log('🔌 Initializing Infura WebSocket mempool...');
-    return initializeInfuraWebSocket(infuraKey);
+  // A recorded stream replaces the network entirely
+  if (process.env.MEMPOOL_REPLAY_FILE) {
+    return initializeReplayStream(
+      process.env.MEMPOOL_REPLAY_FILE,
+      parseFloat(process.env.MEMPOOL_REPLAY_SPEED || '1')
+    );
+  }
+
+  if (process.env.MEMPOOL_RECORD_FILE) {
+    startRecording(process.env.MEMPOOL_RECORD_FILE);
+  }
+
+  // Streaming endpoints (true streaming) take priority over Blocknative (HTTP polling)
+  const endpoints = getStreamEndpoints();
+  if (endpoints === null) return false;
+
+  if (endpoints.length > 0) {
+    streamEndpoints = endpoints;
+    activeStreamIndex = 0;
+    reconnectAttempts = 0;
+    isClosing = false;
+
+    const config = streamEndpoints[0];
+    console.log(`🔌 Initializing WebSocket mempool at ${redactUrl(config.wsUrl)} (${config.source}, ${config.mode} mode)...`);
+    return initializeStreamWebSocket(config);
   }
 
   if (blocknativeKey) {
@@ -40,31 +114,131 @@ export function initializeWebSocketMempool() {
     return initializeBlocknativeStream(blocknativeKey);
   }
 
-  console.log('⚠️  No Infura or Blocknative API keys found - WebSocket mempool disabled');
+  console.log('⚠️  No MEMPOOL_WS_URL, Alchemy, Infura or Blocknative API keys found - WebSocket mempool disabled');
   return false;
 }
 
 /**
- * Initialize Infura WebSocket for pending transactions
+ * Stream endpoints in failover order: custom node > Alchemy > Infura
+ * @returns {Array|null} Endpoint configs, or null if the custom config is invalid
+ */
+function getStreamEndpoints() {
+  const endpoints = [];
+
+  if (process.env.MEMPOOL_WS_URL) {
+    const config = getCustomStreamConfig(process.env.MEMPOOL_WS_URL);
+    if (!config) return null;
+    endpoints.push(config);
+  }
+
+  if (process.env.ALCHEMY_API_KEY) {
+    endpoints.push({
+      wsUrl: `wss://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+      rpcUrl: `https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+      source: 'alchemy',
+      mode: 'alchemy'
+    });
+  }
+
+  if (process.env.INFURA_PROJECT_ID) {
+    endpoints.push({
+      wsUrl: `wss://mainnet.infura.io/ws/v3/${process.env.INFURA_PROJECT_ID}`,
+      rpcUrl: `https://mainnet.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
+      source: 'infura',
+      mode: 'hashes'
+    });
+  }
+
+  return endpoints;
+}
+
+/**
+ * Build the stream config for MEMPOOL_WS_URL
+ * MEMPOOL_RPC_URL defaults to the WebSocket URL with an http(s) scheme;
+ * MEMPOOL_WS_MODE defaults to alchemy for Alchemy endpoints, full otherwise
  */
-function initializeInfuraWebSocket(infuraKey) {
+function getCustomStreamConfig(wsUrl) {
+  const isAlchemy = /alchemy\.com/i.test(wsUrl);
+  const mode = (process.env.MEMPOOL_WS_MODE || (isAlchemy ? 'alchemy' : 'full')).toLowerCase();
+
+  if (!SUBSCRIPTION_MODES.includes(mode)) {
+    console.error(`❌ Invalid MEMPOOL_WS_MODE "${mode}" (expected ${SUBSCRIPTION_MODES.join(', ')})`);
+    return null;
+  }
+
+  return {
+    wsUrl,
+    rpcUrl: process.env.MEMPOOL_RPC_URL || wsUrl.replace(/^ws(s?):\/\//i, 'http$1://'),
+    source: isAlchemy ? 'alchemy' : 'custom',
+    mode
+  };
+}
+
+/**
+ * Build the eth_subscribe params for pending transactions
+ */
+function getPendingSubscriptionParams(mode) {
+  if (mode === 'alchemy') {
+    return ['alchemy_pendingTransactions', {
+      toAddress: getKnownRouters(),
+      hashesOnly: false
+    }];
+  }
+
+  if (mode === 'full') {
+    return ['newPendingTransactions', true];
+  }
+
+  return ['newPendingTransactions'];
+}
+
+/**
+ * Hide API keys embedded in endpoint paths or query strings
+ */
+function redactUrl(url) {
   try {
-    const wsUrl = `wss://mainnet.infura.io/ws/v3/${infuraKey}`;
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return 'configured endpoint';
+  }
+}
 
+/**
+ * Initialize a WebSocket pending-transaction stream
+ * @param {object} config - { wsUrl, rpcUrl, source, mode }
+ */
+function initializeStreamWebSocket(config) {
+  const { wsUrl, rpcUrl, source, mode } = config;
+
+  try {
     wsConnection = new WebSocket(wsUrl);
 
+    // Pending hashes are resolved in rate-limited JSON-RPC batches
+    configureTransactionFetcher({
+      url: rpcUrl,
+      handler: processPendingTransaction
+    });
+
     wsConnection.on('open', () => {
-      console.log('✅ Connected to Infura WebSocket');
+      console.log(`✅ Connected to ${source} WebSocket`);
       pendingTxCache.isConnected = true;
-      pendingTxCache.source = 'infura';
-      reconnectAttempts = 0;
+      pendingTxCache.source = source;
 
       // Subscribe to pending transactions
       wsConnection.send(JSON.stringify({
         jsonrpc: '2.0',
-        id: 1,
+        id: SUBSCRIBE_PENDING_ID,
+        method: 'eth_subscribe',
+        params: getPendingSubscriptionParams(mode)
+      }));
+
+      // Subscribe to new blocks so included transactions leave the pool
+      wsConnection.send(JSON.stringify({
+        jsonrpc: '2.0',
+        id: SUBSCRIBE_HEADS_ID,
         method: 'eth_subscribe',
-        params: ['newPendingTransactions']
+        params: ['newHeads']
       }));
     });
 
@@ -72,16 +246,40 @@ function initializeInfuraWebSocket(infuraKey) {
       try {
         const response = JSON.parse(data.toString());
 
-        // Handle subscription confirmation
-        if (response.id === 1 && response.result) {
+        // Handle subscription confirmations
+        if (response.id === SUBSCRIBE_PENDING_ID && response.result) {
+          pendingSubscriptionId = response.result;
+          // Only a confirmed subscription counts as a healthy endpoint; one that
+          // accepts and then drops the connection keeps counting toward failover
+          reconnectAttempts = 0;
           console.log('📡 Subscribed to pending transactions:', response.result);
           return;
         }
 
-        // Handle new pending transaction
-        if (response.params && response.params.result) {
-          const txHash = response.params.result;
-          await processPendingTransaction(txHash, infuraKey);
+        if (response.id === SUBSCRIBE_HEADS_ID && response.result) {
+          headsSubscriptionId = response.result;
+          console.log('📡 Subscribed to new block headers:', response.result);
+          return;
+        }
+
+        if (!response.params || !response.params.result) return;
+
+        // Handle new block header
+        if (response.params.subscription === headsSubscriptionId) {
+          await processNewHead(response.params.result);
+          return;
+        }
+
+        if (response.params.subscription === pendingSubscriptionId) {
+          const result = response.params.result;
+
+          // Full-object subscriptions skip the lookup; nodes that ignore the
+          // flag still send hashes, which go through the batch fetcher
+          if (typeof result === 'string') {
+            enqueueTransactionHash(result);
+          } else {
+            await processPendingTransaction(result);
+          }
         }
       } catch (error) {
         console.error('Error processing WebSocket message:', error.message);
@@ -89,66 +287,119 @@ function initializeInfuraWebSocket(infuraKey) {
     });
 
     wsConnection.on('error', (error) => {
-      console.error('❌ Infura WebSocket error:', error.message);
+      console.error(`❌ ${source} WebSocket error:`, error.message);
       pendingTxCache.isConnected = false;
     });
 
     wsConnection.on('close', () => {
-      console.log('🔌 Infura WebSocket closed');
+      console.log(`🔌 ${source} WebSocket closed`);
       pendingTxCache.isConnected = false;
       pendingTxCache.source = 'none';
 
-      // Attempt to reconnect
-      if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-        reconnectAttempts++;
-        console.log(`🔄 Reconnecting attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}...`);
-        setTimeout(() => initializeInfuraWebSocket(infuraKey), 5000);
-      }
+      if (!isClosing) scheduleReconnect();
     });
 
     return true;
   } catch (error) {
-    console.error('❌ Failed to initialize Infura WebSocket:', error.message);
+    console.error(`❌ Failed to initialize ${source} WebSocket:`, error.message);
     return false;
   }
 }
 
 /**
- * Process a pending transaction hash
+ * Reconnect with exponential backoff, failing over to the next stream
+ * endpoint after repeated failures on the current one
  */
-async function processPendingTransaction(txHash, infuraKey) {
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+
+  reconnectAttempts++;
+
+  if (reconnectAttempts > FAILOVER_AFTER_ATTEMPTS && streamEndpoints.length > 1) {
+    activeStreamIndex = (activeStreamIndex + 1) % streamEndpoints.length;
+    reconnectAttempts = 1;
+    console.log(`🔀 Failing over to ${streamEndpoints[activeStreamIndex].source} WebSocket`);
+  }
+
+  const delay = getBackoffDelay(reconnectAttempts);
+  nextReconnectAt = Date.now() + delay;
+  console.log(`🔄 Reconnecting attempt ${reconnectAttempts} in ${Math.round(delay / 1000)}s...`);
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    nextReconnectAt = 0;
+    initializeStreamWebSocket(streamEndpoints[activeStreamIndex]);
+  }, delay);
+}
+
+/**
+ * Process a full pending transaction (from the batch fetcher or a full-object subscription)
+ * @param {object} rpcTx - Raw JSON-RPC transaction object
+ */
+async function processPendingTransaction(rpcTx) {
   try {
-    // Fetch full transaction details
-    const provider = new ethers.JsonRpcProvider(`https://mainnet.infura.io/v3/${infuraKey}`);
-    const tx = await provider.getTransaction(txHash);
+    recordStreamEvent(STREAM_EVENTS.PENDING, rpcTx);
+
+    const tx = normalizeRpcTransaction(rpcTx);
+
+    // Already mined by the time we looked it up
+    if (tx.blockNumber !== null) return;
 
-    if (!tx) return;
+    // Check if it's a DEX transaction (or replaces one we're tracking)
+    const swap = decodeSwapTransaction(tx);
+    const replacesTracked = !!getPendingTransaction(tx.from, tx.nonce);
 
-    // Check if it's a DEX transaction
-    if (isDexTransaction(tx)) {
+    if (swap || isDexTransaction(tx) || replacesTracked) {
       const processedTx = {
         hash: tx.hash,
         from: tx.from,
         to: tx.to,
         value: ethers.formatEther(tx.value || 0),
-        gasPrice: tx.gasPrice ? ethers.formatUnits(tx.gasPrice, 'gwei') : tx.maxFeePerGas ? ethers.formatUnits(tx.maxFeePerGas, 'gwei') : '0',
+        nonce: tx.nonce,
+        ...formatFeeFields(tx),
         input: tx.data?.slice(0, 10), // Method signature
-        tokenPair: extractTokenPairFromTx(tx),
+        tokenPair: formatTokenPair(swap),
+        amount: getSwapAmount(swap),
+        swap,
         timestamp: Math.floor(Date.now() / 1000),
         isSuspicious: false
       };
 
-      // Add to cache
-      addToPendingCache(processedTx);
+      // Add to pool (records speed-up/cancel replacements)
+      const replacement = addPendingTransaction(processedTx);
+      if (replacement) {
+        console.log(`🔁 ${replacement.type} for ${replacement.from} nonce ${replacement.nonce} (+${replacement.bumpPercent}% gas)`);
+      }
+      pendingTxCache.lastUpdate = Date.now();
     }
   } catch (error) {
     // Silently fail for individual transactions to avoid spam
     if (error.code !== 'CALL_EXCEPTION') {
-      console.error('Error fetching tx details:', error.message);
+      console.error('Error processing tx details:', error.message);
     }
   }
 }
 
+/**
+ * Convert a raw JSON-RPC transaction (hex quantities) into the shape ethers returns
+ */
+function normalizeRpcTransaction(rpcTx) {
+  const toBigInt = (quantity) => (quantity ? BigInt(quantity) : null);
+
+  return {
+    hash: rpcTx.hash,
+    from: ethers.getAddress(rpcTx.from),
+    to: rpcTx.to ? ethers.getAddress(rpcTx.to) : null,
+    value: toBigInt(rpcTx.value) ?? 0n,
+    nonce: Number(rpcTx.nonce),
+    gasPrice: toBigInt(rpcTx.gasPrice),
+    maxFeePerGas: toBigInt(rpcTx.maxFeePerGas),
+    maxPriorityFeePerGas: toBigInt(rpcTx.maxPriorityFeePerGas),
+    data: rpcTx.input || '0x',
+    blockNumber: rpcTx.blockNumber ? Number(rpcTx.blockNumber) : null
+  };
+}
+
 /**
  * Check if transaction is a DEX swap
  */
@@ -159,12 +410,13 @@ function isDexTransaction(tx) {
   const DEX_ROUTERS = [
     '0x7a250d5630b4cf539739df2c5dacb4c659f2488d', // Uniswap V2
     '0xe592427a0aece92de3edee1f18e0157c05861564', // Uniswap V3
+    '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', // Uniswap SwapRouter02
     '0xd9e1ce17f2641f24ae83637ab66a2cca9c378b9f', // Sushiswap
     '0x1111111254fb6c44bac0bed2854e76f90643097d', // 1inch
   ];
 
   const toAddress = tx.to.toLowerCase();
-  const isDexRouter = DEX_ROUTERS.some(router => router === toAddress);
+  const isDexRouter = DEX_ROUTERS.some(router => router === toAddress) || isUniversalRouter(toAddress);
 
   // Check swap method signatures
   const swapSignatures = [
@@ -173,6 +425,8 @@ function isDexTransaction(tx) {
     '0x18cbafe5', // swapExactTokensForETH
     '0x414bf389', // exactInputSingle (V3)
     '0xc04b8d59', // exactInput (V3)
+    '0x3593564c', // execute (Universal Router, with deadline)
+    '0x24856bc3', // execute (Universal Router)
   ];
 
   const methodSig = tx.data?.slice(0, 10);
@@ -182,26 +436,99 @@ function isDexTransaction(tx) {
 }
 
 /**
- * Extract token pair from transaction data (simplified)
+ * Process a new block header: evict transactions it included
  */
-function extractTokenPairFromTx(tx) {
-  // This would require full ABI decoding in production
-  // For now, return a generic identifier
-  return 'UNKNOWN/UNKNOWN';
+async function processNewHead(header) {
+  try {
+    const blockNumber = Number(header.number);
+    reportHead(blockNumber);
+
+    const block = await withProvider(provider => provider.getBlock(blockNumber, true));
+    if (!block) return;
+
+    const includedBlock = {
+      number: block.number,
+      timestamp: block.timestamp,
+      baseFeePerGas: block.baseFeePerGas?.toString() ?? null,
+      gasUsed: block.gasUsed.toString(),
+      gasLimit: block.gasLimit.toString(),
+      transactions: block.prefetchedTransactions.map(tx => ({
+        hash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce
+      }))
+    };
+
+    recordStreamEvent(STREAM_EVENTS.BLOCK, includedBlock);
+    applyIncludedBlock(includedBlock);
+  } catch (error) {
+    console.error('Error processing new block:', error.message);
+  }
 }
 
 /**
- * Add transaction to pending cache
+ * Evict the transactions a block included from the pending pool
  */
-function addToPendingCache(tx) {
-  pendingTxCache.transactions.unshift(tx);
+function applyIncludedBlock(block) {
+  const evicted = handleIncludedBlock(block);
 
-  // Keep only most recent transactions
-  if (pendingTxCache.transactions.length > MAX_CACHED_TXS) {
-    pendingTxCache.transactions = pendingTxCache.transactions.slice(0, MAX_CACHED_TXS);
+  if (block.baseFeePerGas) {
+    pendingTxCache.nextBaseFee = predictNextBaseFeeFromBlock(block);
   }
 
-  pendingTxCache.lastUpdate = Date.now();
+  if (evicted > 0) {
+    console.log(`⛏️  Block ${block.number}: evicted ${evicted} included transaction(s) from pending pool`);
+  }
+}
+
+/**
+ * Feed a recorded stream through the same pending/block handlers as a live socket
+ * @param {string} filePath - NDJSON recording
+ * @param {number} speed - Playback multiplier (0 = as fast as possible)
+ */
+function initializeReplayStream(filePath, speed) {
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ Replay file not found: ${filePath}`);
+    return false;
+  }
+
+  if (!Number.isFinite(speed) || speed < 0) {
+    console.error(`❌ Invalid MEMPOOL_REPLAY_SPEED "${process.env.MEMPOOL_REPLAY_SPEED}"`);
+    return false;
+  }
+
+  Object.assign(replayState, { file: filePath, speed, events: 0, finished: false });
+  isClosing = false;
+  pendingTxCache.isConnected = true;
+  pendingTxCache.source = 'replay';
+
+  console.log(`⏯️  Replaying mempool stream from ${filePath} (${speed === 0 ? 'max' : `${speed}x`} speed)`);
+
+  replayRecording(filePath, {
+    speed,
+    shouldStop: () => isClosing,
+    onEvent: async (type, data) => {
+      replayState.events++;
+
+      if (type === STREAM_EVENTS.PENDING) {
+        await processPendingTransaction(data);
+      } else if (type === STREAM_EVENTS.BLOCK) {
+        reportHead(data.number);
+        applyIncludedBlock(data);
+      }
+    }
+  })
+    .then((events) => {
+      replayState.finished = true;
+      console.log(`✅ Replay finished (${events} events)`);
+    })
+    .catch((error) => {
+      replayState.finished = true;
+      pendingTxCache.isConnected = false;
+      console.error('❌ Replay failed:', error.message);
+    });
+
+  return true;
 }
 
 /**
@@ -261,8 +588,8 @@ async function pollBlocknativeMempool(blocknativeKey) {
 export function getCachedPendingTransactions(tokenIn, tokenOut) {
   const now = Date.now();
 
-  // Check if cache is stale
-  if (now - pendingTxCache.lastUpdate > CACHE_TTL) {
+  // Check if cache is stale (a replay keeps its final state for inspection)
+  if (pendingTxCache.source !== 'replay' && now - pendingTxCache.lastUpdate > CACHE_TTL) {
     return {
       transactions: [],
       isRealTime: false,
@@ -271,18 +598,29 @@ export function getCachedPendingTransactions(tokenIn, tokenOut) {
     };
   }
 
-  // Filter for relevant token pairs if possible
-  const filtered = pendingTxCache.transactions.filter(tx => {
-    // In production, this would filter by actual token pair
-    return true;
-  });
+  const pending = getPendingTransactions();
+
+  // Keep swaps on the requested pair (either direction), labelled with the
+  // caller's token symbols so detectors can compare pairs directly
+  const filtered = pending
+    .map(tx => {
+      const direction = getSwapDirection(tx.swap, tokenIn, tokenOut);
+      if (!direction) return null;
+
+      return {
+        ...tx,
+        tokenPair: direction === 'same' ? `${tokenIn}/${tokenOut}` : `${tokenOut}/${tokenIn}`
+      };
+    })
+    .filter(Boolean);
 
   return {
     transactions: filtered.slice(0, 20), // Return top 20
     isRealTime: pendingTxCache.isConnected,
     source: pendingTxCache.source,
     cacheAge: now - pendingTxCache.lastUpdate,
-    totalCached: pendingTxCache.transactions.length
+    totalCached: pending.length,
+    nextBaseFee: pendingTxCache.nextBaseFee
   };
 }
 
@@ -290,12 +628,25 @@ export function getCachedPendingTransactions(tokenIn, tokenOut) {
  * Get WebSocket connection status
  */
 export function getWebSocketStatus() {
+  const poolStats = getPendingPoolStats();
+
   return {
     isConnected: pendingTxCache.isConnected,
     source: pendingTxCache.source,
-    cachedTransactions: pendingTxCache.transactions.length,
+    cachedTransactions: poolStats.size,
     lastUpdate: pendingTxCache.lastUpdate,
-    cacheAge: Date.now() - pendingTxCache.lastUpdate
+    cacheAge: Date.now() - pendingTxCache.lastUpdate,
+    pool: poolStats,
+    fetcher: getTransactionFetcherStats(),
+    stream: {
+      endpoint: streamEndpoints[activeStreamIndex]?.source || null,
+      mode: streamEndpoints[activeStreamIndex]?.mode || null,
+      endpoints: streamEndpoints.map(endpoint => endpoint.source),
+      reconnectAttempts,
+      nextReconnectSeconds: nextReconnectAt ? Math.max(0, Math.ceil((nextReconnectAt - Date.now()) / 1000)) : null
+    },
+    recording: getRecordingStatus(),
+    replay: replayState.file ? { ...replayState } : null
   };
 }
 
@@ -303,11 +654,26 @@ export function getWebSocketStatus() {
  * Close WebSocket connection
  */
 export function closeWebSocketMempool() {
+  isClosing = true;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    nextReconnectAt = 0;
+  }
   if (wsConnection) {
     wsConnection.close();
     wsConnection = null;
   }
+  resetTransactionFetcher();
+  stopRecording();
+  pendingSubscriptionId = null;
+  headsSubscriptionId = null;
   pendingTxCache.isConnected = false;
   pendingTxCache.source = 'none';
   console.log('🔌 WebSocket mempool closed');
 }
+
+/**
+ * Export replacement history for API consumers
+ */
+export { getReplacementHistory } from './pending-pool.js';
@@ -0,0 +1,59 @@
+/**
+ * Balancer weighted-pool math
+ * Swaps keep the weighted product of balances constant:
+ * prod(balance_k ^ weight_k) = invariant. The swap fee is taken from the
+ * input and stays in the pool (the protocol's share is ignored).
+ */
+
+// The Vault rejects swaps above 30% of the input balance
+export const MAX_IN_RATIO = 0.3;
+
+/**
+ * Output amount for an exact-input swap (Balancer's outGivenIn)
+ * @param {number} amountIn - Input amount
+ * @param {number} balanceIn - Input token balance
+ * @param {number} weightIn - Input token normalized weight
+ * @param {number} balanceOut - Output token balance
+ * @param {number} weightOut - Output token normalized weight
+ * @param {number} fee - Swap fee (0.003 = 0.3%)
+ * @returns {number} Output amount, or 0 if the Vault would reject the swap
+ */
+export function getWeightedAmountOut(amountIn, balanceIn, weightIn, balanceOut, weightOut, fee) {
+  if (!(amountIn > 0) || amountIn > balanceIn * MAX_IN_RATIO) return 0;
+
+  const amountInAfterFee = amountIn * (1 - fee);
+  const base = balanceIn / (balanceIn + amountInAfterFee);
+  return balanceOut * (1 - Math.pow(base, weightIn / weightOut));
+}
+
+/**
+ * Weighted pool model (see utils/amm.js for the interface)
+ * Swaps the Vault would reject consume nothing and return nothing.
+ * @param {object} params
+ * @param {number[]} params.balances - Pool balances (token units)
+ * @param {number[]} params.weights - Normalized weights (sum to 1)
+ * @param {number} params.fee - Swap fee
+ * @param {number} params.i - Index of tokenIn
+ * @param {number} params.j - Index of tokenOut
+ */
+export function createWeightedPool(params) {
+  const { balances, weights, fee, i, j } = params;
+
+  return {
+    type: 'weighted',
+    fee,
+    spotPrice: (balances[j] / weights[j]) / (balances[i] / weights[i]),
+    maxAmountIn: () => balances[i] * MAX_IN_RATIO,
+    swap(amountIn, reverse = false) {
+      const [from, to] = reverse ? [j, i] : [i, j];
+      const amountOut = getWeightedAmountOut(amountIn, balances[from], weights[from], balances[to], weights[to], fee);
+      if (amountOut === 0) return { amountIn: 0, amountOut: 0, pool: createWeightedPool(params) };
+
+      const next = [...balances];
+      next[from] += amountIn;
+      next[to] -= amountOut;
+
+      return { amountIn, amountOut, pool: createWeightedPool({ ...params, balances: next }) };
+    }
+  };
+}
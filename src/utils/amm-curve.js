@@ -0,0 +1,108 @@
+/**
+ * Curve StableSwap math
+ * Off-chain replay of the pool's get_D / get_y iterations. Balances are token
+ * units, which stand in for Curve's 18-decimal normalized balances (rate
+ * multipliers of lending and meta pools are not modelled). The admin share of
+ * the fee is ignored, so the whole fee stays in the pool.
+ */
+
+const MAX_ITERATIONS = 255;
+const CONVERGENCE = 1e-12;
+
+// Upper bound for the front-run search, relative to the input balance
+const MAX_FRONTRUN_RATIO = 10;
+
+/**
+ * StableSwap invariant D
+ * @param {number[]} balances - Pool balances
+ * @param {number} amp - Amplification coefficient as returned by A()
+ */
+export function getStableSwapD(balances, amp) {
+  const n = balances.length;
+  const sum = balances.reduce((a, b) => a + b, 0);
+  if (sum === 0) return 0;
+
+  const ann = amp * n;
+  let d = sum;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    let dP = d;
+    for (const balance of balances) dP = (dP * d) / (balance * n);
+
+    const previous = d;
+    d = ((ann * sum + dP * n) * d) / ((ann - 1) * d + (n + 1) * dP);
+    if (Math.abs(d - previous) <= CONVERGENCE * d) break;
+  }
+  return d;
+}
+
+/**
+ * Balance of coin j that keeps D constant when coin i's balance becomes x
+ */
+function getY(i, j, x, balances, amp, d) {
+  const n = balances.length;
+  const ann = amp * n;
+
+  let c = d;
+  let sum = 0;
+  for (let k = 0; k < n; k++) {
+    if (k === j) continue;
+    const balance = k === i ? x : balances[k];
+    sum += balance;
+    c = (c * d) / (balance * n);
+  }
+  c = (c * d) / (ann * n);
+  const b = sum + d / ann;
+
+  let y = d;
+  for (let k = 0; k < MAX_ITERATIONS; k++) {
+    const previous = y;
+    y = (y * y + c) / (2 * y + b - d);
+    if (Math.abs(y - previous) <= CONVERGENCE * y) break;
+  }
+  return y;
+}
+
+/**
+ * Output of coin j for `dx` of coin i (Curve's get_dy)
+ * @returns {number} Output after the pool fee
+ */
+export function getStableSwapDy(i, j, dx, balances, amp, fee) {
+  if (!(dx > 0)) return 0;
+
+  const d = getStableSwapD(balances, amp);
+  const dy = balances[j] - getY(i, j, balances[i] + dx, balances, amp, d);
+  return Math.max(dy * (1 - fee), 0);
+}
+
+/**
+ * Curve StableSwap pool model (see utils/amm.js for the interface)
+ * @param {object} params
+ * @param {number[]} params.balances - Pool balances (token units)
+ * @param {number} params.amp - Amplification coefficient as returned by A()
+ * @param {number} params.fee - Swap fee (0.0004 = 0.04%)
+ * @param {number} params.i - Index of tokenIn
+ * @param {number} params.j - Index of tokenOut
+ */
+export function createStableSwapPool(params) {
+  const { balances, amp, fee, i, j } = params;
+
+  // Marginal price of a trade a millionth of the balance, before fees
+  const probe = balances[i] * 1e-6;
+
+  return {
+    type: 'stableswap',
+    fee,
+    spotPrice: getStableSwapDy(i, j, probe, balances, amp, 0) / probe,
+    maxAmountIn: () => balances[i] * MAX_FRONTRUN_RATIO,
+    swap(amountIn, reverse = false) {
+      const [from, to] = reverse ? [j, i] : [i, j];
+      const amountOut = getStableSwapDy(from, to, amountIn, balances, amp, fee);
+
+      const next = [...balances];
+      next[from] += amountIn;
+      next[to] -= amountOut;
+
+      return { amountIn, amountOut, pool: createStableSwapPool({ ...params, balances: next }) };
+    }
+  };
+}
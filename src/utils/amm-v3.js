@@ -0,0 +1,167 @@
+/**
+ * Concentrated-liquidity AMM math (Uniswap V3 style)
+ * Off-chain replay of the pool's swap loop: within a tick range the pool acts
+ * as constant product on virtual reserves, and crossing an initialized tick
+ * adds or removes that tick's liquidity. Prices are sqrt(token1 / token0) in
+ * raw token units, as the pool stores them (without the X96 scaling).
+ */
+
+export const V3_FEE_TIERS = [100, 500, 3000, 10000]; // hundredths of a basis point
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+
+/**
+ * sqrt price at a tick (1.0001^tick = price)
+ */
+export function tickToSqrtPrice(tick) {
+  return Math.pow(1.0001, tick / 2);
+}
+
+/**
+ * Tick containing a sqrt price
+ */
+export function sqrtPriceToTick(sqrtPrice) {
+  return Math.floor((2 * Math.log(sqrtPrice)) / Math.log(1.0001));
+}
+
+/**
+ * Concentrated-liquidity pool model (see utils/amm.js for the interface)
+ *
+ * Liquidity is only known for the tick range read from the pool; a swap that
+ * runs past it stops there, so `amountIn` in the result comes back smaller
+ * than requested.
+ *
+ * @param {object} params
+ * @param {number} params.sqrtPrice - Current sqrt price (raw token1 per raw token0)
+ * @param {number} params.tick - Current tick
+ * @param {number} params.liquidity - Active liquidity
+ * @param {array} params.ticks - Initialized ticks [{ tick, liquidityNet }], ascending
+ * @param {number} params.minTick - Lowest tick covered by `ticks`
+ * @param {number} params.maxTick - Highest tick covered by `ticks`
+ * @param {number} params.fee - Swap fee (0.003 = 0.3%)
+ * @param {boolean} params.zeroForOne - Whether tokenIn is the pool's token0
+ * @param {number} params.decimalsIn - tokenIn decimals
+ * @param {number} params.decimalsOut - tokenOut decimals
+ */
+export function createConcentratedLiquidityPool(params) {
+  const { sqrtPrice, fee, zeroForOne, decimalsIn, decimalsOut } = params;
+
+  const scaleIn = Math.pow(10, decimalsIn);
+  const scaleOut = Math.pow(10, decimalsOut);
+  const rawPrice = sqrtPrice * sqrtPrice;
+
+  const swapTokens = (amountIn, reverse) => {
+    const [inScale, outScale] = reverse ? [scaleOut, scaleIn] : [scaleIn, scaleOut];
+    const result = swapRaw(params, amountIn * inScale, reverse ? !zeroForOne : zeroForOne);
+
+    return {
+      amountIn: result.amountIn / inScale,
+      amountOut: result.amountOut / outScale,
+      pool: createConcentratedLiquidityPool({ ...params, ...result.state })
+    };
+  };
+
+  return {
+    type: 'concentrated-liquidity',
+    fee,
+    spotPrice: (zeroForOne ? rawPrice : 1 / rawPrice) * scaleIn / scaleOut,
+    // Everything the known tick range can absorb
+    maxAmountIn: () => swapRaw(params, Infinity, zeroForOne).amountIn / scaleIn,
+    swap: (amountIn, reverse = false) => swapTokens(amountIn, reverse)
+  };
+}
+
+/**
+ * Exact-input swap loop over raw amounts
+ * @returns {object} { amountIn, amountOut, state: { sqrtPrice, tick, liquidity } }
+ */
+function swapRaw(params, amountIn, zeroForOne) {
+  const { ticks, fee, minTick, maxTick } = params;
+  let { sqrtPrice, tick, liquidity } = params;
+  let consumed = 0;
+  let amountOut = 0;
+
+  while (consumed < amountIn) {
+    const next = zeroForOne ? findTickAtOrBelow(ticks, tick) : findTickAbove(ticks, tick);
+    const boundary = next ? next.tick : zeroForOne ? minTick : maxTick;
+    const target = tickToSqrtPrice(boundary);
+    const remaining = (amountIn - consumed) * (1 - fee);
+
+    if (liquidity > 0) {
+      // Input needed (after fee) to move the price to the next tick
+      const toTarget = zeroForOne
+        ? liquidity * (1 / target - 1 / sqrtPrice)
+        : liquidity * (target - sqrtPrice);
+
+      if (remaining < toTarget) {
+        const nextSqrtPrice = zeroForOne
+          ? (liquidity * sqrtPrice) / (liquidity + remaining * sqrtPrice)
+          : sqrtPrice + remaining / liquidity;
+
+        amountOut += zeroForOne
+          ? liquidity * (sqrtPrice - nextSqrtPrice)
+          : liquidity * (1 / sqrtPrice - 1 / nextSqrtPrice);
+        consumed = amountIn;
+        sqrtPrice = nextSqrtPrice;
+        // Stay on this side of the uncrossed tick despite rounding
+        tick = zeroForOne
+          ? Math.max(sqrtPriceToTick(nextSqrtPrice), boundary)
+          : Math.min(sqrtPriceToTick(nextSqrtPrice), boundary - 1);
+        break;
+      }
+
+      amountOut += zeroForOne
+        ? liquidity * (sqrtPrice - target)
+        : liquidity * (1 / sqrtPrice - 1 / target);
+      consumed += toTarget / (1 - fee);
+    }
+
+    sqrtPrice = target;
+    if (!next) break; // end of the known liquidity
+
+    // Crossing a tick: liquidityNet is added moving up, removed moving down
+    liquidity += zeroForOne ? -next.liquidityNet : next.liquidityNet;
+    tick = zeroForOne ? next.tick - 1 : next.tick;
+  }
+
+  return {
+    amountIn: Math.min(consumed, amountIn),
+    amountOut,
+    state: { sqrtPrice, tick, liquidity }
+  };
+}
+
+// Highest initialized tick <= tick (ticks ascending)
+function findTickAtOrBelow(ticks, tick) {
+  let low = 0;
+  let high = ticks.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (ticks[mid].tick <= tick) {
+      found = ticks[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Lowest initialized tick > tick (ticks ascending)
+function findTickAbove(ticks, tick) {
+  let low = 0;
+  let high = ticks.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (ticks[mid].tick > tick) {
+      found = ticks[mid];
+      high = mid - 1;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return found;
+}
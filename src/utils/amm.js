@@ -0,0 +1,183 @@
+/**
+ * AMM swap math and sandwich simulation
+ * Amounts and reserves are token units (already scaled by decimals). Swap
+ * fees stay in the pool, so the input reserve grows by the full amount in.
+ *
+ * Pools are immutable models shared by every AMM type:
+ * - spotPrice: tokenOut per tokenIn before any trade
+ * - swap(amountIn, reverse): { amountIn, amountOut, pool } where amountIn is
+ *   the amount actually consumed and pool is the state after the swap;
+ *   reverse swaps tokenOut for tokenIn
+ * - maxAmountIn(): upper bound on a tokenIn trade, for searches
+ */
+
+export const V2_FEE = 0.003;
+
+// Upper bound for the front-run search, relative to the input reserve
+const MAX_FRONTRUN_RATIO = 10;
+const SEARCH_ITERATIONS = 100;
+
+// Widest slippage tolerance findSafeSlippage will recommend
+export const MAX_SAFE_SLIPPAGE = 0.05;
+const SAFE_SLIPPAGE_ITERATIONS = 24;
+
+/**
+ * Output amount for a swap against constant-product reserves
+ * @param {number} amountIn - Input amount
+ * @param {number} reserveIn - Input token reserve
+ * @param {number} reserveOut - Output token reserve
+ * @param {number} fee - Swap fee (0.003 = 0.3%)
+ * @returns {number} Output amount
+ */
+export function getAmountOut(amountIn, reserveIn, reserveOut, fee = V2_FEE) {
+  if (amountIn <= 0 || reserveIn <= 0 || reserveOut <= 0) return 0;
+
+  const amountInWithFee = amountIn * (1 - fee);
+  return (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee);
+}
+
+/**
+ * Constant-product (Uniswap V2 style, x * y = k) pool model
+ * @param {object} params - { reserveIn, reserveOut, fee }
+ */
+export function createConstantProductPool({ reserveIn, reserveOut, fee = V2_FEE }) {
+  return {
+    type: 'constant-product',
+    fee,
+    spotPrice: reserveOut / reserveIn,
+    maxAmountIn: () => reserveIn * MAX_FRONTRUN_RATIO,
+    swap(amountIn, reverse = false) {
+      const amountOut = reverse
+        ? getAmountOut(amountIn, reserveOut, reserveIn, fee)
+        : getAmountOut(amountIn, reserveIn, reserveOut, fee);
+      const pool = reverse
+        ? createConstantProductPool({ reserveIn: reserveIn - amountOut, reserveOut: reserveOut + amountIn, fee })
+        : createConstantProductPool({ reserveIn: reserveIn + amountIn, reserveOut: reserveOut - amountOut, fee });
+
+      return { amountIn, amountOut, pool };
+    }
+  };
+}
+
+/**
+ * Price impact of a trade in percent: its execution price before fees
+ * against the pool's spot price
+ */
+export function getPriceImpact(pool, amountIn, amountOut) {
+  if (!(amountOut > 0)) return 100;
+
+  const executionPrice = amountOut / (amountIn * (1 - pool.fee));
+  return Math.max(1 - executionPrice / pool.spotPrice, 0) * 100;
+}
+
+/**
+ * Simulate the most profitable sandwich against a swap
+ *
+ * The attacker buys `frontRunAmountIn` ahead of the victim, the victim swaps
+ * at the worse price (reverting if that falls below amountOutMin, so the
+ * front-run is capped there), and the attacker sells everything back. The
+ * front-run size maximizes gross profit.
+ *
+ * @param {object} params
+ * @param {object} params.pool - Pool model oriented to the victim's trade
+ * @param {number} params.amountIn - Victim's input amount
+ * @param {number} params.amountOutMin - Victim's minimum output (0 = no limit)
+ * @param {number} params.gasCost - Attacker's gas for both legs, in input token units
+ * @returns {object} Front-run size, victim output and loss, attacker profit (input token units)
+ */
+export function simulateSandwich({ pool, amountIn, amountOutMin = 0, gasCost = 0 }) {
+  const expectedAmountOut = pool.swap(amountIn).amountOut;
+
+  const run = (frontRunAmountIn) => {
+    const frontRun = pool.swap(frontRunAmountIn);
+    const victim = frontRun.pool.swap(amountIn);
+    const backRun = victim.pool.swap(frontRun.amountOut, true);
+
+    return {
+      frontRunAmountIn: frontRun.amountIn,
+      frontRunAmountOut: frontRun.amountOut,
+      victimAmountOut: victim.amountOut,
+      backRunAmountOut: backRun.amountOut,
+      grossProfit: backRun.amountOut - frontRun.amountIn
+    };
+  };
+
+  // Largest front-run that still leaves the victim amountOutMin
+  let maxFrontRun = expectedAmountOut >= amountOutMin ? pool.maxAmountIn() : 0;
+  if (amountOutMin > 0 && maxFrontRun > 0 && run(maxFrontRun).victimAmountOut < amountOutMin) {
+    let low = 0;
+    let high = maxFrontRun;
+    for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+      const mid = (low + high) / 2;
+      if (run(mid).victimAmountOut >= amountOutMin) low = mid;
+      else high = mid;
+    }
+    maxFrontRun = low;
+  }
+
+  // Profit is unimodal in the front-run size - golden-section search
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = 0;
+  let high = maxFrontRun;
+  for (let i = 0; i < SEARCH_ITERATIONS && high - low > 1e-12 * maxFrontRun; i++) {
+    const left = high - ratio * (high - low);
+    const right = low + ratio * (high - low);
+    if (run(left).grossProfit < run(right).grossProfit) low = left;
+    else high = right;
+  }
+
+  const candidates = [run((low + high) / 2), run(maxFrontRun)];
+  const best = candidates.reduce((a, b) => (b.grossProfit > a.grossProfit ? b : a));
+  const attack = best.grossProfit > 0 ? best : run(0);
+  const netProfit = attack.grossProfit - gasCost;
+
+  return {
+    expectedAmountOut,
+    // Victim's execution price vs the pool's spot price, before any attack
+    priceImpact: getPriceImpact(pool, amountIn, expectedAmountOut),
+    frontRunAmountIn: attack.frontRunAmountIn,
+    frontRunAmountOut: attack.frontRunAmountOut,
+    victimAmountOut: attack.victimAmountOut,
+    victimLoss: expectedAmountOut - attack.victimAmountOut,
+    backRunAmountOut: attack.backRunAmountOut,
+    grossProfit: attack.grossProfit,
+    gasCost,
+    netProfit,
+    profitable: attack.frontRunAmountIn > 0 && netProfit > 0
+  };
+}
+
+/**
+ * Largest slippage tolerance at which no sandwich nets a profit after gas
+ * A tighter minimum output caps the front-run an attacker can place, so the
+ * best attack only gets less profitable as slippage tightens; the boundary is
+ * found by bisection. At zero slippage any front-run reverts the victim.
+ * @param {object} params - { pool, amountIn, gasCost } as for simulateSandwich
+ * @returns {object} { slippage, amountOutMin } - slippage as a fraction, at most MAX_SAFE_SLIPPAGE
+ */
+export function findSafeSlippage({ pool, amountIn, gasCost = 0 }) {
+  const expectedAmountOut = pool.swap(amountIn).amountOut;
+  const isSafe = (slippage) => !simulateSandwich({
+    pool,
+    amountIn,
+    amountOutMin: expectedAmountOut * (1 - slippage),
+    gasCost
+  }).profitable;
+
+  let slippage = MAX_SAFE_SLIPPAGE;
+  if (!isSafe(slippage)) {
+    let low = 0;
+    let high = MAX_SAFE_SLIPPAGE;
+    for (let i = 0; i < SAFE_SLIPPAGE_ITERATIONS; i++) {
+      const mid = (low + high) / 2;
+      if (isSafe(mid)) low = mid;
+      else high = mid;
+    }
+    slippage = low;
+  }
+
+  // Round down to a hundredth of a percent so the rounded tolerance stays safe
+  slippage = Math.floor(slippage * 1e4) / 1e4;
+
+  return { slippage, amountOutMin: expectedAmountOut * (1 - slippage) };
+}
@@ -1,11 +1,23 @@
+import { DEFAULT_CHAIN, getChainMevProfile } from './chains.js';
+
 /**
  * Calculate potential loss from MEV attack
+ * With a sandwich simulation the loss is what the most profitable sandwich
+ * takes from the victim, or nothing if no sandwich pays for its gas. Without
+ * real pool reserves it falls back to a slippage estimate scaled by risk, valuing
+ * amount_in at tokenIn's USD price (or as dollars when tokenIn is unpriced).
  * @param {object} input - Transaction input parameters
  * @param {number} riskScore - Calculated risk score (0-100)
+ * @param {object} sandwichSimulation - Optional result of simulateSandwichAttack
+ * @param {object} prices - Optional USD prices from getTradePrices (services/pricing.js)
  * @returns {number} Estimated loss in USD
  */
-export function calculatePotentialLoss(input, riskScore) {
-  const amountIn = parseFloat(input.amount_in);
+export function calculatePotentialLoss(input, riskScore, sandwichSimulation = null, prices = null) {
+  if (sandwichSimulation) {
+    return sandwichSimulation.profitable ? sandwichSimulation.victimLossUsd : 0;
+  }
+
+  const amountIn = parseFloat(input.amount_in) * (prices?.tokenIn ?? 1);
 
   // Base slippage loss estimate (0.5% for low risk, up to 5% for critical)
   const slippageMultiplier = riskScore / 100;
@@ -18,7 +30,7 @@ export function calculatePotentialLoss(input, riskScore) {
 }
 
 /**
- * Calculate price impact for a trade
+ * Calculate price impact for a trade (fallback when pool reserves are unknown)
  * @param {number} amountIn - Amount being traded
  * @param {number} liquidityPool - Total liquidity in pool
  * @returns {number} Price impact percentage
@@ -33,7 +45,8 @@ export function calculatePriceImpact(amountIn, liquidityPool = 1000000) {
 }
 
 /**
- * Estimate sandwich attack profit potential
+ * Estimate sandwich attack profit potential (fallback when pool reserves are
+ * unknown; see simulateSandwich in utils/amm.js)
  * @param {number} victimAmount - Victim's trade amount
  * @param {number} priceImpact - Price impact of victim's trade
  * @returns {number} Estimated profit for attacker in USD
@@ -57,8 +70,30 @@ export function getRiskLevel(riskScore) {
   return 'low';
 }
 
+// Attack types that depend on seeing the victim in a public mempool
+const SANDWICH_ATTACKS = ['sandwich', 'potential-sandwich', 'jit-liquidity'];
+
 /**
- * Calculate optimal trade split to reduce MEV risk
+ * Scale a risk score by the chain's transaction-ordering model
+ * Sequencer chains have no public mempool, so sandwiches are far less likely
+ * than on Ethereum; other ordering attacks are reduced less.
+ * @param {number} riskScore - Risk score computed from the mempool (0-100)
+ * @param {string} attackType - Primary attack type
+ * @param {string} chain - Chain key
+ * @returns {number} Adjusted risk score (0-100)
+ */
+export function applyChainRiskProfile(riskScore, attackType, chain = DEFAULT_CHAIN) {
+  const profile = getChainMevProfile(chain);
+  const multiplier = SANDWICH_ATTACKS.includes(attackType)
+    ? profile.sandwichMultiplier
+    : profile.frontrunMultiplier;
+
+  return Math.min(Math.round(riskScore * multiplier), 100);
+}
+
+/**
+ * Calculate optimal trade split to reduce MEV risk (fallback when pool
+ * reserves are unknown; see planTrade in services/trade-planner.js)
  * @param {number} totalAmount - Total amount to trade
  * @param {number} riskScore - Current risk score
  * @returns {object} Trade splitting recommendation
@@ -95,16 +130,54 @@ export function calculateOptimalSplit(totalAmount, riskScore) {
   };
 }
 
+// Blocks covered by the execution ETA distribution
+const ETA_HORIZON = 5;
+
+/**
+ * Execution ETA distribution: how long the transaction sits exposed
+ * Every block (every slot on Ethereum, where a proposer may miss it) includes
+ * the transaction with the same probability, so the wait is geometric.
+ * @param {object} blockTiming - Block timing from block-time.js
+ * @param {number} inclusionProbability - Chance a produced block includes the transaction (0-1)
+ * @param {number} now - Unix time in seconds (defaults to the current time)
+ * @returns {object} { nextBlockSeconds, expectedSeconds, p50Seconds, p90Seconds, distribution: [{ block, seconds, probability }] }
+ */
+export function calculateExecutionEta(blockTiming, inclusionProbability, now = Date.now() / 1000) {
+  const interval = blockTiming.slots?.slotTime || blockTiming.blockTime;
+  const nextBlockSeconds = getSecondsUntilNextBlock(blockTiming, now);
+  const perBlock = Math.min(Math.max(inclusionProbability * (1 - blockTiming.missedSlotRate), 0.01), 1);
+
+  const secondsAt = (blocks) => parseFloat((nextBlockSeconds + (blocks - 1) * interval).toFixed(1));
+  const blocksUntil = (probability) => perBlock >= 1
+    ? 1
+    : Math.max(Math.ceil(Math.log(1 - probability) / Math.log(1 - perBlock)), 1);
+
+  return {
+    nextBlockSeconds: parseFloat(nextBlockSeconds.toFixed(1)),
+    expectedSeconds: secondsAt(1 / perBlock),
+    p50Seconds: secondsAt(blocksUntil(0.5)),
+    p90Seconds: secondsAt(blocksUntil(0.9)),
+    distribution: Array.from({ length: ETA_HORIZON }, (_, i) => ({
+      block: i + 1,
+      seconds: secondsAt(i + 1),
+      probability: parseFloat((1 - Math.pow(1 - perBlock, i + 1)).toFixed(3))
+    }))
+  };
+}
+
 /**
- * Calculate expected execution time
- * @param {number} blockTimeEstimate - Average block time in seconds
- * @param {number} gasPercentile - User's gas price percentile
- * @returns {number} Estimated blocks until execution
+ * Seconds until the next block: the next slot boundary on slot-based chains,
+ * otherwise the next multiple of the block time after the latest header
  */
-export function calculateExpectedExecutionTime(blockTimeEstimate, gasPercentile) {
-  // Higher gas percentile = faster execution
-  if (gasPercentile >= 90) return blockTimeEstimate; // Next block
-  if (gasPercentile >= 70) return blockTimeEstimate * 2; // 1-2 blocks
-  if (gasPercentile >= 50) return blockTimeEstimate * 3; // 2-3 blocks
-  return blockTimeEstimate * 5; // 4-5 blocks
+function getSecondsUntilNextBlock(blockTiming, now) {
+  const { slots, blockTime, latestTimestamp } = blockTiming;
+
+  if (slots) {
+    return slots.slotTime - ((now - slots.genesisTime) % slots.slotTime);
+  }
+
+  // Unknown phase - on average half a block away
+  if (!latestTimestamp) return blockTime / 2;
+
+  return blockTime - (Math.max(now - latestTimestamp, 0) % blockTime);
 }
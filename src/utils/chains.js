@@ -0,0 +1,374 @@
+/**
+ * Supported chain registry
+ * Per-chain RPC endpoints, DEX deployments, token addresses, block times
+ * (nominal; live values come from block-time.js) and the transaction-ordering
+ * model that drives chain-aware MEV risk.
+ *
+ * Mempool models:
+ * - public: transactions are gossiped before inclusion; anyone can sandwich
+ * - sequencer-fcfs: private sequencer mempool, first-come-first-served ordering
+ * - sequencer-priority: private sequencer mempool, ordered by priority fee
+ */
+
+export const DEFAULT_CHAIN = 'ethereum';
+
+export const CHAINS = {
+  ethereum: {
+    id: 1,
+    name: 'Ethereum',
+    nativeSymbol: 'ETH',
+    wrappedNative: 'WETH',
+    blockTime: 12,
+    // Fixed 12s proof-of-stake slots counted from beacon chain genesis
+    slots: { genesisTime: 1606824023, slotTime: 12 },
+    mempool: 'public',
+    explorer: 'https://etherscan.io',
+    rpc: {
+      alchemy: 'eth-mainnet',
+      infura: 'mainnet',
+      public: ['https://eth.llamarpc.com', 'https://rpc.ankr.com/eth', 'https://ethereum.publicnode.com']
+    },
+    privateRpc: { name: 'Flashbots Protect', url: 'https://rpc.flashbots.net' },
+    dexes: {
+      'uniswap-v2': {
+        factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+        router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
+      },
+      'uniswap-v3': {
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
+      },
+      'sushiswap': {
+        factory: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
+        router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F'
+      },
+      // Curve pools are found through the MetaRegistry; the math covers StableSwap pools
+      'curve': {
+        metaRegistry: '0xF98B45FA17DE75FB1aD0e7aFD971b0ca00e379fC'
+      },
+      // Balancer V2 pools live in the Vault and are found through the Balancer API
+      'balancer': {
+        vault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+        apiChain: 'MAINNET'
+      }
+    },
+    tokens: {
+      'WETH': { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+      'USDC': { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+      'USDT': { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+      'DAI': { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18 },
+      'WBTC': { address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', decimals: 8 }
+    },
+    // Chainlink USD aggregators; wrapped assets use their underlying's feed
+    priceFeeds: {
+      'WETH': '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+      'WBTC': '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c',
+      'USDC': '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
+      'USDT': '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D',
+      'DAI': '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9'
+    }
+  },
+
+  base: {
+    id: 8453,
+    name: 'Base',
+    nativeSymbol: 'ETH',
+    wrappedNative: 'WETH',
+    blockTime: 2,
+    slots: null,
+    mempool: 'sequencer-priority',
+    explorer: 'https://basescan.org',
+    rpc: {
+      alchemy: 'base-mainnet',
+      infura: 'base-mainnet',
+      public: ['https://mainnet.base.org', 'https://base.publicnode.com']
+    },
+    privateRpc: null,
+    dexes: {
+      'uniswap-v2': {
+        factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+        router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24'
+      },
+      'uniswap-v3': {
+        factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+        router: '0x2626664c2603336E57B271c5C0b26F421741e481'
+      },
+      'balancer': {
+        vault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+        apiChain: 'BASE'
+      }
+    },
+    tokens: {
+      'WETH': { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+      'USDC': { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+      'USDBC': { address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', decimals: 6 },
+      'DAI': { address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', decimals: 18 },
+      'CBBTC': { address: '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf', decimals: 8 }
+    },
+    priceFeeds: {
+      'WETH': '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70'
+    }
+  },
+
+  arbitrum: {
+    id: 42161,
+    name: 'Arbitrum One',
+    nativeSymbol: 'ETH',
+    wrappedNative: 'WETH',
+    blockTime: 0.25,
+    slots: null,
+    mempool: 'sequencer-fcfs',
+    explorer: 'https://arbiscan.io',
+    rpc: {
+      alchemy: 'arb-mainnet',
+      infura: 'arbitrum-mainnet',
+      public: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one.publicnode.com']
+    },
+    privateRpc: null,
+    dexes: {
+      'uniswap-v2': {
+        factory: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9',
+        router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24'
+      },
+      'uniswap-v3': {
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
+      },
+      'sushiswap': {
+        factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+        router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+      },
+      'balancer': {
+        vault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+        apiChain: 'ARBITRUM'
+      }
+    },
+    tokens: {
+      'WETH': { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+      'USDC': { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+      'USDT': { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 },
+      'DAI': { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', decimals: 18 },
+      'WBTC': { address: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f', decimals: 8 },
+      'ARB': { address: '0x912CE59144191C1204E64559FE8253a0e49E6548', decimals: 18 }
+    },
+    priceFeeds: {
+      'WETH': '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612',
+      'WBTC': '0x6ce185860a4963106506C203335A2910413708e9'
+    }
+  },
+
+  optimism: {
+    id: 10,
+    name: 'OP Mainnet',
+    nativeSymbol: 'ETH',
+    wrappedNative: 'WETH',
+    blockTime: 2,
+    slots: null,
+    mempool: 'sequencer-priority',
+    explorer: 'https://optimistic.etherscan.io',
+    rpc: {
+      alchemy: 'opt-mainnet',
+      infura: 'optimism-mainnet',
+      public: ['https://mainnet.optimism.io', 'https://optimism.publicnode.com']
+    },
+    privateRpc: null,
+    dexes: {
+      'uniswap-v2': {
+        factory: '0x0c3c1c532F1e39EdF36BE9Fe0bE1410313E074Bf',
+        router: '0x4A7b5Da61326A6379179b40d00F57E5bbDC962c2'
+      },
+      'uniswap-v3': {
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
+      },
+      'balancer': {
+        vault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+        apiChain: 'OPTIMISM'
+      }
+    },
+    tokens: {
+      'WETH': { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+      'USDC': { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6 },
+      'USDT': { address: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', decimals: 6 },
+      'DAI': { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', decimals: 18 },
+      'WBTC': { address: '0x68f180fcCe6836688e9084f035309E29Bf0A2095', decimals: 8 },
+      'OP': { address: '0x4200000000000000000000000000000000000042', decimals: 18 }
+    },
+    priceFeeds: {
+      'WETH': '0x13e3Ee699D1909E989722E753853AE30b17e08c5'
+    }
+  },
+
+  polygon: {
+    id: 137,
+    name: 'Polygon PoS',
+    nativeSymbol: 'POL',
+    wrappedNative: 'WPOL',
+    blockTime: 2,
+    slots: null,
+    mempool: 'public',
+    explorer: 'https://polygonscan.com',
+    rpc: {
+      alchemy: 'polygon-mainnet',
+      infura: 'polygon-mainnet',
+      public: ['https://polygon-rpc.com', 'https://polygon-bor.publicnode.com']
+    },
+    privateRpc: null,
+    dexes: {
+      'uniswap-v2': {
+        factory: '0x9e5A52f57b3038F1B8EeE45F28b3C1967e22799C',
+        router: '0xedf6066a2b290C185783862C7F4776A2C8077AD1'
+      },
+      'uniswap-v3': {
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
+      },
+      'sushiswap': {
+        factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+        router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+      },
+      'balancer': {
+        vault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+        apiChain: 'POLYGON'
+      }
+    },
+    tokens: {
+      'WPOL': { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', decimals: 18 },
+      'WETH': { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18 },
+      'USDC': { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+      'USDT': { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6 },
+      'DAI': { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', decimals: 18 },
+      'WBTC': { address: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6', decimals: 8 }
+    },
+    priceFeeds: {
+      'WPOL': '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0',
+      'WETH': '0xF9680D99D6C9589e2a93a78A04A279e509205945'
+    }
+  },
+
+  bsc: {
+    id: 56,
+    name: 'BNB Smart Chain',
+    nativeSymbol: 'BNB',
+    wrappedNative: 'WBNB',
+    blockTime: 3,
+    slots: null,
+    mempool: 'public',
+    explorer: 'https://bscscan.com',
+    rpc: {
+      alchemy: 'bnb-mainnet',
+      infura: 'bsc-mainnet',
+      public: ['https://bsc-dataseed.bnbchain.org', 'https://bsc.publicnode.com']
+    },
+    privateRpc: { name: 'PancakeSwap MEV Guard', url: 'https://bscrpc.pancakeswap.finance' },
+    dexes: {
+      'uniswap-v2': {
+        factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+        router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24'
+      },
+      'uniswap-v3': {
+        factory: '0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7',
+        router: '0xB971eF87ede563556b2ED4b1C0b0019111Dd85d2'
+      },
+      'sushiswap': {
+        factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+        router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+      }
+    },
+    tokens: {
+      'WBNB': { address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', decimals: 18 },
+      'ETH': { address: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8', decimals: 18 },
+      'USDC': { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', decimals: 18 },
+      'USDT': { address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 },
+      'DAI': { address: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', decimals: 18 },
+      'BTCB': { address: '0x7130d2A12B9BCbFAe4f2634d864A1Ee1Ce3Ead9c', decimals: 18 }
+    },
+    priceFeeds: {
+      'WBNB': '0x0567F2323251F0Aab15c8DFB1967e4E8a7d7c7D1'
+    }
+  }
+};
+
+export const CHAIN_KEYS = Object.keys(CHAINS);
+
+// How much of the public-mempool attack surface remains under each model
+const MEMPOOL_RISK_PROFILES = {
+  public: {
+    sandwichMultiplier: 1.0,
+    frontrunMultiplier: 1.0,
+    summary: 'Public mempool: pending transactions are visible to searchers and can be sandwiched.'
+  },
+  'sequencer-priority': {
+    sandwichMultiplier: 0.25,
+    frontrunMultiplier: 0.4,
+    summary: 'Private sequencer ordered by priority fee: no public mempool to sandwich from, but back-running and priority-fee races remain.'
+  },
+  'sequencer-fcfs': {
+    sandwichMultiplier: 0.1,
+    frontrunMultiplier: 0.2,
+    summary: 'First-come-first-served sequencer: transactions are not visible before ordering and gas bidding does not buy position, so sandwiches are rare.'
+  }
+};
+
+/**
+ * Look up a chain by key
+ * @param {string} chain - Chain key (e.g. 'base'); defaults to Ethereum
+ * @returns {object} Chain config including its `key`
+ */
+export function getChain(chain = DEFAULT_CHAIN) {
+  const key = (chain || DEFAULT_CHAIN).toLowerCase();
+  const config = CHAINS[key];
+
+  if (!config) {
+    throw new Error(`Unsupported chain "${chain}" (expected ${CHAIN_KEYS.join(', ')})`);
+  }
+
+  return { key, ...config };
+}
+
+/**
+ * RPC endpoints for a chain in priority order:
+ * RPC_URL_<CHAIN> > Alchemy > Infura > public RPCs
+ * @returns {Array<{ name: string, url: string }>}
+ */
+export function getChainRpcEndpoints(chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+  const endpoints = [];
+
+  const override = process.env[`RPC_URL_${config.key.toUpperCase()}`];
+  if (override) {
+    endpoints.push({ name: 'env', url: override });
+  }
+
+  if (process.env.ALCHEMY_API_KEY && config.rpc.alchemy) {
+    endpoints.push({ name: 'alchemy', url: `https://${config.rpc.alchemy}.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}` });
+  }
+
+  if (process.env.INFURA_PROJECT_ID && config.rpc.infura) {
+    endpoints.push({ name: 'infura', url: `https://${config.rpc.infura}.infura.io/v3/${process.env.INFURA_PROJECT_ID}` });
+  }
+
+  for (const url of config.rpc.public) {
+    endpoints.push({ name: new URL(url).hostname, url });
+  }
+
+  return endpoints;
+}
+
+/**
+ * Get the DEX deployment on a chain
+ * @returns {object|null} { factory, router } for Uniswap-style DEXes, { metaRegistry } for
+ *   Curve, { vault, apiChain } for Balancer, or null if the DEX isn't deployed there
+ */
+export function getDexDeployment(chain, dex) {
+  return getChain(chain).dexes[dex] || null;
+}
+
+/**
+ * MEV exposure for a chain's transaction-ordering model
+ * @returns {object} { mempool, sandwichMultiplier, frontrunMultiplier, summary }
+ */
+export function getChainMevProfile(chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+  return { mempool: config.mempool, ...MEMPOOL_RISK_PROFILES[config.mempool] };
+}
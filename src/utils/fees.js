@@ -0,0 +1,138 @@
+import { ethers } from 'ethers';
+
+/**
+ * EIP-1559 fee model
+ * Block position is decided by the effective priority fee a transaction pays
+ * the proposer, not by its fee cap, so all ordering compares effective tips.
+ * Fee values are gwei numbers; transaction fields may be numbers or strings.
+ */
+
+// EIP-1559 base fee update rule
+const ELASTICITY_MULTIPLIER = 2;
+const BASE_FEE_MAX_CHANGE_DENOMINATOR = 8;
+
+/**
+ * Predict the next block's base fee from the current block
+ * @param {number} baseFee - Current block base fee (gwei)
+ * @param {number} gasUsed - Current block gas used
+ * @param {number} gasLimit - Current block gas limit
+ * @returns {number|null} Next block base fee (gwei), or null if the chain has no base fee
+ */
+export function predictNextBaseFee(baseFee, gasUsed, gasLimit) {
+  const currentBaseFee = parseFloat(baseFee);
+  if (!Number.isFinite(currentBaseFee)) return null;
+
+  const gasTarget = Number(gasLimit) / ELASTICITY_MULTIPLIER;
+  if (!gasTarget) return currentBaseFee;
+
+  const delta = currentBaseFee * (Number(gasUsed) - gasTarget) / gasTarget / BASE_FEE_MAX_CHANGE_DENOMINATOR;
+  return Math.max(currentBaseFee + delta, 0);
+}
+
+/**
+ * Predict the next base fee from a block (ethers Block or a recorded block
+ * with wei values)
+ * @returns {number|null} Next block base fee (gwei), or null before London / on chains without one
+ */
+export function predictNextBaseFeeFromBlock(block) {
+  if (!block?.baseFeePerGas) return null;
+
+  return predictNextBaseFee(
+    ethers.formatUnits(block.baseFeePerGas, 'gwei'),
+    block.gasUsed,
+    block.gasLimit
+  );
+}
+
+/**
+ * Normalize a transaction's fee fields
+ * Legacy transactions bid their gas price as both fee cap and tip
+ * @param {object} tx - { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }
+ * @returns {object} { type, maxFeePerGas, maxPriorityFeePerGas }
+ */
+export function normalizeFees(tx) {
+  const maxFeePerGas = parseFloat(tx.maxFeePerGas);
+  const maxPriorityFeePerGas = parseFloat(tx.maxPriorityFeePerGas);
+
+  if (Number.isFinite(maxFeePerGas)) {
+    return {
+      type: 'eip1559',
+      maxFeePerGas,
+      maxPriorityFeePerGas: Number.isFinite(maxPriorityFeePerGas) ? maxPriorityFeePerGas : 0
+    };
+  }
+
+  const gasPrice = parseFloat(tx.gasPrice) || 0;
+  return {
+    type: 'legacy',
+    maxFeePerGas: gasPrice,
+    maxPriorityFeePerGas: gasPrice
+  };
+}
+
+/**
+ * Priority fee the proposer actually receives at a given base fee
+ * @param {object} tx - Transaction fee fields
+ * @param {number} baseFee - Base fee of the block it would land in (gwei)
+ * @returns {number} Effective tip (gwei), 0 if the fee cap is below the base fee
+ */
+export function getEffectiveTip(tx, baseFee = 0) {
+  const { maxFeePerGas, maxPriorityFeePerGas } = normalizeFees(tx);
+  return Math.max(Math.min(maxPriorityFeePerGas, maxFeePerGas - (baseFee || 0)), 0);
+}
+
+/**
+ * Gas price actually paid at a given base fee (base fee + effective tip)
+ */
+export function getEffectiveGasPrice(tx, baseFee = 0) {
+  return (baseFee || 0) + getEffectiveTip(tx, baseFee);
+}
+
+/**
+ * Predicted base fee of the next block carried by mempool data (0 if unknown)
+ */
+export function getNextBaseFee(mempoolData) {
+  return parseFloat(mempoolData?.nextBaseFee) || 0;
+}
+
+/**
+ * The user's fee fields from scan input
+ * Uses max_fee_per_gas / max_priority_fee_per_gas when given, then gas_price,
+ * and otherwise assumes the median gas price
+ */
+export function getUserFees(userTx, mempoolData) {
+  if (userTx.max_fee_per_gas) {
+    return normalizeFees({
+      maxFeePerGas: userTx.max_fee_per_gas,
+      // Without an explicit tip the whole fee cap above the base fee is bid
+      maxPriorityFeePerGas: userTx.max_priority_fee_per_gas ?? userTx.max_fee_per_gas
+    });
+  }
+
+  return normalizeFees({
+    gasPrice: userTx.gas_price || userTx.gasPrice || mempoolData.gasPercentiles.p50
+  });
+}
+
+/**
+ * The user's effective tip at the next block's predicted base fee
+ */
+export function getUserEffectiveTip(userTx, mempoolData) {
+  return getEffectiveTip(getUserFees(userTx, mempoolData), getNextBaseFee(mempoolData));
+}
+
+/**
+ * Format wei fee fields (bigint, as returned by ethers) as gwei strings for
+ * transaction records
+ * @returns {object} { gasPrice, maxFeePerGas, maxPriorityFeePerGas } (null when absent)
+ */
+export function formatFeeFields(tx) {
+  const format = (value) => (value !== null && value !== undefined ? ethers.formatUnits(value, 'gwei') : null);
+
+  return {
+    // Only legacy transactions bid a flat gas price
+    gasPrice: tx.maxFeePerGas ? null : format(tx.gasPrice),
+    maxFeePerGas: format(tx.maxFeePerGas),
+    maxPriorityFeePerGas: format(tx.maxPriorityFeePerGas)
+  };
+}
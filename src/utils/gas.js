@@ -1,21 +1,25 @@
 /**
- * Calculate gas price percentile
- * @param {number} userGasPrice - User's gas price in gwei
+ * Calculate the user's fee percentile by effective tip
+ * Gas price percentiles are converted to the tip they pay above the base fee,
+ * since that (not the fee cap) decides block position.
+ * @param {number} userTip - User's effective priority fee in gwei
  * @param {object} gasPercentiles - Gas price percentiles from mempool
+ * @param {number} baseFee - Predicted next-block base fee in gwei (0 if unknown)
  * @returns {number} Percentile (0-100)
  */
-export function calculateGasPercentile(userGasPrice, gasPercentiles) {
+export function calculateGasPercentile(userTip, gasPercentiles, baseFee = 0) {
   const { p25, p50, p75, p90 } = gasPercentiles;
+  const toTip = (gasPrice) => Math.max(parseFloat(gasPrice) - baseFee, 0);
 
-  const p25Val = parseFloat(p25);
-  const p50Val = parseFloat(p50);
-  const p75Val = parseFloat(p75);
-  const p90Val = parseFloat(p90);
+  const p25Val = toTip(p25);
+  const p50Val = toTip(p50);
+  const p75Val = toTip(p75);
+  const p90Val = toTip(p90);
 
-  if (userGasPrice < p25Val) return 15;
-  if (userGasPrice < p50Val) return 35;
-  if (userGasPrice < p75Val) return 60;
-  if (userGasPrice < p90Val) return 80;
+  if (userTip < p25Val) return 15;
+  if (userTip < p50Val) return 35;
+  if (userTip < p75Val) return 60;
+  if (userTip < p90Val) return 80;
   return 95;
 }
 
@@ -30,17 +34,57 @@ export function getMempoolPosition(percentile) {
   return 'back';
 }
 
+// Block horizons the inclusion model reports on
+export const INCLUSION_HORIZONS = [1, 2, 3];
+
+// Next-block inclusion by fee percentile when there is no fee history
+const PERCENTILE_INCLUSION = [
+  { percentile: 90, probability: 0.95 }, // next block
+  { percentile: 70, probability: 0.6 }, // 1-2 blocks
+  { percentile: 50, probability: 0.4 }, // 2-3 blocks
+  { percentile: 0, probability: 0.2 } // 4-5 blocks
+];
+
+// Inclusion targets for calculateOptimalGasPrice strategies
+const AGGRESSIVE_TARGET = { probability: 0.99, blocks: 1 };
+const NORMAL_TARGET = { probability: 0.9, blocks: 2 };
+
 /**
  * Calculate optimal gas price to avoid MEV
+ * With fee history the priority fee is the larger of the percentile tip and
+ * the tip needed to hit the strategy's inclusion target, priced at the next
+ * block's base fee. Without it, falls back to gas price percentiles.
  * @param {object} gasPercentiles - Current gas price percentiles
  * @param {string} attackType - Type of MEV attack detected
+ * @param {object} feeHistory - Optional fee history from the gas oracle
  * @returns {object} Recommended gas price and strategy
  */
-export function calculateOptimalGasPrice(gasPercentiles, attackType) {
+export function calculateOptimalGasPrice(gasPercentiles, attackType, feeHistory = null) {
+  const aggressive = attackType === 'sandwich' || attackType === 'front-run';
+
+  if (feeHistory?.blocks?.length) {
+    const { tipPercentiles, nextBaseFee } = feeHistory;
+    const target = aggressive ? AGGRESSIVE_TARGET : NORMAL_TARGET;
+    const percentileTip = aggressive ? tipPercentiles.p90 * 1.1 : tipPercentiles.p75;
+    const tip = roundGwei(Math.max(percentileTip, findTipForInclusion(feeHistory, target.probability, target.blocks)));
+
+    return {
+      recommended: Math.ceil(nextBaseFee + tip),
+      maxPriorityFeePerGas: tip,
+      // Two base fees of headroom keeps the transaction valid through a run of full blocks
+      maxFeePerGas: Math.ceil(nextBaseFee * 2 + tip),
+      inclusionProbability: estimateInclusionProbability(tip, feeHistory),
+      strategy: aggressive ? 'aggressive' : 'normal',
+      description: aggressive
+        ? 'High priority fee to land ahead of potential attackers'
+        : 'Normal priority fee for current network conditions'
+    };
+  }
+
   const p90 = parseFloat(gasPercentiles.p90);
   const p75 = parseFloat(gasPercentiles.p75);
 
-  if (attackType === 'sandwich' || attackType === 'front-run') {
+  if (aggressive) {
     // Recommend high gas to reduce risk
     return {
       recommended: Math.ceil(p90 * 1.1), // 10% above 90th percentile
@@ -58,13 +102,97 @@ export function calculateOptimalGasPrice(gasPercentiles, attackType) {
 }
 
 /**
- * Estimate gas cost in USD
- * @param {number} gasPrice - Gas price in gwei
- * @param {number} gasLimit - Estimated gas limit
- * @param {number} ethPriceUsd - Current ETH price in USD
- * @returns {number} Cost in USD
+ * Probability that a transaction tipping `tip` is included within 1, 2 and
+ * 3 blocks
+ *
+ * Each recent block is replayed: the tip's rank among that block's reward
+ * percentiles is the chance it outbids enough of the block, and any room the
+ * block left above the gas target admits it regardless. The per-block
+ * average is treated as independent across blocks.
+ *
+ * @param {number} tip - Effective priority fee (gwei)
+ * @param {object} feeHistory - Fee history from the gas oracle
+ * @returns {object} { 1: p, 2: p, 3: p } probabilities (0-1)
+ */
+export function estimateInclusionProbability(tip, feeHistory) {
+  const { blocks, rewardPercentiles } = feeHistory;
+  const perBlock = tip > 0 && blocks.length
+    ? blocks.reduce((sum, block) => {
+      const rank = getTipRank(tip, block.rewards, rewardPercentiles);
+      // 0 at or below the gas target, 1 when the block was full
+      const congestion = Math.min(Math.max((block.gasUsedRatio - 0.5) / 0.5, 0), 1);
+      return sum + rank + (1 - rank) * (1 - congestion);
+    }, 0) / blocks.length
+    : 0;
+
+  return Object.fromEntries(INCLUSION_HORIZONS.map(n => [
+    n,
+    parseFloat((1 - Math.pow(1 - perBlock, n)).toFixed(3))
+  ]));
+}
+
+/**
+ * Probability the next block includes the user's transaction
+ * Uses the fee history model when available, otherwise the fee percentile
+ * @param {number} userTip - User's effective priority fee (gwei)
+ * @param {number} gasPercentile - User's fee percentile (0-100)
+ * @param {object} feeHistory - Optional fee history from the gas oracle
+ * @returns {number} Probability (0-1)
+ */
+export function estimateNextBlockInclusion(userTip, gasPercentile, feeHistory = null) {
+  if (feeHistory?.blocks?.length) {
+    return estimateInclusionProbability(userTip, feeHistory)[1];
+  }
+
+  return PERCENTILE_INCLUSION.find(tier => gasPercentile >= tier.percentile).probability;
+}
+
+/**
+ * Smallest tip reaching an inclusion probability within a number of blocks
+ * @param {object} feeHistory - Fee history from the gas oracle
+ * @param {number} probability - Target probability (0-1)
+ * @param {number} blocks - Block horizon (1-3)
+ * @returns {number} Tip in gwei (the search ceiling if unreachable)
+ */
+export function findTipForInclusion(feeHistory, probability, blocks = 1) {
+  const maxReward = Math.max(...feeHistory.blocks.flatMap(block => block.rewards), 0.01);
+  let low = 0;
+  let high = maxReward * 2;
+
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (estimateInclusionProbability(mid, feeHistory)[blocks] >= probability) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return roundGwei(high);
+}
+
+/**
+ * Share of a block's gas that tipped less than `tip`, interpolated between
+ * its reward percentiles (and up to 1 at twice the highest percentile)
  */
-export function estimateGasCostUsd(gasPrice, gasLimit = 150000, ethPriceUsd = 2000) {
-  const gasCostEth = (gasPrice * gasLimit) / 1e9; // Convert from gwei to ETH
-  return gasCostEth * ethPriceUsd;
+function getTipRank(tip, rewards, percentiles) {
+  let prevTip = 0;
+  let prevRank = 0;
+
+  for (let i = 0; i < rewards.length; i++) {
+    const rank = percentiles[i] / 100;
+    if (tip <= rewards[i]) {
+      const span = rewards[i] - prevTip;
+      return span > 0 ? prevRank + (rank - prevRank) * (tip - prevTip) / span : rank;
+    }
+    prevTip = rewards[i];
+    prevRank = rank;
+  }
+
+  const span = prevTip;
+  return span > 0 ? Math.min(prevRank + (1 - prevRank) * (tip - prevTip) / span, 1) : 1;
+}
+
+function roundGwei(value) {
+  return Math.ceil(value * 100) / 100;
 }
@@ -0,0 +1,113 @@
+import { CHAINS, DEFAULT_CHAIN, getChain } from './chains.js';
+
+/**
+ * Known token metadata
+ * Shared by pool lookups and calldata decoding. TOKENS is Ethereum mainnet;
+ * other chains are read from the chain registry. Tokens resolved by the token
+ * registry (services/token-registry.js) are added per chain at runtime.
+ */
+
+export const TOKENS = CHAINS[DEFAULT_CHAIN].tokens;
+
+// Token addresses keyed by symbol
+export const TOKEN_ADDRESSES = Object.fromEntries(
+  Object.entries(TOKENS).map(([symbol, token]) => [symbol, token.address])
+);
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// chain -> key -> { address, decimals }, filled by registerToken
+const registeredTokens = {};
+
+/**
+ * Check whether a token identifier is a contract address rather than a symbol
+ */
+export function isTokenAddress(token) {
+  return ADDRESS_PATTERN.test(token);
+}
+
+/**
+ * Add a token outside the chain registry so pool lookups can use it
+ * @param {string} chain - Chain key
+ * @param {string} key - Identifier it is looked up by (its symbol, or its address when the symbol is taken)
+ * @param {object} token - { address, decimals }
+ */
+export function registerToken(chain, key, token) {
+  registeredTokens[chain] = { ...registeredTokens[chain], [key]: token };
+}
+
+/**
+ * Normalize a token symbol (the native coin trades through its wrapped pools)
+ * @param {string} token - Token symbol or contract address
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ */
+export function normalizeToken(token, chain = DEFAULT_CHAIN) {
+  // Addresses map to the key their token is known by
+  if (isTokenAddress(token)) {
+    const lowerAddress = token.toLowerCase();
+    const known = Object.entries(getChainTokens(chain))
+      .find(([, metadata]) => metadata.address.toLowerCase() === lowerAddress);
+    return known ? known[0] : token;
+  }
+
+  const upperToken = token.toUpperCase();
+  const { nativeSymbol, wrappedNative } = getChain(chain);
+
+  if (upperToken === nativeSymbol) return wrappedNative;
+  // Polygon's native coin was renamed from MATIC to POL
+  if (upperToken === 'MATIC' && nativeSymbol === 'POL') return wrappedNative;
+  return upperToken;
+}
+
+/**
+ * Get the token metadata table for a chain, including registered tokens
+ * @returns {object} symbol -> { address, decimals }
+ */
+export function getChainTokens(chain = DEFAULT_CHAIN) {
+  const config = getChain(chain);
+  return { ...registeredTokens[config.key], ...config.tokens };
+}
+
+/**
+ * Resolve a token symbol to its address on a chain
+ * @returns {string|undefined} Token address, or undefined if not in the registry
+ */
+export function getTokenAddress(token, chain = DEFAULT_CHAIN) {
+  return getChainTokens(chain)[normalizeToken(token, chain)]?.address;
+}
+
+/**
+ * Look up token metadata by contract address
+ * @param {string} address - Token contract address
+ * @param {string} chain - Chain key (defaults to Ethereum)
+ * @returns {object|null} { symbol, address, decimals } or null if unknown
+ */
+export function getTokenByAddress(address, chain = DEFAULT_CHAIN) {
+  if (!address) return null;
+
+  const lowerAddress = address.toLowerCase();
+  const known = Object.entries(getChainTokens(chain))
+    .find(([, token]) => token.address.toLowerCase() === lowerAddress);
+  if (!known) return null;
+
+  const [symbol, token] = known;
+  return { symbol, ...token };
+}
+
+/**
+ * Map a token address to its symbol, falling back to the address itself
+ */
+export function getTokenSymbol(address, chain = DEFAULT_CHAIN) {
+  return getTokenByAddress(address, chain)?.symbol || address;
+}
+
+/**
+ * Check whether two token identifiers (symbols or addresses) refer to the same token
+ * The native coin and its wrapped token are treated as equivalent
+ */
+export function isSameToken(tokenA, tokenB, chain = DEFAULT_CHAIN) {
+  if (!tokenA || !tokenB) return false;
+
+  const resolve = (token) => normalizeToken(token, chain).toLowerCase();
+  return resolve(tokenA) === resolve(tokenB);
+}
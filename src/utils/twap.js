@@ -0,0 +1,115 @@
+import { simulateSandwich } from './amm.js';
+
+/**
+ * TWAP trade planning
+ * Chooses how many equal chunks to split a trade into and how many blocks to
+ * leave between them by minimizing its expected cost, all in tokenIn units:
+ * - price impact (and pool fees): each chunk trades against the pool while
+ *   the displacement left by earlier chunks that arbitrage has not yet closed
+ *   still counts against it
+ * - MEV exposure: each chunk's sandwich loss at the trade's slippage,
+ *   weighted by the chance an attack happens
+ * - gas: one swap per chunk
+ * - timing risk: one standard deviation of price drift on the part of the
+ *   trade still waiting to execute
+ */
+
+export const MAX_SPLITS = 10;
+export const SPACING_CANDIDATES = [1, 2, 3, 5, 10, 20]; // blocks between chunks
+
+/**
+ * Find the cheapest split count and spacing for a trade
+ * @param {object} params
+ * @param {object} params.pool - Pool model oriented to the trade (see utils/amm.js)
+ * @param {number} params.amountIn - Total input amount
+ * @param {number} params.slippage - Slippage tolerance each chunk is sent with (fraction)
+ * @param {number} params.swapGasCost - Gas for one chunk, in tokenIn
+ * @param {number} params.attackerGasCost - Gas for a sandwich's two legs, in tokenIn
+ * @param {number} params.attackProbability - Chance a sandwichable chunk is attacked (0-1)
+ * @param {number} params.volatilityPerBlock - Standard deviation of the price move per block (fraction)
+ * @param {number} params.recoveryPerBlock - Share of the pool's displacement arbitrage closes each block
+ * @returns {object} Best plan: { splits, spacingBlocks, chunkAmountIn, durationBlocks, costs, chunks },
+ *   plus the cost of trading in one transaction as `singleTradeCost`
+ */
+export function planTwap(params) {
+  const { pool, amountIn, slippage, swapGasCost, attackerGasCost, attackProbability } = params;
+
+  // Value given up against the spot price when x trades on the untouched pool
+  const shortfall = (x) => x - pool.swap(x).amountOut / pool.spotPrice;
+
+  let best = null;
+  let singleTradeCost = null;
+
+  for (let splits = 1; splits <= MAX_SPLITS; splits++) {
+    const chunkAmountIn = amountIn / splits;
+
+    // Every chunk is the same size, so it offers an attacker the same sandwich
+    const expectedAmountOut = pool.swap(chunkAmountIn).amountOut;
+    const sandwich = simulateSandwich({
+      pool,
+      amountIn: chunkAmountIn,
+      amountOutMin: expectedAmountOut * (1 - slippage),
+      gasCost: attackerGasCost
+    });
+    const mevPerChunk = sandwich.profitable
+      ? attackProbability * (sandwich.victimLoss / pool.spotPrice)
+      : 0;
+
+    for (const spacingBlocks of splits === 1 ? [0] : SPACING_CANDIDATES) {
+      const plan = costSchedule(params, shortfall, splits, spacingBlocks, mevPerChunk);
+      if (splits === 1) singleTradeCost = plan.costs.total;
+      if (!best || plan.costs.total < best.costs.total) best = plan;
+    }
+  }
+
+  return { ...best, singleTradeCost };
+}
+
+/**
+ * Expected cost and chunk schedule for one split count and spacing
+ */
+function costSchedule(params, shortfall, splits, spacingBlocks, mevPerChunk) {
+  const { pool, amountIn, swapGasCost, volatilityPerBlock, recoveryPerBlock } = params;
+  const chunkAmountIn = amountIn / splits;
+  const carriedOver = Math.pow(1 - recoveryPerBlock, spacingBlocks);
+
+  const chunks = [];
+  let displacement = 0; // earlier flow, in tokenIn, that arbitrage has not yet undone
+  let priceImpact = 0;
+  let driftVariance = 0;
+
+  for (let index = 0; index < splits; index++) {
+    const impact = shortfall(displacement + chunkAmountIn) - shortfall(displacement);
+    priceImpact += impact;
+
+    chunks.push({
+      index,
+      blockOffset: index * spacingBlocks,
+      amountIn: chunkAmountIn,
+      expectedAmountOut: (chunkAmountIn - impact) * pool.spotPrice
+    });
+
+    displacement = (displacement + chunkAmountIn) * carriedOver;
+
+    // The rest of the trade is exposed to price drift until the next chunk
+    const remaining = amountIn - chunkAmountIn * (index + 1);
+    driftVariance += spacingBlocks * remaining * remaining;
+  }
+
+  const costs = {
+    priceImpact,
+    mev: mevPerChunk * splits,
+    gas: swapGasCost * splits,
+    timingRisk: volatilityPerBlock * Math.sqrt(driftVariance)
+  };
+  costs.total = costs.priceImpact + costs.mev + costs.gas + costs.timingRisk;
+
+  return {
+    splits,
+    spacingBlocks,
+    chunkAmountIn,
+    durationBlocks: (splits - 1) * spacingBlocks,
+    costs,
+    chunks
+  };
+}
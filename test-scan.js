@@ -7,7 +7,41 @@ import { detectSandwich } from './src/detectors/sandwich.js';
 import { detectFrontRun } from './src/detectors/frontrun.js';
 import { performHistoricalAnalysis } from './src/detectors/historical.js';
 import { generateProtectionSuggestions, formatSuggestionsForOutput } from './src/services/protection.js';
-import { calculatePotentialLoss, getRiskLevel } from './src/utils/calculations.js';
+import { applyChainRiskProfile, calculateExecutionEta, calculatePotentialLoss, getRiskLevel } from './src/utils/calculations.js';
+import { ethers } from 'ethers';
+import { createServer } from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WebSocketServer } from 'ws';
+import { createConstantProductPool, findSafeSlippage, getAmountOut, simulateSandwich } from './src/utils/amm.js';
+import { createConcentratedLiquidityPool } from './src/utils/amm-v3.js';
+import { getStableSwapDy } from './src/utils/amm-curve.js';
+import { getWeightedAmountOut } from './src/utils/amm-balancer.js';
+import { decodeSwapTransaction } from './src/decoders/index.js';
+import { TOKENS, getTokenSymbol, normalizeToken, registerToken } from './src/utils/tokens.js';
+import { CHAINS, getChain } from './src/utils/chains.js';
+import { configureTransactionFetcher, enqueueTransactionHash, getTransactionFetcherStats, resetTransactionFetcher } from './src/services/tx-fetcher.js';
+import { closeWebSocketMempool, getCachedPendingTransactions, getWebSocketStatus, initializeWebSocketMempool } from './src/services/websocket-mempool.js';
+import { getBackoffDelay, getProviderHealth, stopProviderHealthChecks, withProvider } from './src/services/provider-manager.js';
+import { STREAM_EVENTS, recordStreamEvent, startRecording, stopRecording } from './src/services/stream-recorder.js';
+import { DEFAULT_SCENARIO, configureSimulation, generateScenarioTransactions, resolveSimulationConfig } from './src/services/simulation.js';
+import { getEffectiveGasPrice, getEffectiveTip, predictNextBaseFee } from './src/utils/fees.js';
+import { calculateGasPercentile } from './src/utils/gas.js';
+import { getGasOracle } from './src/services/gas-oracle.js';
+import { getNominalBlockTiming } from './src/services/block-time.js';
+import { simulateSandwichAttack } from './src/services/sandwich-simulator.js';
+import { planTrade } from './src/services/trade-planner.js';
+import { rankRoutes } from './src/services/route-comparison.js';
+import { importTokenList, resolveToken, resolveTradeTokens } from './src/services/token-registry.js';
+import { getDatabase, initDatabase } from './src/database/init.js';
+import { getTradePrices, withLiquidityUsd } from './src/services/pricing.js';
+import { getLivePoolData, stopPoolState, syncChain, watchPool } from './src/services/pool-state.js';
+import { analyzeTokenSafety, analyzeTradeTokens } from './src/services/token-safety.js';
+import { compareLogOrder, decodePoolLog } from './src/decoders/pool-logs.js';
+import { findBackrunArbitrages, findJitLiquidity, findSandwichLegs, findSandwiches } from './src/detectors/block-mev.js';
+import { getPoolDataOnChain } from './src/services/dex-pools.js';
+import { addPendingTransaction, clearPendingPool, getPendingTransaction, getReplacementHistory, handleIncludedBlock } from './src/services/pending-pool.js';
 
 console.log('🧪 Testing MEV Protection Scanner...\n');
 
@@ -93,6 +127,1280 @@ const suggestions = generateProtectionSuggestions(
 const formatted = formatSuggestionsForOutput(suggestions);
 formatted.forEach((s, i) => console.log(`  ${i + 1}. ${s}`));
 
+// Swap math and calldata decoding are checked against reference values;
+// any mismatch fails the run
+let failures = 0;
+
+function check(label, passed, detail) {
+  console.log(`  ${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!passed) failures++;
+}
+
+function isClose(actual, expected, tolerance = 1e-9) {
+  return Math.abs(actual - expected) <= tolerance * Math.abs(expected);
+}
+
+// Test case 3: Uniswap V3 swap crossing one initialized tick
+console.log('\n📊 Test Case 3: Uniswap V3 Tick Crossing');
+{
+  // 1M liquidity at tick 0; a position ending at tick -60 holds 400k of it
+  const pool = createConcentratedLiquidityPool({
+    sqrtPrice: 1,
+    tick: 0,
+    liquidity: 1e6,
+    ticks: [{ tick: -60, liquidityNet: 4e5 }],
+    minTick: -600,
+    maxTick: 600,
+    fee: 0.003,
+    zeroForOne: true,
+    decimalsIn: 0,
+    decimalsOut: 0
+  });
+
+  // Whitepaper formulas: dx = L * (1/sqrtP_b - 1/sqrtP_a), dy = L * (sqrtP_a - sqrtP_b)
+  const sqrtPriceAtCross = Math.pow(1.0001, -30);
+  const sqrtPriceAfter = Math.pow(1.0001, -45);
+  const amountIn = (1e6 * (1 / sqrtPriceAtCross - 1) + 6e5 * (1 / sqrtPriceAfter - 1 / sqrtPriceAtCross)) / (1 - 0.003);
+  const expectedOut = 1e6 * (1 - sqrtPriceAtCross) + 6e5 * (sqrtPriceAtCross - sqrtPriceAfter);
+
+  const result = pool.swap(amountIn);
+  check('Output matches the whitepaper amounts across the tick', isClose(result.amountOut, expectedOut),
+    `${result.amountOut.toFixed(4)} vs ${expectedOut.toFixed(4)}`);
+  check('Ends at tick -90 price', isClose(result.pool.spotPrice, sqrtPriceAfter ** 2));
+  check('Small swap prices at spot less fee', isClose(pool.swap(1).amountOut, 1 - 0.003, 1e-5));
+}
+
+// Test case 4: Curve StableSwap against the 3pool contract's integer get_dy
+console.log('\n📊 Test Case 4: Curve StableSwap get_dy');
+{
+  // StableSwap3Pool get_D / get_y / get_dy (Vyper, 18-decimal balances, FEE_DENOMINATOR 1e10)
+  const contractGetDy = (i, j, dx, xp, amp, fee) => {
+    const n = BigInt(xp.length);
+    const ann = amp * n;
+    const sum = xp.reduce((a, b) => a + b, 0n);
+    const converged = (a, b) => (a > b ? a - b : b - a) <= 1n;
+
+    let d = sum;
+    for (let k = 0; k < 255; k++) {
+      let dP = d;
+      for (const x of xp) dP = dP * d / (x * n);
+      const previous = d;
+      d = (ann * sum + dP * n) * d / ((ann - 1n) * d + (n + 1n) * dP);
+      if (converged(d, previous)) break;
+    }
+
+    let c = d;
+    let s = 0n;
+    xp.forEach((balance, k) => {
+      if (k === j) return;
+      const x = k === i ? balance + dx : balance;
+      s += x;
+      c = c * d / (x * n);
+    });
+    c = c * d / (ann * n);
+    const b = s + d / ann;
+
+    let y = d;
+    for (let k = 0; k < 255; k++) {
+      const previous = y;
+      y = (y * y + c) / (2n * y + b - d);
+      if (converged(y, previous)) break;
+    }
+
+    const dy = xp[j] - y - 1n;
+    return dy - fee * dy / 10n ** 10n;
+  };
+
+  const wad = 10n ** 18n;
+  const balanced = [100_000_000n * wad, 100_000_000n * wad, 100_000_000n * wad];
+  const onChain = Number(contractGetDy(0, 1, 1_000_000n * wad, balanced, 2000n, 1_000_000n)) / 1e18;
+  const modelled = getStableSwapDy(0, 1, 1_000_000, [1e8, 1e8, 1e8], 2000, 0.0001);
+  check('Balanced pool swap matches the contract', isClose(modelled, onChain), `${modelled.toFixed(6)} vs ${onChain.toFixed(6)}`);
+
+  const skewed = [150_000_000n * wad, 60_000_000n * wad, 90_000_000n * wad];
+  const skewedOnChain = Number(contractGetDy(1, 0, 5_000_000n * wad, skewed, 2000n, 1_000_000n)) / 1e18;
+  const skewedModelled = getStableSwapDy(1, 0, 5_000_000, [1.5e8, 6e7, 9e7], 2000, 0.0001);
+  check('Imbalanced pool swap matches the contract', isClose(skewedModelled, skewedOnChain),
+    `${skewedModelled.toFixed(6)} vs ${skewedOnChain.toFixed(6)}`);
+}
+
+// Test case 5: Balancer weighted math reduces to constant product at 50/50
+console.log('\n📊 Test Case 5: Balancer Weighted Pool');
+{
+  const weighted = getWeightedAmountOut(250, 10_000, 0.5, 30_000_000, 0.5, 0.003);
+  const constantProduct = getAmountOut(250, 10_000, 30_000_000, 0.003);
+  check('50/50 pool matches constant product', isClose(weighted, constantProduct), `${weighted.toFixed(4)} vs ${constantProduct.toFixed(4)}`);
+
+  // 80/20: out = balanceOut * (1 - (balanceIn / (balanceIn + in))^(wIn / wOut))
+  const skewed = getWeightedAmountOut(100, 1_000, 0.8, 500, 0.2, 0);
+  check('80/20 pool follows the weighted invariant', isClose(skewed, 500 * (1 - Math.pow(1000 / 1100, 4))));
+  check('Swaps above 30% of the balance are rejected', getWeightedAmountOut(301, 1_000, 0.5, 1_000, 0.5, 0) === 0);
+}
+
+// Test case 6: Safe slippage leaves no profitable sandwich, and is the widest such tolerance
+console.log('\n📊 Test Case 6: Sandwich-Safe Slippage');
+{
+  const pool = createConstantProductPool({ reserveIn: 1_000, reserveOut: 3_000_000 });
+  const amountIn = 10;
+  const gasCost = 0.01;
+  const safe = findSafeSlippage({ pool, amountIn, gasCost });
+  const expectedAmountOut = pool.swap(amountIn).amountOut;
+  const profitableAt = (slippage) => simulateSandwich({
+    pool,
+    amountIn,
+    amountOutMin: expectedAmountOut * (1 - slippage),
+    gasCost
+  }).profitable;
+
+  console.log('  Recommended slippage:', (safe.slippage * 100).toFixed(2) + '%');
+  check('No sandwich pays at the recommended minimum', !profitableAt(safe.slippage));
+  check('A sandwich pays just above it', safe.slippage < 0.05 && profitableAt(safe.slippage + 0.0002));
+  check('Minimum output matches the tolerance', isClose(safe.amountOutMin, expectedAmountOut * (1 - safe.slippage)));
+}
+
+// Test case 7: Router calldata decodes to the swapped tokens and amounts
+console.log('\n📊 Test Case 7: Swap Calldata Decoding');
+{
+  const user = '0x1111111111111111111111111111111111111111';
+  const abi = ethers.AbiCoder.defaultAbiCoder();
+  const usdc = TOKENS.USDC.address;
+  const weth = TOKENS.WETH.address;
+  const usdt = TOKENS.USDT.address;
+
+  // SwapRouter02 exactInputSingle funded with msg.value
+  const swapRouter02 = new ethers.Interface(['function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)']);
+  const exactInputSingle = (value) => decodeSwapTransaction({
+    to: '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45',
+    from: user,
+    value,
+    data: swapRouter02.encodeFunctionData('exactInputSingle', [[weth, usdc, 500, user, ethers.parseEther('1'), 2_900_000_000n, 0]])
+  });
+  check('SwapRouter02 payable WETH input reads as ETH', exactInputSingle(ethers.parseEther('1'))?.tokenInSymbol === 'ETH');
+  check('SwapRouter02 WETH input without value stays WETH', exactInputSingle(0)?.tokenInSymbol === 'WETH');
+
+  // Universal Router: WRAP_ETH then V3_SWAP_EXACT_IN through the 0.05% pool
+  const universalRouter = new ethers.Interface(['function execute(bytes commands, bytes[] inputs, uint256 deadline)']);
+  const v3Path = ethers.solidityPacked(['address', 'uint24', 'address'], [weth, 500, usdc]);
+  const wrapAndSwap = decodeSwapTransaction({
+    to: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+    from: user,
+    value: ethers.parseEther('1'),
+    data: universalRouter.encodeFunctionData('execute', ['0x0b00', [
+      abi.encode(['address', 'uint256'], ['0x0000000000000000000000000000000000000002', ethers.parseEther('1')]),
+      abi.encode(['address', 'uint256', 'uint256', 'bytes', 'bool'], ['0x0000000000000000000000000000000000000001', ethers.parseEther('1'), 2_900_000_000n, v3Path, false])
+    ], 1_900_000_000])
+  });
+  check('Universal Router ETH -> USDC', wrapAndSwap?.tokenInSymbol === 'ETH' && wrapAndSwap?.tokenOutSymbol === 'USDC' &&
+    wrapAndSwap.amountIn === ethers.parseEther('1').toString() && wrapAndSwap.amountOutMin === '2900000000' &&
+    wrapAndSwap.fees[0] === 500);
+
+  // Universal Router: PERMIT2_PERMIT then V2_SWAP_EXACT_IN
+  const permitAndSwap = decodeSwapTransaction({
+    to: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+    from: user,
+    value: 0,
+    data: universalRouter.encodeFunctionData('execute', ['0x0a08', [
+      abi.encode(['((address,uint160,uint48,uint48),address,uint256)', 'bytes'], [[[usdc, 5_000_000_000n, 1_900_000_000, 3], '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', 1_900_000_000], '0x']),
+      abi.encode(['address', 'uint256', 'uint256', 'address[]', 'bool'], ['0x0000000000000000000000000000000000000001', 5_000_000_000n, ethers.parseEther('1.6'), [usdc, weth], true])
+    ], 1_900_000_000])
+  });
+  check('Universal Router Permit2 + USDC -> WETH', permitAndSwap?.tokenInSymbol === 'USDC' && permitAndSwap?.tokenOutSymbol === 'WETH' &&
+    permitAndSwap.permit?.token === usdc && permitAndSwap.permit?.amount === '5000000000');
+
+  // Universal Router: PERMIT2_TRANSFER_FROM into the router, then a CONTRACT_BALANCE V3 swap
+  const contractBalance = 1n << 255n;
+  const usdcPath = ethers.solidityPacked(['address', 'uint24', 'address'], [usdc, 500, weth]);
+  const transferAndSwap = decodeSwapTransaction({
+    to: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+    from: user,
+    value: 0,
+    data: universalRouter.encodeFunctionData('execute', ['0x0200', [
+      abi.encode(['address', 'address', 'uint160'], [usdc, '0x0000000000000000000000000000000000000002', 3_000_000_000n]),
+      abi.encode(['address', 'uint256', 'uint256', 'bytes', 'bool'], ['0x0000000000000000000000000000000000000001', contractBalance, ethers.parseEther('0.9'), usdcPath, false])
+    ], 1_900_000_000])
+  });
+  check('Universal Router CONTRACT_BALANCE reads the Permit2 transfer', transferAndSwap?.tokenInSymbol === 'USDC' &&
+    transferAndSwap.amountIn === '3000000000', transferAndSwap?.amountIn);
+
+  // Curve 3pool exchange(1, 2): USDC -> USDT
+  const curvePool = new ethers.Interface(['function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)']);
+  const curveSwap = decodeSwapTransaction({
+    to: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7',
+    from: user,
+    value: 0,
+    data: curvePool.encodeFunctionData('exchange', [1, 2, 1_000_000_000n, 999_000_000n])
+  });
+  check('Curve 3pool USDC -> USDT', curveSwap?.tokenIn === usdc && curveSwap?.tokenOut === usdt &&
+    curveSwap.amountIn === '1000000000' && curveSwap.poolName === '3pool');
+
+  // Balancer Vault swap(): native ETH -> USDC, GIVEN_IN
+  const vault = new ethers.Interface(['function swap((bytes32 poolId, uint8 kind, address assetIn, address assetOut, uint256 amount, bytes userData) singleSwap, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds, uint256 limit, uint256 deadline)']);
+  const balancerSwap = decodeSwapTransaction({
+    to: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+    from: user,
+    value: ethers.parseEther('2'),
+    data: vault.encodeFunctionData('swap', [
+      [ethers.ZeroHash, 0, ethers.ZeroAddress, usdc, ethers.parseEther('2'), '0x'],
+      [user, false, user, false],
+      5_800_000_000n,
+      1_900_000_000
+    ])
+  });
+  check('Balancer ETH -> USDC', balancerSwap?.nativeIn === true && balancerSwap?.tokenIn === weth &&
+    balancerSwap?.tokenOutSymbol === 'USDC' && balancerSwap.amountOutMin === '5800000000');
+
+  // 1inch V5 swap(): USDC -> WETH
+  const oneInch = new ethers.Interface(['function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)']);
+  const oneInchSwap = decodeSwapTransaction({
+    to: '0x1111111254EEB25477B68fb85Ed929f73A960582',
+    from: user,
+    value: 0,
+    data: oneInch.encodeFunctionData('swap', [user, [usdc, weth, user, user, 3_000_000_000n, ethers.parseEther('0.99'), 0], '0x', '0x'])
+  });
+  check('1inch USDC -> WETH', oneInchSwap?.tokenInSymbol === 'USDC' && oneInchSwap?.tokenOutSymbol === 'WETH' &&
+    oneInchSwap.amountIn === '3000000000');
+}
+
+// Test case 8: same-nonce replacements and block eviction in the pending pool
+console.log('\n📊 Test Case 8: Pending Pool Replacements');
+{
+  const sender = '0x1111111111111111111111111111111111111111';
+  const pending = (hash, fees, extra = {}) => ({ hash, from: sender, nonce: 7, to: '0x2222222222222222222222222222222222222222', value: '1', input: '0x1234', ...fees, ...extra });
+
+  clearPendingPool();
+  addPendingTransaction(pending('0xa1', { maxFeePerGas: '40', maxPriorityFeePerGas: '2' }));
+  const speedUp = addPendingTransaction(pending('0xa2', { maxFeePerGas: '40', maxPriorityFeePerGas: '2.2' }));
+  check('10% tip bump is a speed-up', speedUp?.type === 'speed-up' && speedUp.bumpPercent === 10, speedUp?.type);
+
+  const smallBump = addPendingTransaction(pending('0xa3', { maxFeePerGas: '40', maxPriorityFeePerGas: '2.3' }));
+  check('Bump under 10% is a plain replacement', smallBump?.type === 'replacement', smallBump?.type);
+
+  const legacy = addPendingTransaction(pending('0xa4', { gasPrice: '45' }));
+  check('Legacy replacement compares fee caps', legacy?.previousGasPrice === 40 && legacy.gasPrice === 45);
+
+  const cancel = addPendingTransaction(pending('0xa5', { gasPrice: '60' }, { to: sender, value: '0', input: '0x' }));
+  check('Empty self-transfer is a cancel', cancel?.type === 'cancel', cancel?.type);
+  check('Same hash again is not a replacement', addPendingTransaction(pending('0xa5', { gasPrice: '60' }, { to: sender, value: '0', input: '0x' })) === null);
+
+  const entry = getPendingTransaction(sender, 7);
+  check('Entry keeps the replaced hashes', entry?.hash === '0xa5' && entry.replacementCount === 4 &&
+    entry.replacedHashes.join() === '0xa1,0xa2,0xa3,0xa4');
+
+  const evicted = handleIncludedBlock({ number: 100, transactions: [{ hash: '0xa5', from: sender, nonce: '7' }] });
+  check('Included nonce is evicted', evicted === 1 && getPendingTransaction(sender, 7) === null);
+  check('History is kept per sender', getReplacementHistory(sender).length === 4 && getReplacementHistory('0x3333333333333333333333333333333333333333').length === 0);
+  clearPendingPool();
+}
+
+// Test case 9: the fetcher's token bucket caps the first burst of lookups
+console.log('\n📊 Test Case 9: Transaction Fetcher Token Bucket');
+{
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const results = JSON.parse(body).map(call => ({ jsonrpc: '2.0', id: call.id, result: { hash: call.params[0] } }));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(results));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // Read on configure, after the environment is loaded
+  process.env.MEMPOOL_FETCH_RATE = '10';
+  process.env.MEMPOOL_FETCH_BURST = '5';
+  const resolved = [];
+  configureTransactionFetcher({ url: `http://127.0.0.1:${server.address().port}`, handler: tx => resolved.push(tx.hash) });
+  const configured = getTransactionFetcherStats();
+  check('Rate and burst come from the environment', configured.rateLimit === 10 && configured.rateBurst === 5 &&
+    configured.tokensAvailable === 5);
+
+  for (let i = 0; i < 12; i++) enqueueTransactionHash(`0x${i.toString(16).padStart(64, '0')}`);
+  check('Duplicate hashes are not queued twice', enqueueTransactionHash(`0x${'0'.repeat(64)}`) === false);
+
+  // One 5-lookup batch goes out; the next waits ~500ms for the bucket to refill
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const afterBurst = getTransactionFetcherStats();
+  check('Only the burst is fetched at once', afterBurst.batches === 1 && resolved.length === 5 && afterBurst.queued === 7,
+    `${resolved.length} fetched, ${afterBurst.queued} queued`);
+
+  process.env.MEMPOOL_FETCH_RATE = '0';
+  delete process.env.MEMPOOL_FETCH_BURST;
+  configureTransactionFetcher({ url: null, handler: () => {} });
+  check('Non-positive rate falls back to the default', getTransactionFetcherStats().rateLimit === 100);
+
+  delete process.env.MEMPOOL_FETCH_RATE;
+  resetTransactionFetcher();
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Test case 10: a full-object pending subscription against a local stand-in node
+console.log('\n📊 Test Case 10: Full-Transaction Pending Subscription');
+{
+  const node = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => node.on('listening', resolve));
+
+  const router = new ethers.Interface(['function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)']);
+  const sender = '0x4444444444444444444444444444444444444444';
+  const pendingTx = {
+    hash: `0x${'ab'.repeat(32)}`,
+    from: sender,
+    to: '0x7a250d5630b4cf539739df2c5dacb4c659f2488d',
+    value: ethers.toQuantity(ethers.parseEther('1')),
+    nonce: '0x3',
+    maxFeePerGas: ethers.toQuantity(40_000_000_000n),
+    maxPriorityFeePerGas: ethers.toQuantity(2_000_000_000n),
+    input: router.encodeFunctionData('swapExactETHForTokens', [2_900_000_000n, [TOKENS.WETH.address, TOKENS.USDC.address], sender, 1_900_000_000]),
+    blockNumber: null
+  };
+
+  const subscriptions = [];
+  node.on('connection', socket => {
+    socket.on('message', data => {
+      const request = JSON.parse(data.toString());
+      subscriptions.push(request.params);
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: `0x${request.id}` }));
+
+      if (subscriptions.length === 2) {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: '0x1', result: pendingTx } }));
+      }
+    });
+  });
+
+  clearPendingPool();
+  const lookupsBefore = getTransactionFetcherStats().received;
+  process.env.MEMPOOL_WS_URL = `ws://127.0.0.1:${node.address().port}`;
+  initializeWebSocketMempool();
+
+  let cached = [];
+  for (let i = 0; i < 40 && cached.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    cached = getCachedPendingTransactions('ETH', 'USDC').transactions;
+  }
+
+  check('Subscribes with the full-object flag', JSON.stringify(subscriptions[0]) === JSON.stringify(['newPendingTransactions', true]));
+  check('Full pending object lands in the pool without a lookup', cached[0]?.hash === pendingTx.hash &&
+    cached[0].tokenPair === 'ETH/USDC' && getTransactionFetcherStats().received === lookupsBefore, cached[0]?.tokenPair);
+
+  closeWebSocketMempool();
+  delete process.env.MEMPOOL_WS_URL;
+  clearPendingPool();
+  await new Promise(resolve => node.close(resolve));
+}
+
+// Test case 11: provider failover, cooldown and reconnect backoff
+console.log('\n📊 Test Case 11: Provider Failover and Backoff');
+{
+  const attempts = [];
+  const served = await withProvider(async (provider, name) => {
+    attempts.push(name);
+    if (attempts.length === 1) throw Object.assign(new Error('socket hang up'), { code: 'SERVER_ERROR' });
+    return name;
+  }, 'base');
+  check('Failing endpoint fails over to the next', attempts.length === 2 && served === attempts[1], attempts.join(' -> '));
+
+  const failed = getProviderHealth('base').find(endpoint => endpoint.name === attempts[0]);
+  check('Failed endpoint cools down', failed?.status === 'down' && failed.errors === 1 && failed.cooldownSeconds >= 1,
+    failed?.status);
+
+  const nextAttempts = [];
+  await withProvider(async (provider, name) => nextAttempts.push(name), 'base');
+  check('Cooling endpoint is tried last', nextAttempts[0] !== attempts[0]);
+
+  const revertAttempts = [];
+  const reverted = await withProvider(async (provider, name) => {
+    revertAttempts.push(name);
+    throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+  }, 'base').catch(error => error.code);
+  check('Reverts are not retried elsewhere', reverted === 'CALL_EXCEPTION' && revertAttempts.length === 1);
+  stopProviderHealthChecks();
+
+  const delays = [1, 3, 20].map(getBackoffDelay);
+  check('Backoff doubles with jitter', delays[0] >= 800 && delays[0] <= 1200 && delays[1] >= 3200 && delays[1] <= 4800,
+    delays.join(', '));
+  check('Backoff is capped at a minute', delays[2] >= 48000 && delays[2] <= 72000);
+}
+
+// Test case 12: record a stream and replay it through the WebSocket pipeline
+console.log('\n📊 Test Case 12: Stream Recording and Replay');
+{
+  const recording = path.join(os.tmpdir(), `mempool-replay-test-${process.pid}.ndjson`);
+  const router = new ethers.Interface(['function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)']);
+  const rpcTx = (hash, from) => ({
+    hash,
+    from,
+    to: '0x7a250d5630b4cf539739df2c5dacb4c659f2488d',
+    value: ethers.toQuantity(ethers.parseEther('1')),
+    nonce: '0x1',
+    gasPrice: ethers.toQuantity(30_000_000_000n),
+    input: router.encodeFunctionData('swapExactETHForTokens', [2_900_000_000n, [TOKENS.WETH.address, TOKENS.USDC.address], from, 1_900_000_000]),
+    blockNumber: null
+  });
+  const mined = rpcTx(`0x${'01'.repeat(32)}`, '0x5555555555555555555555555555555555555555');
+  const stillPending = rpcTx(`0x${'02'.repeat(32)}`, '0x6666666666666666666666666666666666666666');
+
+  startRecording(recording);
+  recordStreamEvent(STREAM_EVENTS.PENDING, mined);
+  recordStreamEvent(STREAM_EVENTS.PENDING, stillPending);
+  recordStreamEvent(STREAM_EVENTS.BLOCK, { number: 100, timestamp: 1_900_000_000, baseFeePerGas: null, gasUsed: '0', gasLimit: '30000000',
+    transactions: [{ hash: mined.hash, from: mined.from, nonce: 1 }] });
+  stopRecording();
+
+  const replay = async () => {
+    clearPendingPool();
+    process.env.MEMPOOL_REPLAY_FILE = recording;
+    process.env.MEMPOOL_REPLAY_SPEED = '0';
+    initializeWebSocketMempool();
+    for (let i = 0; i < 40 && !getWebSocketStatus().replay?.finished; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    const result = { events: getWebSocketStatus().replay?.events, hashes: getCachedPendingTransactions('ETH', 'USDC').transactions.map(tx => tx.hash) };
+    closeWebSocketMempool();
+    return result;
+  };
+
+  // Let the recording flush before reading it back
+  for (let i = 0; i < 40 && (!fs.existsSync(recording) || fs.readFileSync(recording, 'utf8').trim().split('\n').length < 3); i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+
+  const first = await replay();
+  check('Replay feeds pending and block events through the pipeline', first.events === 3 &&
+    first.hashes.length === 1 && first.hashes[0] === stillPending.hash, `${first.events} events`);
+  const second = await replay();
+  check('Replaying the same recording gives the same pool', JSON.stringify(second) === JSON.stringify(first));
+
+  delete process.env.MEMPOOL_REPLAY_FILE;
+  delete process.env.MEMPOOL_REPLAY_SPEED;
+  clearPendingPool();
+  fs.rmSync(recording, { force: true });
+}
+
+// Test case 13: seeded mempool scenarios repeat exactly
+console.log('\n📊 Test Case 13: Seeded Mempool Simulation');
+{
+  const scenarioParams = { scenario: 'sandwich-bot', seed: 'regression-1', tokenIn: 'ETH', tokenOut: 'USDC', amountIn: 10,
+    userGasPrice: 30, baseFee: 20, timestamp: 1_900_000_000 };
+  const firstRun = generateScenarioTransactions(scenarioParams);
+  check('Same scenario and seed repeat exactly', JSON.stringify(generateScenarioTransactions(scenarioParams)) === JSON.stringify(firstRun));
+  check('Another seed gives another mempool', JSON.stringify(generateScenarioTransactions({ ...scenarioParams, seed: 'regression-2' })) !== JSON.stringify(firstRun));
+
+  const tips = firstRun.map(tx => getEffectiveTip(tx, scenarioParams.baseFee));
+  check('Ordered by effective tip', tips.every((tip, i) => i === 0 || tips[i - 1] >= tip));
+
+  const frontRun = firstRun.find(tx => tx.simulatedRole === 'frontrun');
+  const backRun = firstRun.find(tx => tx.simulatedRole === 'backrun');
+  check('Sandwich bot brackets the user', frontRun && backRun && frontRun.from === backRun.from &&
+    backRun.nonce === frontRun.nonce + 1 &&
+    getEffectiveTip(frontRun, 20) > 10 && getEffectiveTip(backRun, 20) < 10);
+
+  const request = { tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '10' };
+  check('Default seed follows the request', resolveSimulationConfig({}, request).seed === 'ETH/USDC/10');
+
+  process.env.MEMPOOL_SIM_SCENARIO = 'sandwich';
+  check('Unknown env scenario falls back to the default', configureSimulation() === DEFAULT_SCENARIO &&
+    resolveSimulationConfig({}, request).scenario === DEFAULT_SCENARIO);
+  process.env.MEMPOOL_SIM_SCENARIO = 'quiet';
+  check('Valid env scenario is used', configureSimulation() === 'quiet' && resolveSimulationConfig({}, request).scenario === 'quiet');
+  delete process.env.MEMPOOL_SIM_SCENARIO;
+  configureSimulation();
+}
+
+// Test case 14: swaps and risk are read against the scanned chain
+console.log('\n📊 Test Case 14: Chain-Aware Decoding and Risk');
+{
+  const polygonTokens = CHAINS.polygon.tokens;
+  const v2Router = new ethers.Interface(['function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)']);
+  const recipient = '0x4444444444444444444444444444444444444444';
+  const polygonSwap = {
+    to: CHAINS.polygon.dexes.sushiswap.router,
+    from: recipient,
+    value: ethers.parseEther('5'),
+    data: v2Router.encodeFunctionData('swapExactETHForTokens', [1n, [polygonTokens.WPOL.address, polygonTokens.USDC.address], recipient, 1_900_000_000])
+  };
+
+  const onPolygon = decodeSwapTransaction(polygonSwap, 'polygon');
+  check('Polygon swap reads as POL -> USDC', onPolygon?.tokenInSymbol === 'POL' && onPolygon.tokenOutSymbol === 'USDC');
+  check('Polygon USDC is unknown on Ethereum', decodeSwapTransaction(polygonSwap)?.tokenOutSymbol === polygonTokens.USDC.address);
+
+  check('Native coins map to their wrapped token', normalizeToken('ETH', 'base') === 'WETH' && normalizeToken('BNB', 'bsc') === 'WBNB' &&
+    normalizeToken('MATIC', 'polygon') === 'WPOL');
+  check('Token addresses resolve per chain', getTokenSymbol(CHAINS.base.tokens.USDC.address, 'base') === 'USDC' &&
+    getTokenSymbol(CHAINS.base.tokens.USDC.address) === CHAINS.base.tokens.USDC.address);
+
+  check('Public mempool keeps the full score', applyChainRiskProfile(80, 'sandwich', 'ethereum') === 80);
+  check('FCFS sequencer cuts sandwich risk hardest', applyChainRiskProfile(80, 'sandwich', 'arbitrum') === 8 &&
+    applyChainRiskProfile(80, 'frontrun', 'arbitrum') === 16);
+
+  let unsupported = null;
+  try {
+    getChain('solana');
+  } catch (error) {
+    unsupported = error.message;
+  }
+  check('Unknown chains are rejected', unsupported?.startsWith('Unsupported chain'));
+}
+
+// Test case 15: ordering follows the effective tip, not the fee cap
+console.log('\n📊 Test Case 15: EIP-1559 Effective Tip Ordering');
+{
+  const highCapLowTip = { maxFeePerGas: '100', maxPriorityFeePerGas: '1' };
+  const lowCapHighTip = { maxFeePerGas: '30', maxPriorityFeePerGas: '5' };
+  check('Tip, not fee cap, decides position', getEffectiveTip(highCapLowTip, 20) === 1 && getEffectiveTip(lowCapHighTip, 20) === 5);
+  check('Legacy gas price tips everything above the base fee', getEffectiveTip({ gasPrice: '25' }, 20) === 5 &&
+    getEffectiveGasPrice({ gasPrice: '25' }, 20) === 25);
+  check('Fee cap below the base fee tips nothing', getEffectiveTip({ maxFeePerGas: '18', maxPriorityFeePerGas: '2' }, 20) === 0);
+  check('Base fee moves 12.5% per full or empty block', predictNextBaseFee(20, 30e6, 30e6) === 22.5 &&
+    predictNextBaseFee(20, 0, 30e6) === 17.5 && predictNextBaseFee(20, 15e6, 30e6) === 20);
+
+  // Percentiles are gas prices; at a 20 gwei base fee they tip 2, 4, 6 and 10
+  const percentiles = { p25: '22', p50: '24', p75: '26', p90: '30' };
+  check('Percentile compares tips above the base fee', calculateGasPercentile(5, percentiles, 20) === 60 &&
+    calculateGasPercentile(5, percentiles, 0) === 15);
+
+  const userTx = { token_in: 'ETH', token_out: 'USDC', amount_in: '10', max_fee_per_gas: '40', max_priority_fee_per_gas: '3' };
+  const competitor = (fees) => ({ tokenPair: 'ETH/USDC', from: '0x7777777777777777777777777777777777777777', amount: 10, ...fees });
+  const mempool = (competitors) => ({ competingTxs: competitors, gasPercentiles: percentiles, nextBaseFee: 20, blockTimeEstimate: 12 });
+  check('High fee cap with a low tip is not a front-runner', detectFrontRun(userTx, mempool([competitor(highCapLowTip)])).type === 'none');
+  check('Higher tip under a lower cap is a front-runner', detectFrontRun(userTx, mempool([competitor(lowCapHighTip)])).type === 'front-run');
+}
+
+// Test case 16: fee-history percentiles from a local RPC stand-in
+console.log('\n📊 Test Case 16: Fee History Gas Oracle');
+{
+  const gwei = (value) => ethers.toQuantity(ethers.parseUnits(String(value), 'gwei'));
+  // Block 101 is empty; its zero rewards must not drag the medians down
+  const feeHistory = {
+    oldestBlock: '0x64',
+    baseFeePerGas: [10, 11, 12, 13, 14].map(gwei),
+    gasUsedRatio: [0.5, 0, 1, 0.6],
+    reward: [[1, 2, 3, 4, 5], [0, 0, 0, 0, 0], [2, 3, 4, 6, 8], [1, 1, 2, 3, 4]].map(rewards => rewards.map(gwei))
+  };
+
+  const requestedBlockCounts = [];
+  const rpc = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const answer = (call) => {
+        if (call.method === 'eth_feeHistory') requestedBlockCounts.push(call.params[0]);
+        return { jsonrpc: '2.0', id: call.id, result: call.method === 'eth_feeHistory' ? feeHistory : '0x67' };
+      };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+
+  // Read per call, so a value loaded after import still applies
+  process.env.RPC_URL_OPTIMISM = `http://127.0.0.1:${rpc.address().port}`;
+  process.env.GAS_ORACLE_BLOCKS = '4';
+  const oracle = await getGasOracle('optimism');
+
+  check('GAS_ORACLE_BLOCKS sets the sampled blocks', requestedBlockCounts[0] === '0x4' && oracle.blocksSampled === 4);
+  check('Tip percentiles are per-block medians without empty blocks', JSON.stringify(oracle.tipPercentiles) ===
+    JSON.stringify({ p10: 1, p25: 2, p50: 3, p75: 4, p90: 5 }), JSON.stringify(oracle.tipPercentiles));
+  check('Gas percentiles add the next base fee', oracle.nextBaseFee === 14 && oracle.gasPercentiles.p50 === '17.00' &&
+    oracle.gasPercentiles.p90 === '19.00');
+
+  const { slow, standard, fast } = oracle.estimates;
+  check('Faster estimates tip more', slow.maxPriorityFeePerGas <= standard.maxPriorityFeePerGas &&
+    standard.maxPriorityFeePerGas < fast.maxPriorityFeePerGas);
+  check('Standard tip reaches 90% next-block inclusion', standard.inclusionProbability[1] >= 0.9 &&
+    standard.maxFeePerGas === parseFloat((28 + standard.maxPriorityFeePerGas).toFixed(2)));
+
+  stopProviderHealthChecks();
+  delete process.env.RPC_URL_OPTIMISM;
+  delete process.env.GAS_ORACLE_BLOCKS;
+  await new Promise(resolve => rpc.close(resolve));
+}
+
+// Test case 17: execution ETA on slots and measured block times
+console.log('\n📊 Test Case 17: Execution ETA Distribution');
+{
+  const ethereumTiming = getNominalBlockTiming('ethereum');
+  const threeSecondsIntoSlot = ethereumTiming.slots.genesisTime + 12 * 1000 + 3;
+
+  const certain = calculateExecutionEta(ethereumTiming, 1, threeSecondsIntoSlot);
+  check('Next Ethereum block is at the next slot', certain.nextBlockSeconds === 9 && certain.p90Seconds === 9 &&
+    certain.distribution[0].probability === 1);
+
+  const coinFlip = calculateExecutionEta(ethereumTiming, 0.5, threeSecondsIntoSlot);
+  check('Waiting is geometric in slots', coinFlip.expectedSeconds === 21 && coinFlip.p50Seconds === 9 && coinFlip.p90Seconds === 45,
+    `${coinFlip.expectedSeconds}s / ${coinFlip.p50Seconds}s / ${coinFlip.p90Seconds}s`);
+  check('Distribution accumulates per block', coinFlip.distribution.map(step => step.probability).join() === '0.5,0.75,0.875,0.938,0.969' &&
+    coinFlip.distribution[4].seconds === 57);
+
+  const missedSlots = calculateExecutionEta({ ...ethereumTiming, blockTime: 12.5, missedSlotRate: 0.04 }, 1, threeSecondsIntoSlot);
+  check('Missed slots leave a chance of waiting', missedSlots.distribution[0].probability === 0.96 && missedSlots.p90Seconds === 9 &&
+    missedSlots.distribution[1].probability === 0.998);
+
+  const baseTiming = { ...getNominalBlockTiming('base'), latestTimestamp: 1_900_000_000 };
+  check('Slotless chains count from the latest header', calculateExecutionEta(baseTiming, 1, 1_900_000_000.5).nextBlockSeconds === 1.5 &&
+    calculateExecutionEta(getNominalBlockTiming('base'), 1, 1_900_000_000.5).nextBlockSeconds === 1);
+}
+
+// Test case 18: sandwich simulation against pool reserves, valued in USD
+console.log('\n📊 Test Case 18: Sandwich Profitability Simulation');
+{
+  const reserves = { token0: 'WETH', token1: 'USDC', reserve0: 1000, reserve1: 3_000_000, fee: 0.003, dataSource: 'on-chain' };
+  const attackerGas = { gasPercentiles: { p90: '30' } };
+  const prices = { tokenIn: 3000, tokenOut: 1, native: 3000 };
+  const trade = { token_in: 'ETH', token_out: 'USDC', amount_in: '50' };
+
+  const loose = simulateSandwichAttack(trade, reserves, attackerGas, prices);
+  check('Default slippage on a 5% trade is sandwichable', loose?.profitable && loose.assumedSlippage === 0.005 &&
+    isClose(loose.amountOutMin, loose.expectedAmountOut * 0.995), `net $${loose?.netProfitUsd}`);
+  // Two legs at 30 gwei, 120k gas each, paid in $3000 ETH
+  check('Attacker gas is priced at the top percentile', loose?.gasCostUsd === 21.6 &&
+    loose.netProfitUsd === parseFloat((loose.grossProfitUsd - loose.gasCostUsd).toFixed(2)));
+
+  const tight = simulateSandwichAttack({ ...trade, amount_out_min: String(loose.safeAmountOutMin) }, reserves, attackerGas, prices);
+  check('Recommended minimum leaves no profit after gas', tight && !tight.profitable && tight.victimLossUsd < loose.victimLossUsd);
+
+  check('Placeholder reserves are not simulated', simulateSandwichAttack(trade, { ...reserves, isEstimated: true, dataSource: 'estimated' }, attackerGas, prices) === null);
+  check('Unpriced trades are not simulated', simulateSandwichAttack(trade, reserves, attackerGas, { tokenIn: null, tokenOut: null, native: 3000 }) === null);
+}
+
+// Test case 19: V3 tick loading from a local RPC stand-in
+console.log('\n📊 Test Case 19: Uniswap V3 Tick Loading');
+{
+  const v3Pool = new ethers.Interface([
+    'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+    'function liquidity() view returns (uint128)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function tickSpacing() view returns (int24)',
+    'function token0() view returns (address)',
+    'function tickBitmap(int16 wordPosition) view returns (uint256)',
+    'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+  ]);
+  const poolAddress = '0x8888888888888888888888888888888888888888';
+  const { WETH, USDC } = CHAINS.arbitrum.tokens;
+
+  // Tick spacing 10 at tick 0, with every tick in words -1 and 0 initialized (512 ticks)
+  const answerPoolCall = (data) => {
+    const call = v3Pool.parseTransaction({ data });
+    const values = {
+      getPool: () => [call.args[2] === 500n ? poolAddress : ethers.ZeroAddress],
+      liquidity: () => [1_000_000n],
+      slot0: () => [2n ** 96n, 0, 0, 1, 1, 0, true],
+      tickSpacing: () => [10],
+      token0: () => [WETH.address],
+      tickBitmap: () => [[-1n, 0n].includes(call.args[0]) ? ethers.MaxUint256 : 0n],
+      ticks: () => [1000n, 1000n, 0, 0, 0, 0, 0, true]
+    }[call.name]();
+    return v3Pool.encodeFunctionResult(call.name, values);
+  };
+
+  const multicalls = [];
+  const rpc = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const answer = (request) => {
+        if (request.method !== 'eth_call') return { jsonrpc: '2.0', id: request.id, result: '0x1' };
+
+        const { data } = request.params[0];
+        if (data.startsWith(v3Pool.getFunction('aggregate3').selector)) {
+          const [calls] = v3Pool.decodeFunctionData('aggregate3', data);
+          multicalls.push(calls.length);
+          const results = calls.map(inner => [true, answerPoolCall(inner.callData)]);
+          return { jsonrpc: '2.0', id: request.id, result: v3Pool.encodeFunctionResult('aggregate3', [results]) };
+        }
+        return { jsonrpc: '2.0', id: request.id, result: answerPoolCall(data) };
+      };
+
+      const payload = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+
+  process.env.RPC_URL_ARBITRUM = `http://127.0.0.1:${rpc.address().port}`;
+  process.env.V3_TICK_WORDS = '1';
+  const v3Data = await getPoolDataOnChain('WETH', 'USDC', 'uniswap-v3', 'arbitrum');
+  const loaded = v3Data?.concentratedLiquidity;
+
+  check('Bitmaps and ticks are read in Multicall3 batches', multicalls.join() === '3,100,100', multicalls.join());
+  check('Only the 200 ticks nearest the price are loaded', loaded?.ticks.length === 200 &&
+    loaded.ticks[0].tick === -1000 && loaded.ticks[199].tick === 990);
+  check('Known range ends at the first tick left out', loaded?.minTick === -1010 && loaded.maxTick === 1000,
+    `${loaded?.minTick}..${loaded?.maxTick}`);
+
+  stopProviderHealthChecks();
+  delete process.env.RPC_URL_ARBITRUM;
+  delete process.env.V3_TICK_WORDS;
+  await new Promise(resolve => rpc.close(resolve));
+}
+
+// Test case 20: trade splitting and TWAP schedules priced from the pool
+console.log('\n📊 Test Case 20: Trade Splitting and TWAP');
+{
+  const reserves = { token0: 'WETH', token1: 'USDC', reserve0: 1000, reserve1: 3_000_000, fee: 0.003, dataSource: 'on-chain' };
+  const mempoolForPlan = { gasPercentiles: { p50: '20', p90: '30' }, blockTiming: { blockTime: 12, latestBlock: 1000, slots: null, missedSlotRate: 0 } };
+  const prices = { tokenIn: 3000, tokenOut: 1, native: 3000 };
+
+  const large = planTrade({ token_in: 'ETH', token_out: 'USDC', amount_in: '100' }, reserves, mempoolForPlan, 80, prices);
+  const { priceImpact, mev, gas, timingRisk, total } = large?.costsUsd || {};
+  check('A 10% trade under attack is split', large?.splits > 1 && large.savingsUsd > 0 &&
+    large.singleTradeCostUsd > total, `${large?.splits} chunks, saves $${large?.savingsUsd}`);
+  check('Plan cost is the sum of its parts', Math.abs(priceImpact + mev + gas + timingRisk - total) <= 0.02);
+  // One 120k-gas swap per chunk at 20 gwei, paid in $3000 ETH
+  check('Gas is paid once per chunk', isClose(gas, large?.splits * 7.2, 1e-6));
+
+  const schedule = large?.schedule || [];
+  check('Schedule covers the whole trade', schedule.length === large?.splits &&
+    isClose(schedule.reduce((sum, chunk) => sum + chunk.amountIn, 0), 100));
+  check('Chunks are spaced from the next block', schedule.every((chunk, i) =>
+    chunk.blockOffset === i * large.spacingBlocks && chunk.targetBlock === 1001 + chunk.blockOffset));
+  check('Later chunks trade against unrecovered impact', schedule[1]?.expectedAmountOut < schedule[0]?.expectedAmountOut);
+
+  const small = planTrade({ token_in: 'ETH', token_out: 'USDC', amount_in: '0.1' }, reserves, mempoolForPlan, 10, prices);
+  check('A small, quiet trade stays whole', small?.splits === 1 && small.savingsUsd === 0);
+  check('Placeholder reserves are not planned', planTrade({ token_in: 'ETH', token_out: 'USDC', amount_in: '100' },
+    { ...reserves, isEstimated: true, dataSource: 'estimated' }, mempoolForPlan, 80, prices) === null);
+}
+
+// Test case 21: routes ranked by net output, with reverting routes last
+console.log('\n📊 Test Case 21: Route Ranking');
+{
+  const venue = (dex, tokenIn, tokenOut, reserveIn, reserveOut) => ({
+    dex, tokenIn, tokenOut, dataSource: 'on-chain',
+    pool: createConstantProductPool({ reserveIn, reserveOut, fee: 0.003 })
+  });
+  const candidates = [
+    [venue('uniswap-v2', 'WETH', 'USDC', 100, 300_000)],
+    [venue('sushiswap', 'WETH', 'USDC', 10_000, 30_000_000)],
+    [venue('sushiswap', 'WETH', 'DAI', 10_000, 30_000_000), venue('curve', 'DAI', 'USDC', 30_000_000, 30_000_000)]
+  ];
+  const context = {
+    prices: { tokenIn: 3000, tokenOut: 1, native: 3000 },
+    attackProbability: 0.5,
+    mempoolData: { gasPercentiles: { p50: '20', p90: '30' } }
+  };
+  const input = { token_in: 'ETH', token_out: 'USDC', amount_in: '10', dex: 'uniswap-v2', chain: 'ethereum' };
+
+  const comparison = rankRoutes(input, candidates, context);
+  const routes = comparison?.routes || [];
+  check('Routes are ranked by net output', routes.length === 3 &&
+    routes.every((route, i) => route.rank === i + 1 && (i === 0 || route.netAmountOut <= routes[i - 1].netAmountOut)),
+    routes.map(route => `${route.route}: ${route.netAmountOut.toFixed(2)}`).join(', '));
+  check('The deep venue beats the shallow one and the extra hop', comparison?.bestRoute.route === 'sushiswap');
+  check('The requested venue is found by its rank', comparison?.requestedRoute?.rank === 3 &&
+    comparison.requestedRoute.hops[0].dex === 'uniswap-v2');
+  check('Improvement is the net USD gap to the requested venue', comparison?.improvementUsd > 0 &&
+    isClose(comparison.improvementUsd, comparison.bestRoute.netAmountOutUsd - comparison.requestedRoute.netAmountOutUsd, 1e-6));
+  // Two swaps at 20 gwei cost twice the gas of one
+  check('Gas is charged per hop', isClose(routes.find(route => route.hops.length === 2)?.gasCost,
+    2 * routes.find(route => route.route === 'sushiswap')?.gasCost, 1e-9));
+
+  // 10 ETH on the shallow pool returns about 27.2k USDC, short of this minimum
+  const withMin = rankRoutes({ ...input, amount_out_min: '29500' }, candidates, context);
+  const shallow = withMin?.routes.find(route => route.route === 'uniswap-v2');
+  check('Routes that would revert rank last', shallow?.meetsAmountOutMin === false && shallow.rank === 3 &&
+    withMin.routes.slice(0, 2).every(route => route.meetsAmountOutMin));
+  check('No quotable route gives no comparison', rankRoutes(input, [], context) === null);
+}
+
+// Test case 22: tokens resolved by symbol, address, token list or ERC-20 calls
+console.log('\n📊 Test Case 22: Token Registry');
+{
+  const fooA = '0x1000000000000000000000000000000000000001';
+  const fooB = '0x1000000000000000000000000000000000000002';
+  const bar = '0x1000000000000000000000000000000000000003';
+  const unknown = '0x1000000000000000000000000000000000000004';
+  const testAddresses = [fooA, fooB, bar, unknown];
+  initDatabase();
+  const clearTestTokens = () => {
+    const db = getDatabase();
+    db.prepare(`DELETE FROM tokens WHERE address IN (${testAddresses.map(() => '?').join(', ')})`).run(...testAddresses);
+    db.close();
+  };
+  clearTestTokens();
+
+  const builtIn = await resolveToken('usdc', 'ethereum');
+  check('Built-in symbols keep their decimals', builtIn?.key === 'USDC' && builtIn.decimals === 6 && builtIn.source === 'built-in');
+  const byAddress = await resolveToken(TOKENS.USDC.address.toLowerCase(), 'ethereum');
+  check('A built-in address resolves to its symbol', byAddress?.key === 'USDC' && byAddress.decimals === 6);
+
+  const imported = await importTokenList({
+    name: 'Test List',
+    tokens: [
+      { chainId: 1, address: fooA, symbol: 'FOO', name: 'Foo A', decimals: 18 },
+      { chainId: 1, address: fooB, symbol: 'FOO', name: 'Foo B', decimals: 9 },
+      { chainId: 1, address: bar, symbol: 'BAR', name: 'Bar', decimals: 8 },
+      { chainId: 999999, address: unknown, symbol: 'BAZ', decimals: 18 },
+      { chainId: 1, address: unknown, symbol: 'BAZ', decimals: '18' }
+    ]
+  });
+  check('Token lists import supported chains only', imported.imported === 3 && imported.skipped === 2, JSON.stringify(imported));
+
+  const listed = await resolveToken('bar', 'ethereum');
+  check('Imported symbols resolve from the cache', listed?.key === 'BAR' && listed.decimals === 8 && listed.source === 'Test List');
+  let ambiguity = null;
+  try {
+    await resolveToken('FOO', 'ethereum');
+  } catch (error) {
+    ambiguity = error.message;
+  }
+  check('Ambiguous symbols are rejected', /Ambiguous token symbol/.test(ambiguity) && ambiguity.includes(fooA) && ambiguity.includes(fooB));
+  const fooByAddress = await resolveToken(fooB, 'ethereum');
+  check('A token sharing its symbol is keyed by address', fooByAddress?.key === fooB && fooByAddress.decimals === 9);
+  check('Unknown symbols resolve to null', await resolveToken('NOPE', 'ethereum') === null);
+
+  // A local node answers the ERC-20 metadata calls for an address no list knows
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const metadataCalls = [];
+  const rpc = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const answer = (call) => {
+        if (call.method !== 'eth_call') return { jsonrpc: '2.0', id: call.id, result: call.method === 'eth_chainId' ? '0x89' : '0x1' };
+        const selector = call.params[0].data.slice(0, 10);
+        metadataCalls.push(selector);
+        const result = {
+          '0x313ce567': coder.encode(['uint8'], [6]),
+          '0x95d89b41': coder.encode(['string'], ['TST']),
+          '0x06fdde03': coder.encode(['string'], ['Test Token'])
+        }[selector];
+        return { jsonrpc: '2.0', id: call.id, result };
+      };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+  process.env.RPC_URL_POLYGON = `http://127.0.0.1:${rpc.address().port}`;
+
+  const onChain = await resolveToken(unknown, 'polygon');
+  check('Unknown addresses are read from the contract', onChain?.key === 'TST' && onChain.decimals === 6 &&
+    onChain.name === 'Test Token' && onChain.source === 'erc20');
+  const callsAfterFirst = metadataCalls.length;
+  const again = await resolveToken(unknown, 'polygon');
+  check('Resolved metadata is cached', again?.decimals === 6 && metadataCalls.length === callsAfterFirst);
+  const trade = await resolveTradeTokens({ token_in: 'USDC', token_out: unknown, chain: 'polygon' });
+  check('Trade addresses are replaced by their pool key', trade.token_in === 'USDC' && trade.token_out === 'TST' &&
+    normalizeToken(trade.token_out, 'polygon') === 'TST');
+
+  stopProviderHealthChecks();
+  delete process.env.RPC_URL_POLYGON;
+  await new Promise(resolve => rpc.close(resolve));
+  clearTestTokens();
+}
+
+// Test case 23: USD prices from Chainlink feeds and reference pools on a local RPC stand-in
+console.log('\n📊 Test Case 23: USD Pricing');
+{
+  const bsc = getChain('bsc');
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const pairAddress = '0x2000000000000000000000000000000000000001';
+  const now = Math.floor(Date.now() / 1000);
+
+  // A local node serves the WBNB/USD feed ($600) and a BTCB/WBNB pair at 100 WBNB per BTCB
+  const rpc = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const answer = (call) => {
+        if (call.method !== 'eth_call') return { jsonrpc: '2.0', id: call.id, result: '0x1' };
+        const { to, data } = call.params[0];
+        const selector = data.slice(0, 10);
+        let result = coder.encode(['address'], [ethers.ZeroAddress]);
+        if (selector === '0x313ce567') result = coder.encode(['uint8'], [8]);
+        if (selector === '0xfeaf968c') result = coder.encode(['uint80', 'int256', 'uint256', 'uint256', 'uint80'], [1, 600n * 10n ** 8n, now, now, 1]);
+        if (selector === '0xe6a43905' && data.toLowerCase().includes(bsc.tokens.BTCB.address.slice(2).toLowerCase())) {
+          result = coder.encode(['address'], [pairAddress]);
+        }
+        if (to.toLowerCase() === pairAddress) {
+          if (selector === '0x0902f1ac') result = coder.encode(['uint112', 'uint112', 'uint32'], [ethers.parseEther('100'), ethers.parseEther('10000'), now]);
+          if (selector === '0x0dfe1681') result = coder.encode(['address'], [bsc.tokens.BTCB.address]);
+          if (selector === '0x18160ddd') result = coder.encode(['uint256'], [ethers.parseEther('1000')]);
+        }
+        return { jsonrpc: '2.0', id: call.id, result };
+      };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+  process.env.RPC_URL_BSC = `http://127.0.0.1:${rpc.address().port}`;
+
+  const prices = await getTradePrices({ token_in: 'BTCB', token_out: 'BNB', amount_in: '2', chain: 'bsc' });
+  check('Feed tokens are priced from Chainlink', prices.tokenOut === 600 && prices.native === 600 &&
+    prices.sources.tokenOut === 'chainlink' && prices.sources.native === 'chainlink');
+  check('Other tokens are priced from a reference pool', isClose(prices.tokenIn, 60000, 1e-9) &&
+    prices.sources.tokenIn === 'uniswap-v2:WBNB', `${prices.tokenIn} from ${prices.sources.tokenIn}`);
+  check('Trade amounts are converted to USD', isClose(prices.amountInUsd, 120000, 1e-9));
+
+  const unpriced = await getTradePrices({ token_in: 'DAI', token_out: 'BNB', amount_in: '500', chain: 'bsc' });
+  check('Tokens without a feed or deep pool stay unpriced', unpriced.tokenIn === null && unpriced.amountInUsd === null &&
+    unpriced.sources.tokenIn === null);
+  // 50 risk takes 2.5% of the trade's USD value
+  check('Fallback loss values amount_in at its USD price', calculatePotentialLoss({ amount_in: '2' }, 50, null, prices) === 3000 &&
+    calculatePotentialLoss({ amount_in: '500' }, 50, null, unpriced) === 12.5);
+
+  const reserves = { token0: 'BTCB', token1: 'WBNB', reserve0: 100, reserve1: 10000, reserveUSD: null, liquidity: null };
+  check('Pool liquidity is valued at both prices', withLiquidityUsd(reserves, prices).reserveUSD === 12_000_000);
+  check('A missing side is valued like the other', withLiquidityUsd(reserves, { ...prices, tokenIn: null }).liquidity === 12_000_000);
+  check('Subgraph liquidity is kept', withLiquidityUsd({ ...reserves, reserveUSD: 5 }, prices).reserveUSD === 5);
+
+  stopProviderHealthChecks();
+  delete process.env.RPC_URL_BSC;
+  await new Promise(resolve => rpc.close(resolve));
+}
+
+// Ethereum's providers are built once per process, so the remaining tests
+// share one local stand-in node and each answer its calls
+let answerEthereumCall = () => '0x1';
+const ethereumRpc = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const answer = (request) => {
+      try {
+        return { jsonrpc: '2.0', id: request.id, result: answerEthereumCall(request) };
+      } catch (error) {
+        return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+      }
+    };
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+await new Promise(resolve => ethereumRpc.listen(0, '127.0.0.1', resolve));
+process.env.RPC_URL_ETHEREUM = `http://127.0.0.1:${ethereumRpc.address().port}`;
+
+// Test case 24: pool state follows logs, skipping those a late-watched pool's snapshot includes
+console.log('\n📊 Test Case 24: Live Pool State');
+{
+  const v3Pool = new ethers.Interface([
+    'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+    'function liquidity() view returns (uint128)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function tickSpacing() view returns (int24)',
+    'function token0() view returns (address)',
+    'function tickBitmap(int16 wordPosition) view returns (uint256)',
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+  ]);
+  const { WETH, USDC, DAI } = CHAINS.ethereum.tokens;
+  const usdcPool = '0x7777777777777777777777777777777777777701';
+  const daiPool = '0x7777777777777777777777777777777777777702';
+  const owner = '0x7777777777777777777777777777777777777703';
+
+  // WETH/USDC is read at block 100; WETH/DAI at block 105, after the block-103 mint it already holds
+  let head = 100;
+  const snapshotLiquidity = { [usdcPool]: 1_000_000n, [daiPool]: 1_500_000n };
+  const answerPoolCall = (target, data) => {
+    const call = v3Pool.parseTransaction({ data });
+    const values = {
+      getPool: () => {
+        if (call.args[2] !== 500n) return [ethers.ZeroAddress];
+        return [call.args.includes(USDC.address) ? usdcPool : call.args.includes(DAI.address) ? daiPool : ethers.ZeroAddress];
+      },
+      liquidity: () => [snapshotLiquidity[target.toLowerCase()]],
+      slot0: () => [2n ** 96n, 0, 0, 1, 1, 0, true],
+      tickSpacing: () => [10],
+      token0: () => [WETH.address],
+      tickBitmap: () => [0n]
+    }[call.name]();
+    return v3Pool.encodeFunctionResult(call.name, values);
+  };
+
+  const log = (pool, blockNumber, index, name, args) => ({
+    ...v3Pool.encodeEventLog(name, args),
+    address: pool,
+    blockNumber: ethers.toQuantity(blockNumber),
+    blockHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber), 32),
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber * 10 + index), 32),
+    transactionIndex: ethers.toQuantity(index),
+    logIndex: ethers.toQuantity(index),
+    removed: false
+  });
+  const tick50Price = BigInt(Math.round(Math.sqrt(1.0001 ** 50) * 2 ** 96));
+  const logs = [
+    log(usdcPool, 103, 0, 'Mint', [owner, owner, -100, 100, 500_000n, 0n, 0n]),
+    log(daiPool, 103, 1, 'Mint', [owner, owner, -100, 100, 500_000n, 0n, 0n]),
+    log(usdcPool, 104, 0, 'Swap', [owner, owner, 1n, -1n, tick50Price, 1_500_000n, 50]),
+    log(daiPool, 106, 0, 'Mint', [owner, owner, -200, 200, 250_000n, 0n, 0n]),
+    log(usdcPool, 106, 1, 'Burn', [owner, -100, 100, 200_000n, 0n, 0n])
+  ];
+
+  const logRequests = [];
+  answerEthereumCall = (request) => {
+    if (request.method === 'eth_blockNumber') return ethers.toQuantity(head);
+    if (request.method === 'eth_getLogs') {
+      const { fromBlock, toBlock } = request.params[0];
+      logRequests.push(fromBlock);
+      return logs.filter(entry => entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock);
+    }
+    const { to, data } = request.params[0];
+    if (data.startsWith(v3Pool.getFunction('aggregate3').selector)) {
+      const [calls] = v3Pool.decodeFunctionData('aggregate3', data);
+      return v3Pool.encodeFunctionResult('aggregate3', [calls.map(inner => [true, answerPoolCall(inner.target, inner.callData)])]);
+    }
+    return answerPoolCall(to, data);
+  };
+
+  // ethers serves a repeated eth_blockNumber from cache for 250ms
+  const nextBlock = async (blockNumber) => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    head = blockNumber;
+  };
+
+  const watchedUsdc = await watchPool('WETH', 'USDC', 'uniswap-v3', 'ethereum');
+  await nextBlock(105);
+  const watchedDai = await watchPool('WETH', 'DAI', 'uniswap-v3', 'ethereum');
+  check('Pools are watched from their own snapshot block', watchedUsdc && watchedDai &&
+    getLivePoolData('WETH', 'USDC', 'uniswap-v3', 'ethereum')?.stateBlock === 100 &&
+    getLivePoolData('WETH', 'DAI', 'uniswap-v3', 'ethereum')?.stateBlock === 105);
+
+  await nextBlock(106);
+  await syncChain('ethereum');
+  const usdcState = getLivePoolData('USDC', 'WETH', 'uniswap-v3', 'ethereum');
+  const daiState = getLivePoolData('WETH', 'DAI', 'uniswap-v3', 'ethereum');
+  check('Logs are fetched from the chain\'s last synced block', logRequests.join() === ethers.toQuantity(101), logRequests.join());
+  check('A late-watched pool skips logs its snapshot includes', daiState?.concentratedLiquidity.liquidity === 1_750_000,
+    String(daiState?.concentratedLiquidity.liquidity));
+  check('Mint, Swap and Burn logs update a pool in order', usdcState?.concentratedLiquidity.liquidity === 1_300_000 &&
+    usdcState.concentratedLiquidity.tick === 50 &&
+    JSON.stringify(usdcState.concentratedLiquidity.ticks) === JSON.stringify([{ tick: -100, liquidityNet: 300_000 }, { tick: 100, liquidityNet: -300_000 }]),
+    JSON.stringify(usdcState?.concentratedLiquidity.ticks));
+  check('Live state is served from the synced block', usdcState?.dataSource === 'live' && usdcState.stateBlock === 106 &&
+    usdcState.token0 === 'USDC' && daiState?.stateBlock === 106);
+
+  stopPoolState();
+}
+
+// Test case 25: token safety from bytecode controls and a simulated buy, transfer and sell
+console.log('\n📊 Test Case 25: Token Safety');
+{
+  const honey = '0x6666666666666666666666666666666666666601';
+  const calm = '0x6666666666666666666666666666666666666602';
+  const calmImplementation = '0x6666666666666666666666666666666666666603';
+  const honeyPair = '0x6666666666666666666666666666666666666604';
+  registerToken('ethereum', 'HONEY', { address: honey, decimals: 18 });
+  registerToken('ethereum', 'CALM', { address: calm, decimals: 18 });
+
+  const selector = (signature) => ethers.id(signature).slice(2, 10);
+  // PUSH4 <selector> POP for each control the contract dispatches on
+  const bytecode = (...signatures) => '0x' + signatures.map(signature => `63${selector(signature)}50`).join('');
+  const code = {
+    [honey]: bytecode('isBlacklisted(address)', 'paused()', 'maxTxAmount()', 'transfer(address,uint256)'),
+    // The pause selector sits inside a PUSH32 immediate, so it isn't dispatched on
+    [calm]: bytecode('isBlacklisted(address)', 'setFees(uint256,uint256)') + '7f' + `63${selector('paused()')}`.padEnd(64, '0'),
+    [calmImplementation]: bytecode('gonsPerFragment()')
+  };
+
+  const abi = new ethers.Interface([
+    'function owner() view returns (address)',
+    'function getPair(address tokenA, address tokenB) view returns (address)',
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+  ]);
+  const WETH = CHAINS.ethereum.tokens.WETH.address.toLowerCase();
+  const holder = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe';
+
+  // HONEY takes 10% on buys and 5% on transfers, and reverts sells
+  const simulateCall = ({ to, data }) => {
+    const ok = (returnData = '0x') => ({ status: '0x1', returnData, gasUsed: '0x0', logs: [] });
+    const call = abi.parseTransaction({ data });
+    if (call?.name === 'getAmountsOut') {
+      const [amountIn, path] = call.args;
+      const amountOut = path[0].toLowerCase() === WETH ? ethers.parseEther('1000') : ethers.parseEther('0.04');
+      return ok(abi.encodeFunctionResult('getAmountsOut', [[amountIn, amountOut]]));
+    }
+    if (call?.name === 'balanceOf') {
+      const balance = to.toLowerCase() !== honey ? 0n
+        : call.args[0].toLowerCase() === holder ? ethers.parseEther('900') : ethers.parseEther('427.5');
+      return ok(abi.encodeFunctionResult('balanceOf', [balance]));
+    }
+    if (call?.name === 'transfer' || call?.name === 'approve') return ok(abi.encodeFunctionResult(call.name, [true]));
+    // Router swaps: the buy goes through, the sell reverts
+    return data.startsWith(ethers.id('swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)').slice(0, 10))
+      ? ok()
+      : { status: '0x0', returnData: '0x', gasUsed: '0x0', logs: [], error: { code: 3, message: 'TRANSFER_FAILED' } };
+  };
+
+  answerEthereumCall = (request) => {
+    const [params] = request.params || [];
+    switch (request.method) {
+      case 'eth_getCode':
+        return code[params.toLowerCase()] || '0x';
+      case 'eth_getStorageAt':
+        return params.toLowerCase() === calm ? ethers.zeroPadValue(calmImplementation, 32) : ethers.ZeroHash;
+      case 'eth_simulateV1':
+        return params.blockStateCalls.map(block => ({ calls: block.calls.map(simulateCall) }));
+      case 'eth_call': {
+        const call = abi.parseTransaction({ data: params.data });
+        if (call.name === 'owner') {
+          return abi.encodeFunctionResult('owner', [params.to.toLowerCase() === honey ? holder : ethers.ZeroAddress]);
+        }
+        const [tokenA] = call.args;
+        return abi.encodeFunctionResult('getPair', [tokenA.toLowerCase() === honey ? honeyPair : ethers.ZeroAddress]);
+      }
+      default:
+        return '0x1';
+    }
+  };
+
+  check('Registry tokens are trusted', await analyzeTokenSafety('USDC', 'ethereum') === null);
+
+  const honeyAnalysis = await analyzeTokenSafety('HONEY', 'ethereum');
+  check('Simulated taxes are measured per step', honeyAnalysis?.simulated && honeyAnalysis.taxes.buy === 0.1 &&
+    honeyAnalysis.taxes.transfer === 0.05 && honeyAnalysis.taxes.sell === null, JSON.stringify(honeyAnalysis?.taxes));
+  check('A reverting sell marks a honeypot', honeyAnalysis?.sellBlocked &&
+    honeyAnalysis.findings[0].type === 'sell-blocked' && honeyAnalysis.findings[0].detail.includes('TRANSFER_FAILED'));
+  check('Owner controls and taxes are flagged', JSON.stringify(honeyAnalysis?.findings.map(finding => finding.type)) ===
+    JSON.stringify(['sell-blocked', 'high-transfer-fee', 'blacklist', 'pausable', 'max-tx']));
+  check('Risk added by findings is capped at 100', honeyAnalysis?.riskIncrease === 100);
+
+  const calmAnalysis = await analyzeTokenSafety('CALM', 'ethereum');
+  check('Proxies are read through their implementation', calmAnalysis?.upgradeable && calmAnalysis.controls.rebasing);
+  check('PUSH32 immediates are not read as selectors', calmAnalysis?.controls.blacklist && !calmAnalysis.controls.pausable);
+  check('Renounced owners drop owner controls; untested fee settings stay flagged',
+    JSON.stringify(calmAnalysis?.findings.map(finding => finding.type)) === JSON.stringify(['transfer-fee', 'rebasing', 'upgradeable']) &&
+    !calmAnalysis.simulated && calmAnalysis.riskIncrease === 25, JSON.stringify(calmAnalysis?.findings.map(finding => finding.type)));
+
+  const trade = await analyzeTradeTokens({ token_in: 'USDC', token_out: 'CALM', chain: 'ethereum' });
+  check('Trade findings name their token', trade.tokens.length === 1 && trade.riskIncrease === 25 &&
+    trade.findings.every(finding => finding.token === 'CALM'));
+}
+
+stopProviderHealthChecks();
+delete process.env.RPC_URL_ETHEREUM;
+await new Promise(resolve => ethereumRpc.close(resolve));
+
+// Test case 26: pool logs decode to net swaps, and sandwich legs pair by searcher or contract
+console.log('\n📊 Test Case 26: Executed Swap Forensics');
+{
+  const events = new ethers.Interface([
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+  ]);
+  const pool = '0x9999999999999999999999999999999999999901';
+  const account = '0x9999999999999999999999999999999999999902';
+  const rawLog = (signature, args, transactionIndex, logIndex) => ({
+    ...events.encodeEventLog(events.getEvent(signature), args),
+    address: pool,
+    blockNumber: 500,
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(transactionIndex + 1), 32),
+    transactionIndex,
+    logIndex
+  });
+
+  // 100 of token1 in with 30 of it back out nets to 70 in for 5 of token0
+  const v2 = decodePoolLog(rawLog('Swap(address,uint256,uint256,uint256,uint256,address)', [account, 0n, 100n, 5n, 30n, account], 2, 7));
+  check('V2 swaps decode to net flows', v2?.type === 'swap' && v2.protocol === 'v2' && v2.zeroForOne === false &&
+    v2.amountIn === 70n && v2.amountOut === 5n && v2.pool === pool);
+  const v3 = decodePoolLog(rawLog('Swap(address,address,int256,int256,uint160,uint128,int24)', [account, account, 10n, -20n, 2n ** 96n, 1000n, -5], 1, 3));
+  check('V3 swaps read the pool deltas', v3?.protocol === 'v3' && v3.zeroForOne === true && v3.amountIn === 10n &&
+    v3.amountOut === 20n && v3.tick === -5);
+  check('Logs order by transaction, then log index', [v2, v3].sort(compareLogOrder)[0] === v3);
+  check('Swaps without net input are not trades',
+    decodePoolLog(rawLog('Swap(address,uint256,uint256,uint256,uint256,address)', [account, 0n, 5n, 0n, 5n, account], 0, 0)) === null);
+
+  const router = '0x9999999999999999999999999999999999999903';
+  const botContract = '0x9999999999999999999999999999999999999904';
+  const swap = (transactionIndex, zeroForOne) => ({
+    type: 'swap', pool, transactionHash: `0x${transactionIndex}`, transactionIndex, logIndex: 0, zeroForOne, amountIn: 1n, amountOut: 1n
+  });
+  const legs = (victim, poolSwaps, senders) => findSandwichLegs(victim, poolSwaps,
+    new Map(Object.entries(senders).map(([index, [from, to]]) => [`0x${index}`, { hash: `0x${index}`, from, to }])),
+    new Set([router]));
+
+  const victim = swap(5, true);
+  // Two possible front-runs by the searcher; the one nearest the victim pairs with the back-run
+  const searcherSwaps = [swap(2, true), swap(4, true), victim, swap(6, true), swap(8, false)];
+  const bySender = legs(victim, searcherSwaps, {
+    2: ['0xsearcher', router], 4: ['0xsearcher', router], 5: ['0xuser', router], 6: ['0xsearcher', router], 8: ['0xsearcher', router]
+  });
+  check('Legs by the same sender match through a shared router', bySender?.matchedBy === 'sender' &&
+    bySender.front.transactionIndex === 4 && bySender.back.transactionIndex === 8);
+
+  const byContract = legs(victim, [swap(4, true), victim, swap(8, false)], {
+    4: ['0xbot-a', botContract], 5: ['0xuser', router], 8: ['0xbot-b', botContract]
+  });
+  check('Legs from different senders match through the same contract', byContract?.matchedBy === 'contract');
+  check('Unrelated users of one router are not a sandwich', legs(victim, [swap(4, true), victim, swap(8, false)], {
+    4: ['0xalice', router], 5: ['0xuser', router], 8: ['0xbob', router]
+  }) === null);
+  check('The victim\'s own swaps are not legs', legs(victim, [swap(4, true), victim, swap(8, false)], {
+    4: ['0xuser', botContract], 5: ['0xuser', router], 8: ['0xuser', botContract]
+  }) === null);
+}
+
+// Test case 27: sandwiches, back-run arbitrages and JIT liquidity found in a mined block
+console.log('\n📊 Test Case 27: Block MEV Detection');
+{
+  const weth = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+  const usdc = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+  const poolA = '0x9999999999999999999999999999999999999911'; // token0 WETH, token1 USDC
+  const poolB = '0x9999999999999999999999999999999999999912'; // token0 USDC, token1 WETH
+  const router = '0x9999999999999999999999999999999999999913';
+  const bot = '0x9999999999999999999999999999999999999914';
+  const swap = (transactionIndex, pool, zeroForOne, amountIn = 100n, amountOut = 100n, extra = {}) => ({
+    type: 'swap', pool, transactionHash: `0x${transactionIndex}`, transactionIndex, logIndex: 0, zeroForOne, amountIn, amountOut, ...extra
+  });
+  const transactions = (senders) =>
+    new Map(Object.entries(senders).map(([index, [from, to]]) => [`0x${index}`, { hash: `0x${index}`, from, to }]));
+
+  // Two users' buys between one searcher's front-run and back-run
+  const sandwiches = findSandwiches(
+    [swap(1, poolA, true), swap(2, poolA, true), swap(3, poolA, true), swap(4, poolA, false)],
+    transactions({ 1: ['0xsearcher', bot], 2: ['0xalice', router], 3: ['0xbob', router], 4: ['0xsearcher', bot] }),
+    new Set([router])
+  );
+  check('Victims between the same legs are one sandwich', sandwiches.length === 1 &&
+    sandwiches[0].front.transactionIndex === 1 && sandwiches[0].back.transactionIndex === 4 &&
+    sandwiches[0].victims.map(victim => victim.tx.from).join() === '0xalice,0xbob');
+
+  // A WETH -> USDC -> WETH cycle right after a user's sell on pool A, 3 wei up
+  const arbitrageEvents = [
+    swap(5, poolA, true),
+    swap(6, poolB, false, 100n, 300n),
+    { ...swap(6, poolA, false, 300n, 103n), logIndex: 1 }
+  ];
+  const pools = new Map([[poolA, { token0: weth, token1: usdc }], [poolB, { token0: usdc, token1: weth }]]);
+  const arbitrageTxs = transactions({ 5: ['0xuser', router], 6: ['0xsearcher', bot] });
+  const [arbitrage] = findBackrunArbitrages(arbitrageEvents, arbitrageTxs, pools);
+  check('Cyclic swaps after a user\'s swap are a back-run', arbitrage?.searcher === '0xsearcher' &&
+    arbitrage.victim.tx.from === '0xuser' && arbitrage.pool === poolA && arbitrage.profitToken === weth && arbitrage.profit === 3n);
+  check('Unprofitable cycles and excluded transactions are skipped',
+    findBackrunArbitrages(arbitrageEvents, arbitrageTxs, pools, new Set(['0x6'])).length === 0 &&
+    findBackrunArbitrages([arbitrageEvents[0], arbitrageEvents[1], { ...arbitrageEvents[2], amountOut: 100n }], arbitrageTxs, pools).length === 0);
+
+  // A position minted and burned around two swaps; the second ends outside its range
+  const position = { pool: poolA, owner: '0xmanager', tickLower: -60, tickUpper: 60, liquidity: 1000n };
+  const jitEvents = [
+    { type: 'mint', transactionHash: '0x10', transactionIndex: 10, logIndex: 0, ...position },
+    swap(11, poolA, true, 100n, 100n, { liquidity: 4000n, tick: 0 }),
+    swap(12, poolA, true, 100n, 100n, { liquidity: 4000n, tick: 120 }),
+    { type: 'burn', transactionHash: '0x13', transactionIndex: 13, logIndex: 0, ...position }
+  ];
+  const [jit] = findJitLiquidity(jitEvents, transactions({ 10: ['0xlp', bot], 11: ['0xalice', router], 12: ['0xbob', router], 13: ['0xlp', bot] }));
+  check('A position minted and burned around swaps is JIT liquidity', jit?.provider === '0xlp' && jit.victims.length === 2 &&
+    jit.victims[0].liquidityShare === 0.25 && jit.victims[1].liquidityShare === 0);
+  check('Positions burned by another sender are not JIT',
+    findJitLiquidity(jitEvents, transactions({ 10: ['0xlp', bot], 11: ['0xalice', router], 12: ['0xbob', router], 13: ['0xother', bot] })).length === 0);
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
 console.log('\n✅ All tests completed successfully!');
 console.log('\n💡 Next steps:');
 console.log('  1. Start the server: npm start');